@@ -20,11 +20,16 @@ export default function handler(req, res) {
 
   try {
     // Parse query parameters
-    const { id, search, elements } = req.query;
+    const { id, search, mode, k, threshold, elements, format } = req.query;
     
-    // Search molecules
+    // Search molecules by name/formula, or with mode=substructure / mode=similarity
     if (search) {
-      const results = moleculeServer.searchMolecules(search);
+      let results;
+      try {
+        results = moleculeServer.searchMolecules(search, { mode, k, threshold });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
       return res.status(200).json(results);
     }
     
@@ -37,6 +42,21 @@ export default function handler(req, res) {
       return res.status(200).json(elementsData);
     }
     
+    // Export a molecule as a structure file
+    if (id && format) {
+      let file;
+      try {
+        file = moleculeServer.exportMolecule(id, format);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (file === null) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.setHeader('Content-Type', 'text/plain');
+      return res.status(200).send(file);
+    }
+
     // Get specific molecule
     if (id) {
       const molecule = moleculeServer.getMolecule(id);
@@ -46,9 +66,14 @@ export default function handler(req, res) {
       return res.status(200).json(molecule);
     }
     
-    // Get all molecules
-    const molecules = moleculeServer.getAllMolecules();
-    res.status(200).json(molecules);
+    // List molecules with filters, sorting and cursor pagination
+    let page;
+    try {
+      page = moleculeServer.listMolecules(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(200).json(page);
   } catch (error) {
     console.error('Error in molecules API:', error);
     res.status(500).json({ error: 'Failed to process request' });
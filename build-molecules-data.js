@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Static Molecule Data Build
+ * Generates public/js/molecules-data.js, the embedded MOLECULES_DATA and
+ * MoleculesAPI used by the GitHub Pages deployment, from the same molecule
+ * repository (data/molecules) that the server and the serverless API read.
+ *
+ * Usage: node build-molecules-data.js
+ */
+
+import { writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { MoleculeServer } from './mcp-server/molecules-server.js';
+import SYMBOLS from './mcp-server/chemistry/elements.js';
+import {
+  FORMULA_TOKEN,
+  addCounts,
+  parseGroup,
+  parseFormula,
+  formatFormula,
+  canonicalFormula
+} from './mcp-server/chemistry/formula.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const OUTPUT_FILE = join(__dirname, 'public', 'js', 'molecules-data.js');
+
+// Formula parsing of mcp-server/chemistry/formula.js, so that formula
+// searches match in Hill notation as they do on the server
+const FORMULA_HELPERS = `const ELEMENT_SYMBOLS = new Set(${JSON.stringify(SYMBOLS)});
+const isElement = symbol => ELEMENT_SYMBOLS.has(symbol);
+const FORMULA_TOKEN = ${FORMULA_TOKEN};
+
+${[addCounts, parseGroup, parseFormula, formatFormula, canonicalFormula].join('\n\n')}`;
+
+// Lookup functions of the bundle, kept in step with MoleculeServer
+const MOLECULES_API = `const MoleculesAPI = {
+  getAllMolecules() {
+    return Object.values(MOLECULES_DATA).map(mol => ({
+      id: mol.id,
+      name: mol.name,
+      formula: mol.formula,
+      molecular_weight: mol.molecular_weight
+    }));
+  },
+
+  getMolecule(id) {
+    return MOLECULES_DATA[id] || null;
+  },
+
+  getElementsInMolecule(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    const elementCounts = {};
+    molecule.atoms.forEach(atom => {
+      elementCounts[atom.element] = (elementCounts[atom.element] || 0) + 1;
+    });
+
+    return Object.entries(elementCounts).map(([element, count]) => ({
+      element,
+      count
+    }));
+  },
+
+  searchMolecules(query) {
+    if (!query) {
+      return [];
+    }
+    // Formulas also match in Hill notation ("C2H5OH" finds C2H6O)
+    const lowerQuery = query.toLowerCase();
+    const formula = canonicalFormula(query);
+    return Object.values(MOLECULES_DATA)
+      .filter(mol =>
+        mol.name.toLowerCase().includes(lowerQuery) ||
+        mol.formula.toLowerCase().includes(lowerQuery) ||
+        mol.formula === formula
+      )
+      .map(mol => ({
+        id: mol.id,
+        name: mol.name,
+        formula: mol.formula
+      }));
+  }
+};`;
+
+// Pretty-printed JSON with each atom and bond on one line
+function formatData(data) {
+  return JSON.stringify(data, null, 2).replace(
+    /\{\n\s+([^{}[\]]*?)\n\s+\}/g,
+    (match, body) => `{ ${body.split(/,\n\s+/).join(', ')} }`
+  );
+}
+
+/**
+ * Build the source of molecules-data.js for a molecule server
+ */
+export function generateMoleculesData(server = new MoleculeServer()) {
+  const data = Object.fromEntries(
+    server.getAllMolecules().map(({ id }) => [id, server.getMolecule(id)])
+  );
+
+  return `/**
+ * Embedded Molecular Data for Static GitHub Pages Deployment
+ * This file contains all molecule data inline so the app can work without a backend
+ *
+ * GENERATED by build-molecules-data.js from data/molecules - do not edit.
+ * Add or change molecules in data/molecules and run \`npm run build\`.
+ */
+
+const MOLECULES_DATA = ${formatData(data)};
+
+// Formula helpers of the backend
+${FORMULA_HELPERS}
+
+// Helper functions that mimic the backend API
+${MOLECULES_API}
+`;
+}
+
+if (process.argv[1] === __filename) {
+  writeFileSync(OUTPUT_FILE, generateMoleculesData());
+  console.log(`Wrote ${OUTPUT_FILE}`);
+}
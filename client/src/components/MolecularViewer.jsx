@@ -12,9 +12,10 @@
 
 import React, { useEffect, useRef, useState, useMemo } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { OrbitControls, PerspectiveCamera, Environment } from '@react-three/drei';
+import { OrbitControls, PerspectiveCamera, Environment, Line } from '@react-three/drei';
 import * as THREE from 'three';
 import { vertexShader, fragmentShader } from '../shaders/volumetricElectronCloud.glsl';
+import { getVdwRadius } from '../utils/elements.js';
 
 // Atom color scheme (CPK colors)
 const ATOM_COLORS = {
@@ -30,20 +31,30 @@ const ATOM_COLORS = {
   I: 0x940094,  // Purple
 };
 
-// Van der Waals radii (Angstroms)
-const VDW_RADII = {
-  H: 1.20, C: 1.70, N: 1.55, O: 1.52,
-  S: 1.80, P: 1.80, F: 1.47, Cl: 1.75
-};
+// Ends of the color ramp for per-atom values (low -> high)
+const VALUE_COLOR_LOW = new THREE.Color(0x2040ff);
+const VALUE_COLOR_HIGH = new THREE.Color(0xff3020);
+
+/**
+ * Colors for per-atom values such as solvent accessible areas or partial
+ * charges, scaled between the smallest and largest value
+ */
+function valueColors(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  return values.map(value => (
+    VALUE_COLOR_LOW.clone().lerp(VALUE_COLOR_HIGH, (value - min) / range).getHex()
+  ));
+}
 
 /**
  * Atom Component with PBR Materials
  * Extension point: Add glow effects, labels, animations
  */
-function Atom({ element, position, selected, onClick }) {
+function Atom({ element, position, selected, onClick, color: valueColor }) {
   const meshRef = useRef();
-  const color = ATOM_COLORS[element] || 0xcccccc;
-  const radius = (VDW_RADII[element] || 1.7) * 0.3;
+  const color = valueColor ?? ATOM_COLORS[element] ?? 0xcccccc;
+  const radius = getVdwRadius(element) * 0.3;
 
   useFrame(() => {
     if (selected && meshRef.current) {
@@ -169,6 +180,23 @@ function Bond({ from, to, order = 1, aromatic = false }) {
   return null;
 }
 
+/**
+ * Hydrogen Bond Component
+ * Dashed line from the hydrogen to the acceptor
+ */
+function HydrogenBond({ from, to }) {
+  return (
+    <Line
+      points={[from, to]}
+      color={0x40c0ff}
+      lineWidth={1.5}
+      dashed
+      dashSize={0.15}
+      gapSize={0.1}
+    />
+  );
+}
+
 /**
  * Van der Waals Surface Component
  * Extension point: Add surface coloring by properties, transparency controls
@@ -246,15 +274,25 @@ function MeasurementTool({ selectedAtoms, measurementType }) {
 
 /**
  * Main Molecular Viewer Component
+ * `atomValues` (one number per atom, e.g. the `atoms` of
+ * GET /api/molecules/:id/sasa) colors the atoms on a blue-red ramp in place
+ * of the element colors. `hydrogenBonds` (the `hydrogen_bonds` of
+ * GET /api/molecules/:id/hydrogen-bonds) are drawn as dashed lines.
  */
 export default function MolecularViewer({
   molecule,
   showElectronCloud = false,
   showVdwSurface = false,
   measurementMode = null,
+  atomValues = null,
+  hydrogenBonds = [],
   onAtomSelect
 }) {
   const [selectedAtoms, setSelectedAtoms] = useState([]);
+  const atomColors = useMemo(
+    () => (atomValues && atomValues.length > 0 ? valueColors(atomValues) : null),
+    [atomValues]
+  );
 
   const handleAtomClick = (atomIndex) => {
     setSelectedAtoms(prev => {
@@ -308,6 +346,7 @@ export default function MolecularViewer({
           key={index}
           element={atom.element}
           position={[atom.x, atom.y, atom.z]}
+          color={atomColors?.[index]}
           selected={selectedAtoms.includes(index)}
           onClick={() => handleAtomClick(index)}
         />
@@ -332,6 +371,14 @@ export default function MolecularViewer({
         />
       ))}
 
+      {/* Hydrogen bonds */}
+      {hydrogenBonds.map(({ hydrogen, acceptor }, index) => {
+        const h = molecule?.atoms?.[hydrogen];
+        const a = molecule?.atoms?.[acceptor];
+        if (!h || !a) return null;
+        return <HydrogenBond key={index} from={[h.x, h.y, h.z]} to={[a.x, a.y, a.z]} />;
+      })}
+
       {/* Van der Waals surface */}
       {showVdwSurface && <VanDerWaalsSurface atoms={molecule?.atoms} />}
 
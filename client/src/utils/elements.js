@@ -0,0 +1,28 @@
+/**
+ * Element data for the viewer
+ * A copy of the van der Waals radii in mcp-server/chemistry/elements.js,
+ * which the client bundle cannot import; tests/surface.test.js keeps the
+ * two tables in step.
+ */
+
+// Van der Waals radii in Angstrom (Bondi, 1964; B, Al, Ca, Ge and Sb from
+// Mantina et al., 2009). Other elements use DEFAULT_VDW_RADIUS.
+export const VAN_DER_WAALS_RADII = {
+  H: 1.20, He: 1.40,
+  Li: 1.82, B: 1.92, C: 1.70, N: 1.55, O: 1.52, F: 1.47, Ne: 1.54,
+  Na: 2.27, Mg: 1.73, Al: 1.84, Si: 2.10, P: 1.80, S: 1.80, Cl: 1.75, Ar: 1.88,
+  K: 2.75, Ca: 2.31, Ni: 1.63, Cu: 1.40, Zn: 1.39,
+  Ga: 1.87, Ge: 2.11, As: 1.85, Se: 1.90, Br: 1.85, Kr: 2.02,
+  Pd: 1.63, Ag: 1.72, Cd: 1.58, In: 1.93, Sn: 2.17, Sb: 2.06, Te: 2.06, I: 1.98, Xe: 2.16,
+  Pt: 1.72, Au: 1.66, Hg: 1.55, Tl: 1.96, Pb: 2.02, U: 1.86
+};
+export const DEFAULT_VDW_RADIUS = 1.70;
+
+/**
+ * Van der Waals radius of an element in Angstrom; symbols of any case
+ */
+export function getVdwRadius(symbol) {
+  const text = String(symbol || '').trim();
+  const normalized = text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  return VAN_DER_WAALS_RADII[normalized] || DEFAULT_VDW_RADIUS;
+}
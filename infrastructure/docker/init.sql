@@ -21,6 +21,9 @@ CREATE TABLE IF NOT EXISTS molecules (
     formula VARCHAR(255) NOT NULL,
     molecular_weight DECIMAL(10, 4),
     smiles TEXT,
+    canonical_smiles TEXT,
+    canonical_hash CHAR(64),
+    duplicate_of UUID REFERENCES molecules(id) ON DELETE SET NULL,
     inchi TEXT,
     data JSONB NOT NULL,
     metadata JSONB,
@@ -34,6 +37,14 @@ CREATE TABLE IF NOT EXISTS molecules (
 CREATE INDEX IF NOT EXISTS idx_molecules_data ON molecules USING GIN (data);
 CREATE INDEX IF NOT EXISTS idx_molecules_metadata ON molecules USING GIN (metadata);
 
+-- Canonical identifiers for duplicate detection (added after the first release)
+ALTER TABLE molecules ADD COLUMN IF NOT EXISTS canonical_smiles TEXT;
+ALTER TABLE molecules ADD COLUMN IF NOT EXISTS canonical_hash CHAR(64);
+CREATE INDEX IF NOT EXISTS idx_molecules_canonical_hash ON molecules (canonical_hash);
+
+-- First stored molecule with the same canonical hash, for duplicates stored anyway
+ALTER TABLE molecules ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES molecules(id) ON DELETE SET NULL;
+
 -- Trajectories table
 CREATE TABLE IF NOT EXISTS trajectories (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -143,6 +154,44 @@ CREATE TABLE IF NOT EXISTS reaction_pathways (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Agents and atom-atom mapping of imported reactions (added after the first release)
+ALTER TABLE reaction_pathways ADD COLUMN IF NOT EXISTS agent_ids UUID[];
+ALTER TABLE reaction_pathways ADD COLUMN IF NOT EXISTS atom_mapping JSONB;
+
+-- Calculated molecule analytics, valid for the molecule version they were
+-- calculated from
+CREATE TABLE IF NOT EXISTS molecule_analytics (
+    molecule_id UUID PRIMARY KEY REFERENCES molecules(id) ON DELETE CASCADE,
+    molecule_version INTEGER NOT NULL,
+    energy DOUBLE PRECISION,
+    charge DOUBLE PRECISION,
+    dipole_moment DOUBLE PRECISION,
+    sasa DOUBLE PRECISION,
+    hydrogen_bonds INTEGER,
+    metrics JSONB,
+    calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Earlier versions of molecules, kept when an update replaces them
+CREATE TABLE IF NOT EXISTS molecule_versions (
+    id UUID REFERENCES molecules(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    formula VARCHAR(255) NOT NULL,
+    molecular_weight DECIMAL(10, 4),
+    smiles TEXT,
+    canonical_smiles TEXT,
+    canonical_hash CHAR(64),
+    duplicate_of UUID,
+    inchi TEXT,
+    data JSONB NOT NULL,
+    metadata JSONB,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP,
+    updated_at TIMESTAMP,
+    PRIMARY KEY (id, version)
+);
+
 -- Provenance tracking
 CREATE TABLE IF NOT EXISTS provenance (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -0,0 +1,141 @@
+/**
+ * Structural Alignment
+ * Kabsch superposition: the rotation and translation that move a mobile
+ * structure onto a reference with the least root mean square deviation
+ * over pairs of corresponding atoms. The optimal rotation is found with
+ * the quaternion method (Horn, J. Opt. Soc. Am. A 4, 629 (1987)), which
+ * gives the Kabsch solution while always yielding a proper rotation, also
+ * for planar and linear structures.
+ *
+ * Structures are arrays of { x, y, z } (atoms or trajectory frame
+ * coordinates). Atom pairs come from a mapping of mobile to reference
+ * indices, from a subset of indices shared by both, or else from all atoms
+ * in order.
+ */
+
+import { symmetricEigen } from './inertia.js';
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+function centroid(points) {
+  const sum = points.reduce((total, p) => [total[0] + p.x, total[1] + p.y, total[2] + p.z], [0, 0, 0]);
+  return sum.map(value => value / points.length);
+}
+
+function rmsd(first, second) {
+  const sum = first.reduce((total, p, i) => {
+    const q = second[i];
+    return total + (p.x - q.x) ** 2 + (p.y - q.y) ** 2 + (p.z - q.z) ** 2;
+  }, 0);
+  return Math.sqrt(sum / first.length);
+}
+
+/**
+ * [mobile index, reference index] pairs to superimpose
+ */
+function atomPairs(mobile, reference, { mapping, atoms }) {
+  if (mapping !== undefined && atoms !== undefined) {
+    throw new Error('Give either an atom mapping or an atom subset, not both');
+  }
+
+  let pairs;
+  if (mapping !== undefined) {
+    pairs = mapping;
+  } else if (atoms !== undefined) {
+    pairs = atoms.map(index => [index, index]);
+  } else {
+    if (mobile.length !== reference.length) {
+      throw new Error(`Structures have ${mobile.length} and ${reference.length} atoms; give an atom mapping`);
+    }
+    pairs = mobile.map((_, index) => [index, index]);
+  }
+
+  if (pairs.length === 0) throw new Error('No atoms to align');
+  pairs.forEach(pair => {
+    const [i, j] = Array.isArray(pair) ? pair : [];
+    if (!Number.isInteger(i) || !Number.isInteger(j) || !mobile[i] || !reference[j]) {
+      throw new Error(`Invalid atom pair: ${JSON.stringify(pair)}`);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Rotation matrix of the unit quaternion [w, x, y, z]
+ */
+function quaternionRotation([w, x, y, z]) {
+  return [
+    [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z]
+  ];
+}
+
+/**
+ * Rotation that best maps the centered mobile points onto the centered
+ * reference points: the eigenvector of the largest eigenvalue of Horn's
+ * 4x4 matrix, as a quaternion
+ */
+function optimalRotation(mobile, reference) {
+  // s[a][b] = sum of mobile a-coordinates times reference b-coordinates
+  const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  mobile.forEach((p, index) => {
+    const q = reference[index];
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) s[a][b] += p[a] * q[b];
+    }
+  });
+
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s;
+  const { values, vectors } = symmetricEigen([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+  ]);
+  const largest = values.indexOf(Math.max(...values));
+  return quaternionRotation(vectors.map(row => row[largest]));
+}
+
+/**
+ * Superimpose `mobile` onto `reference`
+ * Options: mapping - [[mobile index, reference index], ...] pairs of
+ * corresponding atoms; atoms - indices of the atoms to fit, the same in
+ * both structures; by default all atoms, in order, of structures of equal
+ * size.
+ * Returns { rmsd, initial_rmsd, atom_count, rotation, translation,
+ * coordinates }: the deviation over the fitted pairs after and before
+ * superposition (Angstrom), the number of pairs, the 3x3 rotation matrix
+ * (rows) and translation vector that move a mobile point p to
+ * rotation * p + translation, and every mobile atom moved that way.
+ */
+export function alignStructures(mobile, reference, { mapping, atoms } = {}) {
+  const pairs = atomPairs(mobile, reference, { mapping, atoms });
+  const fitted = pairs.map(([i]) => mobile[i]);
+  const target = pairs.map(([, j]) => reference[j]);
+
+  const mobileCenter = centroid(fitted);
+  const referenceCenter = centroid(target);
+  const centered = (points, center) => points.map(p => [p.x - center[0], p.y - center[1], p.z - center[2]]);
+  const rotation = optimalRotation(centered(fitted, mobileCenter), centered(target, referenceCenter));
+  const translation = referenceCenter.map((value, row) =>
+    value - rotation[row].reduce((sum, entry, column) => sum + entry * mobileCenter[column], 0)
+  );
+
+  const move = ({ x, y, z }) => {
+    const [px, py, pz] = rotation.map((row, index) => row[0] * x + row[1] * y + row[2] * z + translation[index]);
+    return { x: px, y: py, z: pz };
+  };
+  const coordinates = mobile.map(move);
+
+  return {
+    rmsd: round(rmsd(pairs.map(([i]) => coordinates[i]), target)),
+    initial_rmsd: round(rmsd(fitted, target)),
+    atom_count: pairs.length,
+    rotation: rotation.map(row => row.map(round)),
+    translation: translation.map(round),
+    coordinates: coordinates.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }))
+  };
+}
+
+export default alignStructures;
@@ -0,0 +1,113 @@
+/**
+ * Geometric Descriptors
+ * Mass distribution and extent of a molecule's 3D structure: center of
+ * mass, principal moments of inertia (amu·Å²), radius of gyration (Å),
+ * bounding box of the atom centers (Å) and the dipole moment (Debye) of the
+ * atoms' partial charges: `charge`, as read from MOL2 files, or else
+ * Gasteiger charges. The solvent accessible surface area comes from
+ * surface.js, the hydrogen bond count from hbonds.js and the point group
+ * from symmetry.js.
+ *
+ * Atoms with an `isotope` mass number weigh as that isotope (inertia.js).
+ */
+
+import { atomMass, centerOfMass, principalMoments } from './inertia.js';
+import { gasteigerCharges } from './charges.js';
+import { solventAccessibleSurface } from './surface.js';
+import { findHydrogenBonds } from './hbonds.js';
+import { findPointGroup } from './symmetry.js';
+
+// 1 e·Å in Debye
+const DEBYE_PER_E_ANGSTROM = 4.80320;
+
+const round = value => Math.round(value * 1e4) / 1e4;
+const roundPoint = ({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) });
+
+export { centerOfMass, principalMoments };
+
+/**
+ * Mass-weighted root mean square distance of the atoms from the center of
+ * mass
+ */
+export function radiusOfGyration(atoms) {
+  const center = centerOfMass(atoms);
+  let total = 0;
+  let sum = 0;
+  atoms.forEach(atom => {
+    const mass = atomMass(atom);
+    total += mass;
+    sum += mass * ((atom.x - center.x) ** 2 + (atom.y - center.y) ** 2 + (atom.z - center.z) ** 2);
+  });
+  return total === 0 ? 0 : Math.sqrt(sum / total);
+}
+
+export function boundingBox(atoms) {
+  const axes = ['x', 'y', 'z'];
+  const min = Object.fromEntries(axes.map(axis => [axis, Math.min(...atoms.map(atom => atom[axis]))]));
+  const max = Object.fromEntries(axes.map(axis => [axis, Math.max(...atoms.map(atom => atom[axis]))]));
+  const size = Object.fromEntries(axes.map(axis => [axis, max[axis] - min[axis]]));
+  return { min, max, size };
+}
+
+/**
+ * Dipole moment vector (Debye) of the partial charges, or null when no
+ * atom has one. The moment of a charged molecule depends on the origin; it
+ * is taken about the center of mass.
+ */
+export function dipoleMoment(atoms) {
+  if (!atoms.some(atom => typeof atom.charge === 'number')) return null;
+
+  const center = centerOfMass(atoms);
+  const vector = { x: 0, y: 0, z: 0 };
+  atoms.forEach(atom => {
+    const charge = atom.charge || 0;
+    vector.x += charge * (atom.x - center.x) * DEBYE_PER_E_ANGSTROM;
+    vector.y += charge * (atom.y - center.y) * DEBYE_PER_E_ANGSTROM;
+    vector.z += charge * (atom.z - center.z) * DEBYE_PER_E_ANGSTROM;
+  });
+  return vector;
+}
+
+/**
+ * All descriptors of a molecule in the shape of the Analytics type:
+ * net formal `charge`, `dipole_moment` magnitude, `sasa` (Å², 1.4 Å probe),
+ * the number of intramolecular `hydrogen_bonds` (default cutoffs) and the
+ * geometric descriptors in `metrics`, among them the `point_group` and
+ * symmetry-`equivalent_atoms` (default tolerance). The dipole comes from
+ * the atoms' own charges when every atom has one and from Gasteiger
+ * charges otherwise; the `charge_model` metric says which.
+ */
+export function calculateAnalytics(molecule) {
+  const { atoms } = molecule;
+  if (atoms.length === 0) throw new Error('Molecule has no atoms');
+
+  const stored = atoms.every(atom => typeof atom.charge === 'number');
+  const charges = stored ? atoms.map(atom => atom.charge) : gasteigerCharges(molecule);
+  const { moments, axes } = principalMoments(atoms);
+  const box = boundingBox(atoms);
+  const dipole = dipoleMoment(atoms.map((atom, index) => ({ ...atom, charge: charges[index] })));
+  const surface = solventAccessibleSurface(molecule);
+  const symmetry = findPointGroup(molecule);
+
+  return {
+    charge: atoms.reduce((sum, atom) => sum + (atom.formalCharge || 0), 0),
+    dipole_moment: round(Math.hypot(dipole.x, dipole.y, dipole.z)),
+    sasa: surface.total,
+    hydrogen_bonds: findHydrogenBonds(molecule).length,
+    metrics: {
+      atom_count: atoms.length,
+      center_of_mass: roundPoint(centerOfMass(atoms)),
+      principal_moments: moments.map(round),
+      principal_axes: axes.map(axis => axis.map(round)),
+      radius_of_gyration: round(radiusOfGyration(atoms)),
+      bounding_box: { min: roundPoint(box.min), max: roundPoint(box.max), size: roundPoint(box.size) },
+      dipole_vector: roundPoint(dipole),
+      charge_model: stored ? 'stored' : 'gasteiger',
+      atom_sasa: surface.atoms,
+      point_group: symmetry.point_group,
+      equivalent_atoms: symmetry.equivalent_atoms
+    }
+  };
+}
+
+export default calculateAnalytics;
@@ -0,0 +1,372 @@
+/**
+ * Bond Orders
+ * Valence-based bond order assignment for connectivity-only structures,
+ * kekulization of aromatic bonds and Hückel aromaticity perception.
+ *
+ * Hydrogens are expected as explicit atoms, as everywhere else in the
+ * molecule model. Aromatic bonds are { order: 1.5, aromatic: true }; the
+ * Kekulé form uses alternating orders 1 and 2 without the aromatic flag.
+ */
+
+import { getValences, getCovalentRadius } from './elements.js';
+import { findRings } from './rings.js';
+
+// When assigning orders from geometry, bonds longer than the sum of the
+// single-bond radii minus this margin stay single
+const MULTIPLE_BOND_MARGIN = 0.05;
+
+// Backtracking steps per ring system before settling for a greedy result
+const SEARCH_LIMIT = 20000;
+
+// Elements that can give a lone pair to an aromatic ring (pyrrole N, furan O)
+const LONE_PAIR_DONORS = new Set(['N', 'P', 'As', 'O', 'S', 'Se', 'Te']);
+
+// Exocyclic double-bond partners that take the pi electrons (pyridone C=O)
+const ELECTRONEGATIVE = new Set(['N', 'O', 'S']);
+
+/**
+ * Lowest valence of an atom that accommodates `bondSum`, adjusted for its
+ * formal charge (N+ is four-valent, O- one-valent, C- three-valent)
+ * Returns null for elements without a defined valence.
+ */
+export function targetValence(atom, bondSum) {
+  const valences = getValences(atom.element);
+  if (!valences) return null;
+
+  const charge = atom.formalCharge || 0;
+  const adjusted = valences.map(valence => {
+    if (atom.element === 'C') return valence - Math.abs(charge);
+    if (atom.element === 'B') return valence - charge;
+    return valence + charge;
+  });
+  return adjusted.find(valence => valence >= bondSum) ?? adjusted[adjusted.length - 1];
+}
+
+function atomBondLists(atoms, bonds) {
+  const lists = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    lists[bond.from].push(index);
+    lists[bond.to].push(index);
+  });
+  return lists;
+}
+
+/**
+ * Distribute each atom's missing valence over bonds whose order may rise
+ *
+ * `deficits` holds the missing valence per atom and `candidates` the bond
+ * indices that may be raised, each up to `capacity[bond]` steps. Atoms in
+ * `optional` may be left unsaturated. Every ring system is solved on its
+ * own by backtracking, most constrained atom first; when no exact solution
+ * exists the search falls back to a greedy pass. Returns the increments
+ * per bond index and the atoms left unsaturated.
+ */
+function saturate(bonds, deficits, candidates, capacity, optional = new Set()) {
+  const increments = new Map();
+  const options = new Map();
+  candidates.forEach(index => {
+    const { from, to } = bonds[index];
+    [from, to].forEach(atom => {
+      if (!options.has(atom)) options.set(atom, []);
+      options.get(atom).push(index);
+    });
+  });
+
+  const other = (index, atom) => (bonds[index].from === atom ? bonds[index].to : bonds[index].from);
+  const open = atom => (options.get(atom) || [])
+    .filter(index => capacity[index] > 0 && deficits[atom] > 0 && deficits[other(index, atom)] > 0);
+
+  const raise = (index, step) => {
+    const { from, to } = bonds[index];
+    deficits[from] -= step;
+    deficits[to] -= step;
+    capacity[index] -= step;
+    const total = (increments.get(index) || 0) + step;
+    if (total === 0) increments.delete(index);
+    else increments.set(index, total);
+  };
+
+  // Split the atoms needing a higher bond order into connected systems
+  const seen = new Set();
+  const systems = [];
+  options.forEach((_, start) => {
+    if (seen.has(start) || deficits[start] <= 0) return;
+    const system = [];
+    const stack = [start];
+    seen.add(start);
+    while (stack.length > 0) {
+      const atom = stack.pop();
+      system.push(atom);
+      options.get(atom).forEach(index => {
+        const next = other(index, atom);
+        if (!seen.has(next) && deficits[next] > 0) {
+          seen.add(next);
+          stack.push(next);
+        }
+      });
+    }
+    systems.push(system);
+  });
+
+  const unsaturated = [];
+  systems.forEach(system => {
+    const required = system.filter(atom => !optional.has(atom));
+    let steps = 0;
+
+    const search = () => {
+      if (++steps > SEARCH_LIMIT) return false;
+
+      let choice = null;
+      for (const atom of required) {
+        if (deficits[atom] <= 0) continue;
+        const available = open(atom);
+        if (available.length === 0) return false;
+        if (!choice || available.length < choice.length) choice = available;
+      }
+      if (!choice) return true;
+
+      for (const index of choice) {
+        raise(index, 1);
+        if (search()) return true;
+        raise(index, -1);
+      }
+      return false;
+    };
+
+    if (search()) return;
+
+    // No exact solution: saturate greedily, most constrained atom first
+    for (;;) {
+      const atoms = required.filter(atom => deficits[atom] > 0 && open(atom).length > 0);
+      if (atoms.length === 0) break;
+      const atom = atoms.reduce((best, candidate) => (open(candidate).length < open(best).length ? candidate : best));
+      raise(open(atom)[0], 1);
+    }
+    unsaturated.push(...required.filter(atom => deficits[atom] > 0));
+  });
+
+  return { increments, unsaturated };
+}
+
+/**
+ * Replace aromatic bonds with alternating single and double bonds
+ * Throws when the aromatic bonds admit no Kekulé structure.
+ */
+export function kekulize(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const aromatic = bonds.map((bond, index) => index).filter(index => bonds[index].aromatic);
+  if (aromatic.length === 0) return molecule;
+
+  const atomBonds = atomBondLists(atoms, bonds);
+  const deficits = atoms.map((atom, index) => {
+    if (!atomBonds[index].some(bondIndex => bonds[bondIndex].aromatic)) return 0;
+    // Aromatic bonds count as single until the double bonds are placed
+    const bondSum = atomBonds[index].reduce((sum, bondIndex) => (
+      sum + (bonds[bondIndex].aromatic ? 1 : bonds[bondIndex].order || 1)
+    ), 0);
+    const valence = targetValence(atom, bondSum);
+    return valence !== null && valence > bondSum ? 1 : 0;
+  });
+
+  // Pyrrole-type N and P read without their hydrogen may keep the lone pair
+  const optional = new Set(atoms
+    .map((atom, index) => index)
+    .filter(index => ['N', 'P'].includes(atoms[index].element) && deficits[index] > 0));
+
+  const capacity = bonds.map(bond => (bond.aromatic ? 1 : 0));
+  const { increments, unsaturated } = saturate(bonds, deficits, aromatic, capacity, optional);
+  if (unsaturated.length > 0) {
+    throw new Error(`Cannot kekulize aromatic system containing atom ${unsaturated[0] + 1}`);
+  }
+
+  return {
+    ...molecule,
+    bonds: bonds.map((bond, index) => {
+      if (!bond.aromatic) return bond;
+      const kekule = { ...bond, order: increments.has(index) ? 2 : 1 };
+      delete kekule.aromatic;
+      return kekule;
+    })
+  };
+}
+
+/**
+ * Pi electrons an atom gives to a ring, or null when it breaks conjugation
+ * (sp3 centers, triple bonds, cumulated or exocyclic C=C double bonds)
+ */
+function piElectrons(atoms, bonds, atomBonds, index, ringAtoms) {
+  const atom = atoms[index];
+  const own = atomBonds[index].map(bondIndex => bonds[bondIndex]);
+  if (own.some(bond => bond.order === 3)) return null;
+
+  const doubles = own.filter(bond => bond.order === 2);
+  if (doubles.length > 1) return null;
+  if (doubles.length === 1) {
+    const partner = doubles[0].from === index ? doubles[0].to : doubles[0].from;
+    if (ringAtoms.has(partner)) return 1;
+    return ELECTRONEGATIVE.has(atoms[partner].element) ? 0 : null;
+  }
+
+  const charge = atom.formalCharge || 0;
+  if (atom.element === 'C') {
+    if (charge === -1) return 2;
+    return charge === 1 ? 0 : null;
+  }
+  if (atom.element === 'B') return charge === 0 ? 0 : null;
+  if (!LONE_PAIR_DONORS.has(atom.element)) return null;
+
+  // Saturated donors: pyrrole NH (three bonds), furan O and thiophene S (two)
+  const lonePairValence = ['O', 'S', 'Se', 'Te'].includes(atom.element) ? 2 : 3;
+  return own.length === lonePairValence + charge ? 2 : null;
+}
+
+/**
+ * Find aromatic rings with the Hückel 4n+2 rule
+ * Single rings are tested first, then pairs of fused rings so that systems
+ * such as azulene are found through their perimeter. Returns the sorted
+ * indices of aromatic atoms and bonds.
+ */
+export function perceiveAromaticity(molecule) {
+  const { atoms } = molecule;
+  const { bonds = [] } = kekulize(molecule);
+  const rings = findRings(atoms.length, bonds);
+  const ringAtoms = new Set(rings.flat());
+  const atomBonds = atomBondLists(atoms, bonds);
+
+  const electrons = new Map();
+  ringAtoms.forEach(index => electrons.set(index, piElectrons(atoms, bonds, atomBonds, index, ringAtoms)));
+
+  const isAromatic = members => {
+    let total = 0;
+    for (const index of members) {
+      const count = electrons.get(index);
+      if (count === null) return false;
+      total += count;
+    }
+    return total % 4 === 2;
+  };
+
+  const candidates = rings.filter(ring => ring.every(index => electrons.get(index) !== null));
+  const aromaticRings = new Set(candidates.filter(isAromatic));
+
+  candidates.forEach((ring, i) => {
+    candidates.slice(i + 1).forEach(other => {
+      if (aromaticRings.has(ring) && aromaticRings.has(other)) return;
+      const shared = ring.filter(index => other.includes(index));
+      if (shared.length !== 2) return;
+
+      if (isAromatic([...new Set([...ring, ...other])])) {
+        aromaticRings.add(ring);
+        aromaticRings.add(other);
+      }
+    });
+  });
+
+  const aromaticAtoms = new Set();
+  const ringBonds = new Set();
+  const bondKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+  aromaticRings.forEach(ring => {
+    ring.forEach((atom, position) => {
+      aromaticAtoms.add(atom);
+      ringBonds.add(bondKey(atom, ring[(position + 1) % ring.length]));
+    });
+  });
+
+  return {
+    atoms: [...aromaticAtoms].sort((a, b) => a - b),
+    bonds: bonds
+      .map((bond, index) => index)
+      .filter(index => ringBonds.has(bondKey(bonds[index].from, bonds[index].to)))
+  };
+}
+
+/**
+ * Mark the bonds of aromatic rings as aromatic; every other bond keeps its
+ * Kekulé order
+ */
+export function aromatize(molecule) {
+  const kekule = kekulize(molecule);
+  const aromatic = new Set(perceiveAromaticity(kekule).bonds);
+  if (aromatic.size === 0) return kekule;
+
+  return {
+    ...kekule,
+    bonds: kekule.bonds.map((bond, index) => (
+      aromatic.has(index) ? { ...bond, order: 1.5, aromatic: true } : bond
+    ))
+  };
+}
+
+/**
+ * Infer bond orders from valences for a connectivity-only structure
+ * Each atom's missing valence (normal valence adjusted for formal charge,
+ * minus its bond count) is used up by raising bonds to double or triple.
+ * Sulfur and phosphorus move to a higher valence when a neighbor is left
+ * unsaturated, as in sulfones and phosphates. With `geometry` (default
+ * true) bonds at or beyond single-bond length stay single. Aromatic input
+ * is kekulized first; the result is in Kekulé form.
+ */
+export function assignBondOrders(molecule, { geometry = true } = {}) {
+  const { atoms } = molecule;
+  const { bonds = [] } = kekulize(molecule);
+  const atomBonds = atomBondLists(atoms, bonds);
+  const orders = bonds.map(bond => bond.order || 1);
+  const bondSum = index => atomBonds[index].reduce((sum, bondIndex) => sum + orders[bondIndex], 0);
+
+  const deficits = atoms.map((atom, index) => {
+    const valence = targetValence(atom, bondSum(index));
+    return valence === null ? 0 : Math.max(0, valence - bondSum(index));
+  });
+
+  const shortEnough = ({ from, to }) => {
+    if (!geometry) return true;
+    const a = atoms[from];
+    const b = atoms[to];
+    const distance = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    return distance <= getCovalentRadius(a.element) + getCovalentRadius(b.element) - MULTIPLE_BOND_MARGIN;
+  };
+
+  const capacity = orders.map(order => 3 - order);
+  const raise = () => {
+    const candidates = bonds
+      .map((bond, index) => index)
+      .filter(index => {
+        const bond = bonds[index];
+        return deficits[bond.from] > 0 && deficits[bond.to] > 0 && capacity[index] > 0 && shortEnough(bond);
+      });
+    saturate(bonds, deficits, candidates, capacity).increments.forEach((step, index) => {
+      orders[index] += step;
+    });
+    return atoms.map((atom, index) => index).filter(index => deficits[index] > 0);
+  };
+
+  let unsaturated = raise();
+  while (unsaturated.length > 0) {
+    const expanded = new Set();
+    unsaturated.forEach(atom => atomBonds[atom].forEach(bondIndex => {
+      const partner = bonds[bondIndex].from === atom ? bonds[bondIndex].to : bonds[bondIndex].from;
+      if (expanded.has(partner) || !['P', 'S'].includes(atoms[partner].element)) return;
+
+      const sum = bondSum(partner);
+      const valence = targetValence(atoms[partner], sum + 1);
+      if (valence > sum) {
+        deficits[partner] = valence - sum;
+        expanded.add(partner);
+      }
+    }));
+    if (expanded.size === 0) break;
+    unsaturated = raise();
+  }
+
+  if (orders.every((order, index) => order === (bonds[index].order || 1))) {
+    return molecule.bonds === bonds ? molecule : { ...molecule, bonds };
+  }
+  return {
+    ...molecule,
+    bonds: bonds.map((bond, index) => (
+      orders[index] === (bond.order || 1) ? bond : { ...bond, order: orders[index] }
+    ))
+  };
+}
+
+export default assignBondOrders;
@@ -0,0 +1,115 @@
+/**
+ * Bond Perception
+ * Connects atoms closer than the sum of their covalent radii plus a
+ * tolerance. Atoms are binned on a spatial grid so only neighboring cells
+ * are compared, which keeps perception linear in the number of atoms.
+ * Perceived bonds are single bonds; completeBonds assigns orders from
+ * valences when it builds the whole bond table.
+ */
+
+import { getCovalentRadius } from './elements.js';
+import { assignBondOrders } from './bond-orders.js';
+
+export const DEFAULT_TOLERANCE = 0.45;
+
+// Closer contacts are overlapping atoms (e.g. alternate locations), not bonds
+const MIN_BOND_DISTANCE = 0.4;
+
+/**
+ * Perceive bonds from 3D coordinates
+ * Options:
+ *   tolerance   - Angstrom added to the sum of covalent radii
+ *   coordinates - [{ x, y, z }] overriding the atom positions, e.g. a
+ *                 trajectory frame
+ *   atoms       - atom indices; only bonds touching these atoms are returned
+ */
+export function perceiveBonds(atoms, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE, coordinates = atoms } = options;
+  if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+    throw new Error('Tolerance must be a non-negative number');
+  }
+  if (coordinates.length !== atoms.length) {
+    throw new Error(`Expected ${atoms.length} coordinates, got ${coordinates.length}`);
+  }
+
+  const only = options.atoms ? new Set(options.atoms) : null;
+  const radii = atoms.map(atom => getCovalentRadius(atom.element));
+  const cellSize = 2 * Math.max(0, ...radii) + tolerance;
+  const cellOf = ({ x, y, z }) => [x, y, z].map(value => Math.floor(value / cellSize));
+
+  const grid = new Map();
+  coordinates.forEach((position, index) => {
+    const key = cellOf(position).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  const candidates = [];
+  coordinates.forEach((position, i) => {
+    const [cx, cy, cz] = cellOf(position);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(j => {
+            if (j <= i || (only && !only.has(i) && !only.has(j))) return;
+
+            const other = coordinates[j];
+            const distance = Math.hypot(position.x - other.x, position.y - other.y, position.z - other.z);
+            if (distance >= MIN_BOND_DISTANCE && distance <= radii[i] + radii[j] + tolerance) {
+              candidates.push({ from: i, to: j, distance });
+            }
+          });
+        }
+      }
+    }
+  });
+
+  // Hydrogen keeps only its closest partner
+  const bondedHydrogens = new Set();
+  const isHydrogen = index => atoms[index].element === 'H';
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance)
+    .filter(({ from, to }) => {
+      if ([from, to].some(index => isHydrogen(index) && bondedHydrogens.has(index))) return false;
+      [from, to].filter(isHydrogen).forEach(index => bondedHydrogens.add(index));
+      return true;
+    })
+    .sort((a, b) => a.from - b.from || a.to - b.to)
+    .map(({ from, to }) => ({ from, to, order: 1 }));
+}
+
+/**
+ * Fill in a missing bond table
+ * Molecules without bonds are fully perceived and get bond orders from
+ * valences. With `partial` (formats such as PDB whose CONECT records only
+ * cover some atoms, and which usually lack hydrogens), single bonds are
+ * added for atoms that have none. Returns the molecule unchanged when
+ * nothing is missing.
+ */
+export function completeBonds(molecule, { partial = false, tolerance } = {}) {
+  const { atoms, bonds = [] } = molecule;
+  if (atoms.length < 2) return molecule;
+
+  let perceived;
+  if (bonds.length === 0) {
+    perceived = perceiveBonds(atoms, { tolerance });
+  } else if (partial) {
+    const bonded = new Set(bonds.flatMap(bond => [bond.from, bond.to]));
+    const unbonded = atoms.map((atom, index) => index).filter(index => !bonded.has(index));
+    if (unbonded.length === 0) return molecule;
+    perceived = perceiveBonds(atoms, { tolerance, atoms: unbonded });
+  } else {
+    return molecule;
+  }
+
+  if (perceived.length === 0) return molecule;
+  const completed = {
+    ...molecule,
+    bonds: [...bonds, ...perceived],
+    metadata: { ...molecule.metadata, perceivedBonds: perceived.length }
+  };
+  return bonds.length === 0 ? assignBondOrders(completed) : completed;
+}
+
+export default perceiveBonds;
@@ -0,0 +1,435 @@
+/**
+ * Canonical Identifiers
+ * Canonical atom ranks, canonical SMILES and a structure hash. Two records
+ * of the same compound get the same SMILES and hash whatever their atom
+ * order, source format or ring notation (Kekulé or aromatic).
+ *
+ * Ranks come from iterative refinement of atom invariants (element,
+ * isotope, charge, hydrogens, connections, aromaticity) with tie breaking,
+ * in the manner of Weininger's CANON algorithm. Hydrogens bonded to one
+ * heavy atom become hydrogen counts; other hydrogens (H2, deuterium,
+ * bridging) stay atoms.
+ *
+ * Stereocenters and double bonds carrying a CIP label (`cip`, see
+ * stereo.js) are written with @/@@ and / \ marks taken from the 3D
+ * coordinates, and the labels are atom invariants, so stereoisomers get
+ * different strings and hashes.
+ */
+
+import { createHash } from 'crypto';
+import { getAtomicNumber, getValences } from './elements.js';
+import { perceiveAromaticity } from './bond-orders.js';
+
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+
+const AROMATIC_ELEMENTS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'Se', 'As', 'Te']);
+
+const BOND_SYMBOLS = { 1: '', 2: '=', 3: '#', 4: '$' };
+
+// Bond type codes for invariants; aromatic sorts after the integer orders
+const AROMATIC_BOND = 5;
+
+const CIP_CODES = { R: 1, S: 2 };
+
+const DOUBLE_BOND_CODES = { E: 1, Z: 2 };
+
+function compareLists(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Replace each atom's key by the rank of its key among all keys
+ */
+function rankKeys(keys) {
+  const order = keys.map((key, index) => index).sort((a, b) => compareLists(keys[a], keys[b]));
+  const ranks = new Array(keys.length);
+  let rank = 0;
+  order.forEach((atom, position) => {
+    if (position > 0 && compareLists(keys[order[position - 1]], keys[atom]) !== 0) rank++;
+    ranks[atom] = rank;
+  });
+  return ranks;
+}
+
+const classCount = ranks => new Set(ranks).size;
+
+function aromaticity(molecule) {
+  const { bonds = [] } = molecule;
+  try {
+    return perceiveAromaticity(molecule);
+  } catch {
+    // Aromatic bonds that cannot be kekulized are taken as written
+    const flagged = bonds.map((bond, index) => index).filter(index => bonds[index].aromatic);
+    return { atoms: flagged.flatMap(index => [bonds[index].from, bonds[index].to]), bonds: flagged };
+  }
+}
+
+/**
+ * The hydrogen-suppressed graph: graph atoms, their hydrogen counts,
+ * typed bonds between them, the labeled stereo double bonds and the E/Z
+ * code of each atom on one
+ */
+function buildGraph(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(({ from, to }) => {
+    neighbors[from].push(to);
+    neighbors[to].push(from);
+  });
+
+  const suppressed = atoms.map((atom, index) => (
+    atom.element === 'H' && !atom.isotope && !atom.formalCharge &&
+    neighbors[index].length === 1 && atoms[neighbors[index][0]].element !== 'H'
+  ));
+  const members = atoms.map((atom, index) => index).filter(index => !suppressed[index]);
+  const position = new Map(members.map((atom, index) => [atom, index]));
+
+  const aromatic = aromaticity(molecule);
+  const aromaticAtoms = new Set(aromatic.atoms);
+  const aromaticBonds = new Set(aromatic.bonds);
+
+  const hydrogens = members.map(() => 0);
+  const adjacency = members.map(() => []);
+  const stereoBonds = [];
+  const doubleBondLabels = members.map(() => 0);
+  bonds.forEach(({ from, to, order, cip }, index) => {
+    if (suppressed[from] || suppressed[to]) {
+      const heavy = suppressed[from] ? to : from;
+      if (!suppressed[heavy]) hydrogens[position.get(heavy)]++;
+      return;
+    }
+    const type = aromaticBonds.has(index) ? AROMATIC_BOND : Math.round(order || 1);
+    adjacency[position.get(from)].push({ atom: position.get(to), type });
+    adjacency[position.get(to)].push({ atom: position.get(from), type });
+    if (cip && type === 2) {
+      stereoBonds.push([position.get(from), position.get(to)]);
+      doubleBondLabels[position.get(from)] = doubleBondLabels[position.get(to)] = DOUBLE_BOND_CODES[cip] || 0;
+    }
+  });
+
+  return {
+    atoms: members.map(index => ({ ...atoms[index], aromatic: aromaticAtoms.has(index) })),
+    source: members,
+    suppressed,
+    neighbors,
+    hydrogens,
+    adjacency,
+    stereoBonds,
+    doubleBondLabels
+  };
+}
+
+/**
+ * Refine ranks by neighbor ranks until the partition stops splitting
+ */
+function refine(graph, ranks) {
+  let current = ranks;
+  for (;;) {
+    const keys = current.map((rank, index) => [
+      rank,
+      ...graph.adjacency[index]
+        .map(({ atom, type }) => [type, current[atom]])
+        .sort(compareLists)
+        .flat()
+    ]);
+    const next = rankKeys(keys);
+    if (classCount(next) === classCount(current)) return next;
+    current = next;
+  }
+}
+
+function graphRanks(graph) {
+  let ranks = rankKeys(graph.atoms.map((atom, index) => [
+    getAtomicNumber(atom.element) || 0,
+    atom.isotope || 0,
+    atom.formalCharge || 0,
+    graph.hydrogens[index],
+    graph.adjacency[index].length,
+    atom.aromatic ? 1 : 0,
+    CIP_CODES[atom.cip] || 0,
+    graph.doubleBondLabels[index]
+  ]));
+  ranks = refine(graph, ranks);
+
+  // Break ties in the lowest tied class and refine again
+  while (classCount(ranks) < ranks.length) {
+    const seen = new Set();
+    const tied = ranks.reduce((lowest, rank) => {
+      if (seen.has(rank) && (lowest === null || rank < lowest)) return rank;
+      seen.add(rank);
+      return lowest;
+    }, null);
+    const chosen = ranks.indexOf(tied);
+    ranks = refine(graph, rankKeys(ranks.map((rank, index) => [rank, index === chosen ? 0 : 1])));
+  }
+  return ranks;
+}
+
+/**
+ * Canonical rank of every atom (0 = first)
+ * Heavy atoms come first; each suppressed hydrogen follows after them in
+ * the order of the atom it is bonded to.
+ */
+export function canonicalRanks(molecule) {
+  const graph = buildGraph(molecule);
+  const ranks = graphRanks(graph);
+  const result = new Array(molecule.atoms.length);
+  graph.source.forEach((atom, index) => {
+    result[atom] = ranks[index];
+  });
+
+  const hydrogens = molecule.atoms
+    .map((atom, index) => index)
+    .filter(index => graph.suppressed[index])
+    .sort((a, b) => result[graph.neighbors[a][0]] - result[graph.neighbors[b][0]] || a - b);
+  hydrogens.forEach((atom, index) => {
+    result[atom] = graph.source.length + index;
+  });
+  return result;
+}
+
+/**
+ * Hydrogen count a SMILES reader infers for an unbracketed atom, mirroring
+ * the rules of smiles.js
+ */
+function impliedHydrogens(atom, bonds) {
+  const valences = getValences(atom.element);
+  if (!valences) return null;
+
+  const bondSum = bonds.reduce((sum, { type }) => sum + (type === AROMATIC_BOND ? 1 : type), 0);
+  if (atom.aromatic) {
+    const donated = atom.element === 'O' || atom.element === 'S' ? 0 : 1;
+    return Math.max(0, valences[0] - bondSum - donated);
+  }
+  const valence = valences.find(candidate => candidate >= bondSum);
+  return valence === undefined ? 0 : valence - bondSum;
+}
+
+function atomSymbol(atom, hydrogens, bonds, chirality = '') {
+  const aromatic = atom.aromatic && AROMATIC_ELEMENTS.has(atom.element);
+  const symbol = aromatic ? atom.element.toLowerCase() : atom.element;
+  const charge = atom.formalCharge || 0;
+
+  if (ORGANIC_SUBSET.has(atom.element) && !atom.isotope && !charge && !chirality &&
+      impliedHydrogens({ ...atom, aromatic }, bonds) === hydrogens) {
+    return symbol;
+  }
+
+  const hydrogenText = hydrogens === 0 ? '' : hydrogens === 1 ? 'H' : `H${hydrogens}`;
+  const chargeText = charge === 0 ? '' : `${charge > 0 ? '+' : '-'}${Math.abs(charge) === 1 ? '' : Math.abs(charge)}`;
+  return `[${atom.isotope || ''}${symbol}${chirality}${hydrogenText}${chargeText}]`;
+}
+
+function bondSymbol(graph, type, from, to, marks) {
+  const bothAromatic = graph.atoms[from].aromatic && graph.atoms[to].aromatic;
+  if (type === AROMATIC_BOND) return bothAromatic ? '' : ':';
+  if (type === 1 && marks.has(`${from},${to}`)) return marks.get(`${from},${to}`) ? '/' : '\\';
+  if (type === 1 && bothAromatic) return '-';
+  return BOND_SYMBOLS[type] ?? '';
+}
+
+const vector = (from, to) => [to.x - from.x, to.y - from.y, to.z - from.z];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = v => v.map(value => value / (Math.hypot(...v) || 1));
+
+/**
+ * @ or @@ for a stereocenter from the positions of its neighbors in the
+ * order written: looking from the first, the others run anticlockwise (@)
+ * or clockwise (@@). A null neighbor (lone pair or implicit hydrogen)
+ * points away from the other three.
+ */
+function chiralityMark(center, neighbors) {
+  const directions = neighbors.map(neighbor => neighbor && unit(vector(center, neighbor)));
+  const missing = directions.indexOf(null);
+  if (missing !== -1) {
+    const sum = directions.filter(Boolean).reduce((total, d) => total.map((value, k) => value + d[k]), [0, 0, 0]);
+    directions[missing] = sum.map(value => -value);
+  }
+  const volume = dot(directions[1], cross(directions[2], directions[3]));
+  if (volume === 0 || !Number.isFinite(volume)) return '';
+  return volume > 0 ? '@@' : '@';
+}
+
+/**
+ * Direction marks for the single bonds around labeled double bonds, keyed
+ * "earlier,later" by writing order: true for "/", false for "\". Every
+ * substituent bond of a stereo double bond is marked; double bonds
+ * sharing a marked bond (conjugated systems) are taken in turn from it.
+ */
+function directionMarks(graph, order) {
+  const marks = new Map();
+  const key = (a, b) => (order[a] < order[b] ? `${a},${b}` : `${b},${a}`);
+  // Seen from the double bond atom `end`: true when written end / sub
+  const sense = (end, sub) => {
+    const mark = marks.get(key(end, sub));
+    return mark === undefined ? undefined : mark === order[end] < order[sub];
+  };
+  const setSense = (end, sub, value) => marks.set(key(end, sub), value === order[end] < order[sub]);
+  const writtenAt = ([a, b]) => [Math.min(order[a], order[b]), Math.max(order[a], order[b])];
+  const cis = (a, b, c, d) => {
+    const axis = unit(vector(graph.atoms[b], graph.atoms[c]));
+    const perpendicular = v => v.map((value, k) => value - dot(v, axis) * axis[k]);
+    return dot(perpendicular(vector(graph.atoms[b], graph.atoms[a])), perpendicular(vector(graph.atoms[c], graph.atoms[d]))) > 0;
+  };
+
+  // The substituent atoms it marked
+  const markBond = ([from, to]) => {
+    const pairs = [[from, to], [to, from]].flatMap(([end, partner]) => graph.adjacency[end]
+      .filter(({ atom, type }) => atom !== partner && type === 1)
+      .map(({ atom }) => [end, atom]));
+    if (!pairs.some(([end]) => end === from) || !pairs.some(([end]) => end === to)) return [];
+
+    // Taken in the writing order of their atoms, the first bond with a
+    // mark sets the sense; when none has one, the first gets "/"
+    pairs.sort((a, b) => compareLists(writtenAt(a), writtenAt(b)));
+    const reference = pairs.find(([end, sub]) => sense(end, sub) !== undefined) || pairs[0];
+    const [referenceEnd, referenceSub] = reference;
+    const value = sense(referenceEnd, referenceSub) ?? order[referenceEnd] < order[referenceSub];
+    pairs.forEach(([end, sub]) => {
+      if (sense(end, sub) !== undefined) return;
+      const same = end === referenceEnd ? sub === referenceSub : cis(referenceSub, referenceEnd, end, sub);
+      setSense(end, sub, same ? value : !value);
+    });
+    return pairs.map(([, sub]) => sub);
+  };
+
+  const stereoBonds = [...graph.stereoBonds].sort((a, b) => compareLists(writtenAt(a), writtenAt(b)));
+  const byAtom = new Map();
+  stereoBonds.forEach(bond => bond.forEach(atom => byAtom.set(atom, [...(byAtom.get(atom) || []), bond])));
+  const done = new Set();
+  stereoBonds.forEach(start => {
+    if (done.has(start)) return;
+    done.add(start);
+    const queue = [start];
+    while (queue.length > 0) {
+      markBond(queue.shift()).forEach(atom => (byAtom.get(atom) || []).forEach(next => {
+        if (!done.has(next)) {
+          done.add(next);
+          queue.push(next);
+        }
+      }));
+    }
+  });
+  return marks;
+}
+
+/**
+ * Write a canonical SMILES string
+ * Each fragment starts at its lowest-ranked atom and branches are taken
+ * in rank order; fragments are joined with "." in rank order.
+ */
+export function canonicalSmiles(molecule) {
+  const graph = buildGraph(molecule);
+  if (graph.atoms.length === 0) return '';
+  const ranks = graphRanks(graph);
+  const byRank = (a, b) => ranks[a.atom] - ranks[b.atom];
+  graph.adjacency.forEach(list => list.sort(byRank));
+
+  // First pass: spanning tree and ring closures
+  const visited = new Array(graph.atoms.length).fill(false);
+  const children = graph.atoms.map(() => []);
+  const closures = graph.atoms.map(() => []);
+  const closed = new Set();
+  const order = new Array(graph.atoms.length);
+  let written = 0;
+  const visit = (atom, parent) => {
+    visited[atom] = true;
+    order[atom] = written++;
+    graph.adjacency[atom].forEach(({ atom: next, type }) => {
+      if (next === parent) return;
+      const key = atom < next ? `${atom},${next}` : `${next},${atom}`;
+      if (visited[next]) {
+        if (!closed.has(key)) {
+          closed.add(key);
+          // Opened at the earlier atom, closed here
+          closures[next].push({ partner: atom, type, opens: true });
+          closures[atom].push({ partner: next, type, opens: false });
+        }
+      } else {
+        closed.add(key);
+        children[atom].push({ atom: next, type });
+        visit(next, atom);
+      }
+    });
+  };
+
+  // Second pass: write atoms, ring closure digits and branches
+  const digits = new Map();
+  const free = [];
+  let nextDigit = 1;
+  const takeDigit = () => (free.length > 0 ? free.sort((a, b) => a - b).shift() : nextDigit++);
+  const digitText = digit => (digit < 10 ? String(digit) : `%${digit}`);
+
+  // Position of the hydrogen written inside an atom's brackets, null
+  // for a lone pair
+  const implicitNeighbor = atom => {
+    if (graph.hydrogens[atom] === 0) return null;
+    const hydrogen = graph.neighbors[graph.source[atom]].find(neighbor => graph.suppressed[neighbor]);
+    return molecule.atoms[hydrogen];
+  };
+
+  const write = (atom, parent) => {
+    const opening = closures[atom].filter(closure => closure.opens).sort((a, b) => ranks[a.partner] - ranks[b.partner]);
+    const closing = closures[atom].filter(closure => !closure.opens);
+
+    let chirality = '';
+    if (graph.atoms[atom].cip && graph.hydrogens[atom] <= 1) {
+      const neighbors = [
+        ...(parent === -1 ? [] : [graph.atoms[parent]]),
+        ...(graph.adjacency[atom].length === 3 || graph.hydrogens[atom] === 1 ? [implicitNeighbor(atom)] : []),
+        ...[...closing, ...opening].map(({ partner }) => graph.atoms[partner]),
+        ...children[atom].map(child => graph.atoms[child.atom])
+      ];
+      if (neighbors.length === 4) chirality = chiralityMark(graph.atoms[atom], neighbors);
+    }
+    let text = atomSymbol(graph.atoms[atom], graph.hydrogens[atom], graph.adjacency[atom], chirality);
+
+    closing.forEach(({ partner }) => {
+      const key = `${partner},${atom}`;
+      text += digitText(digits.get(key));
+      free.push(digits.get(key));
+      digits.delete(key);
+    });
+    opening.forEach(({ partner, type }) => {
+      const digit = takeDigit();
+      digits.set(`${atom},${partner}`, digit);
+      text += bondSymbol(graph, type, atom, partner, marks) + digitText(digit);
+    });
+
+    children[atom].forEach(({ atom: child, type }, index) => {
+      const branch = bondSymbol(graph, type, atom, child, marks) + write(child, atom);
+      text += index < children[atom].length - 1 ? `(${branch})` : branch;
+    });
+    return text;
+  };
+
+  const starts = graph.atoms
+    .map((atom, index) => index)
+    .sort((a, b) => ranks[a] - ranks[b])
+    .filter(atom => {
+      if (visited[atom]) return false;
+      visit(atom, -1);
+      return true;
+    });
+  const marks = directionMarks(graph, order);
+  return starts.map(atom => write(atom, -1)).join('.');
+}
+
+/**
+ * Canonical SMILES and its SHA-256 hash (hex), the fixed-length key used
+ * for duplicate lookups
+ */
+export function canonicalIdentifiers(molecule) {
+  const smiles = canonicalSmiles(molecule);
+  return { smiles, hash: createHash('sha256').update(smiles).digest('hex') };
+}
+
+export function canonicalHash(molecule) {
+  return canonicalIdentifiers(molecule).hash;
+}
+
+export default canonicalSmiles;
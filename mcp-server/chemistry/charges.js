@@ -0,0 +1,97 @@
+/**
+ * Partial Charges
+ * Gasteiger-Marsili partial equalization of orbital electronegativity
+ * (Tetrahedron 36, 3219 (1980)). Each atom's electronegativity is a
+ * quadratic in its charge, chi = a + b*q + c*q^2, with a, b and c chosen by
+ * element and hybridization; charge flows along every bond towards the more
+ * electronegative atom, damped by half at each iteration.
+ *
+ * Hydrogens are expected as explicit atoms. Iterations start from the
+ * formal charges, so the charges sum to the net formal charge. Atoms of
+ * elements without parameters (metals, noble gases) keep their formal
+ * charge and exchange none with their neighbors.
+ */
+
+// [a, b, c] by element and hybridization (sp3, sp2, sp)
+const PARAMETERS = {
+  H: { sp3: [7.17, 6.24, -0.56] },
+  B: { sp3: [6.42, 6.24, 0.72], sp2: [5.98, 6.82, 1.605] },
+  C: { sp3: [7.98, 9.18, 1.88], sp2: [8.79, 9.32, 1.51], sp: [10.39, 9.45, 0.73] },
+  N: { sp3: [11.54, 10.82, 1.36], sp2: [12.87, 11.15, 0.85], sp: [15.68, 11.7, -0.27] },
+  O: { sp3: [14.18, 12.92, 1.39], sp2: [17.07, 13.79, 0.47] },
+  F: { sp3: [14.66, 13.85, 2.31] },
+  Si: { sp3: [7.3, 6.567, 0.657] },
+  P: { sp3: [8.9, 8.24, 0.96] },
+  S: { sp3: [10.14, 9.13, 1.38], sp2: [10.88, 9.485, 1.325] },
+  Cl: { sp3: [11, 9.69, 1.35] },
+  Br: { sp3: [10.08, 8.47, 1.16] },
+  I: { sp3: [9.9, 7.96, 0.96] }
+};
+
+// Electronegativity of the hydrogen cation, used in place of a + b + c
+const HYDROGEN_CATION_ELECTRONEGATIVITY = 20.02;
+
+const DEFAULT_ITERATIONS = 6;
+const DAMPING = 0.5;
+
+function hybridization(bonds) {
+  const doubles = bonds.filter(({ order = 1 }) => order === 2).length;
+  if (bonds.some(({ order }) => order === 3) || doubles >= 2) return 'sp';
+  if (doubles === 1 || bonds.some(({ order, aromatic }) => aromatic || order === 1.5)) return 'sp2';
+  return 'sp3';
+}
+
+/**
+ * Gasteiger parameters of an atom, falling back to the closest tabulated
+ * hybridization (sp -> sp2 -> sp3); null for elements without parameters
+ */
+function atomParameters(atom, bonds) {
+  const table = PARAMETERS[atom.element];
+  if (!table) return null;
+
+  const fallbacks = { sp: ['sp', 'sp2', 'sp3'], sp2: ['sp2', 'sp3'], sp3: ['sp3', 'sp2'] };
+  const [a, b, c] = table[fallbacks[hybridization(bonds)].find(key => table[key])];
+  return { a, b, c, cation: atom.element === 'H' ? HYDROGEN_CATION_ELECTRONEGATIVITY : a + b + c };
+}
+
+/**
+ * Gasteiger-Marsili partial charges (elementary charges), one per atom
+ * Options: iterations - number of equalization steps (default 6)
+ */
+export function gasteigerCharges({ atoms, bonds = [] }, { iterations = DEFAULT_ITERATIONS } = {}) {
+  const atomBonds = atoms.map(() => []);
+  bonds.forEach(bond => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+
+  const parameters = atoms.map((atom, index) => atomParameters(atom, atomBonds[index]));
+  const active = bonds.filter(({ from, to }) => parameters[from] && parameters[to]);
+  const charges = atoms.map(atom => atom.formalCharge || 0);
+
+  let damping = 1;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    damping *= DAMPING;
+    const electronegativity = charges.map((q, index) => {
+      const p = parameters[index];
+      return p ? p.a + p.b * q + p.c * q * q : 0;
+    });
+
+    const transfers = atoms.map(() => 0);
+    active.forEach(({ from, to }) => {
+      // Charge moves towards the more electronegative atom, scaled by the
+      // electronegativity of the donor's cation
+      const [donor, acceptor] = electronegativity[from] <= electronegativity[to] ? [from, to] : [to, from];
+      const amount = ((electronegativity[acceptor] - electronegativity[donor]) / parameters[donor].cation) * damping;
+      transfers[donor] += amount;
+      transfers[acceptor] -= amount;
+    });
+    transfers.forEach((transfer, index) => {
+      charges[index] += transfer;
+    });
+  }
+
+  return charges.map(charge => Math.round(charge * 1e4) / 1e4);
+}
+
+export default gasteigerCharges;
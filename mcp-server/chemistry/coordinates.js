@@ -0,0 +1,631 @@
+/**
+ * 3D Coordinate Generation
+ * Builds a geometry for a bond graph from ideal bond lengths (covalent
+ * radii), bond angles (hybridization), chair 1-4 distances in saturated
+ * six-membered rings and non-bonded repulsion, refined by L-BFGS
+ * minimization. The structure is first relaxed in four dimensions and then
+ * flattened into three, which lets rings and stereocenters untangle; the
+ * flattened structure then relaxes its torsions (staggered single bonds,
+ * planar conjugation, perpendicular allene ends).
+ *
+ * Stereochemistry can be enforced with:
+ *   - tetrahedral: [{ center, neighbors: [n0, n1, n2, n3], clockwise }]
+ *     looking from n0, n1 -> n2 -> n3 run clockwise (SMILES @@) or
+ *     anticlockwise (SMILES @); n0 is null for a lone pair or implicit
+ *     hydrogen
+ *   - doubleBonds: [{ atoms: [a, b, c, d], cis }] for a-b=c-d
+ */
+
+import { getCovalentRadius } from './elements.js';
+import { findRings } from './rings.js';
+
+const BOND_LENGTH_SCALE = { 1: 1, 1.5: 0.93, 2: 0.87, 3: 0.78, 4: 0.75 };
+const TETRAHEDRAL_ANGLE = Math.acos(-1 / 3);
+const TRIGONAL_ANGLE = (2 * Math.PI) / 3;
+const PLANAR_ELEMENTS = new Set(['B', 'C', 'N', 'O']);
+const DIMENSIONS = 4;
+const MAX_ATTEMPTS = 5;
+const MAX_STEP = 0.5;
+const HISTORY_SIZE = 8;
+
+// Energy weights for the different restraint types
+const WEIGHTS = {
+  bond: 1,
+  angle: 0.5,
+  doubleBond: 0.3,
+  repulsion: 0.1,
+  chair: 0.5,
+  planarity: 0.2,
+  chirality: 1,
+  torsion: 0.05
+};
+
+// Allowed deviation (Angstrom) of chair 1-4 distances, for rings of
+// unequal bonds
+const CHAIR_SLACK = 0.05;
+
+// Deviations (Angstrom) beyond which an embedding is retried
+const FAILURE_TOLERANCE = { bond: 0.2, doubleBond: 0.5, chair: 0.05 };
+
+/**
+ * Ideal bond length in Angstrom from covalent radii and bond order
+ */
+export function idealBondLength(elementA, elementB, order = 1) {
+  const scale = BOND_LENGTH_SCALE[order] || 1;
+  return (getCovalentRadius(elementA) + getCovalentRadius(elementB)) * scale;
+}
+
+function isMultiple(bond) {
+  return bond.order >= 1.5 || bond.aromatic;
+}
+
+/**
+ * Ideal bond angle (radians) at an atom, or null for crowded centers
+ * `conjugated` marks nitrogens next to a multiple bond (amides, anilines,
+ * pyrrole-type rings), which are trigonal planar.
+ */
+function idealAngle(element, atomBonds, conjugated) {
+  const count = atomBonds.length;
+  if (count > 4) return null;
+  if (count === 4 || !PLANAR_ELEMENTS.has(element)) return TETRAHEDRAL_ANGLE;
+
+  const triple = atomBonds.some(bond => bond.order === 3);
+  const doubles = atomBonds.filter(bond => bond.order === 2).length;
+  const aromatic = atomBonds.some(bond => bond.aromatic || bond.order === 1.5);
+
+  if (count === 2 && (triple || doubles === 2)) return Math.PI;
+  if (doubles === 1 || aromatic || element === 'B') return TRIGONAL_ANGLE;
+  if (element === 'N' && conjugated) return TRIGONAL_ANGLE;
+  return TETRAHEDRAL_ANGLE;
+}
+
+function angleDistance(a, b, angle) {
+  return Math.sqrt(a * a + b * b - 2 * a * b * Math.cos(angle));
+}
+
+/**
+ * Distance between the outer atoms of a planar a-b=c-d fragment
+ */
+function dihedralDistance(ab, bc, cd, angleB, angleC, cis) {
+  const ax = ab * Math.cos(angleB);
+  const ay = ab * Math.sin(angleB);
+  const dx = bc - cd * Math.cos(angleC);
+  const dy = (cis ? 1 : -1) * cd * Math.sin(angleC);
+  return Math.hypot(dx - ax, dy - ay);
+}
+
+/**
+ * Size of the smallest ring (up to five atoms) through i-center-j, or null
+ */
+function smallRingSize(atomBonds, center, i, j) {
+  const depth = new Map([[i, 0]]);
+  const queue = [i];
+  while (queue.length > 0) {
+    const atom = queue.shift();
+    if (atom === j) return depth.get(atom) + 2;
+    if (depth.get(atom) >= 3) continue;
+    atomBonds[atom].forEach(bond => {
+      const next = bond.from === atom ? bond.to : bond.from;
+      if (next !== center && !depth.has(next)) {
+        depth.set(next, depth.get(atom) + 1);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+}
+
+/**
+ * Whether the bond b-c lies in a ring of up to five atoms
+ */
+function inSmallRing(atomBonds, b, c) {
+  return atomBonds[b].some(bond => {
+    const a = bond.from === b ? bond.to : bond.from;
+    return a !== c && smallRingSize(atomBonds, b, a, c) !== null;
+  });
+}
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32) so that the same graph
+ * always yields the same coordinates
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Collect distance restraints { i, j, lower, upper, type } and groups of
+ * four atoms that should lie in a plane
+ */
+function buildRestraints(atoms, bonds, doubleBonds) {
+  const count = atoms.length;
+  const atomBonds = atoms.map(() => []);
+  const bondLengths = new Map();
+  const restrained = new Set();
+  const restraints = [];
+  const key = (i, j) => (i < j ? i * count + j : j * count + i);
+
+  bonds.forEach(bond => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+
+    const length = idealBondLength(atoms[bond.from].element, atoms[bond.to].element, bond.order);
+    bondLengths.set(key(bond.from, bond.to), length);
+    if (!restrained.has(key(bond.from, bond.to))) {
+      restrained.add(key(bond.from, bond.to));
+      restraints.push({ i: bond.from, j: bond.to, lower: length, upper: length, type: 'bond' });
+    }
+  });
+
+  const partner = (bond, index) => (bond.from === index ? bond.to : bond.from);
+  const unsaturated = atoms.map((atom, index) => atomBonds[index].some(isMultiple));
+  const angles = atoms.map((atom, index) => idealAngle(
+    atom.element,
+    atomBonds[index],
+    atomBonds[index].some(bond => unsaturated[partner(bond, index)])
+  ));
+
+  const planar = [];
+
+  // 1-3 distances from the bond angle at the shared atom
+  atoms.forEach((atom, center) => {
+    const neighbors = atomBonds[center].map(bond => partner(bond, center));
+    if (neighbors.length === 3 && angles[center] === TRIGONAL_ANGLE) {
+      planar.push([center, ...neighbors]);
+    }
+    const pairs = [];
+    for (let a = 0; a < neighbors.length; a++) {
+      for (let b = a + 1; b < neighbors.length; b++) {
+        const i = neighbors[a];
+        const j = neighbors[b];
+        if (i === j || restrained.has(key(i, j))) continue;
+        restrained.add(key(i, j));
+        pairs.push({ i, j, ring: smallRingSize(atomBonds, center, i, j) });
+      }
+    }
+
+    // Small rings set their own angle; a flat center splits the rest evenly
+    const ring = pairs.find(pair => pair.ring);
+    const ringAngle = ring ? ((ring.ring - 2) * Math.PI) / ring.ring : null;
+    pairs.forEach(({ i, j, ring: size }) => {
+      let angle = angles[center];
+      if (size) angle = ((size - 2) * Math.PI) / size;
+      else if (ringAngle !== null && angle === TRIGONAL_ANGLE) angle = Math.PI - ringAngle / 2;
+
+      const distance = angleDistance(
+        bondLengths.get(key(center, i)),
+        bondLengths.get(key(center, j)),
+        angle === null ? Math.PI / 2 : angle
+      );
+      restraints.push({ i, j, lower: distance, upper: angle === null ? Infinity : distance, type: 'angle' });
+    });
+  });
+
+  // 1-4 distances across double bonds keep substituents planar and fix E/Z
+  doubleBonds.forEach(({ atoms: [a, b, c, d], cis }) => {
+    planar.push([b, a, c, d]);
+    const k = key(a, d);
+    if (restrained.has(k)) return;
+    restrained.add(k);
+
+    const distance = dihedralDistance(
+      bondLengths.get(key(a, b)),
+      bondLengths.get(key(b, c)),
+      bondLengths.get(key(c, d)),
+      angles[b] || TETRAHEDRAL_ANGLE,
+      angles[c] || TETRAHEDRAL_ANGLE,
+      cis
+    );
+    restraints.push({ i: a, j: d, lower: distance, upper: distance, type: 'doubleBond' });
+  });
+
+  // Saturated six-membered rings: the 1-4 distances of a chair, which
+  // satisfy d14^2 = d13^2 + bond^2. Bridged rings, with a 1-4 pair already
+  // restrained, keep the boat their bridge forces; rings fused to a smaller
+  // one take the shape it allows.
+  findRings(count, bonds, { maxSize: 6 })
+    .filter(ring => ring.length === 6 && ring.every(atom => angles[atom] === TETRAHEDRAL_ANGLE))
+    .filter(ring => ring.every((atom, index) => !inSmallRing(atomBonds, atom, ring[(index + 1) % 6])))
+    .forEach(ring => {
+      const pairs = [0, 1, 2].map(index => [ring[index], ring[index + 3]]);
+      if (pairs.some(([i, j]) => restrained.has(key(i, j)))) return;
+
+      const bond = ring.reduce((sum, atom, index) => sum + bondLengths.get(key(atom, ring[(index + 1) % 6])), 0) / 6;
+      const across = angleDistance(bond, bond, TETRAHEDRAL_ANGLE);
+      const distance = Math.sqrt(across * across + bond * bond);
+      pairs.forEach(([i, j]) => {
+        restrained.add(key(i, j));
+        restraints.push({ i, j, lower: distance - CHAIR_SLACK, upper: distance + CHAIR_SLACK, type: 'chair' });
+      });
+    });
+
+  const torsions = buildTorsions(atoms, atomBonds, angles);
+
+  // Everything else only repels
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      if (restrained.has(key(i, j))) continue;
+      const hydrogens = (atoms[i].element === 'H') + (atoms[j].element === 'H');
+      const lower = [2.5, 2.0, 1.8][hydrogens];
+      restraints.push({ i, j, lower, upper: Infinity, type: 'repulsion' });
+    }
+  }
+
+  return { restraints, planar, torsions, bondLengths, key };
+}
+
+/**
+ * Torsion terms weight * (1 + sign * cos(periodicity * phi)) over the
+ * dihedrals a-b-c-d around each bond b-c, sharing the bond's weight:
+ *   - staggered (threefold) between two tetrahedral centers
+ *   - planar (twofold) between two flat centers and between a flat center
+ *     and an sp3 oxygen, which conjugates with it like a flat nitrogen
+ *   - perpendicular (twofold) between the ends of an allene, taken across
+ *     its linear central atom
+ * Bonds in rings of up to five atoms get none, as their torsions follow
+ * from the ring angles, and neither do O-O bonds.
+ */
+function buildTorsions(atoms, atomBonds, angles) {
+  const neighbors = atomBonds.map((list, index) => list.map(bond => (bond.from === index ? bond.to : bond.from)));
+  const tetrahedral = index => angles[index] === TETRAHEDRAL_ANGLE;
+  const flat = index => angles[index] === TRIGONAL_ANGLE;
+  const ether = index => atoms[index].element === 'O' && neighbors[index].length === 2;
+  const torsions = [];
+
+  const addTorsions = (b, c, periodicity, sign, skip = []) => {
+    const dihedrals = [];
+    neighbors[b].forEach(a => {
+      if (a === c || skip.includes(a)) return;
+      neighbors[c].forEach(d => {
+        if (d !== b && d !== a && !skip.includes(d)) dihedrals.push([a, b, c, d]);
+      });
+    });
+    dihedrals.forEach(dihedral => {
+      torsions.push({ atoms: dihedral, periodicity, sign, weight: WEIGHTS.torsion / dihedrals.length });
+    });
+  };
+
+  atomBonds.forEach((list, b) => list.forEach(bond => {
+    const c = bond.from === b ? bond.to : bond.from;
+    if (c < b || inSmallRing(atomBonds, b, c) || (ether(b) && ether(c))) return;
+
+    if (tetrahedral(b) && tetrahedral(c)) {
+      addTorsions(b, c, 3, 1);
+    } else if ((flat(b) || ether(b)) && (flat(c) || ether(c))) {
+      addTorsions(b, c, 2, -1);
+    }
+  }));
+
+  angles.forEach((angle, center) => {
+    const doubles = atomBonds[center].filter(bond => bond.order === 2);
+    if (angle !== Math.PI || doubles.length !== 2) return;
+    const [b, c] = neighbors[center];
+    if (flat(b) && flat(c)) addTorsions(b, c, 2, 1, [center]);
+  });
+
+  return torsions;
+}
+
+/**
+ * Energy and gradient of the current coordinates
+ */
+function evaluate(coords, model, stage) {
+  const gradient = new Float64Array(coords.length);
+  let energy = 0;
+
+  model.restraints.forEach(({ i, j, lower, upper, type }) => {
+    const weight = WEIGHTS[type];
+    const oi = i * DIMENSIONS;
+    const oj = j * DIMENSIONS;
+    let squared = 0;
+    for (let k = 0; k < DIMENSIONS; k++) {
+      const delta = coords[oi + k] - coords[oj + k];
+      squared += delta * delta;
+    }
+    const distance = Math.sqrt(squared) || 1e-6;
+
+    let violation = 0;
+    if (distance < lower) violation = distance - lower;
+    else if (distance > upper) violation = distance - upper;
+    if (violation === 0) return;
+
+    energy += weight * violation * violation;
+    const factor = (2 * weight * violation) / distance;
+    for (let k = 0; k < DIMENSIONS; k++) {
+      const component = factor * (coords[oi + k] - coords[oj + k]);
+      gradient[oi + k] += component;
+      gradient[oj + k] -= component;
+    }
+  });
+
+  // Push the fourth dimension back to zero
+  if (stage.fourthDimension > 0) {
+    for (let index = 3; index < coords.length; index += DIMENSIONS) {
+      energy += stage.fourthDimension * coords[index] * coords[index];
+      gradient[index] += 2 * stage.fourthDimension * coords[index];
+    }
+  }
+
+  // Flat centers and double bonds: the spanned volume should vanish
+  model.planar.forEach(atoms => {
+    const { volume, partials } = signedVolume(coords, atoms);
+    energy += WEIGHTS.planarity * volume * volume;
+    addVolumeGradient(gradient, atoms, partials, 2 * WEIGHTS.planarity * volume);
+  });
+
+  // Torsions only shape the flattened structure: in four dimensions they
+  // can stall the embedding on an eclipsed saddle
+  if (stage.torsions) {
+    model.torsions.forEach(({ atoms, periodicity, sign, weight }) => {
+      const { angle, partials } = dihedral(coords, atoms);
+      energy += weight * (1 + sign * Math.cos(periodicity * angle));
+      const factor = -weight * sign * periodicity * Math.sin(periodicity * angle);
+      atoms.forEach((atom, index) => {
+        for (let k = 0; k < 3; k++) gradient[atom * DIMENSIONS + k] += factor * partials[index][k];
+      });
+    });
+  }
+
+  if (stage.chirality) {
+    model.tetrahedral.forEach(({ atoms, sign, minimum }) => {
+      const { volume, partials } = signedVolume(coords, atoms);
+      const violation = minimum - sign * volume;
+      if (violation <= 0) return;
+
+      energy += WEIGHTS.chirality * violation * violation;
+      addVolumeGradient(gradient, atoms, partials, -2 * WEIGHTS.chirality * violation * sign);
+    });
+  }
+
+  return { energy, gradient };
+}
+
+/**
+ * Signed volume spanned by atoms i, j, k around the origin atom (in 3D),
+ * with its partial derivatives with respect to i, j and k
+ */
+function signedVolume(coords, [origin, i, j, k]) {
+  const vector = atom => [0, 1, 2].map(d => coords[atom * DIMENSIONS + d] - coords[origin * DIMENSIONS + d]);
+  const [a, b, c] = [vector(i), vector(j), vector(k)];
+  const bc = cross(b, c);
+  return { volume: dot(a, bc), partials: [bc, cross(c, a), cross(a, b)] };
+}
+
+/**
+ * Dihedral angle a-b-c-d (in 3D) with its partial derivatives with respect
+ * to each of the four atoms
+ */
+function dihedral(coords, [a, b, c, d]) {
+  const position = atom => [0, 1, 2].map(k => coords[atom * DIMENSIONS + k]);
+  const [pa, pb, pc, pd] = [position(a), position(b), position(c), position(d)];
+  const b1 = [0, 1, 2].map(k => pb[k] - pa[k]);
+  const b2 = [0, 1, 2].map(k => pc[k] - pb[k]);
+  const b3 = [0, 1, 2].map(k => pd[k] - pc[k]);
+  const m = cross(b1, b2);
+  const n = cross(b2, b3);
+  const length = Math.sqrt(dot(b2, b2)) || 1e-6;
+  const mm = dot(m, m) || 1e-12;
+  const nn = dot(n, n) || 1e-12;
+
+  const angle = Math.atan2(length * dot(b1, n), dot(m, n));
+  const first = m.map(value => (-length * value) / mm);
+  const last = n.map(value => (length * value) / nn);
+  const along1 = dot(b1, b2) / (length * length);
+  const along3 = dot(b3, b2) / (length * length);
+  const second = [0, 1, 2].map(k => (-along1 - 1) * first[k] + along3 * last[k]);
+  const third = [0, 1, 2].map(k => along1 * first[k] - (along3 + 1) * last[k]);
+  return { angle, partials: [first, second, third, last] };
+}
+
+function addVolumeGradient(gradient, [origin, ...atoms], partials, factor) {
+  partials.forEach((partial, index) => {
+    const offset = atoms[index] * DIMENSIONS;
+    for (let k = 0; k < 3; k++) {
+      gradient[offset + k] += factor * partial[k];
+      gradient[origin * DIMENSIONS + k] -= factor * partial[k];
+    }
+  });
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let index = 0; index < a.length; index++) sum += a[index] * b[index];
+  return sum;
+}
+
+/**
+ * Evaluate, dropping the fourth-dimension gradient once it is flattened
+ */
+function evaluateStage(coords, model, stage) {
+  const result = evaluate(coords, model, stage);
+  if (stage.flatten) {
+    for (let index = 3; index < coords.length; index += DIMENSIONS) result.gradient[index] = 0;
+  }
+  return result;
+}
+
+/**
+ * L-BFGS minimization with a backtracking line search
+ */
+function minimize(coords, model, stage) {
+  if (stage.flatten) {
+    for (let index = 3; index < coords.length; index += DIMENSIONS) coords[index] = 0;
+  }
+
+  let current = evaluateStage(coords, model, stage);
+  let history = [];
+
+  for (let iteration = 0; iteration < stage.iterations && current.energy > 1e-10; iteration++) {
+    // Two-loop recursion for the search direction
+    const direction = Float64Array.from(current.gradient);
+    const alphas = [];
+    for (let index = history.length - 1; index >= 0; index--) {
+      const { s, y, rho } = history[index];
+      const alpha = rho * dotProduct(s, direction);
+      alphas[index] = alpha;
+      for (let k = 0; k < direction.length; k++) direction[k] -= alpha * y[k];
+    }
+    if (history.length > 0) {
+      const { s, y } = history[history.length - 1];
+      const gamma = dotProduct(s, y) / dotProduct(y, y);
+      for (let k = 0; k < direction.length; k++) direction[k] *= gamma;
+    }
+    history.forEach(({ s, y, rho }, index) => {
+      const beta = rho * dotProduct(y, direction);
+      for (let k = 0; k < direction.length; k++) direction[k] += s[k] * (alphas[index] - beta);
+    });
+    for (let k = 0; k < direction.length; k++) direction[k] = -direction[k];
+
+    let slope = dotProduct(current.gradient, direction);
+    if (!(slope < 0)) {
+      // Not a descent direction: restart from steepest descent
+      history = [];
+      for (let k = 0; k < direction.length; k++) direction[k] = -current.gradient[k];
+      slope = dotProduct(current.gradient, direction);
+    }
+
+    let largest = 0;
+    direction.forEach(value => { largest = Math.max(largest, Math.abs(value)); });
+    if (largest < 1e-9) break;
+
+    // Never move an atom by more than MAX_STEP in one iteration
+    let step = Math.min(1, MAX_STEP / largest);
+    let trial = null;
+    let next = null;
+    for (let attempt = 0; attempt < 30; attempt++) {
+      trial = coords.map((value, index) => value + step * direction[index]);
+      next = evaluateStage(trial, model, stage);
+      if (next.energy <= current.energy + 1e-4 * step * slope) break;
+      next = null;
+      step *= 0.5;
+    }
+
+    if (!next) {
+      if (history.length === 0) break;
+      history = [];
+      continue;
+    }
+    // Converged: the step no longer lowers the energy
+    if (next.energy >= current.energy) break;
+
+    const s = trial.map((value, index) => value - coords[index]);
+    const y = next.gradient.map((value, index) => value - current.gradient[index]);
+    const sy = dotProduct(s, y);
+    if (sy > 1e-12) {
+      history.push({ s, y, rho: 1 / sy });
+      if (history.length > HISTORY_SIZE) history.shift();
+    }
+
+    coords.set(trial);
+    current = next;
+  }
+
+  return current.energy;
+}
+
+/**
+ * Count stereocenters with the wrong handedness and badly strained bonds,
+ * double-bond configurations or chairs (a ring stuck as a twist-boat),
+ * which mark a tangled embedding
+ */
+function countFailures(coords, model) {
+  let failures = model.tetrahedral
+    .filter(({ atoms, sign }) => sign * signedVolume(coords, atoms).volume < 0)
+    .length;
+
+  model.restraints.forEach(({ i, j, lower, upper, type }) => {
+    if (!FAILURE_TOLERANCE[type]) return;
+    let squared = 0;
+    for (let k = 0; k < DIMENSIONS; k++) {
+      const delta = coords[i * DIMENSIONS + k] - coords[j * DIMENSIONS + k];
+      squared += delta * delta;
+    }
+    const distance = Math.sqrt(squared);
+    if (distance < lower - FAILURE_TOLERANCE[type] || distance > upper + FAILURE_TOLERANCE[type]) failures++;
+  });
+
+  return failures;
+}
+
+/**
+ * Relax random coordinates in 4D, then squeeze them into 3D
+ */
+function embed(model, count, random, iterations) {
+  const size = 1.5 * Math.cbrt(count) + 1;
+  const coords = new Float64Array(count * DIMENSIONS).map(() => (random() - 0.5) * size);
+
+  minimize(coords, model, { iterations, fourthDimension: 0, chirality: true });
+  minimize(coords, model, { iterations, fourthDimension: 0.5, chirality: true });
+  const energy = minimize(coords, model, { iterations, fourthDimension: 0, chirality: true, flatten: true, torsions: true });
+  return { coords, energy, failures: countFailures(coords, model) };
+}
+
+/**
+ * Generate 3D coordinates for a molecule graph
+ * Sets x, y and z on every atom (centered on the origin) and returns the atoms.
+ */
+export function generateCoordinates(atoms, bonds, options = {}) {
+  const { tetrahedral = [], doubleBonds = [], seed = 1 } = options;
+  const count = atoms.length;
+  if (count === 0) return atoms;
+
+  const model = buildRestraints(atoms, bonds, doubleBonds);
+  model.tetrahedral = tetrahedral
+    .filter(center => center.neighbors.length === 4)
+    .map(({ center, neighbors, clockwise }) => {
+      const lengths = neighbors.slice(1).map(atom => model.bondLengths.get(model.key(center, atom)) || 1.5);
+      return {
+        atoms: [center, ...neighbors.slice(1)],
+        // Looking from the first neighbor, anticlockwise (@) gives a negative volume
+        sign: clockwise ? 1 : -1,
+        minimum: 0.35 * lengths[0] * lengths[1] * lengths[2]
+      };
+    });
+
+  // Retry from new random starts when an embedding gets stuck, e.g. with a
+  // stereocenter inverted
+  const random = createRandom(seed);
+  const iterations = Math.max(200, Math.min(1000, count * 10));
+  let best = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && !(best && best.failures === 0); attempt++) {
+    const result = embed(model, count, random, iterations);
+    if (!best || result.failures < best.failures ||
+      (result.failures === best.failures && result.energy < best.energy)) {
+      best = result;
+    }
+  }
+  const { coords } = best;
+
+  const centroid = [0, 1, 2].map(k => {
+    let sum = 0;
+    for (let index = 0; index < count; index++) sum += coords[index * DIMENSIONS + k];
+    return sum / count;
+  });
+  const round = value => Math.round(value * 10000) / 10000;
+
+  atoms.forEach((atom, index) => {
+    const offset = index * DIMENSIONS;
+    atom.x = round(coords[offset] - centroid[0]);
+    atom.y = round(coords[offset + 1] - centroid[1]);
+    atom.z = round(coords[offset + 2] - centroid[2]);
+  });
+
+  return atoms;
+}
+
+export default generateCoordinates;
@@ -0,0 +1,198 @@
+/**
+ * Periodic table data
+ * Element symbols, covalent and van der Waals radii, atomic masses, normal
+ * valences and lookup helpers shared by the file format readers and
+ * chemistry modules
+ */
+
+const SYMBOLS = [
+  'H', 'He',
+  'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne',
+  'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn',
+  'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr',
+  'Rb', 'Sr', 'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd',
+  'In', 'Sn', 'Sb', 'Te', 'I', 'Xe',
+  'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy',
+  'Ho', 'Er', 'Tm', 'Yb', 'Lu', 'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt',
+  'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn',
+  'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf',
+  'Es', 'Fm', 'Md', 'No', 'Lr', 'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds',
+  'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og'
+];
+
+// Single-bond covalent radii in Angstrom (Cordero et al., 2008), indexed
+// like SYMBOLS. Elements past curium fall back to DEFAULT_COVALENT_RADIUS.
+const COVALENT_RADII = [
+  0.31, 0.28,
+  1.28, 0.96, 0.84, 0.76, 0.71, 0.66, 0.57, 0.58,
+  1.66, 1.41, 1.21, 1.11, 1.07, 1.05, 1.02, 1.06,
+  2.03, 1.76, 1.70, 1.60, 1.53, 1.39, 1.39, 1.32, 1.26, 1.24, 1.32, 1.22,
+  1.22, 1.20, 1.19, 1.20, 1.20, 1.16,
+  2.20, 1.95, 1.90, 1.75, 1.64, 1.54, 1.47, 1.46, 1.42, 1.39, 1.45, 1.44,
+  1.42, 1.39, 1.39, 1.38, 1.39, 1.40,
+  2.44, 2.15, 2.07, 2.04, 2.03, 2.01, 1.99, 1.98, 1.98, 1.96, 1.94, 1.92,
+  1.92, 1.89, 1.90, 1.87, 1.87, 1.75, 1.70, 1.62, 1.51, 1.44, 1.41, 1.36,
+  1.36, 1.32, 1.45, 1.46, 1.48, 1.40, 1.50, 1.50,
+  2.60, 2.21, 2.15, 2.06, 2.00, 1.96, 1.90, 1.87, 1.80, 1.69
+];
+
+const DEFAULT_COVALENT_RADIUS = 1.5;
+
+// Standard atomic weights (IUPAC, abridged), indexed like SYMBOLS. Elements
+// without a stable isotope use the mass number of their longest-lived one.
+const ATOMIC_MASSES = [
+  1.008, 4.0026,
+  6.94, 9.0122, 10.81, 12.011, 14.007, 15.999, 18.998, 20.180,
+  22.990, 24.305, 26.982, 28.085, 30.974, 32.06, 35.45, 39.95,
+  39.098, 40.078, 44.956, 47.867, 50.942, 51.996, 54.938, 55.845, 58.933, 58.693, 63.546, 65.38,
+  69.723, 72.630, 74.922, 78.971, 79.904, 83.798,
+  85.468, 87.62, 88.906, 91.224, 92.906, 95.95, 98, 101.07, 102.91, 106.42, 107.87, 112.41,
+  114.82, 118.71, 121.76, 127.60, 126.90, 131.29,
+  132.91, 137.33, 138.91, 140.12, 140.91, 144.24, 145, 150.36, 151.96, 157.25, 158.93, 162.50,
+  164.93, 167.26, 168.93, 173.05, 174.97, 178.49, 180.95, 183.84, 186.21, 190.23, 192.22, 195.08,
+  196.97, 200.59, 204.38, 207.2, 208.98, 209, 210, 222,
+  223, 226, 227, 232.04, 231.04, 238.03, 237, 244, 243, 247, 247, 251,
+  252, 257, 258, 259, 266, 267, 268, 269, 270, 269, 278, 281,
+  282, 285, 286, 289, 290, 293, 294, 294
+];
+
+// Exact mass of the most abundant isotope, indexed like SYMBOLS. Elements
+// past uranium fall back to ATOMIC_MASSES.
+const MONOISOTOPIC_MASSES = [
+  1.00782503, 4.00260325,
+  7.01600344, 9.01218307, 11.00930536, 12, 14.00307401, 15.99491462, 18.99840316, 19.99244018,
+  22.98976928, 23.98504170, 26.98153853, 27.97692653, 30.97376200, 31.97207117, 34.96885268, 39.96238312,
+  38.96370649, 39.96259086, 44.95590828, 47.94794198, 50.94395704, 51.94050623, 54.93804391,
+  55.93493633, 58.93319429, 57.93534241, 62.92959772, 63.92914201,
+  68.92557350, 73.92117776, 74.92159457, 79.91652180, 78.91833760, 83.91149773,
+  84.91178974, 87.90561226, 88.90584030, 89.90469876, 92.90637300, 97.90540482, 97.90721240,
+  101.90434410, 102.90549800, 105.90348040, 106.90509160, 113.90336509,
+  114.90387878, 119.90220163, 120.90381200, 129.90622275, 126.90447190, 131.90415509,
+  132.90545196, 137.90524700, 138.90636300, 139.90544310, 140.90765760, 141.90772900, 144.91275590,
+  151.91973970, 152.92123800, 157.92411230, 158.92535470, 163.92918190,
+  164.93032880, 165.93029950, 168.93421790, 173.93886640, 174.94077520, 179.94655700, 180.94799580,
+  183.95093092, 186.95575010, 191.96147700, 192.96292160, 194.96479170,
+  196.96656879, 201.97064340, 204.97442780, 207.97665250, 208.98039910, 208.98243080, 209.98714790,
+  222.01757820,
+  223.01973600, 226.02541030, 227.02775230, 232.03805580, 231.03588420, 238.05078840
+];
+
+// Exact masses of common isotope labels, by element and mass number
+const ISOTOPE_MASSES = {
+  H: { 2: 2.01410178, 3: 3.01604928 },
+  C: { 11: 11.01143260, 13: 13.00335484, 14: 14.00324199 },
+  N: { 15: 15.00010890 },
+  O: { 17: 16.99913176, 18: 17.99915961 },
+  F: { 18: 18.00093730 },
+  P: { 32: 31.97390764 },
+  S: { 33: 32.97145891, 34: 33.96786700, 35: 34.96903231 },
+  Cl: { 37: 36.96590260 },
+  Br: { 81: 80.91628970 },
+  I: { 125: 124.90463060, 131: 130.90612630 }
+};
+
+// Normal valences of the SMILES organic subset, lowest first
+const NORMAL_VALENCES = {
+  B: [3],
+  C: [4],
+  N: [3, 5],
+  O: [2],
+  P: [3, 5],
+  S: [2, 4, 6],
+  F: [1],
+  Cl: [1],
+  Br: [1],
+  I: [1]
+};
+
+// Van der Waals radii in Angstrom (Bondi, 1964; B, Al, Ca, Ge and Sb from
+// Mantina et al., 2009). Other elements use DEFAULT_VDW_RADIUS. The client
+// viewer keeps a copy in client/src/utils/elements.js.
+const VAN_DER_WAALS_RADII = {
+  H: 1.20, He: 1.40,
+  Li: 1.82, B: 1.92, C: 1.70, N: 1.55, O: 1.52, F: 1.47, Ne: 1.54,
+  Na: 2.27, Mg: 1.73, Al: 1.84, Si: 2.10, P: 1.80, S: 1.80, Cl: 1.75, Ar: 1.88,
+  K: 2.75, Ca: 2.31, Ni: 1.63, Cu: 1.40, Zn: 1.39,
+  Ga: 1.87, Ge: 2.11, As: 1.85, Se: 1.90, Br: 1.85, Kr: 2.02,
+  Pd: 1.63, Ag: 1.72, Cd: 1.58, In: 1.93, Sn: 2.17, Sb: 2.06, Te: 2.06, I: 1.98, Xe: 2.16,
+  Pt: 1.72, Au: 1.66, Hg: 1.55, Tl: 1.96, Pb: 2.02, U: 1.86
+};
+const DEFAULT_VDW_RADIUS = 1.70;
+
+// Upper-cased symbol -> canonical symbol, for case-insensitive lookups
+const SYMBOL_LOOKUP = new Map(SYMBOLS.map(symbol => [symbol.toUpperCase(), symbol]));
+
+/**
+ * Normalize an element symbol to its canonical capitalization
+ * Returns null when the symbol is not a known element
+ */
+export function normalizeElement(symbol) {
+  if (!symbol) return null;
+  const key = String(symbol).trim().toUpperCase();
+  // Deuterium and tritium are stored as hydrogen
+  if (key === 'D' || key === 'T') return 'H';
+  return SYMBOL_LOOKUP.get(key) || null;
+}
+
+export function isElement(symbol) {
+  return SYMBOL_LOOKUP.get(String(symbol).toUpperCase()) === symbol;
+}
+
+export function getAtomicNumber(symbol) {
+  const normalized = normalizeElement(symbol);
+  return normalized ? SYMBOLS.indexOf(normalized) + 1 : 0;
+}
+
+export function getElementSymbol(atomicNumber) {
+  return SYMBOLS[atomicNumber - 1] || null;
+}
+
+/**
+ * Single-bond covalent radius of an element in Angstrom
+ */
+export function getCovalentRadius(symbol) {
+  const atomicNumber = getAtomicNumber(symbol);
+  return COVALENT_RADII[atomicNumber - 1] || DEFAULT_COVALENT_RADIUS;
+}
+
+/**
+ * Van der Waals radius of an element in Angstrom, as drawn by the viewer
+ * and used for surface areas
+ */
+export function getVdwRadius(symbol) {
+  return VAN_DER_WAALS_RADII[normalizeElement(symbol)] || DEFAULT_VDW_RADIUS;
+}
+
+/**
+ * Standard atomic weight in g/mol, or 0 for unknown symbols
+ */
+export function getAtomicMass(symbol) {
+  const atomicNumber = getAtomicNumber(symbol);
+  return ATOMIC_MASSES[atomicNumber - 1] || 0;
+}
+
+/**
+ * Exact mass of the most abundant isotope, or of the isotope with the given
+ * mass number (the mass number itself when its mass is not tabulated)
+ */
+export function getIsotopeMass(symbol, massNumber) {
+  const normalized = normalizeElement(symbol);
+  if (!normalized) return 0;
+  if (massNumber) {
+    return (ISOTOPE_MASSES[normalized] && ISOTOPE_MASSES[normalized][massNumber]) || massNumber;
+  }
+
+  const atomicNumber = getAtomicNumber(normalized);
+  return MONOISOTOPIC_MASSES[atomicNumber - 1] || ATOMIC_MASSES[atomicNumber - 1];
+}
+
+/**
+ * Normal valences of an organic-subset element, lowest first
+ * Returns null for elements without a defined valence (metals, noble gases)
+ */
+export function getValences(symbol) {
+  return NORMAL_VALENCES[symbol] || null;
+}
+
+export default SYMBOLS;
@@ -0,0 +1,127 @@
+/**
+ * Circular Fingerprints
+ * ECFP-style (Morgan) fingerprints folded to a fixed number of bits, and
+ * the Tanimoto coefficient for comparing them. Hydrogens are not atoms of
+ * the fingerprint; they count towards the invariants of their heavy atom.
+ * Aromaticity is perceived first, so Kekulé and aromatic forms of a ring
+ * give the same fingerprint.
+ */
+
+import { getAtomicNumber } from './elements.js';
+import { perceiveAromaticity } from './bond-orders.js';
+import { findRings } from './rings.js';
+
+export const FINGERPRINT_BITS = 2048;
+
+// Radius 2 corresponds to ECFP4 (diameter 4)
+export const FINGERPRINT_RADIUS = 2;
+
+const AROMATIC_BOND = 4;
+
+/**
+ * 32-bit FNV-1a hash of a list of integers
+ */
+function hashIntegers(values) {
+  let hash = 0x811c9dc5;
+  for (const value of values) {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193);
+    }
+  }
+  return hash >>> 0;
+}
+
+function aromaticBonds(molecule) {
+  const { bonds = [] } = molecule;
+  try {
+    return new Set(perceiveAromaticity(molecule).bonds);
+  } catch {
+    // Aromatic bonds that cannot be kekulized are taken as written
+    return new Set(bonds.map((bond, index) => index).filter(index => bonds[index].aromatic));
+  }
+}
+
+/**
+ * Compute the fingerprint of a molecule as the sorted indices of its set bits
+ * Options: radius (default 2), bits (default 2048)
+ */
+export function circularFingerprint(molecule, { radius = FINGERPRINT_RADIUS, bits = FINGERPRINT_BITS } = {}) {
+  const { atoms, bonds = [] } = molecule;
+  const heavy = atoms.map(atom => atom.element !== 'H');
+  const aromatic = aromaticBonds(molecule);
+
+  const ringAtoms = new Set(findRings(atoms.length, bonds).flat());
+  const hydrogens = atoms.map(() => 0);
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(({ from, to, order }, index) => {
+    if (heavy[from] && heavy[to]) {
+      const type = aromatic.has(index) ? AROMATIC_BOND : Math.round(order || 1);
+      neighbors[from].push({ atom: to, type });
+      neighbors[to].push({ atom: from, type });
+    } else if (heavy[from] !== heavy[to]) {
+      hydrogens[heavy[from] ? from : to]++;
+    }
+  });
+
+  const aromaticAtoms = new Set();
+  bonds.forEach(({ from, to }, index) => {
+    if (aromatic.has(index)) {
+      aromaticAtoms.add(from);
+      aromaticAtoms.add(to);
+    }
+  });
+
+  const heavyAtoms = atoms.map((atom, index) => index).filter(index => heavy[index]);
+  let identifiers = new Map(heavyAtoms.map(index => [index, hashIntegers([
+    getAtomicNumber(atoms[index].element) || 0,
+    neighbors[index].length,
+    hydrogens[index],
+    atoms[index].formalCharge || 0,
+    atoms[index].isotope || 0,
+    ringAtoms.has(index) ? 1 : 0,
+    aromaticAtoms.has(index) ? 1 : 0
+  ])]));
+
+  const features = new Set(identifiers.values());
+  for (let iteration = 1; iteration <= radius; iteration++) {
+    const next = new Map();
+    heavyAtoms.forEach(index => {
+      const environment = neighbors[index]
+        .map(({ atom, type }) => [type, identifiers.get(atom)])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .flat();
+      next.set(index, hashIntegers([iteration, identifiers.get(index), ...environment]));
+    });
+    identifiers = next;
+    identifiers.forEach(identifier => features.add(identifier));
+  }
+
+  return [...new Set([...features].map(feature => feature % bits))].sort((a, b) => a - b);
+}
+
+/**
+ * Tanimoto (Jaccard) similarity of two fingerprints from circularFingerprint
+ * Two empty fingerprints have similarity 0.
+ */
+export function tanimoto(a, b) {
+  let common = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      common++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  const union = a.length + b.length - common;
+  return union === 0 ? 0 : common / union;
+}
+
+export default circularFingerprint;
@@ -0,0 +1,145 @@
+/**
+ * Molecular formula helpers
+ * Hill-notation formulas, formula parsing and molecular masses
+ */
+
+import { isElement, getAtomicMass, getIsotopeMass } from './elements.js';
+
+const ELECTRON_MASS = 0.000548579909;
+
+// One token of a formula group: element, opening or closing bracket, count.
+// The parsing helpers are exported for the static bundle, which embeds them
+// (see build-molecules-data.js).
+export const FORMULA_TOKEN = /\s*(?:([A-Z][a-z]?)|([([])|([)\]]))(\d*)/y;
+
+/**
+ * Count atoms per element
+ */
+export function countElements(atoms) {
+  const counts = {};
+  atoms.forEach(atom => {
+    counts[atom.element] = (counts[atom.element] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Write element counts in Hill notation: carbon first, hydrogen second,
+ * then the remaining elements alphabetically. Without carbon every
+ * element (hydrogen included) is listed alphabetically.
+ */
+export function formatFormula(counts) {
+  const symbols = Object.keys(counts).filter(symbol => counts[symbol] > 0).sort();
+  let ordered = symbols;
+
+  if (counts.C) {
+    ordered = ['C', ...(counts.H ? ['H'] : []), ...symbols.filter(s => s !== 'C' && s !== 'H')];
+  }
+
+  return ordered
+    .map(symbol => symbol + (counts[symbol] > 1 ? counts[symbol] : ''))
+    .join('');
+}
+
+/**
+ * Build the Hill-notation formula of a list of atoms
+ */
+export function hillFormula(atoms) {
+  return formatFormula(countElements(atoms));
+}
+
+export function addCounts(target, counts, multiplier = 1) {
+  Object.entries(counts).forEach(([symbol, count]) => {
+    target[symbol] = (target[symbol] || 0) + count * multiplier;
+  });
+}
+
+export function parseGroup(text) {
+  const stack = [{}];
+  FORMULA_TOKEN.lastIndex = 0;
+
+  while (FORMULA_TOKEN.lastIndex < text.trimEnd().length) {
+    const match = FORMULA_TOKEN.exec(text);
+    if (!match) return null;
+    const [, symbol, open, close, digits] = match;
+    const count = digits ? parseInt(digits, 10) : 1;
+
+    if (symbol) {
+      // Deuterium and tritium count as hydrogen
+      const element = symbol === 'D' || symbol === 'T' ? 'H' : symbol;
+      if (!isElement(element)) return null;
+      addCounts(stack[stack.length - 1], { [element]: count });
+    } else if (open) {
+      if (digits) return null;
+      stack.push({});
+    } else if (close) {
+      if (stack.length === 1) return null;
+      const group = stack.pop();
+      addCounts(stack[stack.length - 1], group, count);
+    }
+  }
+
+  return stack.length === 1 ? stack[0] : null;
+}
+
+/**
+ * Parse a written formula into element counts
+ * Understands groups ("Ca(OH)2", "CH3(CH2)2OH"), hydrates ("CuSO4·5H2O")
+ * and space-separated CIF formulas ("C2 H6 O"). Returns null when the text
+ * is not a formula.
+ */
+export function parseFormula(text) {
+  const source = String(text || '').trim();
+  if (!source) return null;
+
+  const total = {};
+  for (const part of source.split(/[.·*]/)) {
+    const [, multiplier, group] = /^\s*(\d*)(.*)$/.exec(part);
+    const counts = parseGroup(group);
+    if (!counts || Object.keys(counts).length === 0) return null;
+    addCounts(total, counts, multiplier ? parseInt(multiplier, 10) : 1);
+  }
+  return total;
+}
+
+/**
+ * Rewrite a formula in Hill notation ("C2H5OH" -> "C2H6O")
+ * Returns null when the text is not a formula.
+ */
+export function canonicalFormula(text) {
+  const counts = parseFormula(text);
+  return counts ? formatFormula(counts) : null;
+}
+
+/**
+ * Compare a stated formula with the atoms it describes
+ * Returns null when they agree (in any notation), otherwise a warning
+ */
+export function formulaWarning(stated, atoms, name = 'molecule') {
+  if (!stated) return null;
+  const computed = hillFormula(atoms);
+  if (canonicalFormula(stated) === computed) return null;
+  return `Formula "${stated}" of ${name} does not match its atoms (${computed})`;
+}
+
+/**
+ * Average molecular weight in g/mol
+ * Atoms with an `isotope` mass number count with that isotope's mass.
+ */
+export function molecularWeight(atoms) {
+  const total = atoms.reduce((sum, atom) => (
+    sum + (atom.isotope ? getIsotopeMass(atom.element, atom.isotope) : getAtomicMass(atom.element))
+  ), 0);
+  return Math.round(total * 1e4) / 1e4;
+}
+
+/**
+ * Monoisotopic (exact) mass: the most abundant isotope of every element,
+ * or the labelled isotope, corrected for the electrons of charged atoms
+ */
+export function monoisotopicMass(atoms) {
+  const total = atoms.reduce((sum, atom) => (
+    sum + getIsotopeMass(atom.element, atom.isotope) - (atom.formalCharge || 0) * ELECTRON_MASS
+  ), 0);
+  return Math.round(total * 1e6) / 1e6;
+}
@@ -0,0 +1,160 @@
+/**
+ * Hydrogen Bonds
+ * Geometric search for D-H···A hydrogen bonds: a hydrogen bonded to a
+ * donor D and an acceptor A, both N, O or F, with the H···A distance at most
+ * `maxDistance` and the D-H···A angle at least `minAngle`.
+ *
+ * Hydrogens must be explicit atoms with bonds to their donors. Nitrogens
+ * with four bonds or a positive charge have no lone pair and accept none.
+ *
+ * Each bond is reported as { donor, hydrogen, acceptor, distance,
+ * donor_acceptor_distance, angle }: atom indices, the H···A and D···A
+ * distances in Angstrom and the D-H···A angle in degrees.
+ */
+
+export const DEFAULT_MAX_DISTANCE = 2.5;
+export const DEFAULT_MIN_ANGLE = 120;
+
+const DONOR_ELEMENTS = new Set(['N', 'O', 'F']);
+const ACCEPTOR_ELEMENTS = new Set(['N', 'O', 'F']);
+
+const round = value => Math.round(value * 1e4) / 1e4;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+function angle(a, center, b) {
+  const u = [a.x - center.x, a.y - center.y, a.z - center.z];
+  const v = [b.x - center.x, b.y - center.y, b.z - center.z];
+  const cosine = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (Math.hypot(...u) * Math.hypot(...v));
+  return (Math.acos(Math.max(-1, Math.min(1, cosine))) * 180) / Math.PI;
+}
+
+function checkOptions({ maxDistance, minAngle }) {
+  if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+    throw new Error('Maximum distance must be a positive number');
+  }
+  if (!Number.isFinite(minAngle) || minAngle < 0 || minAngle > 180) {
+    throw new Error('Minimum angle must be between 0 and 180 degrees');
+  }
+}
+
+/**
+ * Donor hydrogens ({ donor, hydrogen }), acceptors and bonded atom pairs
+ * of a molecule, with positions from `coordinates` (a trajectory frame)
+ * when given
+ */
+function describe({ atoms, bonds = [] }, coordinates = atoms) {
+  if (coordinates.length !== atoms.length) {
+    throw new Error(`Expected ${atoms.length} coordinates, got ${coordinates.length}`);
+  }
+
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(({ from, to }) => {
+    neighbors[from].push(to);
+    neighbors[to].push(from);
+  });
+
+  const donors = [];
+  atoms.forEach((atom, index) => {
+    if (atom.element !== 'H') return;
+    neighbors[index]
+      .filter(neighbor => DONOR_ELEMENTS.has(atoms[neighbor].element))
+      .forEach(donor => donors.push({ donor, hydrogen: index }));
+  });
+
+  const acceptors = atoms
+    .map((atom, index) => index)
+    .filter(index => {
+      const atom = atoms[index];
+      if (!ACCEPTOR_ELEMENTS.has(atom.element)) return false;
+      return !(atom.element === 'N' && (neighbors[index].length >= 4 || (atom.formalCharge || 0) > 0));
+    });
+
+  return { positions: coordinates, donors, acceptors, neighbors };
+}
+
+/**
+ * Hydrogen bonds from the donors of one described molecule to the
+ * acceptors of another (or the same) one
+ */
+function search(donorSide, acceptorSide, { maxDistance, minAngle }, sameMolecule) {
+  const cellOf = ({ x, y, z }) => [x, y, z].map(value => Math.floor(value / maxDistance));
+  const grid = new Map();
+  acceptorSide.acceptors.forEach(index => {
+    const key = cellOf(acceptorSide.positions[index]).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  const found = [];
+  donorSide.donors.forEach(({ donor, hydrogen }) => {
+    const h = donorSide.positions[hydrogen];
+    const d = donorSide.positions[donor];
+    const [cx, cy, cz] = cellOf(h);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(acceptor => {
+            // An acceptor bonded to the donor is part of the same group
+            if (sameMolecule && (acceptor === donor || donorSide.neighbors[donor].includes(acceptor))) return;
+
+            const a = acceptorSide.positions[acceptor];
+            const hydrogenDistance = distance(h, a);
+            const bondAngle = angle(d, h, a);
+            if (hydrogenDistance > maxDistance || bondAngle < minAngle) return;
+
+            found.push({
+              donor,
+              hydrogen,
+              acceptor,
+              distance: round(hydrogenDistance),
+              donor_acceptor_distance: round(distance(d, a)),
+              angle: round(bondAngle)
+            });
+          });
+        }
+      }
+    }
+  });
+  return found.sort((a, b) => a.hydrogen - b.hydrogen || a.acceptor - b.acceptor);
+}
+
+/**
+ * Hydrogen bonds within a molecule
+ * Options: maxDistance - largest H···A distance in Angstrom (default 2.5),
+ * minAngle - smallest D-H···A angle in degrees (default 120),
+ * coordinates - [{ x, y, z }] overriding the atom positions, e.g. a
+ * trajectory frame
+ */
+export function findHydrogenBonds(
+  molecule,
+  { maxDistance = DEFAULT_MAX_DISTANCE, minAngle = DEFAULT_MIN_ANGLE, coordinates } = {}
+) {
+  const settings = { maxDistance, minAngle };
+  checkOptions(settings);
+
+  const described = describe(molecule, coordinates);
+  return search(described, described, settings, true);
+}
+
+/**
+ * Hydrogen bonds between two molecules in one coordinate frame, e.g. a
+ * ligand placed in a binding site. Each bond has `donor_molecule` and
+ * `acceptor_molecule`: 0 for the first molecule and 1 for the second, the
+ * molecules its donor and hydrogen, and its acceptor, belong to.
+ */
+export function findHydrogenBondsBetween(
+  first,
+  second,
+  { maxDistance = DEFAULT_MAX_DISTANCE, minAngle = DEFAULT_MIN_ANGLE } = {}
+) {
+  const settings = { maxDistance, minAngle };
+  checkOptions(settings);
+
+  const sides = [describe(first), describe(second)];
+  return [
+    ...search(sides[0], sides[1], settings, false).map(bond => ({ ...bond, donor_molecule: 0, acceptor_molecule: 1 })),
+    ...search(sides[1], sides[0], settings, false).map(bond => ({ ...bond, donor_molecule: 1, acceptor_molecule: 0 }))
+  ];
+}
+
+export default findHydrogenBonds;
@@ -0,0 +1,217 @@
+/**
+ * Hydrogen Addition and Removal
+ * addHydrogens completes every atom with a defined valence (see
+ * elements.js) with explicit hydrogens placed at ideal bond lengths and
+ * angles: linear, trigonal or tetrahedral from the atom's hybridization,
+ * staggered or in plane with the substituents of the neighbor for atoms with
+ * a single neighbor. Existing atoms keep their indices and positions; new
+ * hydrogens are appended and inherit the residue fields of their atom.
+ *
+ * removeHydrogens drops all hydrogens, or only the non-polar ones (bonded
+ * to carbon), and renumbers the bonds.
+ */
+
+import { targetValence, kekulize } from './bond-orders.js';
+import { idealBondLength } from './coordinates.js';
+
+const TETRAHEDRAL_ANGLE = Math.acos(-1 / 3);
+
+// Fields copied from an atom to the hydrogens added to it
+const INHERITED_FIELDS = ['residue', 'residueSeq', 'chain', 'insertionCode', 'altLoc', 'hetero'];
+
+const HYDROGEN_REMOVAL_MODES = ['all', 'nonpolar'];
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, factor) => [a[0] * factor, a[1] * factor, a[2] * factor];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+function normalize(vector) {
+  const length = Math.hypot(...vector);
+  return length < 1e-6 ? null : scale(vector, 1 / length);
+}
+
+// Any unit vector perpendicular to `axis`
+function perpendicular(axis, reference = null) {
+  const candidates = [reference, [1, 0, 0], [0, 1, 0]].filter(Boolean);
+  for (const candidate of candidates) {
+    const normal = normalize(add(candidate, scale(axis, -dot(candidate, axis))));
+    if (normal) return normal;
+  }
+  return [0, 0, 1];
+}
+
+/**
+ * Number of electron domains of an atom (2 linear, 3 trigonal, 4
+ * tetrahedral) from its Kekulé bonds; nitrogens next to a multiple bond
+ * (amides, anilines) are trigonal, as in coordinate generation
+ */
+function domainCount(atom, atomBonds, conjugated) {
+  const doubles = atomBonds.filter(bond => bond.order === 2).length;
+  if (atomBonds.some(bond => bond.order === 3) || doubles === 2) return 2;
+  if (doubles === 1 || atom.element === 'B') return 3;
+  if (atom.element === 'N' && !atom.formalCharge && conjugated) return 3;
+  return 4;
+}
+
+/**
+ * Unit vectors for the free positions around an atom, given unit vectors
+ * to its neighbors and, for a single neighbor, a reference direction (the
+ * neighbor's own substituent) that fixes the rotation
+ */
+function freeDirections(domains, neighbors, reference) {
+  if (neighbors.length === 0) {
+    if (domains === 2) return [[1, 0, 0], [-1, 0, 0]];
+    if (domains === 3) {
+      return [0, 1, 2].map(k => [Math.cos((2 * Math.PI * k) / 3), Math.sin((2 * Math.PI * k) / 3), 0]);
+    }
+    return [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]].map(normalize);
+  }
+
+  if (neighbors.length === 1) {
+    const [axis] = neighbors;
+    if (domains === 2) return [scale(axis, -1)];
+
+    // Trigonal positions lie in the plane of the reference; tetrahedral
+    // ones are staggered with one hydrogen anti to it
+    const inPlane = perpendicular(axis, reference && scale(reference, -1));
+    const outOfPlane = cross(axis, inPlane);
+    const angle = domains === 3 ? (2 * Math.PI) / 3 : TETRAHEDRAL_ANGLE;
+    const turns = domains === 3 ? [0, Math.PI] : [0, (2 * Math.PI) / 3, (4 * Math.PI) / 3];
+    return turns.map(turn => add(
+      scale(axis, Math.cos(angle)),
+      scale(add(scale(inPlane, Math.cos(turn)), scale(outOfPlane, Math.sin(turn))), Math.sin(angle))
+    ));
+  }
+
+  const opposite = normalize(scale(neighbors.reduce(add, [0, 0, 0]), -1));
+  if (neighbors.length === 2 && domains === 4) {
+    // Two positions in the plane bisecting the neighbors
+    const bisector = opposite || perpendicular(neighbors[0]);
+    const normal = normalize(cross(neighbors[0], neighbors[1])) || perpendicular(bisector);
+    const half = TETRAHEDRAL_ANGLE / 2;
+    return [1, -1].map(sign => add(scale(bisector, Math.cos(half)), scale(normal, sign * Math.sin(half))));
+  }
+  if (opposite) return [opposite];
+  // Planar neighbors: the free position is off the plane
+  return [normalize(cross(neighbors[0], neighbors[1])) || perpendicular(neighbors[0])];
+}
+
+/**
+ * Number of hydrogens missing from each atom: its valence (adjusted for
+ * formal charge) minus the bond orders of its Kekulé bonds
+ */
+function missingHydrogens(atoms, bonds) {
+  const sums = atoms.map(() => 0);
+  bonds.forEach(({ from, to, order = 1 }) => {
+    sums[from] += order;
+    sums[to] += order;
+  });
+  return atoms.map((atom, index) => {
+    if (atom.element === 'H') return 0;
+    const valence = targetValence(atom, sums[index]);
+    return valence === null ? 0 : Math.max(0, Math.floor(valence - sums[index]));
+  });
+}
+
+/**
+ * Add the missing hydrogens of a molecule with 3D coordinates
+ * Returns the molecule with the new atoms and bonds.
+ */
+export function addHydrogens(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  let kekule;
+  try {
+    kekule = kekulize(molecule).bonds || [];
+  } catch {
+    // Aromatic bonds that cannot be kekulized count as 1.5
+    kekule = bonds;
+  }
+
+  const atomBonds = atoms.map(() => []);
+  kekule.forEach(bond => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+  const partner = (bond, index) => (bond.from === index ? bond.to : bond.from);
+  const position = atom => [atom.x, atom.y, atom.z];
+  const unsaturated = atoms.map((atom, index) => atomBonds[index].some(bond => bond.order >= 1.5));
+
+  const missing = missingHydrogens(atoms, kekule);
+  const newAtoms = [];
+  const newBonds = [];
+  atoms.forEach((atom, index) => {
+    if (missing[index] === 0) return;
+
+    const neighborAtoms = atomBonds[index].map(bond => partner(bond, index));
+    const center = position(atom);
+    const neighbors = neighborAtoms
+      .map(neighbor => normalize(add(position(atoms[neighbor]), scale(center, -1))))
+      .filter(Boolean);
+
+    let reference = null;
+    if (neighborAtoms.length === 1) {
+      const [neighbor] = neighborAtoms;
+      const beyond = atomBonds[neighbor].map(bond => partner(bond, neighbor)).find(other => other !== index);
+      if (beyond !== undefined) {
+        reference = normalize(add(position(atoms[beyond]), scale(position(atoms[neighbor]), -1)));
+      }
+    }
+
+    const conjugated = neighborAtoms.some(neighbor => unsaturated[neighbor]);
+    const domains = Math.min(4, Math.max(
+      domainCount(atom, atomBonds[index], conjugated),
+      neighbors.length + missing[index]
+    ));
+    const length = idealBondLength(atom.element, 'H');
+    const round = value => Math.round(value * 10000) / 10000;
+
+    freeDirections(domains, neighbors, reference).slice(0, missing[index]).forEach(direction => {
+      const [x, y, z] = add(center, scale(direction, length)).map(round);
+      const hydrogen = { element: 'H', x, y, z };
+      INHERITED_FIELDS.forEach(field => {
+        if (atom[field] !== undefined) hydrogen[field] = atom[field];
+      });
+      newBonds.push({ from: index, to: atoms.length + newAtoms.length, order: 1 });
+      newAtoms.push(hydrogen);
+    });
+  });
+
+  if (newAtoms.length === 0) return molecule;
+  return { ...molecule, atoms: [...atoms, ...newAtoms], bonds: [...bonds, ...newBonds] };
+}
+
+/**
+ * Remove hydrogens from a molecule
+ * Modes: 'all' or 'nonpolar' (only hydrogens bonded to carbon).
+ */
+export function removeHydrogens(molecule, { mode = 'all' } = {}) {
+  if (!HYDROGEN_REMOVAL_MODES.includes(mode)) {
+    throw new Error(`Unsupported hydrogen removal mode: ${mode}`);
+  }
+
+  const { atoms, bonds = [] } = molecule;
+  const onCarbon = new Set();
+  bonds.forEach(({ from, to }) => {
+    if (atoms[from].element === 'H' && atoms[to].element === 'C') onCarbon.add(from);
+    if (atoms[to].element === 'H' && atoms[from].element === 'C') onCarbon.add(to);
+  });
+  const removed = atoms.map((atom, index) => (
+    atom.element === 'H' && (mode === 'all' || onCarbon.has(index))
+  ));
+  if (!removed.includes(true)) return molecule;
+
+  const newIndex = [];
+  let kept = 0;
+  removed.forEach((isRemoved, index) => {
+    newIndex[index] = isRemoved ? null : kept++;
+  });
+
+  return {
+    ...molecule,
+    atoms: atoms.filter((atom, index) => !removed[index]),
+    bonds: bonds
+      .filter(({ from, to }) => !removed[from] && !removed[to])
+      .map(bond => ({ ...bond, from: newIndex[bond.from], to: newIndex[bond.to] }))
+  };
+}
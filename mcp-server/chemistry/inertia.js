@@ -0,0 +1,108 @@
+/**
+ * Mass Distribution
+ * Center of mass and principal axes of inertia of a set of atoms, shared by
+ * the geometric descriptors (analytics.js) and point group detection
+ * (symmetry.js), and the symmetric eigensolver behind them. Atoms with an
+ * `isotope` mass number weigh as that isotope.
+ */
+
+import { getAtomicMass, getIsotopeMass } from './elements.js';
+
+const JACOBI_SWEEPS = 50;
+
+export const atomMass = atom => (atom.isotope ? getIsotopeMass(atom.element, atom.isotope) : getAtomicMass(atom.element));
+
+/**
+ * Mass-weighted mean position of the atoms
+ */
+export function centerOfMass(atoms) {
+  let total = 0;
+  const sum = { x: 0, y: 0, z: 0 };
+  atoms.forEach(atom => {
+    const mass = atomMass(atom);
+    total += mass;
+    sum.x += mass * atom.x;
+    sum.y += mass * atom.y;
+    sum.z += mass * atom.z;
+  });
+  if (total === 0) return { x: 0, y: 0, z: 0 };
+  return { x: sum.x / total, y: sum.y / total, z: sum.z / total };
+}
+
+function inertiaTensor(atoms, center) {
+  const tensor = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  atoms.forEach(atom => {
+    const mass = atomMass(atom);
+    const [x, y, z] = [atom.x - center.x, atom.y - center.y, atom.z - center.z];
+    tensor[0][0] += mass * (y * y + z * z);
+    tensor[1][1] += mass * (x * x + z * z);
+    tensor[2][2] += mass * (x * x + y * y);
+    tensor[0][1] -= mass * x * y;
+    tensor[0][2] -= mass * x * z;
+    tensor[1][2] -= mass * y * z;
+  });
+  tensor[1][0] = tensor[0][1];
+  tensor[2][0] = tensor[0][2];
+  tensor[2][1] = tensor[1][2];
+  return tensor;
+}
+
+/**
+ * Eigenvalues and eigenvectors (columns of `vectors`) of a symmetric
+ * matrix (3x3 inertia tensors, 4x4 quaternion matrices in alignment.js) by
+ * cyclic Jacobi rotations
+ */
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const vectors = matrix.map((_, i) => matrix.map((__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < JACOBI_SWEEPS; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += Math.abs(a[p][q]);
+    }
+    if (offDiagonal < 1e-12) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const [akp, akq] = [a[k][p], a[k][q]];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const [apk, aqk] = [a[p][k], a[q][k]];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const [vkp, vkq] = [vectors[k][p], vectors[k][q]];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((row, i) => row[i]), vectors };
+}
+
+/**
+ * Principal moments of inertia about the center of mass, smallest first,
+ * with the principal axes as unit vectors in the same order
+ */
+export function principalMoments(atoms) {
+  const { values, vectors } = symmetricEigen(inertiaTensor(atoms, centerOfMass(atoms)));
+  const order = [0, 1, 2].sort((i, j) => values[i] - values[j]);
+  return {
+    moments: order.map(i => Math.max(0, values[i])),
+    axes: order.map(i => [vectors[0][i], vectors[1][i], vectors[2][i]])
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Ring Perception
+ * Finds the smallest ring through every ring bond. For fused and bridged
+ * systems this yields the rings a chemist would draw (the two six-membered
+ * rings of naphthalene, not its ten-membered perimeter).
+ *
+ * The smallest set of smallest rings (SSSR) is a stricter answer: exactly
+ * as many rings as the structure has independent cycles (bonds - atoms +
+ * connected components), the shortest such set. Cubane has five, not its
+ * six faces.
+ */
+
+/**
+ * Atom adjacency lists built from a bond table
+ */
+export function buildAdjacency(atomCount, bonds) {
+  const adjacency = Array.from({ length: atomCount }, () => []);
+  bonds.forEach(({ from, to }) => {
+    adjacency[from].push(to);
+    adjacency[to].push(from);
+  });
+  return adjacency;
+}
+
+/**
+ * Shortest path between the two atoms of a bond that avoids the bond
+ * itself, as a list of atom indices, or null when the bond is acyclic
+ */
+function shortestCycle(adjacency, from, to, maxSize) {
+  const parents = new Map([[from, -1]]);
+  let frontier = [from];
+
+  for (let depth = 1; depth < maxSize && frontier.length > 0; depth++) {
+    const next = [];
+    for (const atom of frontier) {
+      for (const neighbor of adjacency[atom]) {
+        if (parents.has(neighbor) || (atom === from && neighbor === to)) continue;
+        parents.set(neighbor, atom);
+        if (neighbor === to) {
+          const ring = [];
+          for (let current = to; current !== -1; current = parents.get(current)) ring.push(current);
+          return ring.reverse();
+        }
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/**
+ * Find rings as arrays of atom indices in ring order
+ * Options: maxSize - largest ring to look for (default: no limit)
+ */
+export function findRings(atomCount, bonds, { maxSize = Infinity } = {}) {
+  const adjacency = buildAdjacency(atomCount, bonds);
+  const rings = [];
+  const seen = new Set();
+
+  bonds.forEach(({ from, to }) => {
+    const ring = shortestCycle(adjacency, from, to, maxSize);
+    if (!ring) return;
+
+    const key = [...ring].sort((a, b) => a - b).join(',');
+    if (!seen.has(key)) {
+      seen.add(key);
+      rings.push(ring);
+    }
+  });
+
+  return rings.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Bonds that lie on no cycle (bridges of the bond graph), as a set of bond
+ * indices, by an iterative depth-first search
+ */
+export function findAcyclicBonds(atomCount, bonds) {
+  const incident = Array.from({ length: atomCount }, () => []);
+  bonds.forEach(({ from, to }, index) => {
+    incident[from].push([to, index]);
+    incident[to].push([from, index]);
+  });
+
+  const order = new Array(atomCount).fill(-1);
+  const low = new Array(atomCount).fill(0);
+  const acyclic = new Set();
+  let counter = 0;
+
+  for (let root = 0; root < atomCount; root++) {
+    if (order[root] !== -1) continue;
+    order[root] = low[root] = counter++;
+    // [atom, bond used to reach it, next incident bond to visit]
+    const stack = [[root, -1, 0]];
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [atom, viaBond] = top;
+      if (top[2] < incident[atom].length) {
+        const [neighbor, bond] = incident[atom][top[2]++];
+        if (bond === viaBond) continue;
+        if (order[neighbor] === -1) {
+          order[neighbor] = low[neighbor] = counter++;
+          stack.push([neighbor, bond, 0]);
+        } else {
+          low[atom] = Math.min(low[atom], order[neighbor]);
+        }
+        continue;
+      }
+
+      stack.pop();
+      if (stack.length > 0) {
+        const parent = stack[stack.length - 1][0];
+        low[parent] = Math.min(low[parent], low[atom]);
+        if (low[atom] > order[parent]) acyclic.add(viaBond);
+      }
+    }
+  }
+  return acyclic;
+}
+
+/**
+ * Candidate rings of one ring system (Horton): for each atom v and bond
+ * x-y, the shortest paths v..x and v..y closed by the bond, when the two
+ * paths share only v. The shortest cycle basis is among them.
+ */
+function hortonCandidates(systemAtoms, systemBonds, bonds, adjacency) {
+  const candidates = new Map();
+  systemAtoms.forEach(start => {
+    const parent = new Map([[start, -1]]);
+    const depth = new Map([[start, 0]]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const atom = queue[head];
+      adjacency[atom].forEach(([neighbor]) => {
+        if (depth.has(neighbor)) return;
+        depth.set(neighbor, depth.get(atom) + 1);
+        parent.set(neighbor, atom);
+        queue.push(neighbor);
+      });
+    }
+
+    const pathTo = atom => {
+      const path = [];
+      for (let current = atom; current !== -1; current = parent.get(current)) path.push(current);
+      return path;
+    };
+
+    systemBonds.forEach(index => {
+      const { from, to } = bonds[index];
+      if (parent.get(from) === to || parent.get(to) === from) return;
+      const first = pathTo(from);
+      const second = pathTo(to);
+      const shared = first.filter(atom => second.includes(atom));
+      if (shared.length !== 1) return;
+
+      // from ... start ... to, closed by the bond to-from
+      const ring = [...first, ...second.slice(0, -1).reverse()];
+      const key = [...ring].sort((a, b) => a - b).join(',');
+      if (!candidates.has(key)) candidates.set(key, ring);
+    });
+  });
+  return [...candidates.values()].sort((a, b) => a.length - b.length);
+}
+
+/**
+ * A ring started at its lowest atom index and walked towards the lower of
+ * that atom's two ring neighbors
+ */
+function normalizeRing(ring) {
+  const start = ring.indexOf(Math.min(...ring));
+  const rotated = [...ring.slice(start), ...ring.slice(0, start)];
+  return rotated[rotated.length - 1] < rotated[1] ? [rotated[0], ...rotated.slice(1).reverse()] : rotated;
+}
+
+/**
+ * Smallest set of smallest rings, as arrays of atom indices in ring order
+ * (each from its lowest index), smallest first
+ */
+export function smallestSetOfSmallestRings(atomCount, bonds) {
+  const acyclic = findAcyclicBonds(atomCount, bonds);
+  const ringBonds = bonds.map((_, index) => index).filter(index => !acyclic.has(index));
+
+  // Ring bonds by atom, as [neighbor, bond index]
+  const adjacency = Array.from({ length: atomCount }, () => []);
+  ringBonds.forEach(index => {
+    const { from, to } = bonds[index];
+    adjacency[from].push([to, index]);
+    adjacency[to].push([from, index]);
+  });
+
+  const rings = [];
+  const visited = new Set();
+  for (let seed = 0; seed < atomCount; seed++) {
+    if (visited.has(seed) || adjacency[seed].length === 0) continue;
+
+    // One ring system: the atoms and bonds reachable over ring bonds
+    const systemAtoms = [seed];
+    visited.add(seed);
+    for (let head = 0; head < systemAtoms.length; head++) {
+      adjacency[systemAtoms[head]].forEach(([neighbor]) => {
+        if (visited.has(neighbor)) return;
+        visited.add(neighbor);
+        systemAtoms.push(neighbor);
+      });
+    }
+    const systemBonds = [...new Set(systemAtoms.flatMap(atom => adjacency[atom].map(([, index]) => index)))];
+    const needed = systemBonds.length - systemAtoms.length + 1;
+
+    // Keep the shortest candidates whose bond sets are independent (GF(2)
+    // elimination over bit vectors of the system's bonds)
+    const bit = new Map(systemBonds.map((index, position) => [index, position]));
+    const bondKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+    const bondIndex = new Map(systemBonds.map(index => [bondKey(bonds[index].from, bonds[index].to), index]));
+    const basis = new Map();
+    const kept = [];
+
+    for (const ring of hortonCandidates(systemAtoms, systemBonds, bonds, adjacency)) {
+      if (kept.length === needed) break;
+
+      let vector = 0n;
+      ring.forEach((atom, position) => {
+        const index = bondIndex.get(bondKey(atom, ring[(position + 1) % ring.length]));
+        vector ^= 1n << BigInt(bit.get(index));
+      });
+      while (vector !== 0n) {
+        const pivot = vector.toString(2).length - 1;
+        if (!basis.has(pivot)) {
+          basis.set(pivot, vector);
+          kept.push(ring);
+          break;
+        }
+        vector ^= basis.get(pivot);
+      }
+    }
+    rings.push(...kept.map(normalizeRing));
+  }
+
+  return rings.sort((a, b) => a.length - b.length || a[0] - b[0] || a[1] - b[1]);
+}
+
+export default findRings;
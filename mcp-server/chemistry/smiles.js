@@ -0,0 +1,428 @@
+/**
+ * SMILES Parser
+ * Reads OpenSMILES strings: organic-subset and bracket atoms, branches, ring
+ * closures (including %nn), aromatic atoms, charges, isotopes, atom classes,
+ * tetrahedral (@/@@) and double-bond (/ \) stereo marks. Implicit hydrogens
+ * are added as explicit atoms and 3D coordinates are generated unless
+ * disabled; with coordinates, the stereocenters and double bonds the marks
+ * specify get their R/S and E/Z labels (cip, see stereo.js).
+ */
+
+import { normalizeElement, getValences } from './elements.js';
+import { generateCoordinates } from './coordinates.js';
+import { perceiveStereo } from './stereo.js';
+
+const ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I', 'b', 'c', 'n', 'o', 'p', 's'];
+
+const AROMATIC_SYMBOLS = new Set(['b', 'c', 'n', 'o', 'p', 's', 'se', 'as', 'te']);
+
+const BOND_SYMBOLS = { '-': 1, '=': 2, '#': 3, $: 4, ':': 1.5, '/': 1, '\\': 1 };
+
+const BRACKET_ATOM = /^(\d+)?([A-Z][a-z]?|[a-z][a-z]?)(@@|@(?:TH[12]|AL[12]|SP[1-3]|TB\d{1,2}|OH\d{1,2})?)?(H\d*)?([+-](?:\d+|[+-]*))?(?::(\d+))?$/;
+
+function syntaxError(smiles, position, message) {
+  return new Error(`Invalid SMILES "${smiles}" at position ${position + 1}: ${message}`);
+}
+
+function parseCharge(text) {
+  if (!text) return 0;
+  const sign = text[0] === '+' ? 1 : -1;
+  const rest = text.substring(1);
+  if (/^\d+$/.test(rest)) return sign * parseInt(rest, 10);
+  return sign * text.length;
+}
+
+function parseBracketAtom(contents, smiles, position) {
+  const match = BRACKET_ATOM.exec(contents);
+  if (!match) throw syntaxError(smiles, position, `unrecognized bracket atom [${contents}]`);
+
+  const [, isotope, symbol, chirality, hydrogens, charge, atomClass] = match;
+  const aromatic = symbol === symbol.toLowerCase();
+  if (aromatic && !AROMATIC_SYMBOLS.has(symbol)) {
+    throw syntaxError(smiles, position, `"${symbol}" cannot be aromatic`);
+  }
+
+  const element = normalizeElement(symbol);
+  if (!element || (!aromatic && element !== symbol)) {
+    throw syntaxError(smiles, position, `unknown element "${symbol}"`);
+  }
+
+  return {
+    element,
+    aromatic,
+    bracket: true,
+    isotope: isotope ? parseInt(isotope, 10) : undefined,
+    // TH1/TH2 are the long forms of @/@@; other chirality classes are ignored
+    chirality: { '@': '@', '@@': '@@', '@TH1': '@', '@TH2': '@@' }[chirality],
+    hydrogens: hydrogens ? parseInt(hydrogens.substring(1) || '1', 10) : 0,
+    formalCharge: parseCharge(charge),
+    mapNumber: atomClass ? parseInt(atomClass, 10) : undefined
+  };
+}
+
+/**
+ * Tokenize and build the heavy-atom graph
+ */
+function parseGraph(smiles) {
+  const atoms = [];
+  const bonds = [];
+  // Per-atom neighbor order as written, used for @/@@; 'H' marks the
+  // implicit hydrogen of a bracket atom and 'LP' the place of a lone pair
+  // on a stereocenter written without hydrogens
+  const neighbors = [];
+  const directional = [];
+  const rings = new Map();
+  const branches = [];
+  let previous = null;
+  let pendingBond = null;
+  let position = 0;
+
+  const addBond = (from, to, symbol, at) => {
+    const bothAromatic = atoms[from].aromatic && atoms[to].aromatic;
+    if (from === to || bonds.some(b => (b.from === from && b.to === to) || (b.from === to && b.to === from))) {
+      throw syntaxError(smiles, at, 'duplicate bond');
+    }
+
+    const order = symbol ? BOND_SYMBOLS[symbol] : (bothAromatic ? 1.5 : 1);
+    const bond = { from, to, order };
+    if (order === 1.5) bond.aromatic = true;
+    // Implicit aromatic bonds outside rings become single (checked later)
+    if (!symbol && bothAromatic) bond.implicit = true;
+    bonds.push(bond);
+
+    if (symbol === '/' || symbol === '\\') {
+      directional.push({ bond, from, to, up: symbol === '/' });
+    }
+    return bond;
+  };
+
+  const addAtom = (atom, at) => {
+    const index = atoms.length;
+    atoms.push(atom);
+    neighbors.push([]);
+
+    if (previous !== null) {
+      addBond(previous, index, pendingBond, at);
+      neighbors[previous].push(index);
+      neighbors[index].push(previous);
+    } else if (pendingBond) {
+      throw syntaxError(smiles, at, `bond "${pendingBond}" has no preceding atom`);
+    }
+    if (atom.bracket && atom.hydrogens > 0) neighbors[index].push('H');
+    else if (atom.chirality) neighbors[index].push('LP');
+
+    previous = index;
+    pendingBond = null;
+  };
+
+  while (position < smiles.length) {
+    const char = smiles[position];
+
+    if (char === '(') {
+      if (previous === null) throw syntaxError(smiles, position, 'branch has no preceding atom');
+      branches.push(previous);
+      position++;
+    } else if (char === ')') {
+      if (branches.length === 0) throw syntaxError(smiles, position, 'unbalanced ")"');
+      if (pendingBond) throw syntaxError(smiles, position, `bond "${pendingBond}" has no following atom`);
+      previous = branches.pop();
+      position++;
+    } else if (char === '.') {
+      if (pendingBond) throw syntaxError(smiles, position, `bond "${pendingBond}" has no following atom`);
+      previous = null;
+      position++;
+    } else if (BOND_SYMBOLS[char] !== undefined) {
+      if (pendingBond) throw syntaxError(smiles, position, 'consecutive bond symbols');
+      pendingBond = char;
+      position++;
+    } else if (/[0-9%]/.test(char)) {
+      if (previous === null) throw syntaxError(smiles, position, 'ring closure has no preceding atom');
+      let digits = char;
+      if (char === '%') {
+        digits = smiles.substring(position + 1, position + 3);
+        if (!/^\d\d$/.test(digits)) throw syntaxError(smiles, position, 'expected two digits after "%"');
+      }
+      const ring = parseInt(digits, 10);
+
+      if (rings.has(ring)) {
+        const open = rings.get(ring);
+        if (open.bond && pendingBond && open.bond !== pendingBond) {
+          throw syntaxError(smiles, position, `conflicting bond symbols for ring ${ring}`);
+        }
+        // A direction mark on the opening side reads from the opening atom
+        if (open.bond) addBond(open.atom, previous, open.bond, position);
+        else addBond(previous, open.atom, pendingBond, position);
+        neighbors[open.atom][open.slot] = previous;
+        neighbors[previous].push(open.atom);
+        rings.delete(ring);
+      } else {
+        rings.set(ring, { atom: previous, bond: pendingBond, slot: neighbors[previous].length });
+        neighbors[previous].push(null);
+      }
+
+      pendingBond = null;
+      position += char === '%' ? 3 : 1;
+    } else if (char === '[') {
+      const end = smiles.indexOf(']', position);
+      if (end === -1) throw syntaxError(smiles, position, 'unclosed "["');
+      addAtom(parseBracketAtom(smiles.substring(position + 1, end), smiles, position), position);
+      position = end + 1;
+    } else {
+      const symbol = ORGANIC_SUBSET.find(candidate => smiles.startsWith(candidate, position));
+      if (!symbol) throw syntaxError(smiles, position, `unexpected character "${char}"`);
+      addAtom({ element: normalizeElement(symbol), aromatic: symbol === symbol.toLowerCase() }, position);
+      position += symbol.length;
+    }
+  }
+
+  if (branches.length > 0) throw syntaxError(smiles, smiles.length - 1, 'unclosed "("');
+  if (pendingBond) throw syntaxError(smiles, smiles.length - 1, `bond "${pendingBond}" has no following atom`);
+  if (rings.size > 0) {
+    throw new Error(`Invalid SMILES "${smiles}": unclosed ring bond ${[...rings.keys()].join(', ')}`);
+  }
+  if (atoms.length === 0) throw new Error('SMILES string is empty');
+
+  return { atoms, bonds, neighbors, directional };
+}
+
+/**
+ * True when the bond lies on a cycle (its atoms stay connected without it)
+ */
+function isRingBond(bond, bonds, atomCount) {
+  const adjacency = Array.from({ length: atomCount }, () => []);
+  bonds.forEach(other => {
+    if (other === bond) return;
+    adjacency[other.from].push(other.to);
+    adjacency[other.to].push(other.from);
+  });
+
+  const seen = new Set([bond.from]);
+  const queue = [bond.from];
+  while (queue.length > 0) {
+    const atom = queue.shift();
+    if (atom === bond.to) return true;
+    adjacency[atom].forEach(next => {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return false;
+}
+
+/**
+ * Implicit hydrogen count of an organic-subset atom
+ */
+function implicitHydrogens(atom, atomBonds) {
+  const valences = getValences(atom.element);
+  if (!valences) return 0;
+
+  const bondSum = atomBonds.reduce((sum, bond) => sum + (bond.aromatic ? 1 : bond.order), 0);
+  if (atom.aromatic) {
+    // Aromatic atoms donate one electron to the ring, except O and S which
+    // donate a lone pair
+    const donated = atom.element === 'O' || atom.element === 'S' ? 0 : 1;
+    return Math.max(0, valences[0] - bondSum - donated);
+  }
+
+  const valence = valences.find(candidate => candidate >= bondSum);
+  return valence === undefined ? 0 : valence - bondSum;
+}
+
+/**
+ * Double-bond configurations from / and \ marks
+ */
+function doubleBondStereo(bonds, directional) {
+  const configurations = [];
+
+  bonds.filter(bond => bond.order === 2).forEach(bond => {
+    const ends = [bond.from, bond.to].map(atom => {
+      const mark = directional.find(d => (d.from === atom || d.to === atom) && d.bond !== bond);
+      if (!mark) return null;
+      // Written "atom / X" keeps the sense, "X / atom" flips it
+      const substituent = mark.from === atom ? mark.to : mark.from;
+      const up = mark.from === atom ? mark.up : !mark.up;
+      return { substituent, up };
+    });
+
+    if (ends[0] && ends[1]) {
+      configurations.push({
+        atoms: [ends[0].substituent, bond.from, bond.to, ends[1].substituent],
+        cis: ends[0].up === ends[1].up
+      });
+    }
+  });
+
+  return configurations;
+}
+
+/**
+ * Planarity restraints for every double and aromatic bond: each pair of
+ * substituents is cis or trans. Marked configurations are honoured;
+ * otherwise substituents sharing a small ring are kept cis.
+ */
+function doubleBondRestraints(atoms, bonds, marked) {
+  const adjacency = atoms.map(() => []);
+  bonds.forEach(bond => {
+    adjacency[bond.from].push(bond.to);
+    adjacency[bond.to].push(bond.from);
+  });
+
+  const shareSmallRing = (a, b, excludeA, excludeB) => {
+    // Shortest path from a to b avoiding the double bond atoms
+    const depth = new Map([[a, 0]]);
+    const queue = [a];
+    while (queue.length > 0) {
+      const atom = queue.shift();
+      if (atom === b) return true;
+      if (depth.get(atom) >= 5) continue;
+      adjacency[atom].forEach(next => {
+        if (next !== excludeA && next !== excludeB && !depth.has(next)) {
+          depth.set(next, depth.get(atom) + 1);
+          queue.push(next);
+        }
+      });
+    }
+    return false;
+  };
+
+  const restraints = [];
+  bonds.filter(bond => bond.order === 2 || bond.aromatic).forEach(bond => {
+    const left = adjacency[bond.from].filter(atom => atom !== bond.to);
+    const right = adjacency[bond.to].filter(atom => atom !== bond.from);
+    if (left.length === 0 || right.length === 0) return;
+
+    const mark = marked.find(m => m.atoms[1] === bond.from && m.atoms[2] === bond.to);
+    let reference = mark ? { a: mark.atoms[0], d: mark.atoms[3], cis: mark.cis } : null;
+    if (!reference) {
+      left.some(a => right.some(d => {
+        if (shareSmallRing(a, d, bond.from, bond.to)) reference = { a, d, cis: true };
+        return reference;
+      }));
+    }
+    if (!reference) reference = { a: left[0], d: right[0], cis: true };
+
+    left.forEach(a => right.forEach(d => {
+      const sameAsReference = (a === reference.a) === (d === reference.d);
+      restraints.push({
+        atoms: [a, bond.from, bond.to, d],
+        cis: sameAsReference ? reference.cis : !reference.cis
+      });
+    }));
+  });
+
+  return restraints;
+}
+
+/**
+ * Tetrahedral restraint for a stereocenter from its neighbors as written:
+ * four atoms, or three and an implicit hydrogen or lone pair, which is
+ * swapped to the front, inverting the sense unless it was already first
+ */
+function tetrahedralCenter(center, written, chirality) {
+  const atoms = written.filter(neighbor => typeof neighbor === 'number');
+  const clockwise = chirality === '@@';
+  if (atoms.length === 4) return { center, neighbors: atoms, clockwise };
+
+  const implicit = written.findIndex(neighbor => typeof neighbor !== 'number');
+  if (atoms.length !== 3 || written.length !== 4 || implicit === -1) return null;
+  const neighbors = [...written];
+  neighbors[implicit] = neighbors[0];
+  neighbors[0] = null;
+  return { center, neighbors, clockwise: implicit === 0 ? clockwise : !clockwise };
+}
+
+/**
+ * Parse a SMILES string into a molecule ({ name, smiles, atoms, bonds, metadata })
+ * Options: name, hydrogens (add implicit hydrogens, default true),
+ * coordinates (generate 3D coordinates, default true)
+ */
+export function parseSMILES(smiles, options = {}) {
+  const { hydrogens = true, coordinates = true } = options;
+  const text = String(smiles || '').trim();
+  if (!text) throw new Error('SMILES string is empty');
+
+  const graph = parseGraph(text);
+  const { neighbors } = graph;
+
+  // Implicit aromatic bonds that are not in a ring, as in c1ccccc1c1ccccc1
+  graph.bonds.forEach(bond => {
+    if (bond.implicit && !isRingBond(bond, graph.bonds, graph.atoms.length)) {
+      bond.order = 1;
+      delete bond.aromatic;
+    }
+    delete bond.implicit;
+  });
+
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach(bond => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+
+  const atoms = graph.atoms.map(parsed => {
+    const atom = { element: parsed.element, x: 0, y: 0, z: 0 };
+    if (parsed.formalCharge) atom.formalCharge = parsed.formalCharge;
+    if (parsed.isotope !== undefined) atom.isotope = parsed.isotope;
+    if (parsed.mapNumber !== undefined) atom.mapNumber = parsed.mapNumber;
+    return atom;
+  });
+  const bonds = graph.bonds.map(({ from, to, order, aromatic }) => (
+    aromatic ? { from, to, order, aromatic } : { from, to, order }
+  ));
+
+  if (hydrogens) {
+    graph.atoms.forEach((parsed, index) => {
+      const count = parsed.bracket ? parsed.hydrogens : implicitHydrogens(parsed, atomBonds[index]);
+      for (let h = 0; h < count; h++) {
+        const hydrogen = atoms.length;
+        atoms.push({ element: 'H', x: 0, y: 0, z: 0 });
+        bonds.push({ from: index, to: hydrogen, order: 1 });
+
+        // The written hydrogen takes its place in the neighbor order
+        const slot = neighbors[index].indexOf('H');
+        if (slot !== -1) neighbors[index][slot] = hydrogen;
+        else neighbors[index].push(hydrogen);
+      }
+    });
+  }
+
+  if (coordinates) {
+    const marked = doubleBondStereo(graph.bonds, graph.directional);
+    const tetrahedral = graph.atoms
+      .map((parsed, center) => parsed.chirality && tetrahedralCenter(center, neighbors[center], parsed.chirality))
+      .filter(Boolean);
+
+    generateCoordinates(atoms, bonds, {
+      tetrahedral,
+      doubleBonds: doubleBondRestraints(atoms, bonds, marked)
+    });
+
+    // CIP labels for the stereo the string specifies; the configuration
+    // of unmarked centers and double bonds is arbitrary
+    if (tetrahedral.length > 0 || marked.length > 0) {
+      const specifiedCenters = new Set(tetrahedral.map(({ center }) => center));
+      const specifiedBonds = new Set(marked.map(({ atoms: [, from, to] }) => graph.bonds.findIndex(
+        bond => bond.from === from && bond.to === to
+      )));
+      const { centers, double_bonds: doubleBonds } = perceiveStereo({ atoms, bonds });
+      centers.filter(({ atom }) => specifiedCenters.has(atom)).forEach(({ atom, label }) => {
+        atoms[atom].cip = label;
+      });
+      doubleBonds.filter(({ bond }) => specifiedBonds.has(bond)).forEach(({ bond, label }) => {
+        bonds[bond].cip = label;
+      });
+    }
+  }
+
+  return {
+    name: options.name || text,
+    smiles: text,
+    atoms,
+    bonds,
+    metadata: { format: 'smiles', smiles: text }
+  };
+}
+
+export default parseSMILES;
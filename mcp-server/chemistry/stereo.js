@@ -0,0 +1,299 @@
+/**
+ * Stereochemistry Perception
+ * Finds stereocenters and stereo double bonds in a 3D structure and labels
+ * them R/S and E/Z under the Cahn-Ingold-Prelog priority rules.
+ *
+ * Ligands are ranked by exploring the hierarchical digraph from the
+ * stereocenter sphere by sphere: rule 1a (higher atomic number first, with
+ * duplicate atoms for multiple bonds and ring closures) and then rule 2
+ * (higher mass first). Aromatic atoms get one duplicate whose atomic number
+ * is the mean of their aromatic neighbors', so Kekulé structures of a ring
+ * rank alike. Rules 3 to 5, which rank ligands by their own stereo
+ * descriptors, are not applied; centers they would decide stay unlabeled.
+ *
+ * Stereocenters are atoms with four neighbors, or with three where the
+ * fourth ligand is an implicit hydrogen (C, Si, Ge with single bonds) or a
+ * lone pair (P, As, S, Se). Stereo double bonds are non-aromatic double
+ * bonds outside rings of fewer than eight atoms whose ends each carry one
+ * or two distinct substituents. Flat centers and twisted double bonds give
+ * no label.
+ */
+
+import { getAtomicNumber, getAtomicMass, getValences } from './elements.js';
+import { perceiveAromaticity } from './bond-orders.js';
+import { findRings } from './rings.js';
+
+const IMPLICIT_HYDROGEN_ELEMENTS = new Set(['C', 'Si', 'Ge']);
+const LONE_PAIR_ELEMENTS = new Set(['P', 'As', 'S', 'Se']);
+
+// Double bonds in smaller rings can only be cis
+const MIN_STEREO_RING_SIZE = 8;
+
+// Triple product of the unit vectors to three ligands below which a center
+// counts as flat (about 0.77 for a tetrahedral center)
+const MIN_CHIRAL_VOLUME = 0.1;
+
+// Smallest |cos| of the substituent dihedral of a labeled double bond
+const MIN_PLANARITY = 0.5;
+
+// Digraph nodes explored per ligand ranking before giving up as a tie
+const EXPLORATION_LIMIT = 20000;
+
+const PROPERTIES = ['number', 'mass'];
+
+const vector = (from, to) => [to.x - from.x, to.y - from.y, to.z - from.z];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = v => {
+  const length = Math.hypot(...v);
+  return length > 0 ? v.map(value => value / length) : v;
+};
+
+function aromaticBonds(molecule) {
+  try {
+    return new Set(perceiveAromaticity(molecule).bonds);
+  } catch {
+    return new Set(molecule.bonds.flatMap(({ aromatic }, index) => (aromatic ? [index] : [])));
+  }
+}
+
+/**
+ * Bond graph with CIP duplicate atoms: per atom, its neighbors with the
+ * number of duplicates each multiple bond adds, and the atomic number of
+ * the duplicate an aromatic atom carries (null for none)
+ */
+function buildGraph(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const aromatic = aromaticBonds({ atoms, bonds });
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(({ from, to, order = 1 }, index) => {
+    const duplicates = aromatic.has(index) ? 0 : Math.max(0, Math.round(order) - 1);
+    neighbors[from].push({ atom: to, duplicates, aromatic: aromatic.has(index), bond: index });
+    neighbors[to].push({ atom: from, duplicates, aromatic: aromatic.has(index), bond: index });
+  });
+
+  const number = atoms.map(({ element }) => getAtomicNumber(element) || 0);
+  const mass = atoms.map(({ element, isotope }) => isotope || getAtomicMass(element));
+  const aromaticDuplicate = atoms.map((atom, index) => {
+    const ring = neighbors[index].filter(neighbor => neighbor.aromatic);
+    const valence = (getValences(atom.element) || [4])[0] + (atom.formalCharge || 0);
+    // Pyrrole-type atoms have no double bond in any Kekulé structure
+    if (ring.length === 0 || neighbors[index].length >= valence) return null;
+    return ring.reduce((sum, { atom: other }) => sum + number[other], 0) / ring.length;
+  });
+
+  return { atoms, neighbors, number, mass, aromaticDuplicate };
+}
+
+/**
+ * Ranks ligands with a shared exploration budget; compare(a, b) > 0 when
+ * ligand a has priority over b and 0 for a tie (or an exhausted budget)
+ */
+function createRanker(graph) {
+  let budget = EXPLORATION_LIMIT;
+
+  const node = (atom, parent, path) => ({
+    atom,
+    parent,
+    path,
+    number: graph.number[atom],
+    mass: graph.mass[atom]
+  });
+  const duplicate = atom => ({ atom, duplicate: true, number: graph.number[atom], mass: graph.mass[atom] });
+
+  const children = item => {
+    if (item.duplicate || item.atom === null) return [];
+    const result = [];
+    graph.neighbors[item.atom].forEach(({ atom, duplicates }) => {
+      for (let k = 0; k < duplicates; k++) result.push(duplicate(atom));
+      if (atom === item.parent) return;
+      // Returning to an atom on the path closes a ring: a duplicate ends it
+      result.push(item.path.has(atom) ? duplicate(atom) : node(atom, item.atom, new Set(item.path).add(atom)));
+    });
+    const aromaticNumber = graph.aromaticDuplicate[item.atom];
+    if (aromaticNumber !== null) result.push({ atom: item.atom, duplicate: true, number: aromaticNumber, mass: 0 });
+    return result;
+  };
+
+  const sortedChildren = (item, property) => children(item).sort((a, b) => -compareBy(a, b, property));
+
+  // Sphere by sphere, the substituent sets of corresponding nodes in
+  // order of rank; missing ligands are phantom atoms (0)
+  function compareBy(a, b, property) {
+    if (a[property] !== b[property]) return a[property] - b[property];
+    let left = [a];
+    let right = [b];
+    while (left.length > 0 || right.length > 0) {
+      budget -= left.length + right.length;
+      if (budget < 0) return 0;
+
+      const nextLeft = [];
+      const nextRight = [];
+      for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const leftSet = left[i] ? sortedChildren(left[i], property) : [];
+        const rightSet = right[i] ? sortedChildren(right[i], property) : [];
+        for (let k = 0; k < Math.max(leftSet.length, rightSet.length); k++) {
+          const difference = (leftSet[k] ? leftSet[k][property] : 0) - (rightSet[k] ? rightSet[k][property] : 0);
+          if (difference !== 0) return difference;
+        }
+        nextLeft.push(...leftSet);
+        nextRight.push(...rightSet);
+      }
+      left = nextLeft;
+      right = nextRight;
+    }
+    return 0;
+  }
+
+  return (a, b) => {
+    for (const property of PROPERTIES) {
+      const result = compareBy(a, b, property);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Ligands of `root` (excluding `exclude`) in CIP order, highest first, or
+ * null when two of them tie. An `implicit` ligand ({ number }) stands for
+ * an implicit hydrogen or lone pair.
+ */
+function rankLigands(graph, root, { exclude = null, implicit = null } = {}) {
+  const ligands = graph.neighbors[root]
+    .filter(({ atom }) => atom !== exclude)
+    .map(({ atom }) => ({ atom, parent: root, path: new Set([root, atom]), number: graph.number[atom], mass: graph.mass[atom] }));
+  if (implicit) ligands.push({ atom: null, number: implicit.number, mass: implicit.number });
+
+  const compare = createRanker(graph);
+  const ranked = ligands.sort((a, b) => -compare(a, b));
+  for (let i = 1; i < ranked.length; i++) {
+    if (compare(ranked[i - 1], ranked[i]) === 0) return null;
+  }
+  return ranked;
+}
+
+const hasCoordinates = atom => [atom.x, atom.y, atom.z].every(Number.isFinite);
+
+/**
+ * The implicit ligand of a three-coordinate center, or null when the atom
+ * cannot be a stereocenter with three neighbors
+ */
+function implicitLigand(graph, index) {
+  const { element } = graph.atoms[index];
+  const neighbors = graph.neighbors[index];
+  if (IMPLICIT_HYDROGEN_ELEMENTS.has(element) && neighbors.every(({ duplicates, aromatic }) => !duplicates && !aromatic)) {
+    return { number: 1 };
+  }
+  if (LONE_PAIR_ELEMENTS.has(element)) return { number: 0 };
+  return null;
+}
+
+function centerLabel(graph, index) {
+  const center = graph.atoms[index];
+  const count = graph.neighbors[index].length;
+  if (count !== 4 && count !== 3) return null;
+  const implicit = count === 3 ? implicitLigand(graph, index) : null;
+  if (count === 3 && !implicit) return null;
+  if (!hasCoordinates(center) || graph.neighbors[index].some(({ atom }) => !hasCoordinates(graph.atoms[atom]))) {
+    return null;
+  }
+
+  const ranked = rankLigands(graph, index, { implicit });
+  if (!ranked) return null;
+
+  // Looking with the lowest ligand pointing away, the other three run
+  // clockwise (R) when their triple product is negative
+  const [a, b, c] = ranked.filter(({ atom }) => atom !== null).slice(0, 3)
+    .map(({ atom }) => unit(vector(center, graph.atoms[atom])));
+  const volume = dot(a, cross(b, c));
+  if (Math.abs(volume) < MIN_CHIRAL_VOLUME) return null;
+  return volume < 0 ? 'R' : 'S';
+}
+
+function doubleBondLabel(graph, bond, index, smallRingBonds) {
+  const { from, to, order } = bond;
+  if (order !== 2 || smallRingBonds.has(index)) return null;
+
+  const ends = [[from, to], [to, from]].map(([end, partner]) => {
+    const others = graph.neighbors[end].filter(({ atom }) => atom !== partner);
+    // Cumulated or aromatic bonds at an end leave no stereo double bond
+    if (others.length === 0 || others.length > 2 || graph.neighbors[end].some(({ aromatic }) => aromatic)) return null;
+    if (others.some(({ duplicates }) => duplicates > 0)) return null;
+    const ranked = rankLigands(graph, end, { exclude: partner });
+    return ranked && ranked[0].atom;
+  });
+  if (ends.some(top => top === null || top === undefined)) return null;
+
+  const points = [ends[0], from, to, ends[1]].map(atom => graph.atoms[atom]);
+  if (!points.every(hasCoordinates)) return null;
+
+  // Cosine of the dihedral angle between the highest-ranked substituents
+  const axis = unit(vector(points[1], points[2]));
+  const perpendicular = v => {
+    const along = dot(v, axis);
+    return unit([v[0] - along * axis[0], v[1] - along * axis[1], v[2] - along * axis[2]]);
+  };
+  const cosine = dot(perpendicular(vector(points[1], points[0])), perpendicular(vector(points[2], points[3])));
+  if (Math.abs(cosine) < MIN_PLANARITY) return null;
+  return cosine > 0 ? 'Z' : 'E';
+}
+
+/**
+ * Stereocenters and stereo double bonds of a molecule with coordinates:
+ * { centers: [{ atom, label }], double_bonds: [{ bond, label }] } with
+ * labels R/S and E/Z, in atom and bond order
+ */
+export function perceiveStereo(molecule) {
+  const graph = buildGraph(molecule);
+  const { bonds = [] } = molecule;
+
+  const centers = graph.atoms
+    .map((atom, index) => ({ atom: index, label: centerLabel(graph, index) }))
+    .filter(({ label }) => label);
+
+  const ringBonds = new Set();
+  findRings(graph.atoms.length, bonds, { maxSize: MIN_STEREO_RING_SIZE - 1 }).forEach(ring => {
+    ring.forEach((atom, position) => {
+      const next = ring[(position + 1) % ring.length];
+      const neighbor = graph.neighbors[atom].find(({ atom: other }) => other === next);
+      if (neighbor) ringBonds.add(neighbor.bond);
+    });
+  });
+  const doubleBonds = bonds
+    .map((bond, index) => ({ bond: index, label: doubleBondLabel(graph, bond, index, ringBonds) }))
+    .filter(({ label }) => label);
+
+  return { centers, double_bonds: doubleBonds };
+}
+
+/**
+ * Copies of the atoms and bonds with their perceived labels in `cip`;
+ * labels of anything no longer stereogenic are dropped
+ */
+export function assignStereo(molecule) {
+  const { centers, double_bonds: doubleBonds } = perceiveStereo(molecule);
+  const atomLabels = new Map(centers.map(({ atom, label }) => [atom, label]));
+  const bondLabels = new Map(doubleBonds.map(({ bond, label }) => [bond, label]));
+
+  const label = (item, value) => {
+    const { cip, ...rest } = item;
+    return value ? { ...rest, cip: value } : rest;
+  };
+  return {
+    atoms: molecule.atoms.map((atom, index) => label(atom, atomLabels.get(index))),
+    bonds: (molecule.bonds || []).map((bond, index) => label(bond, bondLabels.get(index)))
+  };
+}
+
+/**
+ * The stored labels of a molecule, in the shape of perceiveStereo
+ */
+export function stereoLabels({ atoms, bonds = [] }) {
+  return {
+    centers: atoms.flatMap(({ cip }, index) => (cip ? [{ atom: index, label: cip }] : [])),
+    double_bonds: bonds.flatMap(({ cip }, index) => (cip ? [{ bond: index, label: cip }] : []))
+  };
+}
+
+export default perceiveStereo;
@@ -0,0 +1,452 @@
+/**
+ * Substructure Search
+ * Matches SMARTS-style queries against molecules. Supported:
+ *   atoms      C, c, Cl, *, a (aromatic), A (aliphatic) and bracket
+ *              expressions with element symbols, #n (atomic number),
+ *              isotopes, charges, H (total hydrogen count), D (heavy-atom
+ *              connections), X (all connections), R (ring membership),
+ *              r (ring size) and the !, &, ',' and ; operators
+ *   bonds      - = # : ~ @ (ring bond), / \ (read as single), the same
+ *              operators; an unwritten bond is single or aromatic
+ *   structure  branches, ring closures and '.' separated fragments
+ * Stored hydrogens are explicit atoms, so "C(=O)O" matches acids and
+ * esters alike while "C(=O)[OH]" matches acids only. Aromaticity of the
+ * target is perceived first, so Kekulé rings match "c1ccccc1".
+ */
+
+import { isElement, getElementSymbol } from './elements.js';
+import { perceiveAromaticity } from './bond-orders.js';
+import { findRings } from './rings.js';
+
+const ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I', 'b', 'c', 'n', 'o', 'p', 's'];
+
+const AROMATIC_SYMBOLS = ['se', 'as', 'te', 'b', 'c', 'n', 'o', 'p', 's'];
+
+const BOND_CHARACTERS = /^[-=#:~@/\\!&,;]+/;
+
+// Highest number of distinct matches reported per molecule
+const MAX_MATCHES = 1000;
+
+const bondKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+
+function queryError(query, position, message) {
+  return new Error(`Invalid substructure query "${query}" at position ${position + 1}: ${message}`);
+}
+
+const every = tests => (tests.length === 1 ? tests[0] : (target, index) => tests.every(test => test(target, index)));
+const some = tests => (tests.length === 1 ? tests[0] : (target, index) => tests.some(test => test(target, index)));
+
+/**
+ * Parse a logical expression of primitives: ! (not), & or juxtaposition
+ * (and), ',' (or) and ; (low-precedence and), as in SMARTS
+ * `parsePrimitive(source, position, fail)` returns { test, length }.
+ */
+function parseExpression(source, offset, query, parsePrimitive) {
+  let position = 0;
+  const fail = message => queryError(query, offset + position, message);
+
+  const negation = () => {
+    if (source[position] === '!') {
+      position++;
+      const inner = negation();
+      return (target, index) => !inner(target, index);
+    }
+    if (position >= source.length) throw fail('expression is incomplete');
+    const { test, length } = parsePrimitive(source, position, fail);
+    position += length;
+    return test;
+  };
+
+  const conjunction = () => {
+    const tests = [negation()];
+    while (position < source.length && source[position] !== ',' && source[position] !== ';') {
+      if (source[position] === '&') position++;
+      tests.push(negation());
+    }
+    return every(tests);
+  };
+
+  const disjunction = () => {
+    const tests = [conjunction()];
+    while (source[position] === ',') {
+      position++;
+      tests.push(conjunction());
+    }
+    return some(tests);
+  };
+
+  const tests = [disjunction()];
+  while (source[position] === ';') {
+    position++;
+    tests.push(disjunction());
+  }
+  return every(tests);
+}
+
+const isAromaticAtom = (target, index) => target.aromaticAtoms.has(index);
+
+function elementTest(element, aromatic) {
+  return (target, index) => (
+    target.atoms[index].element === element &&
+    (aromatic === undefined || target.aromaticAtoms.has(index) === aromatic)
+  );
+}
+
+function countTest(values, expected) {
+  return (target, index) => values(target)[index] === expected;
+}
+
+/**
+ * Bracket atom primitives; `state.first` is true until an atom primitive
+ * has been read, which makes a leading H the element rather than a count
+ */
+function atomPrimitive(state) {
+  return (source, position, fail) => {
+    const rest = source.substring(position);
+    const first = state.first;
+    state.first = false;
+    let match;
+
+    if ((match = /^\d+/.exec(rest))) {
+      // An isotope does not end the leading position: [2H] is deuterium
+      state.first = first;
+      const isotope = parseInt(match[0], 10);
+      return { test: (target, index) => target.atoms[index].isotope === isotope, length: match[0].length };
+    }
+    if (rest[0] === '*') return { test: () => true, length: 1 };
+    if ((match = /^#(\d+)/.exec(rest))) {
+      const element = getElementSymbol(parseInt(match[1], 10));
+      if (!element) throw fail(`unknown atomic number ${match[1]}`);
+      return { test: elementTest(element), length: match[0].length };
+    }
+    if ((match = /^(\+(?:\d+|\+*)|-(?:\d+|-*))/.exec(rest))) {
+      const sign = match[0][0] === '+' ? 1 : -1;
+      const digits = match[0].substring(1);
+      const charge = /^\d+$/.test(digits) ? sign * parseInt(digits, 10) : sign * match[0].length;
+      return { test: (target, index) => (target.atoms[index].formalCharge || 0) === charge, length: match[0].length };
+    }
+    // Chirality and atom maps are accepted but do not restrict the match
+    if ((match = /^(@@?|:\d+)/.exec(rest))) return { test: () => true, length: match[0].length };
+    if (rest[0] === '$') throw fail('recursive SMARTS is not supported');
+
+    const two = rest.substring(0, 2);
+    if (/^[A-Z][a-z]$/.test(two) && isElement(two)) return { test: elementTest(two, false), length: 2 };
+    if (rest[0] === 'H' && first) return { test: elementTest('H'), length: 1 };
+
+    if ((match = /^([HDXRr])(\d*)/.exec(rest))) {
+      const [, primitive, digits] = match;
+      const count = digits ? parseInt(digits, 10) : null;
+      const length = match[0].length;
+      switch (primitive) {
+        case 'H': return { test: countTest(target => target.hydrogens, count ?? 1), length };
+        case 'D': return { test: countTest(target => target.heavyDegree, count ?? 1), length };
+        case 'X': return { test: countTest(target => target.degree, count ?? 1), length };
+        case 'R': return {
+          test: count === null
+            ? (target, index) => target.ringCount[index] > 0
+            : countTest(target => target.ringCount, count),
+          length
+        };
+        default: return {
+          test: count === null
+            ? (target, index) => target.ringCount[index] > 0
+            : (target, index) => target.ringSizes[index].has(count),
+          length
+        };
+      }
+    }
+
+    if (/^[A-Z]/.test(rest) && isElement(rest[0])) return { test: elementTest(rest[0], false), length: 1 };
+    const aromatic = AROMATIC_SYMBOLS.find(symbol => rest.startsWith(symbol));
+    if (aromatic) return { test: elementTest(aromatic[0].toUpperCase() + aromatic.substring(1), true), length: aromatic.length };
+    if (rest[0] === 'a') return { test: isAromaticAtom, length: 1 };
+    if (rest[0] === 'A') return { test: (target, index) => !isAromaticAtom(target, index), length: 1 };
+
+    throw fail(`unrecognized atom primitive "${rest[0]}"`);
+  };
+}
+
+const BOND_PRIMITIVES = {
+  '-': (target, bond) => !target.aromaticBonds.has(bond) && target.bonds[bond].order === 1,
+  '/': (target, bond) => !target.aromaticBonds.has(bond) && target.bonds[bond].order === 1,
+  '\\': (target, bond) => !target.aromaticBonds.has(bond) && target.bonds[bond].order === 1,
+  '=': (target, bond) => !target.aromaticBonds.has(bond) && target.bonds[bond].order === 2,
+  '#': (target, bond) => !target.aromaticBonds.has(bond) && target.bonds[bond].order === 3,
+  ':': (target, bond) => target.aromaticBonds.has(bond),
+  '~': () => true,
+  '@': (target, bond) => target.ringBonds.has(bond)
+};
+
+const DEFAULT_BOND = (target, bond) => BOND_PRIMITIVES['-'](target, bond) || BOND_PRIMITIVES[':'](target, bond);
+
+function bondPrimitive(source, position, fail) {
+  const test = BOND_PRIMITIVES[source[position]];
+  if (!test) throw fail(`unrecognized bond primitive "${source[position]}"`);
+  return { test, length: 1 };
+}
+
+/**
+ * Parse a query into { text, atoms: [{ test }], bonds: [{ from, to, test }] }
+ * Throws with the position of the first error.
+ */
+export function parseSubstructureQuery(text) {
+  const query = String(text || '').trim();
+  if (!query) throw new Error('Substructure query is empty');
+
+  const atoms = [];
+  const bonds = [];
+  const rings = new Map();
+  const branches = [];
+  let previous = null;
+  let pendingBond = null;
+  let position = 0;
+
+  const addBond = (from, to, bond, at) => {
+    if (from === to || bonds.some(b => bondKey(b.from, b.to) === bondKey(from, to))) {
+      throw queryError(query, at, 'duplicate bond');
+    }
+    bonds.push({ from, to, test: bond ? bond.test : DEFAULT_BOND });
+  };
+
+  const addAtom = (test, at) => {
+    const index = atoms.length;
+    atoms.push({ test });
+    if (previous !== null) {
+      addBond(previous, index, pendingBond, at);
+    } else if (pendingBond) {
+      throw queryError(query, at, `bond "${pendingBond.source}" has no preceding atom`);
+    }
+    previous = index;
+    pendingBond = null;
+  };
+
+  const closeBond = at => {
+    if (pendingBond) throw queryError(query, at, `bond "${pendingBond.source}" has no following atom`);
+  };
+
+  while (position < query.length) {
+    const char = query[position];
+    const rest = query.substring(position);
+    let match;
+
+    if (char === '(') {
+      if (previous === null) throw queryError(query, position, 'branch has no preceding atom');
+      branches.push(previous);
+      position++;
+    } else if (char === ')') {
+      if (branches.length === 0) throw queryError(query, position, 'unbalanced ")"');
+      closeBond(position);
+      previous = branches.pop();
+      position++;
+    } else if (char === '.') {
+      closeBond(position);
+      previous = null;
+      position++;
+    } else if ((match = BOND_CHARACTERS.exec(rest))) {
+      if (pendingBond) throw queryError(query, position, 'consecutive bonds');
+      pendingBond = {
+        source: match[0],
+        test: parseExpression(match[0], position, query, bondPrimitive)
+      };
+      position += match[0].length;
+    } else if (/[0-9%]/.test(char)) {
+      if (previous === null) throw queryError(query, position, 'ring closure has no preceding atom');
+      let digits = char;
+      if (char === '%') {
+        digits = query.substring(position + 1, position + 3);
+        if (!/^\d\d$/.test(digits)) throw queryError(query, position, 'expected two digits after "%"');
+      }
+      const ring = parseInt(digits, 10);
+
+      if (rings.has(ring)) {
+        const open = rings.get(ring);
+        if (open.bond && pendingBond && open.bond.source !== pendingBond.source) {
+          throw queryError(query, position, `conflicting bonds for ring ${ring}`);
+        }
+        addBond(open.atom, previous, open.bond || pendingBond, position);
+        rings.delete(ring);
+      } else {
+        rings.set(ring, { atom: previous, bond: pendingBond });
+      }
+
+      pendingBond = null;
+      position += char === '%' ? 3 : 1;
+    } else if (char === '[') {
+      const end = query.indexOf(']', position);
+      if (end === -1) throw queryError(query, position, 'unclosed "["');
+      const contents = query.substring(position + 1, end);
+      addAtom(parseExpression(contents, position + 1, query, atomPrimitive({ first: true })), position);
+      position = end + 1;
+    } else if (char === '*') {
+      addAtom(() => true, position);
+      position++;
+    } else {
+      const symbol = ORGANIC_SUBSET.find(candidate => query.startsWith(candidate, position));
+      if (symbol) {
+        const aromatic = symbol === symbol.toLowerCase();
+        addAtom(elementTest(aromatic ? symbol.toUpperCase() : symbol, aromatic), position);
+        position += symbol.length;
+      } else if (char === 'a') {
+        addAtom(isAromaticAtom, position);
+        position++;
+      } else if (char === 'A') {
+        addAtom((target, index) => !isAromaticAtom(target, index), position);
+        position++;
+      } else {
+        throw queryError(query, position, `unexpected character "${char}"`);
+      }
+    }
+  }
+
+  if (branches.length > 0) throw queryError(query, query.length - 1, 'unclosed "("');
+  closeBond(query.length - 1);
+  if (rings.size > 0) {
+    throw new Error(`Invalid substructure query "${query}": unclosed ring bond ${[...rings.keys()].join(', ')}`);
+  }
+
+  return { text: query, atoms, bonds };
+}
+
+// Prepared targets, dropped with the molecule objects they describe
+const targets = new WeakMap();
+
+/**
+ * Neighbor lists, aromaticity, ring membership and hydrogen counts of a
+ * molecule, computed once per molecule object
+ */
+function prepareTarget(molecule) {
+  if (targets.has(molecule)) return targets.get(molecule);
+
+  const { atoms, bonds = [] } = molecule;
+  let aromatic;
+  try {
+    aromatic = perceiveAromaticity(molecule);
+  } catch {
+    // Aromatic bonds that cannot be kekulized are taken as written
+    const flagged = bonds.map((bond, index) => index).filter(index => bonds[index].aromatic);
+    aromatic = { atoms: flagged.flatMap(index => [bonds[index].from, bonds[index].to]), bonds: flagged };
+  }
+
+  const neighbors = atoms.map(() => []);
+  const bondIndex = new Map();
+  bonds.forEach(({ from, to }, index) => {
+    neighbors[from].push(to);
+    neighbors[to].push(from);
+    bondIndex.set(bondKey(from, to), index);
+  });
+
+  const ringCount = atoms.map(() => 0);
+  const ringSizes = atoms.map(() => new Set());
+  const ringBonds = new Set();
+  findRings(atoms.length, bonds).forEach(ring => {
+    ring.forEach((atom, position) => {
+      ringCount[atom]++;
+      ringSizes[atom].add(ring.length);
+      ringBonds.add(bondIndex.get(bondKey(atom, ring[(position + 1) % ring.length])));
+    });
+  });
+
+  const hydrogens = neighbors.map(list => list.filter(index => atoms[index].element === 'H').length);
+  const target = {
+    atoms,
+    bonds,
+    neighbors,
+    bondIndex,
+    aromaticAtoms: new Set(aromatic.atoms),
+    aromaticBonds: new Set(aromatic.bonds),
+    ringCount,
+    ringSizes,
+    ringBonds,
+    hydrogens,
+    degree: neighbors.map(list => list.length),
+    heavyDegree: neighbors.map((list, index) => list.length - hydrogens[index])
+  };
+  targets.set(molecule, target);
+  return target;
+}
+
+/**
+ * Order query atoms so that every atom after the first of its fragment is
+ * bonded to an atom placed before it
+ */
+function matchOrder(pattern) {
+  const neighbors = pattern.atoms.map(() => []);
+  pattern.bonds.forEach(({ from, to, test }) => {
+    neighbors[from].push({ atom: to, test });
+    neighbors[to].push({ atom: from, test });
+  });
+
+  const placed = new Set();
+  const order = [];
+  pattern.atoms.forEach((atom, root) => {
+    if (placed.has(root)) return;
+    placed.add(root);
+    const queue = [root];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order.push({
+        atom: current,
+        constraints: neighbors[current].filter(({ atom: other }) => order.some(step => step.atom === other))
+      });
+      neighbors[current].forEach(({ atom: next }) => {
+        if (!placed.has(next)) {
+          placed.add(next);
+          queue.push(next);
+        }
+      });
+    }
+  });
+  return order;
+}
+
+/**
+ * Find the occurrences of a query (text or parsed) in a molecule
+ * Returns one array of molecule atom indices per distinct match, in query
+ * atom order. Matches covering the same atoms are reported once.
+ * Options: limit - maximum number of matches (default 1000)
+ */
+export function findSubstructureMatches(molecule, query, { limit = MAX_MATCHES } = {}) {
+  const pattern = typeof query === 'string' ? parseSubstructureQuery(query) : query;
+  if (pattern.atoms.length > molecule.atoms.length) return [];
+
+  const target = prepareTarget(molecule);
+  const order = matchOrder(pattern);
+  const allAtoms = molecule.atoms.map((atom, index) => index);
+  const mapping = new Array(pattern.atoms.length);
+  const used = new Set();
+  const seen = new Set();
+  const matches = [];
+
+  const extend = depth => {
+    if (matches.length >= limit) return;
+    if (depth === order.length) {
+      const key = [...mapping].sort((a, b) => a - b).join(',');
+      if (!seen.has(key)) {
+        seen.add(key);
+        matches.push([...mapping]);
+      }
+      return;
+    }
+
+    const { atom, constraints } = order[depth];
+    const candidates = constraints.length > 0 ? target.neighbors[mapping[constraints[0].atom]] : allAtoms;
+    for (const candidate of candidates) {
+      if (used.has(candidate) || !pattern.atoms[atom].test(target, candidate)) continue;
+      const bonded = constraints.every(({ atom: other, test }) => {
+        const bond = target.bondIndex.get(bondKey(mapping[other], candidate));
+        return bond !== undefined && test(target, bond);
+      });
+      if (!bonded) continue;
+
+      mapping[atom] = candidate;
+      used.add(candidate);
+      extend(depth + 1);
+      used.delete(candidate);
+    }
+  };
+
+  extend(0);
+  return matches;
+}
+
+export default findSubstructureMatches;
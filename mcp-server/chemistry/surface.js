@@ -0,0 +1,114 @@
+/**
+ * Solvent Accessible Surface Area
+ * Shrake-Rupley numerical surface (J. Mol. Biol. 79, 351 (1973)): each atom
+ * is a sphere of its van der Waals radius plus the probe radius, covered
+ * with evenly spaced test points; the points not buried in any neighboring
+ * sphere give the atom's accessible area. Radii come from elements.js, the
+ * table the viewer draws atoms with.
+ */
+
+import { getVdwRadius } from './elements.js';
+
+export const DEFAULT_PROBE_RADIUS = 1.4;
+export const DEFAULT_SPHERE_POINTS = 960;
+const MAX_SPHERE_POINTS = 10000;
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+/**
+ * Points spread evenly over the unit sphere (golden section spiral)
+ */
+function spherePoints(count) {
+  const increment = Math.PI * (3 - Math.sqrt(5));
+  return Array.from({ length: count }, (_, index) => {
+    const z = 1 - (2 * index + 1) / count;
+    const radius = Math.sqrt(1 - z * z);
+    const angle = index * increment;
+    return [radius * Math.cos(angle), radius * Math.sin(angle), z];
+  });
+}
+
+/**
+ * Indices of the atoms whose expanded spheres intersect each atom's,
+ * found with a spatial grid
+ */
+function sphereNeighbors(atoms, radii) {
+  const cellSize = 2 * Math.max(...radii);
+  const cellOf = ({ x, y, z }) => [x, y, z].map(value => Math.floor(value / cellSize));
+
+  const grid = new Map();
+  atoms.forEach((atom, index) => {
+    const key = cellOf(atom).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  return atoms.map((a, i) => {
+    const [cx, cy, cz] = cellOf(a);
+    const neighbors = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(j => {
+            if (j === i) return;
+            const b = atoms[j];
+            if (Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) < radii[i] + radii[j]) neighbors.push(j);
+          });
+        }
+      }
+    }
+    return neighbors;
+  });
+}
+
+/**
+ * Solvent accessible surface area in Å²: the total and one area per atom
+ * Options: probeRadius - solvent radius in Angstrom (default 1.4, water),
+ * points - test points per atom (default 960; more is slower but finer)
+ */
+export function solventAccessibleSurface(
+  { atoms },
+  { probeRadius = DEFAULT_PROBE_RADIUS, points = DEFAULT_SPHERE_POINTS } = {}
+) {
+  if (!Number.isFinite(probeRadius) || probeRadius < 0) {
+    throw new Error('Probe radius must be a non-negative number');
+  }
+  if (!Number.isInteger(points) || points < 1 || points > MAX_SPHERE_POINTS) {
+    throw new Error(`Points must be an integer from 1 to ${MAX_SPHERE_POINTS}`);
+  }
+  if (atoms.length === 0) return { total: 0, atoms: [] };
+
+  const radii = atoms.map(atom => getVdwRadius(atom.element) + probeRadius);
+  const neighbors = sphereNeighbors(atoms, radii);
+  const sphere = spherePoints(points);
+
+  const areas = atoms.map((atom, i) => {
+    const list = neighbors[i];
+    // The neighbor that buried the previous point often buries the next
+    let last = 0;
+    let accessible = 0;
+    sphere.forEach(([ux, uy, uz]) => {
+      const x = atom.x + radii[i] * ux;
+      const y = atom.y + radii[i] * uy;
+      const z = atom.z + radii[i] * uz;
+      for (let k = 0; k < list.length; k++) {
+        const index = (last + k) % list.length;
+        const j = list[index];
+        const b = atoms[j];
+        if ((x - b.x) ** 2 + (y - b.y) ** 2 + (z - b.z) ** 2 < radii[j] ** 2) {
+          last = index;
+          return;
+        }
+      }
+      accessible++;
+    });
+    return (4 * Math.PI * radii[i] ** 2 * accessible) / points;
+  });
+
+  return {
+    total: round(areas.reduce((sum, area) => sum + area, 0)),
+    atoms: areas.map(round)
+  };
+}
+
+export default solventAccessibleSurface;
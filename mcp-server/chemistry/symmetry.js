@@ -0,0 +1,509 @@
+/**
+ * Point Group Symmetry
+ * Schoenflies point group of a molecule's 3D structure, detected within a
+ * distance tolerance. The principal moments of inertia sort molecules into
+ * linear molecules, spherical tops (T, O and I groups), symmetric tops
+ * (a unique Cn axis) and asymmetric tops (at most C2 axes); candidate
+ * rotation axes and mirror planes then come from the principal axes and
+ * from pairs of atoms that could be images of each other. An operation is
+ * a symmetry of the molecule when it moves every atom to within
+ * `tolerance` Å of an atom of the same element.
+ *
+ * Alongside the point group come the classes of symmetry-equivalent atoms
+ * and the symmetry elements (rotation axes, mirror planes, inversion
+ * center) through the center of mass, for drawing over the structure.
+ */
+
+import { centerOfMass, principalMoments } from './inertia.js';
+
+export const DEFAULT_TOLERANCE = 0.3;
+
+// Principal moments differing by less than this fraction of their sum are
+// taken as equal
+const MOMENT_TOLERANCE = 0.01;
+
+// Largest finite point group a molecule can have (Ih)
+const MAX_GROUP_ORDER = 120;
+
+// Symmetry elements whose directions differ by less than this (as 1 - |cos|)
+// are the same element
+const DIRECTION_TOLERANCE = 1e-3;
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+const subtract = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+const add = (u, v) => [u[0] + v[0], u[1] + v[1], u[2] + v[2]];
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+const normalize = v => v.map(component => component / norm(v));
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+const INVERSION = [[-1, 0, 0], [0, -1, 0], [0, 0, -1]];
+
+const apply = (matrix, v) => matrix.map(row => dot(row, v));
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+const determinant = m =>
+  m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+  m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+  m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+/**
+ * Rotation by `angle` radians about a unit axis (Rodrigues' formula)
+ */
+function rotation([x, y, z], angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+  return [
+    [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+    [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+    [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+  ];
+}
+
+/**
+ * Reflection through the plane with the given unit normal
+ */
+function reflection(normal) {
+  return [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? 1 : 0) - 2 * normal[i] * normal[j]));
+}
+
+/**
+ * Atoms grouped by element and distance from the center; only atoms of one
+ * group can be images of each other under a symmetry operation
+ */
+function distanceClasses(elements, positions, tolerance) {
+  const order = positions.map((_, index) => index).sort((i, j) => norm(positions[i]) - norm(positions[j]));
+  const classes = [];
+  order.forEach(index => {
+    const distance = norm(positions[index]);
+    // Classes are created in order of distance, so only the last few can match
+    for (let k = classes.length - 1; k >= 0 && classes[k].distance > distance - tolerance; k--) {
+      if (classes[k].element === elements[index]) {
+        classes[k].atoms.push(index);
+        return;
+      }
+    }
+    classes.push({ element: elements[index], distance, atoms: [index] });
+  });
+  return classes;
+}
+
+/**
+ * Detection state: centered positions, distance classes and the symmetry
+ * operations and rotation axes found so far
+ */
+function createContext(atoms, tolerance) {
+  const center = centerOfMass(atoms);
+  const positions = atoms.map(atom => [atom.x - center.x, atom.y - center.y, atom.z - center.z]);
+  const elements = atoms.map(atom => atom.element);
+  const classes = distanceClasses(elements, positions, tolerance);
+  const classOf = [];
+  classes.forEach(({ atoms: members }) => members.forEach(index => (classOf[index] = members)));
+
+  return { center, positions, classes, classOf, tolerance, operations: [], rotations: [] };
+}
+
+/**
+ * The atom each atom moves to under `matrix`, or null when some atom lands
+ * on no atom of its class
+ */
+function imageOf(context, matrix) {
+  const { positions, classOf, tolerance } = context;
+  const permutation = [];
+  for (let i = 0; i < positions.length; i++) {
+    const moved = apply(matrix, positions[i]);
+    const image = classOf[i].find(j => norm(subtract(moved, positions[j])) < tolerance);
+    if (image === undefined) return null;
+    permutation.push(image);
+  }
+  return permutation;
+}
+
+/**
+ * Record `matrix` as a symmetry operation if it is one
+ */
+function tryOperation(context, matrix) {
+  const permutation = imageOf(context, matrix);
+  if (!permutation) return false;
+  context.operations.push({ matrix, permutation });
+  return true;
+}
+
+function tryRotation(context, axis, order) {
+  if (!tryOperation(context, rotation(axis, (2 * Math.PI) / order))) return false;
+  context.rotations.push({ axis, order });
+  return true;
+}
+
+/**
+ * The smallest distance class, ignoring atoms on the given axis
+ */
+function smallestSetOffAxis(context, axis) {
+  const { positions, tolerance } = context;
+  const sets = context.classes
+    .map(({ atoms }) => atoms.filter(index => norm(cross(positions[index], axis)) > tolerance))
+    .filter(set => set.length > 0);
+  return sets.reduce((smallest, set) => (set.length < smallest.length ? set : smallest), sets[0] || []);
+}
+
+/**
+ * Highest order n of a Cn rotation about the axis (1 when there is none).
+ * The order divides the size of every class of atoms off the axis.
+ */
+function rotationOrder(context, axis) {
+  const size = smallestSetOffAxis(context, axis).length;
+  for (let order = size; order >= 2; order--) {
+    if (size % order === 0 && tryRotation(context, axis, order)) return order;
+  }
+  return 1;
+}
+
+/**
+ * Look for a C2 axis perpendicular to the given one; a C2 swapping two
+ * atoms is perpendicular to the line between them
+ */
+function findPerpendicularC2(context, axis) {
+  const { positions, tolerance } = context;
+  const set = smallestSetOffAxis(context, axis);
+  for (let i = 0; i < set.length; i++) {
+    for (let j = i + 1; j < set.length; j++) {
+      const candidate = cross(subtract(positions[set[i]], positions[set[j]]), axis);
+      if (norm(candidate) > tolerance && tryRotation(context, normalize(candidate), 2)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Mirror planes through the center, as candidate unit normals: the
+ * directions between atoms of one class that a mirror could swap
+ */
+function* pairNormals(context) {
+  const { positions, tolerance } = context;
+  for (const { atoms } of context.classes) {
+    for (let i = 0; i < atoms.length; i++) {
+      for (let j = i + 1; j < atoms.length; j++) {
+        const normal = subtract(positions[atoms[i]], positions[atoms[j]]);
+        if (norm(normal) > tolerance) yield normalize(normal);
+      }
+    }
+  }
+}
+
+/**
+ * Mirror plane relative to a main axis: 'h' for one perpendicular to it,
+ * 'v' for one containing it, '' for none
+ */
+function findMirror(context, axis) {
+  if (tryOperation(context, reflection(axis))) return 'h';
+  for (const normal of pairNormals(context)) {
+    // A plane containing the axis has its normal perpendicular to it
+    const along = dot(normal, axis);
+    if (Math.abs(along) < 0.3) {
+      const vertical = normalize(subtract(normal, axis.map(component => along * component)));
+      if (tryOperation(context, reflection(vertical))) return 'v';
+    }
+  }
+  return '';
+}
+
+/**
+ * Whether the molecule has any mirror plane at all
+ */
+function hasAnyMirror(context, principalAxes) {
+  for (const normal of principalAxes) {
+    if (tryOperation(context, reflection(normal))) return true;
+  }
+  for (const normal of pairNormals(context)) {
+    if (tryOperation(context, reflection(normal))) return true;
+  }
+  return false;
+}
+
+function mainRotation(context) {
+  return context.rotations.reduce((main, candidate) => (candidate.order > main.order ? candidate : main));
+}
+
+function noRotationGroup(context, principalAxes) {
+  if (tryOperation(context, INVERSION)) return 'Ci';
+  return hasAnyMirror(context, principalAxes) ? 'Cs' : 'C1';
+}
+
+function cyclicGroup(context) {
+  const { axis, order } = mainRotation(context);
+  const mirror = findMirror(context, axis);
+  if (mirror) return `C${order}${mirror}`;
+  if (tryOperation(context, multiply(reflection(axis), rotation(axis, Math.PI / order)))) return `S${2 * order}`;
+  return `C${order}`;
+}
+
+function dihedralGroup(context) {
+  const { axis, order } = mainRotation(context);
+  const mirror = findMirror(context, axis);
+  if (mirror === 'h') return `D${order}h`;
+  return mirror ? `D${order}d` : `D${order}`;
+}
+
+/**
+ * Asymmetric top: any rotation axes are C2 axes along the principal axes
+ */
+function asymmetricTopGroup(context, principalAxes) {
+  principalAxes.forEach(axis => tryRotation(context, axis, 2));
+  if (context.rotations.length === 0) return noRotationGroup(context, principalAxes);
+  return context.rotations.length === 3 ? dihedralGroup(context) : cyclicGroup(context);
+}
+
+/**
+ * Principal axes of a molecule with accidentally equal moments. The two
+ * axes of the equal moments can point anywhere perpendicular to the unique
+ * one, so they are replaced by a C2 axis in that plane when there is one:
+ * through an atom of the smallest class or the midpoint of two of them.
+ */
+function accidentalAxes(context, principalAxes, uniqueAxis) {
+  const { positions, tolerance } = context;
+  const set = smallestSetOffAxis(context, uniqueAxis);
+  const inPlane = v => subtract(v, uniqueAxis.map(component => dot(v, uniqueAxis) * component));
+  const candidates = set.map(index => positions[index]);
+  for (let i = 0; i < set.length; i++) {
+    for (let j = i + 1; j < set.length; j++) candidates.push(add(positions[set[i]], positions[set[j]]));
+  }
+
+  for (const candidate of candidates.map(inPlane)) {
+    if (norm(candidate) <= tolerance) continue;
+    const axis = normalize(candidate);
+    if (imageOf(context, rotation(axis, Math.PI))) return [axis, cross(uniqueAxis, axis), uniqueAxis];
+  }
+  return principalAxes;
+}
+
+/**
+ * Symmetric top: the principal axis with the distinct moment is the main
+ * rotation axis
+ */
+function symmetricTopGroup(context, principalAxes, uniqueAxis) {
+  if (rotationOrder(context, uniqueAxis) === 1) {
+    // Accidentally equal moments
+    return asymmetricTopGroup(context, accidentalAxes(context, principalAxes, uniqueAxis));
+  }
+  return findPerpendicularC2(context, uniqueAxis) ? dihedralGroup(context) : cyclicGroup(context);
+}
+
+/**
+ * Spherical top: C2 axes through the midpoints of pairs of equivalent
+ * atoms and C3, C4 or C5 axes through the faces of triangles of them
+ */
+function sphericalTopGroup(context, principalAxes) {
+  const { positions, tolerance } = context;
+  const sets = context.classes.filter(({ distance }) => distance > tolerance).map(({ atoms }) => atoms);
+  const set = sets.reduce((smallest, atoms) => (atoms.length < smallest.length ? atoms : smallest), sets[0] || []);
+  const found = new Set();
+
+  search: for (let i = 0; i < set.length; i++) {
+    for (let j = i + 1; j < set.length; j++) {
+      for (let k = j + 1; k < set.length; k++) {
+        const [a, b, c] = [positions[set[i]], positions[set[j]], positions[set[k]]];
+        if (!found.has(2)) {
+          for (const axis of [add(a, b), add(a, c), add(b, c)]) {
+            if (norm(axis) > tolerance && tryRotation(context, normalize(axis), 2)) {
+              found.add(2);
+              break;
+            }
+          }
+        }
+        const normal = cross(subtract(b, a), subtract(c, a));
+        if (norm(normal) > tolerance) {
+          const order = [3, 4, 5].find(n => !found.has(n) && tryRotation(context, normalize(normal), n));
+          if (order) found.add(order);
+        }
+        if (found.has(2) && found.has(3) && (found.has(4) || found.has(5))) break search;
+      }
+    }
+  }
+
+  const highest = context.rotations.length ? mainRotation(context).order : 1;
+  if (highest < 3) {
+    // Accidentally equal moments
+    context.operations = [];
+    context.rotations = [];
+    return asymmetricTopGroup(context, principalAxes);
+  }
+  const inversion = tryOperation(context, INVERSION);
+  if (highest === 3) {
+    if (inversion) return 'Th';
+    return hasAnyMirror(context, principalAxes) ? 'Td' : 'T';
+  }
+  if (highest === 4) return inversion ? 'Oh' : 'O';
+  return inversion ? 'Ih' : 'I';
+}
+
+/**
+ * All operations of the group generated by the ones found, as matrices;
+ * products that agree within rounding are the same operation
+ */
+function groupClosure(generators) {
+  const same = (a, b) => a.every((row, i) => row.every((value, j) => Math.abs(value - b[i][j]) < 0.05));
+  const group = [IDENTITY];
+  for (let index = 0; index < group.length && group.length <= MAX_GROUP_ORDER; index++) {
+    generators.forEach(generator => {
+      const product = multiply(generator, group[index]);
+      if (!group.some(member => same(member, product))) group.push(product);
+    });
+  }
+  return group;
+}
+
+/**
+ * Unit vector with its first sizable component positive, so that both
+ * directions of an axis or plane normal are reported the same way
+ */
+function canonicalDirection(v) {
+  const unit = normalize(v);
+  const leading = unit.find(component => Math.abs(component) > 1e-6);
+  return leading < 0 ? unit.map(component => -component) : unit;
+}
+
+/**
+ * Proper rotation axes (highest order per axis), mirror plane normals and
+ * whether there is an inversion center, from the operations of the group
+ */
+function symmetryElements(operations) {
+  const axes = [];
+  const planes = [];
+  let inversion = false;
+
+  const sameDirection = (u, v) => 1 - Math.abs(dot(u, v)) < DIRECTION_TOLERANCE;
+  const rotationAxis = m => {
+    const angle = Math.acos(Math.max(-1, Math.min(1, (m[0][0] + m[1][1] + m[2][2] - 1) / 2)));
+    if (angle < 0.1) return null;
+    if (Math.PI - angle > 0.1) {
+      return { angle, axis: canonicalDirection([m[2][1] - m[1][2], m[0][2] - m[2][0], m[1][0] - m[0][1]]) };
+    }
+    // Half turn: the axis is any nonzero column of m + I
+    const columns = [0, 1, 2].map(j => [0, 1, 2].map(i => m[i][j] + (i === j ? 1 : 0)));
+    const column = columns.reduce((best, candidate) => (norm(candidate) > norm(best) ? candidate : best));
+    return { angle, axis: canonicalDirection(column) };
+  };
+
+  operations.forEach(matrix => {
+    if (determinant(matrix) > 0) {
+      const proper = rotationAxis(matrix);
+      if (!proper) return;
+      const order = Math.round((2 * Math.PI) / proper.angle);
+      const existing = axes.find(({ vector }) => sameDirection(vector, proper.axis));
+      if (!existing) axes.push({ order, vector: proper.axis });
+      else existing.order = Math.max(existing.order, order);
+      return;
+    }
+
+    // An improper operation is -1 times a rotation: a mirror plane when
+    // that is a half turn about the plane normal, inversion for no turn
+    const proper = rotationAxis(matrix.map(row => row.map(value => -value)));
+    if (!proper) {
+      inversion = true;
+    } else if (Math.PI - proper.angle < 0.1 && !planes.some(normal => sameDirection(normal, proper.axis))) {
+      planes.push(proper.axis);
+    }
+  });
+
+  axes.sort((a, b) => b.order - a.order);
+  return {
+    axes: axes.map(({ order, vector }) => ({ order, vector: vector.map(round) })),
+    mirror_planes: planes.map(normal => ({ normal: normal.map(round) })),
+    inversion
+  };
+}
+
+/**
+ * Classes of atoms that the operations map onto each other, each sorted,
+ * in order of their first atom
+ */
+function equivalenceClasses(count, operations) {
+  const parent = Array.from({ length: count }, (_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  operations.forEach(({ permutation }) =>
+    permutation.forEach((image, index) => {
+      const [a, b] = [find(index), find(image)];
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    })
+  );
+
+  const classes = new Map();
+  for (let index = 0; index < count; index++) {
+    const root = find(index);
+    if (!classes.has(root)) classes.set(root, []);
+    classes.get(root).push(index);
+  }
+  return [...classes.values()];
+}
+
+/**
+ * Point group of a molecule with its symmetry-equivalent atoms and
+ * symmetry elements:
+ * { point_group, equivalent_atoms, elements: { center, axes, mirror_planes,
+ * inversion } }
+ * `point_group` is a Schoenflies symbol such as 'C2v', 'D6h', 'Td' or
+ * 'D∞h' ('Kh' for a single atom). Axes are { order, vector } unit vectors
+ * through `center`, the center of mass, with the highest order first
+ * (order null for the C∞ axis of a linear molecule); mirror planes are
+ * { normal }. Linear molecules list only their σh plane, not their
+ * infinitely many σv planes.
+ * Options: tolerance - largest distance in Angstrom between an atom's image
+ * and the atom it lands on (default 0.3)
+ */
+export function findPointGroup({ atoms }, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (!Number.isFinite(tolerance) || tolerance <= 0) {
+    throw new Error('Tolerance must be a positive number');
+  }
+  if (atoms.length === 0) throw new Error('Molecule has no atoms');
+
+  const context = createContext(atoms, tolerance);
+  const center = { x: round(context.center.x), y: round(context.center.y), z: round(context.center.z) };
+
+  if (atoms.length === 1) {
+    return {
+      point_group: 'Kh',
+      equivalent_atoms: [[0]],
+      elements: { center, axes: [], mirror_planes: [], inversion: true }
+    };
+  }
+
+  const { moments, axes: principalAxes } = principalMoments(atoms);
+  const total = moments[0] + moments[1] + moments[2];
+  const [a, b, c] = moments.map(moment => moment / total);
+  const equal = (x, y) => Math.abs(x - y) < MOMENT_TOLERANCE;
+
+  if (a < MOMENT_TOLERANCE ** 2) {
+    // Linear: the axis of the smallest moment runs through every atom
+    const axis = canonicalDirection(principalAxes[0]);
+    const centrosymmetric = tryOperation(context, INVERSION);
+    return {
+      point_group: centrosymmetric ? 'D∞h' : 'C∞v',
+      equivalent_atoms: equivalenceClasses(atoms.length, context.operations),
+      elements: {
+        center,
+        axes: [{ order: null, vector: axis.map(round) }],
+        mirror_planes: centrosymmetric ? [{ normal: axis.map(round) }] : [],
+        inversion: centrosymmetric
+      }
+    };
+  }
+
+  let pointGroup;
+  if (equal(a, b) && equal(b, c)) {
+    pointGroup = sphericalTopGroup(context, principalAxes);
+  } else if (equal(a, b) || equal(b, c)) {
+    pointGroup = symmetricTopGroup(context, principalAxes, equal(a, b) ? principalAxes[2] : principalAxes[0]);
+  } else {
+    pointGroup = asymmetricTopGroup(context, principalAxes);
+  }
+
+  return {
+    point_group: pointGroup,
+    equivalent_atoms: equivalenceClasses(atoms.length, context.operations),
+    elements: { center, ...symmetryElements(groupClosure(context.operations.map(({ matrix }) => matrix))) }
+  };
+}
+
+export default findPointGroup;
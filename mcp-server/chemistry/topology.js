@@ -0,0 +1,127 @@
+/**
+ * Molecular Topology
+ * Graph properties of a molecule's bond table: its smallest set of
+ * smallest rings (rings.js), ring membership per atom, ring systems,
+ * rotatable bonds, connected components and atom degrees.
+ *
+ * Rings that share an atom belong to one ring system, so fused, bridged
+ * and spiro rings are grouped together. A ring is aromatic when Hückel
+ * perception (bond-orders.js) finds all its bonds aromatic, whether the
+ * molecule is stored in aromatic or Kekulé form.
+ *
+ * A bond is rotatable when it is a single, non-aromatic bond outside any
+ * ring between two atoms that are not hydrogens, that each have another
+ * heavy-atom neighbor, and that have no triple bond (rotating next to a
+ * linear group changes nothing).
+ */
+
+import { smallestSetOfSmallestRings, findAcyclicBonds } from './rings.js';
+import { perceiveAromaticity } from './bond-orders.js';
+
+const bondKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+/**
+ * Indices of the aromatic bonds; the stored flags when the aromatic bonds
+ * admit no Kekulé structure to perceive from
+ */
+function aromaticBonds(molecule) {
+  try {
+    return new Set(perceiveAromaticity(molecule).bonds);
+  } catch {
+    return new Set(molecule.bonds.flatMap(({ aromatic }, index) => (aromatic ? [index] : [])));
+  }
+}
+
+/**
+ * Groups of indices joined by `links` ([a, b] pairs), each sorted, in
+ * order of their first index
+ */
+function connectedGroups(count, links) {
+  const parent = Array.from({ length: count }, (_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  links.forEach(([a, b]) => {
+    const [rootA, rootB] = [find(a), find(b)];
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  });
+
+  const groups = new Map();
+  for (let index = 0; index < count; index++) {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Topology of a molecule:
+ * { rings, ring_systems, atom_rings, rotatable_bonds, components, degrees }
+ * rings: [{ size, atoms, bonds, aromatic }] - the SSSR, smallest first,
+ * atoms in ring order and the ring's bond indices. ring_systems:
+ * [{ rings, atoms }] - ring indices and sorted atom indices of each ring
+ * system. atom_rings: per atom, the indices of the rings containing it.
+ * rotatable_bonds: bond indices. components: sorted atom indices of each
+ * connected fragment. degrees: per atom, the number of bonded neighbors.
+ */
+export function analyzeTopology({ atoms, bonds = [] }) {
+  const aromatic = aromaticBonds({ atoms, bonds });
+  const bondIndex = new Map(bonds.map(({ from, to }, index) => [bondKey(from, to), index]));
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(({ from, to }) => {
+    neighbors[from].push(to);
+    neighbors[to].push(from);
+  });
+
+  const rings = smallestSetOfSmallestRings(atoms.length, bonds).map(ringAtoms => {
+    const ringBonds = ringAtoms.map((atom, position) =>
+      bondIndex.get(bondKey(atom, ringAtoms[(position + 1) % ringAtoms.length]))
+    );
+    return {
+      size: ringAtoms.length,
+      atoms: ringAtoms,
+      bonds: ringBonds,
+      aromatic: ringBonds.every(index => aromatic.has(index))
+    };
+  });
+
+  const atomRings = atoms.map(() => []);
+  rings.forEach((ring, ringIndex) => ring.atoms.forEach(atom => atomRings[atom].push(ringIndex)));
+
+  // Rings sharing an atom are linked into one system
+  const ringLinks = atomRings.flatMap(memberships => memberships.slice(1).map(ringIndex => [memberships[0], ringIndex]));
+  const ringSystems = connectedGroups(rings.length, ringLinks).map(systemRings => ({
+    rings: systemRings,
+    atoms: [...new Set(systemRings.flatMap(ringIndex => rings[ringIndex].atoms))].sort((a, b) => a - b)
+  }));
+
+  const acyclic = findAcyclicBonds(atoms.length, bonds);
+  const isHydrogen = index => atoms[index].element === 'H';
+  const heavyDegree = index => neighbors[index].filter(neighbor => !isHydrogen(neighbor)).length;
+  const hasTripleBond = new Set(bonds.filter(({ order }) => order === 3).flatMap(({ from, to }) => [from, to]));
+  const rotatableBonds = bonds
+    .map((bond, index) => ({ ...bond, index }))
+    .filter(({ from, to, order = 1, index }) =>
+      order === 1 &&
+      !aromatic.has(index) &&
+      acyclic.has(index) &&
+      [from, to].every(atom => !isHydrogen(atom) && heavyDegree(atom) > 1 && !hasTripleBond.has(atom))
+    )
+    .map(({ index }) => index);
+
+  return {
+    rings,
+    ring_systems: ringSystems,
+    atom_rings: atomRings,
+    rotatable_bonds: rotatableBonds,
+    components: connectedGroups(atoms.length, bonds.map(({ from, to }) => [from, to])),
+    degrees: neighbors.map(list => list.length)
+  };
+}
+
+export default analyzeTopology;
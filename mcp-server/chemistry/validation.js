@@ -0,0 +1,170 @@
+/**
+ * Structure Validation
+ * Checks a molecule's atoms and bonds and reports every problem as an
+ * issue: { severity, code, atoms, bonds, message }, where severity is
+ * 'error' (the structure cannot be stored) or 'warning', and atoms and
+ * bonds are the indices involved.
+ *
+ * Errors: no atoms, unknown element symbols, missing or non-finite
+ * coordinates, bonds to missing atoms, bonds from an atom to itself,
+ * repeated bonds, bond orders other than 1, 1.5, 2, 3 and 4, overlapping
+ * atoms, and valences that no H, B, C, N, O or F atom can have.
+ * Warnings: valences above the normal ones of heavier elements, which
+ * hypervalent compounds (ClO4-, IF7) legitimately exceed.
+ */
+
+import { isElement, getValences } from './elements.js';
+
+const BOND_ORDERS = new Set([1, 1.5, 2, 3, 4]);
+
+// Closer atoms occupy the same place (bond perception uses the same limit)
+const OVERLAP_DISTANCE = 0.4;
+
+// Elements without d orbitals cannot exceed their normal valence
+const STRICT_VALENCE_ELEMENTS = new Set(['H', 'B', 'C', 'N', 'O', 'F']);
+
+const issue = (severity, code, message, { atoms = [], bonds = [] } = {}) => ({ severity, code, atoms, bonds, message });
+
+function checkAtoms(atoms, issues) {
+  atoms.forEach((atom, index) => {
+    if (!isElement(atom.element)) {
+      issues.push(issue('error', 'UNKNOWN_ELEMENT', `Unknown element "${atom.element}" at atom ${index}`, { atoms: [index] }));
+    }
+    if (![atom.x, atom.y, atom.z].every(Number.isFinite)) {
+      issues.push(issue('error', 'INVALID_COORDINATES', `Atom ${index} has no valid coordinates`, { atoms: [index] }));
+    }
+  });
+}
+
+/**
+ * Check bond references and orders; returns the bonds that are sound
+ * enough for the valence check
+ */
+function checkBonds(atoms, bonds, issues) {
+  const seen = new Map();
+  const valid = [];
+
+  bonds.forEach((bond, index) => {
+    const { from, to, order } = bond;
+    const missing = [from, to].filter(atom => !Number.isInteger(atom) || atom < 0 || atom >= atoms.length);
+    if (missing.length > 0) {
+      missing.forEach(atom => issues.push(issue('error', 'MISSING_ATOM', `Bond ${index} refers to missing atom ${atom}`, {
+        atoms: [from, to].filter(other => !missing.includes(other)),
+        bonds: [index]
+      })));
+      return;
+    }
+    if (from === to) {
+      issues.push(issue('error', 'SELF_BOND', `Bond ${index} connects atom ${from} to itself`, { atoms: [from], bonds: [index] }));
+      return;
+    }
+
+    const key = from < to ? `${from},${to}` : `${to},${from}`;
+    if (seen.has(key)) {
+      issues.push(issue('error', 'DUPLICATE_BOND', `Bond ${index} repeats bond ${seen.get(key)} between atoms ${from} and ${to}`, {
+        atoms: [from, to],
+        bonds: [seen.get(key), index]
+      }));
+      return;
+    }
+    seen.set(key, index);
+
+    if (!BOND_ORDERS.has(order ?? 1)) {
+      issues.push(issue('error', 'INVALID_BOND_ORDER', `Bond ${index} has invalid order ${order}`, { atoms: [from, to], bonds: [index] }));
+      return;
+    }
+    valid.push(bond);
+  });
+  return valid;
+}
+
+/**
+ * Report atoms closer than OVERLAP_DISTANCE, comparing neighboring cells
+ * of a spatial grid only. Alternate locations of one site do not overlap.
+ */
+function checkOverlaps(atoms, issues) {
+  const placed = atoms
+    .map((atom, index) => index)
+    .filter(index => [atoms[index].x, atoms[index].y, atoms[index].z].every(Number.isFinite));
+  const cellOf = ({ x, y, z }) => [x, y, z].map(value => Math.floor(value / OVERLAP_DISTANCE));
+
+  const grid = new Map();
+  placed.forEach(index => {
+    const key = cellOf(atoms[index]).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  placed.forEach(i => {
+    const a = atoms[i];
+    const [cx, cy, cz] = cellOf(a);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(j => {
+            const b = atoms[j];
+            if (j <= i || (a.altLoc && b.altLoc && a.altLoc !== b.altLoc)) return;
+
+            const distance = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+            if (distance < OVERLAP_DISTANCE) {
+              issues.push(issue('error', 'OVERLAPPING_ATOMS', `Atoms ${i} and ${j} overlap (${distance.toFixed(2)} Å apart)`, { atoms: [i, j] }));
+            }
+          });
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Compare each atom's bond order sum with its largest normal valence,
+ * allowing one more bond per unit of formal charge. Aromatic bonds count
+ * as single bonds, so only localized bonds can exceed a valence.
+ */
+function checkValences(atoms, bonds, issues) {
+  const sums = atoms.map(() => 0);
+  const bondsOf = atoms.map(() => []);
+  bonds.forEach(({ from, to, order = 1, aromatic }, index) => {
+    const value = aromatic || order === 1.5 ? 1 : order;
+    sums[from] += value;
+    sums[to] += value;
+    bondsOf[from].push(index);
+    bondsOf[to].push(index);
+  });
+
+  atoms.forEach((atom, index) => {
+    const valences = atom.element === 'H' ? [1] : getValences(atom.element);
+    if (!valences) return;
+
+    const limit = Math.max(...valences) + Math.abs(atom.formalCharge || 0);
+    if (sums[index] > limit) {
+      const severity = STRICT_VALENCE_ELEMENTS.has(atom.element) ? 'error' : 'warning';
+      issues.push(issue(severity, 'VALENCE_EXCEEDED', `Atom ${index} (${atom.element}) has valence ${sums[index]}, more than ${limit}`, {
+        atoms: [index],
+        bonds: bondsOf[index]
+      }));
+    }
+  });
+}
+
+/**
+ * Validate a molecule's atoms (with x, y, z coordinates) and bonds
+ * Returns the list of issues, empty for a sound structure.
+ */
+export function validateMolecule({ atoms = [], bonds = [] }) {
+  const issues = [];
+  if (atoms.length === 0) {
+    issues.push(issue('error', 'EMPTY_MOLECULE', 'Molecule has no atoms'));
+    return issues;
+  }
+
+  checkAtoms(atoms, issues);
+  const sound = checkBonds(atoms, bonds, issues);
+  checkOverlaps(atoms, issues);
+  checkValences(atoms, sound, issues);
+  return issues;
+}
+
+export const hasErrors = issues => issues.some(({ severity }) => severity === 'error');
+
+export default validateMolecule;
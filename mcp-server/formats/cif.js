@@ -0,0 +1,442 @@
+/**
+ * mmCIF / PDBx and Small-Molecule CIF Reader
+ * Reads _atom_site coordinates (Cartesian for mmCIF, fractional for
+ * small-molecule CIF), _struct_conn and _geom_bond bonds, and stores
+ * _cell / _symmetry data in molecule metadata.
+ *
+ * Each data block with atoms becomes one molecule. Only the first model of
+ * an mmCIF ensemble is read.
+ */
+
+import { normalizeElement } from '../chemistry/elements.js';
+
+const BOND_ORDERS = { sing: 1, doub: 2, trip: 3, quad: 3, arom: 1.5 };
+
+/**
+ * Split CIF text into tokens, handling quoted strings, semicolon text
+ * fields and comments
+ */
+function tokenize(text) {
+  const lines = String(text).split(/\r?\n/);
+  const tokens = [];
+  const pattern = /'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(#.*$)|(\S+)/g;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith(';')) {
+      const field = [line.substring(1)];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(';')) {
+        field.push(lines[i]);
+        i++;
+      }
+      tokens.push({ value: field.join('\n').trim(), quoted: true });
+      continue;
+    }
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      if (match[3] !== undefined) break;
+      if (match[4] !== undefined) {
+        tokens.push({ value: match[4], quoted: false });
+      } else {
+        tokens.push({ value: match[1] !== undefined ? match[1] : match[2], quoted: true });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Normalize a tag so mmCIF (_cell.length_a) and core CIF (_cell_length_a)
+ * spellings compare equal
+ */
+function normalizeTag(tag) {
+  return tag.toLowerCase().replace('.', '_');
+}
+
+/**
+ * Parse tokens into data blocks mapping tags to value columns
+ */
+function parseBlocks(tokens) {
+  const blocks = [];
+  let block = null;
+  let i = 0;
+
+  const ensureBlock = () => {
+    if (!block) {
+      block = { name: '', items: new Map() };
+      blocks.push(block);
+    }
+    return block;
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const lower = token.value.toLowerCase();
+
+    if (!token.quoted && lower.startsWith('data_')) {
+      block = { name: token.value.substring(5), items: new Map() };
+      blocks.push(block);
+      i++;
+    } else if (!token.quoted && lower === 'loop_') {
+      const current = ensureBlock();
+      const tags = [];
+      i++;
+      while (i < tokens.length && !tokens[i].quoted && tokens[i].value.startsWith('_')) {
+        tags.push(normalizeTag(tokens[i].value));
+        i++;
+      }
+
+      const columns = tags.map(() => []);
+      let column = 0;
+      while (i < tokens.length) {
+        const next = tokens[i];
+        const nextLower = next.value.toLowerCase();
+        if (!next.quoted && (next.value.startsWith('_') || nextLower === 'loop_' ||
+            nextLower.startsWith('data_') || nextLower.startsWith('save_'))) {
+          break;
+        }
+        columns[column].push(next.value);
+        column = (column + 1) % tags.length;
+        i++;
+      }
+      tags.forEach((tag, index) => current.items.set(tag, columns[index]));
+    } else if (!token.quoted && token.value.startsWith('_')) {
+      const value = tokens[i + 1];
+      ensureBlock().items.set(normalizeTag(token.value), value ? [value.value] : []);
+      i += 2;
+    } else {
+      // save_ frames and stray values are not used
+      i++;
+    }
+  }
+
+  return blocks;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '.' || value === '?';
+}
+
+/**
+ * Parse a CIF number, dropping standard uncertainties such as "1.234(5)"
+ */
+function parseNumber(value) {
+  if (isMissing(value)) return null;
+  const number = parseFloat(String(value).replace(/\(\d+\)$/, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function getValue(block, tag) {
+  const column = block.items.get(tag);
+  if (!column || isMissing(column[0])) return undefined;
+  return column[0];
+}
+
+function getFirstValue(block, tags) {
+  for (const tag of tags) {
+    const value = getValue(block, tag);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function readCell(block) {
+  const lengths = ['a', 'b', 'c'].map(axis => parseNumber(getValue(block, `_cell_length_${axis}`)));
+  const angles = ['alpha', 'beta', 'gamma'].map(angle => parseNumber(getValue(block, `_cell_angle_${angle}`)));
+  if (lengths.some(value => value === null)) return null;
+
+  const cell = {
+    a: lengths[0],
+    b: lengths[1],
+    c: lengths[2],
+    alpha: angles[0] ?? 90,
+    beta: angles[1] ?? 90,
+    gamma: angles[2] ?? 90
+  };
+  const volume = parseNumber(getValue(block, '_cell_volume'));
+  if (volume !== null) cell.volume = volume;
+  const z = parseNumber(getValue(block, '_cell_formula_units_z'));
+  if (z !== null) cell.formulaUnits = z;
+  return cell;
+}
+
+function readSymmetry(block) {
+  const symmetry = {};
+
+  const spaceGroup = getFirstValue(block, [
+    '_symmetry_space_group_name_h-m',
+    '_space_group_name_h-m_alt',
+    '_symmetry_space_group_name_hall',
+    '_space_group_name_hall'
+  ]);
+  if (spaceGroup) symmetry.spaceGroup = spaceGroup.trim();
+
+  const number = parseNumber(getFirstValue(block, ['_symmetry_int_tables_number', '_space_group_it_number']));
+  if (number !== null) symmetry.spaceGroupNumber = number;
+
+  const crystalSystem = getFirstValue(block, ['_symmetry_cell_setting', '_space_group_crystal_system']);
+  if (crystalSystem) symmetry.crystalSystem = crystalSystem;
+
+  const operations = block.items.get('_symmetry_equiv_pos_as_xyz') ||
+    block.items.get('_space_group_symop_operation_xyz');
+  if (operations && operations.length > 0) symmetry.operations = operations.slice();
+
+  return Object.keys(symmetry).length > 0 ? symmetry : null;
+}
+
+/**
+ * Matrix converting fractional to Cartesian coordinates (a along x, b in
+ * the xy plane)
+ */
+function fractionalToCartesian(cell) {
+  const rad = Math.PI / 180;
+  const [alpha, beta, gamma] = [cell.alpha * rad, cell.beta * rad, cell.gamma * rad];
+  const cosAlpha = Math.cos(alpha);
+  const cosBeta = Math.cos(beta);
+  const cosGamma = Math.cos(gamma);
+  const sinGamma = Math.sin(gamma);
+  const volumeFactor = Math.sqrt(
+    1 - cosAlpha ** 2 - cosBeta ** 2 - cosGamma ** 2 + 2 * cosAlpha * cosBeta * cosGamma
+  );
+
+  return ({ u, v, w }) => ({
+    x: cell.a * u + cell.b * cosGamma * v + cell.c * cosBeta * w,
+    y: cell.b * sinGamma * v + cell.c * ((cosAlpha - cosBeta * cosGamma) / sinGamma) * w,
+    z: cell.c * (volumeFactor / sinGamma) * w
+  });
+}
+
+/**
+ * Read the _atom_site loop as column accessors
+ */
+function atomSiteColumns(block) {
+  const column = (name) => block.items.get(`_atom_site_${name}`);
+  const count = Math.max(0, ...Array.from(block.items.entries())
+    .filter(([tag]) => tag.startsWith('_atom_site_') && !tag.startsWith('_atom_site_aniso'))
+    .map(([, values]) => values.length));
+
+  return {
+    count,
+    get: (name, row) => {
+      const values = column(name);
+      return values && !isMissing(values[row]) ? values[row] : undefined;
+    },
+    has: (name) => Boolean(column(name))
+  };
+}
+
+function parseElement(symbol, label) {
+  // Type symbols may carry oxidation states ("Fe3+") and labels site numbers ("C12A")
+  const source = symbol || label || '';
+  const letters = source.replace(/[^A-Za-z].*$/, '');
+  const element = normalizeElement(letters) || normalizeElement(letters.substring(0, 1));
+  if (!element) {
+    throw new Error(`Unknown element for atom site "${label || symbol}"`);
+  }
+  return element;
+}
+
+function parseFormalCharge(value) {
+  if (isMissing(value)) return 0;
+  const charge = parseInt(value, 10);
+  return Number.isFinite(charge) ? charge : 0;
+}
+
+/**
+ * Build atoms from _atom_site, keeping the first model and the highest
+ * occupancy alternate location
+ */
+function readAtoms(block, cell) {
+  const sites = atomSiteColumns(block);
+  const atoms = [];
+  const altLocIndex = new Map();
+  const siteIndex = new Map();
+  const labelIndex = new Map();
+  const toCartesian = cell ? fractionalToCartesian(cell) : null;
+  let firstModel;
+
+  for (let row = 0; row < sites.count; row++) {
+    const model = sites.get('pdbx_pdb_model_num', row);
+    if (model !== undefined) {
+      if (firstModel === undefined) firstModel = model;
+      if (model !== firstModel) continue;
+    }
+
+    let x = parseNumber(sites.get('cartn_x', row));
+    let y = parseNumber(sites.get('cartn_y', row));
+    let z = parseNumber(sites.get('cartn_z', row));
+
+    if (x === null && sites.has('fract_x')) {
+      if (!toCartesian) {
+        throw new Error('Fractional coordinates require _cell lengths and angles');
+      }
+      ({ x, y, z } = toCartesian({
+        u: parseNumber(sites.get('fract_x', row)),
+        v: parseNumber(sites.get('fract_y', row)),
+        w: parseNumber(sites.get('fract_z', row))
+      }));
+    }
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error(`Atom site ${row + 1} has no usable coordinates`);
+    }
+
+    const label = sites.get('label', row) || sites.get('label_atom_id', row);
+    const atom = {
+      element: parseElement(sites.get('type_symbol', row), label),
+      x,
+      y,
+      z
+    };
+
+    const serial = sites.get('id', row);
+    if (serial !== undefined) atom.serial = parseInt(serial, 10);
+    if (label !== undefined) atom.name = sites.get('auth_atom_id', row) || label;
+
+    const residue = sites.get('auth_comp_id', row) || sites.get('label_comp_id', row);
+    if (residue !== undefined) atom.residue = residue;
+    const residueSeq = sites.get('auth_seq_id', row) || sites.get('label_seq_id', row);
+    if (residueSeq !== undefined) atom.residueSeq = parseInt(residueSeq, 10);
+    const chain = sites.get('auth_asym_id', row) || sites.get('label_asym_id', row);
+    if (chain !== undefined) atom.chain = chain;
+    const group = sites.get('group_pdb', row);
+    if (group !== undefined) atom.hetero = group === 'HETATM';
+
+    const occupancy = parseNumber(sites.get('occupancy', row));
+    if (occupancy !== null) atom.occupancy = occupancy;
+    const bFactor = parseNumber(sites.get('b_iso_or_equiv', row));
+    if (bFactor !== null) atom.bFactor = bFactor;
+    const formalCharge = parseFormalCharge(sites.get('pdbx_formal_charge', row));
+    if (formalCharge) atom.formalCharge = formalCharge;
+
+    const altLoc = sites.get('label_alt_id', row) || sites.get('disorder_group', row);
+    const structKey = [
+      sites.get('label_asym_id', row),
+      sites.get('label_seq_id', row),
+      sites.get('label_atom_id', row) || label
+    ].join('|');
+
+    if (altLoc !== undefined) {
+      atom.altLoc = altLoc;
+      const keptIndex = altLocIndex.get(structKey);
+      if (keptIndex !== undefined) {
+        siteIndex.set(`${structKey}|${altLoc}`, keptIndex);
+        if ((atom.occupancy ?? 1) > (atoms[keptIndex].occupancy ?? 1)) {
+          atoms[keptIndex] = atom;
+        }
+        continue;
+      }
+      altLocIndex.set(structKey, atoms.length);
+      siteIndex.set(`${structKey}|${altLoc}`, atoms.length);
+    }
+
+    siteIndex.set(structKey, atoms.length);
+    if (label !== undefined) labelIndex.set(label, atoms.length);
+    atoms.push(atom);
+  }
+
+  return { atoms, siteIndex, labelIndex };
+}
+
+function addBond(bonds, from, to, order) {
+  if (from === undefined || to === undefined || from === to) return;
+  const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+  if (bonds.has(key)) return;
+
+  const bond = { from: Math.min(from, to), to: Math.max(from, to), order: order || 1 };
+  if (order === 1.5) bond.aromatic = true;
+  bonds.set(key, bond);
+}
+
+/**
+ * Read covalent bonds from _struct_conn (mmCIF) and _geom_bond (core CIF)
+ * Hydrogen bonds in _struct_conn are skipped.
+ */
+function readBonds(block, siteIndex, labelIndex) {
+  const bonds = new Map();
+
+  const conn = (name) => block.items.get(`_struct_conn_${name}`) || [];
+  const connTypes = conn('conn_type_id');
+  connTypes.forEach((type, row) => {
+    if (String(type).toLowerCase().startsWith('hydrog')) return;
+
+    const lookup = (partner) => {
+      const key = [
+        conn(`${partner}_label_asym_id`)[row],
+        conn(`${partner}_label_seq_id`)[row],
+        conn(`${partner}_label_atom_id`)[row]
+      ].join('|');
+      const altLoc = conn(`pdbx_${partner}_label_alt_id`)[row];
+      if (!isMissing(altLoc) && siteIndex.has(`${key}|${altLoc}`)) {
+        return siteIndex.get(`${key}|${altLoc}`);
+      }
+      return siteIndex.get(key);
+    };
+
+    const order = BOND_ORDERS[String(conn('pdbx_value_order')[row]).toLowerCase()];
+    addBond(bonds, lookup('ptnr1'), lookup('ptnr2'), order);
+  });
+
+  const geomFirst = block.items.get('_geom_bond_atom_site_label_1') || [];
+  const geomSecond = block.items.get('_geom_bond_atom_site_label_2') || [];
+  geomFirst.forEach((label, row) => {
+    addBond(bonds, labelIndex.get(label), labelIndex.get(geomSecond[row]), 1);
+  });
+
+  return Array.from(bonds.values());
+}
+
+function readName(block) {
+  return getFirstValue(block, [
+    '_struct_title',
+    '_chemical_name_common',
+    '_chemical_name_systematic',
+    '_entry_id'
+  ]) || block.name;
+}
+
+/**
+ * Parse CIF or mmCIF text into an array of molecules, one per data block
+ */
+export function parseCIF(text, options = {}) {
+  const blocks = parseBlocks(tokenize(text));
+  const molecules = [];
+
+  blocks.forEach(block => {
+    if (atomSiteColumns(block).count === 0) return;
+
+    const cell = readCell(block);
+    const symmetry = readSymmetry(block);
+    const { atoms, siteIndex, labelIndex } = readAtoms(block, cell);
+    if (atoms.length === 0) return;
+
+    const metadata = { format: 'cif', dataBlock: block.name };
+    const entryId = getValue(block, '_entry_id');
+    if (entryId) metadata.idCode = entryId;
+    if (cell) metadata.cell = cell;
+    if (symmetry) {
+      metadata.symmetry = symmetry;
+      if (symmetry.spaceGroup) metadata.spaceGroup = symmetry.spaceGroup;
+    }
+    const chains = Array.from(new Set(atoms.map(atom => atom.chain).filter(Boolean)));
+    if (chains.length > 0) metadata.chains = chains;
+
+    molecules.push({
+      name: options.name || readName(block) || 'Imported structure',
+      atoms,
+      bonds: readBonds(block, siteIndex, labelIndex),
+      metadata
+    });
+  });
+
+  if (molecules.length === 0) {
+    throw new Error('CIF file contains no _atom_site records');
+  }
+  return molecules;
+}
+
+export default parseCIF;
@@ -0,0 +1,175 @@
+/**
+ * Molecule File Format Registry
+ * Maps format identifiers (as used by the GraphQL MoleculeFormat enum) to
+ * readers and writers
+ *
+ * Readers return a molecule ({ name, atoms, bonds, metadata }) or, for
+ * multi-record formats, an array of molecules. Multi-frame formats add a
+ * `frames` array of trajectory frames to the molecule.
+ *
+ * Structures read without a bond table get bonds perceived from their
+ * coordinates. Formats flagged `partialBonds` (PDB/CIF, where CONECT or
+ * _struct_conn usually cover only some atoms) also get bonds for atoms the
+ * file left unconnected.
+ *
+ * Reactions (reactants, agents and products, each a molecule) have their
+ * own readers in `reactionFormats`; parseReaction pairs the atoms that
+ * share an atom-atom mapping number.
+ *
+ * Extension point: register additional formats in the `formats` table
+ */
+
+import { parsePDB } from './pdb.js';
+import { parseCIF } from './cif.js';
+import { parseSDF, writeSDF } from './sdf.js';
+import { parseMOL2, writeMOL2 } from './mol2.js';
+import { parseXYZ } from './xyz.js';
+import { parseSMILESFile, writeSMILESFile, parseReactionSMILES } from './smiles.js';
+import { parseRXN } from './rxn.js';
+import { completeBonds } from '../chemistry/bonding.js';
+
+const formats = {
+  pdb: { read: parsePDB, partialBonds: true },
+  cif: { read: parseCIF, partialBonds: true },
+  mmcif: { read: parseCIF, partialBonds: true },
+  sdf: { read: parseSDF, write: writeSDF },
+  mol: { read: parseSDF, write: writeSDF },
+  mol2: { read: parseMOL2, write: writeMOL2 },
+  xyz: { read: parseXYZ },
+  extxyz: { read: parseXYZ },
+  smiles: { read: parseSMILESFile, write: writeSMILESFile },
+  smi: { read: parseSMILESFile, write: writeSMILESFile }
+};
+
+const reactionFormats = {
+  rxn: parseRXN,
+  smiles: parseReactionSMILES,
+  smi: parseReactionSMILES,
+  rsmi: parseReactionSMILES
+};
+
+export const SUPPORTED_FORMATS = Object.keys(formats);
+
+export const REACTION_FORMATS = Object.keys(reactionFormats);
+
+export const WRITABLE_FORMATS = SUPPORTED_FORMATS.filter(format => formats[format].write);
+
+/**
+ * Normalize a format identifier ('PDB', '.pdb', 'pdb') to its registry key
+ */
+export function normalizeFormat(format) {
+  return String(format || '').trim().toLowerCase().replace(/^\./, '');
+}
+
+function getFormat(format) {
+  const entry = formats[normalizeFormat(format)];
+  if (!entry) {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+  return entry;
+}
+
+/**
+ * Parse structure file contents into an array of molecules
+ * Pass `perceiveBonds: false` to keep the bond table exactly as read.
+ */
+export function parseMolecules(text, format, options = {}) {
+  const { read, partialBonds = false } = getFormat(format);
+  const { perceiveBonds = true, tolerance, ...readOptions } = options;
+  if (!text || !String(text).trim()) {
+    throw new Error('File contents are empty');
+  }
+  const result = read(text, readOptions);
+  const molecules = Array.isArray(result) ? result : [result];
+  if (!perceiveBonds) return molecules;
+  return molecules.map(molecule => completeBonds(molecule, { partial: partialBonds, tolerance }));
+}
+
+/**
+ * Parse structure file contents, returning the first molecule
+ */
+export function parseMolecule(text, format, options = {}) {
+  return parseMolecules(text, format, options)[0];
+}
+
+/**
+ * Reactant and product atoms with the same mapping number:
+ * [{ map, reactant, reactant_atom, product, product_atom }] in map number
+ * order, reactant and product being component indices. Numbers found on
+ * one side only are left unpaired.
+ */
+function atomMapping(reactants, products) {
+  const mapped = (components, side) => {
+    const atoms = new Map();
+    components.forEach((molecule, component) => molecule.atoms.forEach((atom, index) => {
+      if (!atom.mapNumber) return;
+      if (atoms.has(atom.mapNumber)) {
+        throw new Error(`Atom map number ${atom.mapNumber} appears twice among the ${side}`);
+      }
+      atoms.set(atom.mapNumber, { component, index, element: atom.element });
+    }));
+    return atoms;
+  };
+  const reactantAtoms = mapped(reactants, 'reactants');
+  const productAtoms = mapped(products, 'products');
+
+  return [...reactantAtoms.keys()]
+    .filter(map => productAtoms.has(map))
+    .sort((a, b) => a - b)
+    .map(map => {
+      const reactant = reactantAtoms.get(map);
+      const product = productAtoms.get(map);
+      if (reactant.element !== product.element) {
+        throw new Error(`Atom map number ${map} pairs ${reactant.element} with ${product.element}`);
+      }
+      return {
+        map,
+        reactant: reactant.component,
+        reactant_atom: reactant.index,
+        product: product.component,
+        product_atom: product.index
+      };
+    });
+}
+
+/**
+ * Parse a reaction file (RXN or reaction SMILES) into
+ * { name, reactants, agents, products, atom_mapping, metadata }
+ * Components without a bond table get bonds perceived as in
+ * parseMolecules.
+ */
+export function parseReaction(text, format, options = {}) {
+  const read = reactionFormats[normalizeFormat(format)];
+  if (!read) {
+    throw new Error(`Unsupported reaction format: ${format}`);
+  }
+  const { perceiveBonds = true, tolerance, ...readOptions } = options;
+  if (!text || !String(text).trim()) {
+    throw new Error('File contents are empty');
+  }
+
+  const reaction = read(text, readOptions);
+  const complete = molecules => (perceiveBonds ? molecules.map(molecule => completeBonds(molecule, { tolerance })) : molecules);
+  const reactants = complete(reaction.reactants);
+  const products = complete(reaction.products);
+  return {
+    ...reaction,
+    reactants,
+    agents: complete(reaction.agents),
+    products,
+    atom_mapping: atomMapping(reactants, products)
+  };
+}
+
+/**
+ * Serialize a molecule in the given format
+ */
+export function writeMolecule(molecule, format, options = {}) {
+  const { write } = getFormat(format);
+  if (!write) {
+    throw new Error(`Writing ${normalizeFormat(format).toUpperCase()} is not supported`);
+  }
+  return write(molecule, options);
+}
+
+export default parseMolecule;
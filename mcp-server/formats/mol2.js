@@ -0,0 +1,281 @@
+/**
+ * Tripos MOL2 Reader and Writer
+ * Keeps SYBYL atom types (atomType), substructure ids/names and partial
+ * charges (charge). Aromatic "ar" bonds map to { order: 1.5, aromatic: true };
+ * other non-numeric bond types ("am", "du", "un", "nc") are kept in
+ * bond.sybylType. Molecules written in Kekulé form get their aromatic rings
+ * perceived so that they are typed "C.ar"/"ar" as SYBYL expects.
+ */
+
+import { normalizeElement } from '../chemistry/elements.js';
+import { aromatize } from '../chemistry/bond-orders.js';
+
+const NUMERIC_BOND_TYPES = { 1: 1, 2: 2, 3: 3 };
+
+/**
+ * Split MOL2 text into records of { section: [lines] }
+ */
+function splitRecords(text) {
+  const records = [];
+  let record = null;
+  let section = null;
+
+  String(text).split(/\r?\n/).forEach(line => {
+    const header = /^@<TRIPOS>(\w+)/.exec(line.trim());
+    if (header) {
+      section = header[1].toUpperCase();
+      if (section === 'MOLECULE') {
+        record = {};
+        records.push(record);
+      }
+      if (record) record[section] = [];
+      return;
+    }
+    if (record && section && !line.trim().startsWith('#')) {
+      record[section].push(line);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Derive the element from a SYBYL atom type ("C.ar", "Cl") or atom name
+ */
+function parseElement(atomType, atomName) {
+  const typeElement = normalizeElement(atomType.split('.')[0]);
+  if (typeElement) return typeElement;
+
+  const letters = atomName.replace(/[^A-Za-z]/g, '');
+  const element = normalizeElement(letters.substring(0, 2)) || normalizeElement(letters.substring(0, 1));
+  if (!element) {
+    throw new Error(`Cannot determine element for atom "${atomName}" of type "${atomType}"`);
+  }
+  return element;
+}
+
+function parseMoleculeSection(lines) {
+  const [name = '', counts = '', moleculeType, chargeType, , comment] = lines;
+  const [atomCount, bondCount, substructureCount] = counts.trim().split(/\s+/).map(Number);
+
+  return {
+    name: name.trim(),
+    atomCount: atomCount || 0,
+    bondCount: bondCount || 0,
+    substructureCount: substructureCount || 0,
+    moleculeType: moleculeType && moleculeType.trim(),
+    chargeType: chargeType && chargeType.trim(),
+    comment: comment && comment.trim()
+  };
+}
+
+function parseRecord(record, options) {
+  if (!record.ATOM) {
+    throw new Error('MOL2 record has no @<TRIPOS>ATOM section');
+  }
+
+  const header = parseMoleculeSection(record.MOLECULE);
+  const atoms = [];
+  const idToIndex = new Map();
+  const hasCharges = header.chargeType && header.chargeType.toUpperCase() !== 'NO_CHARGES';
+
+  record.ATOM.filter(line => line.trim()).forEach(line => {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 6) {
+      throw new Error(`Malformed MOL2 atom line: ${line.trim()}`);
+    }
+
+    const [id, name, x, y, z, atomType, substructureId, substructureName, charge] = fields;
+    const atom = {
+      element: parseElement(atomType, name),
+      x: parseFloat(x),
+      y: parseFloat(y),
+      z: parseFloat(z),
+      name,
+      atomType
+    };
+    if (![atom.x, atom.y, atom.z].every(Number.isFinite)) {
+      throw new Error(`Invalid coordinates for MOL2 atom ${id}`);
+    }
+    if (substructureId !== undefined) atom.substructureId = parseInt(substructureId, 10);
+    if (substructureName !== undefined && substructureName !== '****') atom.residue = substructureName;
+    if (charge !== undefined && hasCharges && Number.isFinite(parseFloat(charge))) {
+      atom.charge = parseFloat(charge);
+    }
+
+    idToIndex.set(id, atoms.length);
+    atoms.push(atom);
+  });
+
+  const bonds = (record.BOND || []).filter(line => line.trim()).map(line => {
+    const [, origin, target, type] = line.trim().split(/\s+/);
+    const from = idToIndex.get(origin);
+    const to = idToIndex.get(target);
+    if (from === undefined || to === undefined) {
+      throw new Error(`MOL2 bond "${line.trim()}" references a missing atom`);
+    }
+
+    const bondType = String(type).toLowerCase();
+    if (bondType === 'ar') return { from, to, order: 1.5, aromatic: true };
+    if (NUMERIC_BOND_TYPES[bondType]) return { from, to, order: NUMERIC_BOND_TYPES[bondType] };
+    return { from, to, order: 1, sybylType: bondType };
+  });
+
+  // Chain identifiers live in the substructure section
+  const substructures = (record.SUBSTRUCTURE || []).filter(line => line.trim()).map(line => {
+    const [id, name, rootAtom, type, , chain] = line.trim().split(/\s+/);
+    const substructure = { id: parseInt(id, 10), name, rootAtom: parseInt(rootAtom, 10) };
+    if (type) substructure.type = type;
+    if (chain && chain !== '****') substructure.chain = chain;
+    return substructure;
+  });
+  const chains = new Map(substructures.filter(s => s.chain).map(s => [s.id, s.chain]));
+  atoms.forEach(atom => {
+    if (chains.has(atom.substructureId)) atom.chain = chains.get(atom.substructureId);
+  });
+
+  const metadata = { format: 'mol2' };
+  if (header.moleculeType) metadata.moleculeType = header.moleculeType;
+  if (header.chargeType) metadata.chargeType = header.chargeType;
+  if (header.comment) metadata.comment = header.comment;
+  if (substructures.length > 0) metadata.substructures = substructures;
+
+  return {
+    name: options.name || header.name || 'Imported structure',
+    atoms,
+    bonds,
+    metadata
+  };
+}
+
+/**
+ * Parse MOL2 text into an array of molecules
+ */
+export function parseMOL2(text, options = {}) {
+  const records = splitRecords(text);
+  if (records.length === 0) {
+    throw new Error('MOL2 file contains no @<TRIPOS>MOLECULE records');
+  }
+  return records.map(record => parseRecord(record, options));
+}
+
+/**
+ * Guess a SYBYL atom type from the element and its bonds
+ */
+function sybylType(atom, bonds) {
+  const { element } = atom;
+  const orders = bonds.map(bond => bond.order);
+  const aromatic = bonds.some(bond => bond.aromatic);
+  const hasTriple = orders.includes(3);
+  const doubleCount = orders.filter(order => order === 2).length;
+
+  switch (element) {
+    case 'C':
+      if (aromatic) return 'C.ar';
+      if (hasTriple || doubleCount === 2) return 'C.1';
+      return doubleCount === 1 ? 'C.2' : 'C.3';
+    case 'N':
+      if (aromatic) return 'N.ar';
+      if (hasTriple) return 'N.1';
+      if (doubleCount > 0) return 'N.2';
+      return bonds.length >= 4 ? 'N.4' : 'N.3';
+    case 'O':
+      return doubleCount > 0 ? 'O.2' : 'O.3';
+    case 'S':
+      return doubleCount > 0 ? 'S.2' : 'S.3';
+    case 'P':
+      return 'P.3';
+    default:
+      return element;
+  }
+}
+
+function bondType(bond) {
+  if (bond.sybylType) return bond.sybylType;
+  if (bond.aromatic) return 'ar';
+  return String(bond.order || 1);
+}
+
+function formatCoordinate(value) {
+  return (value || 0).toFixed(4).padStart(10);
+}
+
+/**
+ * Aromatic bonds as stored are kept; Kekulé structures are aromatized
+ */
+function withAromaticBonds(molecule) {
+  if ((molecule.bonds || []).some(bond => bond.aromatic)) return molecule;
+  return aromatize(molecule);
+}
+
+/**
+ * Write one or more molecules as MOL2 text
+ */
+export function writeMOL2(molecules) {
+  const list = Array.isArray(molecules) ? molecules : [molecules];
+
+  return list.map(original => {
+    const molecule = withAromaticBonds(original);
+    const { atoms, bonds = [], metadata = {} } = molecule;
+    const atomBonds = atoms.map(() => []);
+    bonds.forEach(bond => {
+      atomBonds[bond.from].push(bond);
+      atomBonds[bond.to].push(bond);
+    });
+
+    const hasCharges = atoms.some(atom => typeof atom.charge === 'number');
+    const chargeType = hasCharges ? (metadata.chargeType || 'USER_CHARGES') : 'NO_CHARGES';
+    const substructures = metadata.substructures ||
+      [{ id: 1, name: atoms[0] && atoms[0].residue ? atoms[0].residue : 'MOL', rootAtom: 1 }];
+
+    const lines = [
+      '@<TRIPOS>MOLECULE',
+      molecule.name || '*****',
+      ` ${atoms.length} ${bonds.length} ${substructures.length} 0 0`,
+      metadata.moleculeType || 'SMALL',
+      chargeType,
+      ''
+    ];
+    if (metadata.comment) lines.push(metadata.comment);
+
+    lines.push('@<TRIPOS>ATOM');
+    atoms.forEach((atom, index) => {
+      const name = atom.name || `${atom.element}${index + 1}`;
+      const type = atom.atomType || sybylType(atom, atomBonds[index]);
+      const substructureId = atom.substructureId || 1;
+      const substructureName = atom.residue || substructures[0].name;
+      const charge = typeof atom.charge === 'number' ? atom.charge : 0;
+
+      lines.push(
+        `${String(index + 1).padStart(7)} ${name.padEnd(8)}` +
+        `${formatCoordinate(atom.x)}${formatCoordinate(atom.y)}${formatCoordinate(atom.z)} ` +
+        `${type.padEnd(6)}${String(substructureId).padStart(4)} ${substructureName.padEnd(8)}` +
+        `${charge.toFixed(4).padStart(10)}`
+      );
+    });
+
+    lines.push('@<TRIPOS>BOND');
+    bonds.forEach((bond, index) => {
+      lines.push(
+        `${String(index + 1).padStart(6)}${String(bond.from + 1).padStart(6)}` +
+        `${String(bond.to + 1).padStart(6)} ${bondType(bond)}`
+      );
+    });
+
+    lines.push('@<TRIPOS>SUBSTRUCTURE');
+    substructures.forEach(substructure => {
+      const fields = [
+        String(substructure.id).padStart(6),
+        substructure.name.padEnd(8),
+        String(substructure.rootAtom).padStart(6),
+        substructure.type || 'RESIDUE'
+      ];
+      if (substructure.chain) fields.push('1', substructure.chain);
+      lines.push(fields.join(' '));
+    });
+
+    return lines.join('\n');
+  }).join('\n') + '\n';
+}
+
+export default parseMOL2;
@@ -0,0 +1,262 @@
+/**
+ * PDB File Reader
+ * Parses Protein Data Bank coordinate files into the { atoms, bonds } shape
+ * served by MoleculeServer
+ *
+ * Supported records: HEADER, TITLE, COMPND, CRYST1, MODEL/ENDMDL,
+ * ATOM, HETATM, CONECT. Only the first model of an ensemble is read.
+ */
+
+import { normalizeElement } from '../chemistry/elements.js';
+
+/**
+ * Read a fixed-width column range (1-based, inclusive) from a record
+ */
+function column(line, start, end) {
+  return line.substring(start - 1, end).trim();
+}
+
+function parseNumber(value, fallback = null) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Derive the element symbol for an atom record
+ * Uses columns 77-78 when present, otherwise the atom name. In the atom
+ * name field, two-letter elements start in column 13 while one-letter
+ * elements are right-aligned into column 14.
+ */
+function parseElement(line, atomName) {
+  const explicit = normalizeElement(column(line, 77, 78));
+  if (explicit) return explicit;
+
+  const field = line.substring(12, 16);
+  const letters = field.replace(/[^A-Za-z]/g, '');
+  if (/^[A-Za-z]{2}/.test(field)) {
+    const twoLetter = normalizeElement(field.substring(0, 2));
+    // Four-character hydrogen names such as "HG12" also start in column 13
+    const isLongHydrogenName = atomName.startsWith('H') && atomName.length > 2;
+    if (twoLetter && !isLongHydrogenName) return twoLetter;
+  }
+  return normalizeElement(letters[0]);
+}
+
+/**
+ * Parse a formal charge written as "2+" / "1-" in columns 79-80
+ */
+function parseCharge(value) {
+  const match = /^(\d)([+-])$/.exec(value);
+  if (!match) return 0;
+  return parseInt(match[1], 10) * (match[2] === '-' ? -1 : 1);
+}
+
+function parseAtomRecord(line) {
+  const name = column(line, 13, 16);
+  const element = parseElement(line, name);
+  if (!element) {
+    throw new Error(`Unknown element for atom "${name}" in record: ${line.trim()}`);
+  }
+
+  const x = parseNumber(column(line, 31, 38));
+  const y = parseNumber(column(line, 39, 46));
+  const z = parseNumber(column(line, 47, 54));
+  if (x === null || y === null || z === null) {
+    throw new Error(`Invalid coordinates in record: ${line.trim()}`);
+  }
+
+  const atom = {
+    element,
+    x,
+    y,
+    z,
+    serial: parseInt(column(line, 7, 11), 10),
+    name,
+    residue: column(line, 18, 20),
+    residueSeq: parseInt(column(line, 23, 26), 10),
+    chain: column(line, 22, 22),
+    occupancy: parseNumber(column(line, 55, 60), 1),
+    bFactor: parseNumber(column(line, 61, 66), 0),
+    hetero: line.startsWith('HETATM')
+  };
+
+  const altLoc = column(line, 17, 17);
+  if (altLoc) atom.altLoc = altLoc;
+
+  const insertionCode = column(line, 27, 27);
+  if (insertionCode) atom.insertionCode = insertionCode;
+
+  const formalCharge = parseCharge(column(line, 79, 80));
+  if (formalCharge) atom.formalCharge = formalCharge;
+
+  return atom;
+}
+
+/**
+ * Identify an atom independently of its alternate location
+ */
+function atomKey(atom) {
+  return [atom.chain, atom.residueSeq, atom.insertionCode || '', atom.residue, atom.name].join('|');
+}
+
+/**
+ * Parse CONECT records into bonds
+ * Some writers repeat a partner serial to encode bond order, so repeats
+ * raise the order (capped at triple).
+ */
+function buildBonds(conectRecords, serialToIndex) {
+  const counts = new Map();
+
+  conectRecords.forEach(line => {
+    const origin = parseInt(column(line, 7, 11), 10);
+    const perLine = new Map();
+
+    [[12, 16], [17, 21], [22, 26], [27, 31]].forEach(([start, end]) => {
+      const partner = parseInt(column(line, start, end), 10);
+      if (Number.isInteger(partner)) {
+        perLine.set(partner, (perLine.get(partner) || 0) + 1);
+      }
+    });
+
+    perLine.forEach((count, partner) => {
+      const key = `${origin}-${partner}`;
+      counts.set(key, (counts.get(key) || 0) + count);
+    });
+  });
+
+  const bonds = new Map();
+  counts.forEach((count, key) => {
+    const [origin, partner] = key.split('-').map(Number);
+    const from = serialToIndex.get(origin);
+    const to = serialToIndex.get(partner);
+    if (from === undefined || to === undefined || from === to) return;
+
+    const pairKey = from < to ? `${from}-${to}` : `${to}-${from}`;
+    const existing = bonds.get(pairKey);
+    const order = Math.min(3, Math.max(count, existing ? existing.order : 0));
+    bonds.set(pairKey, { from: Math.min(from, to), to: Math.max(from, to), order });
+  });
+
+  return Array.from(bonds.values());
+}
+
+/**
+ * Parse PDB text
+ *
+ * Options:
+ * - altLoc: alternate location identifier to keep (default: highest occupancy)
+ * - name: molecule name override
+ */
+export function parsePDB(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const atoms = [];
+  const conectRecords = [];
+  const serialToIndex = new Map();
+  const altLocIndex = new Map();
+  const titleParts = [];
+  const compoundParts = [];
+  const metadata = { format: 'pdb' };
+
+  let modelCount = 0;
+  let inFirstModel = true;
+
+  for (const line of lines) {
+    const record = line.substring(0, 6).trim();
+
+    switch (record) {
+      case 'HEADER':
+        metadata.classification = column(line, 11, 50) || undefined;
+        metadata.idCode = column(line, 63, 66) || undefined;
+        break;
+
+      case 'TITLE':
+        titleParts.push(column(line, 11, 80));
+        break;
+
+      case 'COMPND':
+        compoundParts.push(column(line, 11, 80));
+        break;
+
+      case 'CRYST1':
+        metadata.cell = {
+          a: parseNumber(column(line, 7, 15)),
+          b: parseNumber(column(line, 16, 24)),
+          c: parseNumber(column(line, 25, 33)),
+          alpha: parseNumber(column(line, 34, 40)),
+          beta: parseNumber(column(line, 41, 47)),
+          gamma: parseNumber(column(line, 48, 54))
+        };
+        metadata.spaceGroup = column(line, 56, 66) || undefined;
+        break;
+
+      case 'MODEL':
+        modelCount++;
+        inFirstModel = modelCount === 1;
+        break;
+
+      case 'ENDMDL':
+        inFirstModel = false;
+        break;
+
+      case 'ATOM':
+      case 'HETATM': {
+        if (!inFirstModel) break;
+
+        const atom = parseAtomRecord(line);
+
+        if (atom.altLoc) {
+          const key = atomKey(atom);
+          const keptIndex = altLocIndex.get(key);
+
+          if (options.altLoc && atom.altLoc !== options.altLoc) {
+            break;
+          }
+
+          if (keptIndex !== undefined) {
+            // Alternates share one atom slot so CONECT records to either resolve
+            serialToIndex.set(atom.serial, keptIndex);
+            if (!options.altLoc && atom.occupancy > atoms[keptIndex].occupancy) {
+              atoms[keptIndex] = atom;
+            }
+            break;
+          }
+          altLocIndex.set(key, atoms.length);
+        }
+
+        serialToIndex.set(atom.serial, atoms.length);
+        atoms.push(atom);
+        break;
+      }
+
+      case 'CONECT':
+        conectRecords.push(line);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  if (atoms.length === 0) {
+    throw new Error('PDB file contains no ATOM or HETATM records');
+  }
+
+  if (titleParts.length > 0) metadata.title = titleParts.join(' ').replace(/\s+/g, ' ');
+  if (compoundParts.length > 0) metadata.compound = compoundParts.join(' ').replace(/\s+/g, ' ');
+  metadata.modelCount = Math.max(modelCount, 1);
+  metadata.chains = Array.from(new Set(atoms.map(atom => atom.chain).filter(Boolean)));
+  metadata.residueCount = new Set(
+    atoms.map(atom => `${atom.chain}|${atom.residueSeq}|${atom.insertionCode || ''}`)
+  ).size;
+
+  Object.keys(metadata).forEach(key => metadata[key] === undefined && delete metadata[key]);
+
+  return {
+    name: options.name || metadata.title || metadata.idCode || 'Imported structure',
+    atoms,
+    bonds: buildBonds(conectRecords, serialToIndex),
+    metadata
+  };
+}
+
+export default parsePDB;
@@ -0,0 +1,114 @@
+/**
+ * MDL RXN Reader
+ * Reads V2000 ($RXN header, counts line, then one $MOL record per
+ * component) and V3000 ($RXN V3000, REACTANT/PRODUCT/AGENT blocks of CTABs)
+ * reaction files. Components are read as Molfiles (sdf.js), so atom-atom
+ * mapping numbers are kept as atom.mapNumber.
+ */
+
+import { parseSDF } from './sdf.js';
+
+// An empty Molfile header and V3000 counts line to wrap a V3000 CTAB in
+const V3000_HEADER = ['', '', '', '  0  0  0     0  0            999 V3000'];
+
+const V3000_ROLES = { REACTANT: 'reactants', PRODUCT: 'products', AGENT: 'agents' };
+
+function parseComponent(lines, role, index) {
+  try {
+    return parseSDF(lines.join('\n'))[0];
+  } catch (error) {
+    throw new Error(`RXN ${role} ${index + 1}: ${error.message}`);
+  }
+}
+
+function parseV2000(lines) {
+  const counts = lines[4] || '';
+  const reactantCount = parseInt(counts.substring(0, 3), 10);
+  const productCount = parseInt(counts.substring(3, 6), 10);
+  const agentCount = parseInt(counts.substring(6, 9), 10) || 0;
+  if (!Number.isInteger(reactantCount) || !Number.isInteger(productCount)) {
+    throw new Error('RXN counts line is missing');
+  }
+
+  // Molfiles follow their $MOL lines
+  const records = [];
+  lines.slice(5).forEach(line => {
+    if (line.startsWith('$MOL')) {
+      records.push([]);
+    } else if (records.length > 0) {
+      records[records.length - 1].push(line);
+    }
+  });
+  const expected = reactantCount + productCount + agentCount;
+  if (records.length < expected) {
+    throw new Error(`RXN file has ${records.length} of ${expected} $MOL records`);
+  }
+
+  const component = role => (lines, index) => parseComponent(lines, role, index);
+  return {
+    reactants: records.slice(0, reactantCount).map(component('reactant')),
+    products: records.slice(reactantCount, reactantCount + productCount).map(component('product')),
+    agents: records.slice(reactantCount + productCount, expected).map(component('agent'))
+  };
+}
+
+function parseV3000(lines) {
+  const components = { reactants: [], products: [], agents: [] };
+  let role = null;
+  let ctab = null;
+
+  lines.slice(4).forEach(line => {
+    const entry = line.startsWith('M  V30 ') ? line.substring(7).trim() : null;
+    if (entry && entry.startsWith('BEGIN ') && V3000_ROLES[entry.substring(6).trim()]) {
+      role = V3000_ROLES[entry.substring(6).trim()];
+    } else if (entry && entry.startsWith('END ') && V3000_ROLES[entry.substring(4).trim()]) {
+      role = null;
+    } else if (role && entry === 'BEGIN CTAB') {
+      ctab = [line];
+    } else if (ctab) {
+      ctab.push(line);
+      if (entry === 'END CTAB') {
+        const list = components[role];
+        list.push(parseComponent([...V3000_HEADER, ...ctab, 'M  END'], role.slice(0, -1), list.length));
+        ctab = null;
+      }
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Parse an RXN file into { name, reactants, agents, products, metadata }
+ * whose components are molecules
+ */
+export function parseRXN(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() !== '');
+  const header = lines[start] || '';
+  if (!header.startsWith('$RXN')) {
+    throw new Error('RXN file must start with $RXN');
+  }
+
+  const record = lines.slice(start);
+  const isV3000 = /V3000/i.test(header);
+  const { reactants, products, agents } = isV3000 ? parseV3000(record) : parseV2000(record);
+  if (reactants.length === 0) throw new Error('Reaction has no reactants');
+  if (products.length === 0) throw new Error('Reaction has no products');
+
+  const metadata = { format: 'rxn', version: isV3000 ? 'V3000' : 'V2000' };
+  const program = (record[2] || '').trim();
+  const comment = (record[3] || '').trim();
+  if (program) metadata.program = program;
+  if (comment) metadata.comment = comment;
+
+  return {
+    name: options.name || (record[1] || '').trim() || 'Imported reaction',
+    reactants,
+    agents,
+    products,
+    metadata
+  };
+}
+
+export default parseRXN;
@@ -0,0 +1,503 @@
+/**
+ * MDL Molfile / SDF Reader and Writer
+ * Handles single- and multi-record files in both V2000 and V3000 connection
+ * table formats
+ *
+ * Bond types 1-3 map to bond orders, type 4 to aromatic bonds
+ * ({ order: 1.5, aromatic: true }). SD data fields are stored in
+ * metadata.properties and written back on export.
+ *
+ * Atom-atom mapping numbers (reactions, see rxn.js) are kept as
+ * atom.mapNumber.
+ *
+ * Stereocenters labeled R or S (atom.cip) are written with their atom
+ * parity (V2000) or CFG (V3000) and the chiral flag. Parities are not read
+ * back: stereo labels are perceived again from the coordinates.
+ */
+
+import { normalizeElement } from '../chemistry/elements.js';
+
+// V2000 atom block charge codes (4 is a doublet radical, not a charge)
+const CHARGE_CODES = { 1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3 };
+
+function parseInteger(value, fallback = 0) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function parseElement(symbol, lineNumber) {
+  const element = normalizeElement(symbol);
+  if (!element) {
+    throw new Error(`Unknown element "${symbol}" on line ${lineNumber + 1}`);
+  }
+  return element;
+}
+
+function bondFromType(type) {
+  if (type === 4) return { order: 1.5, aromatic: true };
+  return { order: type >= 1 && type <= 3 ? type : 1 };
+}
+
+/**
+ * Parse the V2000 atom, bond and property blocks
+ */
+function parseV2000(lines, start, atomCount, bondCount) {
+  const atoms = [];
+  const bonds = [];
+  let index = start;
+
+  for (let i = 0; i < atomCount; i++, index++) {
+    const line = lines[index];
+    if (line === undefined) throw new Error('Unexpected end of atom block');
+
+    let x = parseFloat(line.substring(0, 10));
+    let y = parseFloat(line.substring(10, 20));
+    let z = parseFloat(line.substring(20, 30));
+    let symbol = line.substring(31, 34).trim();
+    let massDifference = parseInteger(line.substring(34, 36));
+    let chargeCode = parseInteger(line.substring(36, 39));
+    let mapNumber = parseInteger(line.substring(60, 63));
+
+    // Fall back to whitespace-separated fields for loosely formatted files
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z) || !symbol) {
+      const fields = line.trim().split(/\s+/);
+      [x, y, z] = fields.slice(0, 3).map(parseFloat);
+      symbol = fields[3];
+      massDifference = parseInteger(fields[4]);
+      chargeCode = parseInteger(fields[5]);
+      mapNumber = parseInteger(fields[13]);
+    }
+
+    const atom = { element: parseElement(symbol, index), x, y, z };
+    if (CHARGE_CODES[chargeCode]) atom.formalCharge = CHARGE_CODES[chargeCode];
+    if (chargeCode === 4) atom.radical = 2;
+    if (massDifference) atom.massDifference = massDifference;
+    if (mapNumber > 0) atom.mapNumber = mapNumber;
+    atoms.push(atom);
+  }
+
+  for (let i = 0; i < bondCount; i++, index++) {
+    const line = lines[index];
+    if (line === undefined) throw new Error('Unexpected end of bond block');
+
+    const from = parseInteger(line.substring(0, 3)) - 1;
+    const to = parseInteger(line.substring(3, 6)) - 1;
+    const type = parseInteger(line.substring(6, 9));
+    const stereo = parseInteger(line.substring(9, 12));
+
+    if (!atoms[from] || !atoms[to]) {
+      throw new Error(`Bond on line ${index + 1} references a missing atom`);
+    }
+
+    const bond = { from, to, ...bondFromType(type) };
+    if (stereo) bond.stereo = stereo;
+    bonds.push(bond);
+  }
+
+  // Properties block; M  CHG / M  ISO / M  RAD supersede the atom block values
+  let chargesReset = false;
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.startsWith('M  END')) {
+      index++;
+      break;
+    }
+
+    const property = line.substring(0, 6);
+    if (property !== 'M  CHG' && property !== 'M  ISO' && property !== 'M  RAD') continue;
+
+    if (property === 'M  CHG' && !chargesReset) {
+      atoms.forEach(atom => delete atom.formalCharge);
+      chargesReset = true;
+    }
+
+    const fields = line.substring(6).trim().split(/\s+/).map(Number);
+    const count = fields[0];
+    for (let j = 0; j < count; j++) {
+      const atom = atoms[fields[1 + j * 2] - 1];
+      const value = fields[2 + j * 2];
+      if (!atom) continue;
+
+      if (property === 'M  CHG') {
+        if (value) atom.formalCharge = value;
+      } else if (property === 'M  ISO') {
+        atom.isotope = value;
+        delete atom.massDifference;
+      } else if (value) {
+        atom.radical = value;
+      }
+    }
+  }
+
+  return { atoms, bonds, next: index };
+}
+
+/**
+ * Collect V3000 "M  V30" lines, joining '-' continuations
+ */
+function readV3000Lines(lines, start) {
+  const entries = [];
+  let index = start;
+  let pending = '';
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.startsWith('M  END')) {
+      index++;
+      break;
+    }
+    if (!line.startsWith('M  V30 ')) continue;
+
+    const content = line.substring(7);
+    if (content.endsWith('-')) {
+      pending += content.slice(0, -1);
+      continue;
+    }
+    entries.push((pending + content).trim());
+    pending = '';
+  }
+
+  return { entries, next: index };
+}
+
+/**
+ * Split a V3000 entry into positional fields and KEY=VALUE options
+ */
+function splitV3000Entry(entry) {
+  const positional = [];
+  const options = {};
+  const tokens = entry.match(/[^\s"]+="[^"]*"|"[^"]*"|\S+/g) || [];
+
+  tokens.forEach(token => {
+    const eq = token.indexOf('=');
+    if (eq > 0 && !token.startsWith('"')) {
+      options[token.substring(0, eq).toUpperCase()] = token.substring(eq + 1).replace(/^"|"$/g, '');
+    } else {
+      positional.push(token.replace(/^"|"$/g, ''));
+    }
+  });
+
+  return { positional, options };
+}
+
+function parseV3000(lines, start) {
+  const { entries, next } = readV3000Lines(lines, start);
+  const atoms = [];
+  const bonds = [];
+  const indexMap = new Map();
+  let block = null;
+
+  entries.forEach(entry => {
+    if (entry.startsWith('BEGIN ')) {
+      block = entry.substring(6).trim().split(/\s+/)[0];
+      return;
+    }
+    if (entry.startsWith('END ')) {
+      block = null;
+      return;
+    }
+
+    const { positional, options } = splitV3000Entry(entry);
+
+    if (block === 'ATOM') {
+      const [id, symbol, x, y, z] = positional;
+      const atom = {
+        element: parseElement(symbol, start),
+        x: parseFloat(x),
+        y: parseFloat(y),
+        z: parseFloat(z)
+      };
+      if (options.CHG && Number(options.CHG)) atom.formalCharge = Number(options.CHG);
+      if (options.MASS) atom.isotope = Number(options.MASS);
+      if (options.RAD && Number(options.RAD)) atom.radical = Number(options.RAD);
+      if (options.AAMAP && Number(options.AAMAP) > 0) atom.mapNumber = Number(options.AAMAP);
+      indexMap.set(id, atoms.length);
+      atoms.push(atom);
+    } else if (block === 'BOND') {
+      const [, type, a1, a2] = positional;
+      const from = indexMap.get(a1);
+      const to = indexMap.get(a2);
+      if (from === undefined || to === undefined) {
+        throw new Error(`V3000 bond "${entry}" references a missing atom`);
+      }
+      const bond = { from, to, ...bondFromType(parseInteger(type)) };
+      if (options.CFG && Number(options.CFG)) bond.stereo = Number(options.CFG);
+      bonds.push(bond);
+    }
+  });
+
+  return { atoms, bonds, next };
+}
+
+/**
+ * Parse SD data items ("> <FIELD>" headers followed by value lines)
+ */
+function parseDataItems(lines) {
+  const properties = {};
+  let field = null;
+  let value = [];
+
+  const flush = () => {
+    if (field !== null) properties[field] = value.join('\n');
+    field = null;
+    value = [];
+  };
+
+  lines.forEach(line => {
+    if (line.startsWith('>')) {
+      flush();
+      const match = /<([^>]*)>/.exec(line);
+      field = match ? match[1] : line.substring(1).trim();
+    } else if (field !== null) {
+      if (line.trim() === '') {
+        flush();
+      } else {
+        value.push(line);
+      }
+    }
+  });
+  flush();
+
+  return properties;
+}
+
+/**
+ * Parse a single Molfile record (without the $$$$ terminator)
+ */
+function parseRecord(lines, options) {
+  if (lines.length < 4) {
+    throw new Error('Molfile record is shorter than its 4-line header');
+  }
+
+  const name = lines[0].trim();
+  const program = lines[1];
+  const comment = lines[2].trim();
+  const countsLine = lines[3];
+  const isV3000 = /V3000/i.test(countsLine);
+
+  let parsed;
+  if (isV3000) {
+    parsed = parseV3000(lines, 4);
+  } else {
+    const atomCount = parseInteger(countsLine.substring(0, 3));
+    const bondCount = parseInteger(countsLine.substring(3, 6));
+    parsed = parseV2000(lines, 4, atomCount, bondCount);
+  }
+
+  if (parsed.atoms.length === 0) {
+    throw new Error(`Molfile record "${name}" contains no atoms`);
+  }
+
+  const metadata = {
+    format: 'sdf',
+    version: isV3000 ? 'V3000' : 'V2000'
+  };
+  if (program.trim()) metadata.program = program.trim();
+  if (comment) metadata.comment = comment;
+  if (!isV3000 && parseInteger(countsLine.substring(12, 15)) === 1) metadata.chiral = true;
+
+  const properties = parseDataItems(lines.slice(parsed.next));
+  if (Object.keys(properties).length > 0) metadata.properties = properties;
+
+  return {
+    name: options.name || name || properties.NAME || properties.Name || 'Imported structure',
+    atoms: parsed.atoms,
+    bonds: parsed.bonds,
+    metadata
+  };
+}
+
+/**
+ * Parse SDF or Molfile text into an array of molecules
+ */
+export function parseSDF(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const records = [];
+  let current = [];
+
+  lines.forEach(line => {
+    if (line.startsWith('$$$$')) {
+      records.push(current);
+      current = [];
+    } else {
+      current.push(line);
+    }
+  });
+  if (current.some(line => line.trim() !== '')) records.push(current);
+
+  const molecules = records
+    .filter(record => record.some(line => line.trim() !== ''))
+    .map(record => parseRecord(record, options));
+
+  if (molecules.length === 0) {
+    throw new Error('SDF file contains no records');
+  }
+  return molecules;
+}
+
+function pad(value, width) {
+  return String(value).padStart(width);
+}
+
+function formatCoordinate(value) {
+  return pad((value || 0).toFixed(4), 10);
+}
+
+function bondType(bond) {
+  if (bond.aromatic && bond.order !== 1 && bond.order !== 2 && bond.order !== 3) return 4;
+  return bond.order || 1;
+}
+
+function chargeCode(charge) {
+  const entry = Object.entries(CHARGE_CODES).find(([, value]) => value === charge);
+  return entry ? Number(entry[0]) : 0;
+}
+
+/**
+ * MDL parity of a labeled stereocenter: neighbors are numbered by atom
+ * index, hydrogen (or an implicit hydrogen or lone pair) highest. Viewed
+ * with the highest-numbered neighbor behind, the other three run clockwise
+ * (1) or anticlockwise (2) in increasing order. 0 for other atoms.
+ */
+function atomParity(atoms, bonds, index) {
+  const center = atoms[index];
+  if (!center.cip) return 0;
+  const neighbors = bonds
+    .filter(({ from, to }) => from === index || to === index)
+    .map(({ from, to }) => (from === index ? to : from))
+    .sort((a, b) => (atoms[a].element === 'H') - (atoms[b].element === 'H') || a - b);
+  if (neighbors.length < 3 || neighbors.length > 4) return 0;
+
+  const direction = neighbor => {
+    const v = [atoms[neighbor].x - center.x, atoms[neighbor].y - center.y, atoms[neighbor].z - center.z];
+    const length = Math.hypot(...v) || 1;
+    return v.map(value => value / length);
+  };
+  const [a, b, c] = neighbors.slice(0, 3).map(direction);
+  const volume = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+  if (volume === 0) return 0;
+  return volume < 0 ? 1 : 2;
+}
+
+function isChiral(molecule) {
+  return Boolean(molecule.metadata && molecule.metadata.chiral) || molecule.atoms.some(atom => atom.cip);
+}
+
+/**
+ * Write "M  XXX" property lines, eight entries per line
+ */
+function propertyLines(tag, entries) {
+  const lines = [];
+  for (let i = 0; i < entries.length; i += 8) {
+    const chunk = entries.slice(i, i + 8);
+    lines.push(`M  ${tag}${pad(chunk.length, 3)}` +
+      chunk.map(([atom, value]) => `${pad(atom, 4)}${pad(value, 4)}`).join(''));
+  }
+  return lines;
+}
+
+function writeV2000(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const chiral = isChiral(molecule) ? 1 : 0;
+  const lines = [
+    `${pad(atoms.length, 3)}${pad(bonds.length, 3)}  0  0${pad(chiral, 3)}  0  0  0  0  0999 V2000`
+  ];
+
+  atoms.forEach((atom, index) => {
+    const massDifference = atom.isotope ? 0 : (atom.massDifference || 0);
+    lines.push(
+      formatCoordinate(atom.x) + formatCoordinate(atom.y) + formatCoordinate(atom.z) +
+      ` ${atom.element.padEnd(3)}${pad(massDifference, 2)}${pad(chargeCode(atom.formalCharge), 3)}` +
+      `${pad(atomParity(atoms, bonds, index), 3)}  0  0  0  0  0  0${pad(atom.mapNumber || 0, 3)}  0  0`
+    );
+  });
+
+  bonds.forEach(bond => {
+    lines.push(`${pad(bond.from + 1, 3)}${pad(bond.to + 1, 3)}${pad(bondType(bond), 3)}${pad(bond.stereo || 0, 3)}`);
+  });
+
+  const charges = [];
+  const isotopes = [];
+  const radicals = [];
+  atoms.forEach((atom, index) => {
+    if (atom.formalCharge) charges.push([index + 1, atom.formalCharge]);
+    if (atom.isotope) isotopes.push([index + 1, atom.isotope]);
+    if (atom.radical) radicals.push([index + 1, atom.radical]);
+  });
+
+  lines.push(...propertyLines('CHG', charges));
+  lines.push(...propertyLines('ISO', isotopes));
+  lines.push(...propertyLines('RAD', radicals));
+  lines.push('M  END');
+  return lines;
+}
+
+function writeV3000(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const chiral = isChiral(molecule) ? 1 : 0;
+  const lines = [
+    '  0  0  0     0  0            999 V3000',
+    'M  V30 BEGIN CTAB',
+    `M  V30 COUNTS ${atoms.length} ${bonds.length} 0 0 ${chiral}`,
+    'M  V30 BEGIN ATOM'
+  ];
+
+  atoms.forEach((atom, index) => {
+    let entry = `M  V30 ${index + 1} ${atom.element} ${(atom.x || 0).toFixed(4)} ` +
+      `${(atom.y || 0).toFixed(4)} ${(atom.z || 0).toFixed(4)} 0`;
+    if (atom.formalCharge) entry += ` CHG=${atom.formalCharge}`;
+    if (atom.isotope) entry += ` MASS=${atom.isotope}`;
+    if (atom.radical) entry += ` RAD=${atom.radical}`;
+    const parity = atomParity(atoms, bonds, index);
+    if (parity) entry += ` CFG=${parity}`;
+    if (atom.mapNumber) entry += ` AAMAP=${atom.mapNumber}`;
+    lines.push(entry);
+  });
+
+  lines.push('M  V30 END ATOM');
+  if (bonds.length > 0) {
+    lines.push('M  V30 BEGIN BOND');
+    bonds.forEach((bond, index) => {
+      let entry = `M  V30 ${index + 1} ${bondType(bond)} ${bond.from + 1} ${bond.to + 1}`;
+      if (bond.stereo) entry += ` CFG=${bond.stereo}`;
+      lines.push(entry);
+    });
+    lines.push('M  V30 END BOND');
+  }
+  lines.push('M  V30 END CTAB', 'M  END');
+  return lines;
+}
+
+/**
+ * Write one or more molecules as SDF text
+ *
+ * Options:
+ * - version: 'V2000' or 'V3000' (default: V2000 unless a table exceeds 999 entries)
+ */
+export function writeSDF(molecules, options = {}) {
+  const list = Array.isArray(molecules) ? molecules : [molecules];
+
+  return list.map(molecule => {
+    const bondCount = (molecule.bonds || []).length;
+    const version = options.version ||
+      (molecule.atoms.length > 999 || bondCount > 999 ? 'V3000' : 'V2000');
+
+    const header = [
+      molecule.name || '',
+      '  MOLECULA          3D',
+      (molecule.metadata && molecule.metadata.comment) || ''
+    ];
+    const ctab = version === 'V3000' ? writeV3000(molecule) : writeV2000(molecule);
+
+    const properties = { ...((molecule.metadata && molecule.metadata.properties) || {}) };
+    const data = Object.entries(properties).flatMap(([field, value]) => [
+      `> <${field}>`,
+      String(value),
+      ''
+    ]);
+
+    return [...header, ...ctab, ...data, '$$$$'].join('\n');
+  }).join('\n') + '\n';
+}
+
+export default parseSDF;
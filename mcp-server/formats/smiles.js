@@ -0,0 +1,76 @@
+/**
+ * SMILES File Reader and Writer
+ * One structure per line: a SMILES string optionally followed by a name.
+ * Blank lines and lines starting with '#' are skipped.
+ *
+ * Structures are written as canonical SMILES (canonical.js), with the
+ * R/S and E/Z labels of their stereocenters and double bonds.
+ *
+ * Reaction SMILES ("reactants>agents>products", optionally followed by a
+ * name) are read one reaction per file. Each "."-separated fragment is a
+ * separate component, and atom classes ([CH3:1]) are the atom-atom
+ * mapping numbers (atom.mapNumber).
+ */
+
+import { parseSMILES } from '../chemistry/smiles.js';
+import { canonicalSmiles } from '../chemistry/canonical.js';
+
+/**
+ * Parse a .smi file into an array of molecules
+ */
+export function parseSMILESFile(text, options = {}) {
+  const molecules = String(text).split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [smiles, ...name] = line.split(/\s+/);
+      return parseSMILES(smiles, { ...options, name: options.name || name.join(' ') || undefined });
+    });
+
+  if (molecules.length === 0) {
+    throw new Error('SMILES file contains no structures');
+  }
+  return molecules;
+}
+
+/**
+ * Parse a reaction SMILES into { name, reactants, agents, products, metadata }
+ * whose components are molecules
+ */
+export function parseReactionSMILES(text, options = {}) {
+  const { name: reactionName, ...smilesOptions } = options;
+  const line = String(text).split(/\r?\n/)
+    .map(entry => entry.trim())
+    .find(entry => entry && !entry.startsWith('#'));
+  if (!line) throw new Error('SMILES file contains no reaction');
+
+  const [reaction, ...name] = line.split(/\s+/);
+  const parts = reaction.split('>');
+  if (parts.length !== 3) {
+    throw new Error(`Reaction SMILES must have the form reactants>agents>products: ${reaction}`);
+  }
+
+  const [reactants, agents, products] = parts.map(part => (
+    part ? part.split('.').map(smiles => parseSMILES(smiles, smilesOptions)) : []
+  ));
+  if (reactants.length === 0) throw new Error('Reaction has no reactants');
+  if (products.length === 0) throw new Error('Reaction has no products');
+
+  return {
+    name: reactionName || name.join(' ') || reaction,
+    reactants,
+    agents,
+    products,
+    metadata: { format: 'smiles', smiles: reaction }
+  };
+}
+
+/**
+ * Write molecules as a .smi file, one "SMILES name" line each
+ */
+export function writeSMILESFile(molecules) {
+  const list = Array.isArray(molecules) ? molecules : [molecules];
+  return list.map(molecule => [canonicalSmiles(molecule), molecule.name].filter(Boolean).join(' ')).join('\n') + '\n';
+}
+
+export default parseSMILESFile;
@@ -0,0 +1,187 @@
+/**
+ * XYZ / Extended XYZ Reader
+ * Builds a molecule from the first frame of a (possibly multi-frame) XYZ
+ * file. Additional frames are returned as trajectory frames in the shape
+ * served by TrajectoryStreamHandler ({ timestamp, energy, coordinates }).
+ *
+ * Extended XYZ comment lines are parsed as key=value pairs, e.g.
+ *   Lattice="5.44 0 0 0 5.44 0 0 0 5.44" Properties=species:S:1:pos:R:3 energy=-10.2
+ */
+
+import { normalizeElement, getElementSymbol } from '../chemistry/elements.js';
+
+const ENERGY_KEYS = ['energy', 'e', 'total_energy', 'free_energy'];
+
+function parseValue(raw) {
+  const value = raw.replace(/^["{]|["}]$/g, '');
+  if (/^[TF]$/i.test(value) || /^(true|false)$/i.test(value)) {
+    return /^t/i.test(value);
+  }
+  if (value !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (/\s/.test(value.trim())) {
+    return value.trim().split(/\s+/).map(parseValue);
+  }
+  return value;
+}
+
+/**
+ * Parse extended XYZ key=value pairs from a comment line
+ * Returns null when the comment is free text
+ */
+export function parseComment(comment) {
+  const pairs = {};
+  const pattern = /([A-Za-z_][\w-]*)\s*=\s*("[^"]*"|\{[^}]*\}|\S+)/g;
+  let match;
+  let found = false;
+
+  while ((match = pattern.exec(comment)) !== null) {
+    pairs[match[1]] = parseValue(match[2]);
+    found = true;
+  }
+  return found ? pairs : null;
+}
+
+function findEnergy(comment, pairs) {
+  if (pairs) {
+    const key = Object.keys(pairs).find(k => ENERGY_KEYS.includes(k.toLowerCase()));
+    if (key && typeof pairs[key] === 'number') return pairs[key];
+  }
+  // Free-text comments such as "E: -76.402" or "energy -76.402"
+  const match = /\b(?:energy|E)\b\s*[:=]?\s*(-?\d+(?:\.\d*)?(?:[eE][-+]?\d+)?)/i.exec(comment);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Locate the species and position columns from a Properties descriptor
+ * (name:type:count triplets). Defaults to the plain XYZ column layout.
+ */
+function parseColumns(pairs) {
+  const columns = { species: 0, position: 1, atomicNumber: false };
+  const descriptor = pairs && pairs.Properties;
+  if (typeof descriptor !== 'string') return columns;
+
+  const fields = descriptor.split(':');
+  let offset = 0;
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    const [name, , count] = [fields[i].toLowerCase(), fields[i + 1], parseInt(fields[i + 2], 10)];
+    if (name === 'species') columns.species = offset;
+    if (name === 'z') {
+      columns.species = offset;
+      columns.atomicNumber = true;
+    }
+    if (name === 'pos') columns.position = offset;
+    offset += count;
+  }
+  return columns;
+}
+
+function parseLattice(lattice) {
+  if (!Array.isArray(lattice) || lattice.length !== 9) return undefined;
+  return [lattice.slice(0, 3), lattice.slice(3, 6), lattice.slice(6, 9)];
+}
+
+function readFrame(lines, start) {
+  const countLine = lines[start].trim();
+  const atomCount = parseInt(countLine, 10);
+  if (!Number.isInteger(atomCount) || atomCount < 0 || String(atomCount) !== countLine.split(/\s+/)[0]) {
+    throw new Error(`Expected an atom count on line ${start + 1}, found "${countLine}"`);
+  }
+
+  const comment = (lines[start + 1] || '').trim();
+  const pairs = parseComment(comment);
+  const columns = parseColumns(pairs);
+  const atoms = [];
+
+  for (let i = 0; i < atomCount; i++) {
+    const lineNumber = start + 2 + i;
+    const line = lines[lineNumber];
+    if (line === undefined) {
+      throw new Error(`Frame starting on line ${start + 1} ends after ${i} of ${atomCount} atoms`);
+    }
+
+    const fields = line.trim().split(/\s+/);
+    const species = fields[columns.species];
+    const element = columns.atomicNumber || /^\d+$/.test(species)
+      ? getElementSymbol(parseInt(species, 10))
+      : normalizeElement(species.replace(/\d+$/, ''));
+    if (!element) {
+      throw new Error(`Unknown element "${species}" on line ${lineNumber + 1}`);
+    }
+
+    const [x, y, z] = fields.slice(columns.position, columns.position + 3).map(parseFloat);
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error(`Invalid coordinates on line ${lineNumber + 1}`);
+    }
+    atoms.push({ element, x, y, z });
+  }
+
+  return { atoms, comment, pairs, next: start + 2 + atomCount };
+}
+
+/**
+ * Parse XYZ or extended XYZ text
+ */
+export function parseXYZ(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const frames = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (lines[index].trim() === '') {
+      index++;
+      continue;
+    }
+    const frame = readFrame(lines, index);
+    frames.push(frame);
+    index = frame.next;
+  }
+
+  if (frames.length === 0 || frames[0].atoms.length === 0) {
+    throw new Error('XYZ file contains no atoms');
+  }
+
+  const [first] = frames;
+  frames.forEach((frame, frameIndex) => {
+    const sameAtoms = frame.atoms.length === first.atoms.length &&
+      frame.atoms.every((atom, i) => atom.element === first.atoms[i].element);
+    if (!sameAtoms) {
+      throw new Error(`Frame ${frameIndex + 1} does not match the atoms of the first frame`);
+    }
+  });
+
+  const metadata = { format: 'xyz', frameCount: frames.length };
+  if (first.comment) metadata.comment = first.comment;
+  if (first.pairs) {
+    const { Lattice, Properties, pbc, ...properties } = first.pairs;
+    const lattice = parseLattice(Lattice);
+    if (lattice) metadata.lattice = lattice;
+    if (pbc !== undefined) metadata.pbc = Array.isArray(pbc) ? pbc : [pbc, pbc, pbc];
+    if (Object.keys(properties).length > 0) metadata.properties = properties;
+  }
+  const energy = findEnergy(first.comment, first.pairs);
+  if (energy !== null) metadata.energy = energy;
+
+  const molecule = {
+    name: options.name || (first.pairs ? '' : first.comment) || 'Imported structure',
+    atoms: first.atoms,
+    bonds: [],
+    metadata
+  };
+
+  if (frames.length > 1) {
+    molecule.frames = frames.map((frame, frameIndex) => {
+      const time = frame.pairs && typeof frame.pairs.time === 'number' ? frame.pairs.time : frameIndex;
+      return {
+        timestamp: time,
+        energy: findEnergy(frame.comment, frame.pairs),
+        coordinates: frame.atoms.map(({ x, y, z }) => ({ x, y, z }))
+      };
+    });
+  }
+
+  return molecule;
+}
+
+export default parseXYZ;
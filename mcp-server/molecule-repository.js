@@ -0,0 +1,151 @@
+/**
+ * Molecule Repository
+ * Source of the built-in molecules served by MoleculeServer, the serverless
+ * API and the static GitHub Pages bundle
+ *
+ * A repository is any object with:
+ *   load()          - returns an array of molecules ({ id, name, atoms, bonds, ... })
+ *   watch(listener) - optional; calls listener({ type, id, molecule }) with
+ *                     type 'add', 'change' or 'remove', returns a stop function
+ *
+ * DirectoryRepository reads one structure file per molecule from a data
+ * directory (data/molecules by default, or MOLECULES_DATA_DIR). The file
+ * name is the molecule id and the extension selects the format, so adding a
+ * molecule means adding one file.
+ */
+
+import { readdirSync, readFileSync, existsSync, watch } from 'fs';
+import { join, extname, basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseMolecules, SUPPORTED_FORMATS, normalizeFormat } from './formats/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DATA_DIRECTORY = join(__dirname, '..', 'data', 'molecules');
+
+// Editors write files in several steps; wait for them to settle
+const WATCH_DELAY = 100;
+
+/**
+ * Molecules from structure files in a directory
+ */
+export class DirectoryRepository {
+  constructor({ directory = DEFAULT_DATA_DIRECTORY } = {}) {
+    this.directory = directory;
+    // File name -> molecules read from it, filled by load()
+    this.files = null;
+  }
+
+  isStructureFile(fileName) {
+    return SUPPORTED_FORMATS.includes(normalizeFormat(extname(fileName)));
+  }
+
+  /**
+   * Parse one file; multi-record files get "-2", "-3"... suffixed ids
+   */
+  readFile(fileName) {
+    const format = extname(fileName);
+    const stem = basename(fileName, format);
+    const text = readFileSync(join(this.directory, fileName), 'utf8');
+
+    return parseMolecules(text, format).map((molecule, index) => ({
+      id: index === 0 ? stem : `${stem}-${index + 1}`,
+      ...molecule,
+      name: molecule.name || stem,
+      metadata: { ...molecule.metadata, source: fileName }
+    }));
+  }
+
+  /**
+   * Read a file, logging instead of failing so that one broken file does
+   * not take down the others
+   */
+  tryReadFile(fileName) {
+    try {
+      return this.readFile(fileName);
+    } catch (error) {
+      console.warn(`WARNING: Skipping ${fileName} in ${this.directory}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * All molecules, sorted by file name; files are read once and cached
+   */
+  load() {
+    if (!this.files) {
+      this.files = new Map();
+      if (existsSync(this.directory)) {
+        readdirSync(this.directory)
+          .filter(fileName => this.isStructureFile(fileName))
+          .sort()
+          .forEach(fileName => this.files.set(fileName, this.tryReadFile(fileName)));
+      }
+    }
+    return [...this.files.values()].flat();
+  }
+
+  /**
+   * Reload files as they are added, edited or deleted; a missing or
+   * unwatchable directory keeps the loaded molecules and is not fatal
+   */
+  watch(listener) {
+    this.load();
+    if (!existsSync(this.directory)) return () => {};
+    const pending = new Map();
+
+    const update = fileName => {
+      pending.delete(fileName);
+      const previous = this.files.get(fileName) || [];
+      const current = existsSync(join(this.directory, fileName)) ? this.tryReadFile(fileName) : [];
+
+      if (current.length > 0) this.files.set(fileName, current);
+      else this.files.delete(fileName);
+
+      const currentIds = new Set(current.map(molecule => molecule.id));
+      previous
+        .filter(molecule => !currentIds.has(molecule.id))
+        .forEach(molecule => listener({ type: 'remove', id: molecule.id, molecule }));
+      current.forEach(molecule => {
+        const type = previous.some(old => old.id === molecule.id) ? 'change' : 'add';
+        listener({ type, id: molecule.id, molecule });
+      });
+    };
+
+    let watcher;
+    try {
+      watcher = watch(this.directory, (eventType, fileName) => {
+        if (!fileName || !this.isStructureFile(fileName)) return;
+        clearTimeout(pending.get(fileName));
+        pending.set(fileName, setTimeout(() => update(fileName), WATCH_DELAY));
+      });
+    } catch (error) {
+      console.warn(`WARNING: Not watching ${this.directory}: ${error.message}`);
+      return () => {};
+    }
+
+    return () => {
+      pending.forEach(timer => clearTimeout(timer));
+      watcher.close();
+    };
+  }
+}
+
+/**
+ * Molecules held in memory, e.g. for tests or generated data
+ */
+export class MemoryRepository {
+  constructor(molecules = []) {
+    this.molecules = molecules;
+  }
+
+  load() {
+    return this.molecules;
+  }
+}
+
+export const defaultRepository = new DirectoryRepository({
+  directory: process.env.MOLECULES_DATA_DIR || DEFAULT_DATA_DIRECTORY
+});
+
+export default defaultRepository;
@@ -3,132 +3,354 @@
  * Serves molecular structures and chemical data to the visualization frontend
  */
 
-// Sample molecular database
-const moleculeDatabase = {
-  water: {
-    id: 'water',
-    name: 'Water',
-    formula: 'H2O',
-    atoms: [
-      { element: 'O', x: 0, y: 0, z: 0 },
-      { element: 'H', x: 0.757, y: 0.586, z: 0 },
-      { element: 'H', x: -0.757, y: 0.586, z: 0 }
-    ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 0, to: 2, order: 1 }
-    ]
-  },
-  methane: {
-    id: 'methane',
-    name: 'Methane',
-    formula: 'CH4',
-    atoms: [
-      { element: 'C', x: 0, y: 0, z: 0 },
-      { element: 'H', x: 0.629, y: 0.629, z: 0.629 },
-      { element: 'H', x: -0.629, y: -0.629, z: 0.629 },
-      { element: 'H', x: -0.629, y: 0.629, z: -0.629 },
-      { element: 'H', x: 0.629, y: -0.629, z: -0.629 }
-    ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 0, to: 2, order: 1 },
-      { from: 0, to: 3, order: 1 },
-      { from: 0, to: 4, order: 1 }
-    ]
-  },
-  ethanol: {
-    id: 'ethanol',
-    name: 'Ethanol',
-    formula: 'C2H5OH',
-    atoms: [
-      { element: 'C', x: 0.755, y: 0.010, z: 0.000 },
-      { element: 'C', x: -0.755, y: -0.010, z: 0.000 },
-      { element: 'O', x: -1.377, y: 1.263, z: 0.000 },
-      { element: 'H', x: 1.144, y: -0.503, z: 0.883 },
-      { element: 'H', x: 1.144, y: -0.503, z: -0.883 },
-      { element: 'H', x: 1.084, y: 1.042, z: 0.000 },
-      { element: 'H', x: -1.144, y: -0.521, z: -0.883 },
-      { element: 'H', x: -1.144, y: -0.521, z: 0.883 },
-      { element: 'H', x: -2.326, y: 1.157, z: 0.000 }
-    ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 1, to: 2, order: 1 },
-      { from: 0, to: 3, order: 1 },
-      { from: 0, to: 4, order: 1 },
-      { from: 0, to: 5, order: 1 },
-      { from: 1, to: 6, order: 1 },
-      { from: 1, to: 7, order: 1 },
-      { from: 2, to: 8, order: 1 }
-    ]
-  },
-  benzene: {
-    id: 'benzene',
-    name: 'Benzene',
-    formula: 'C6H6',
-    atoms: [
-      { element: 'C', x: 1.207, y: 0.697, z: 0 },
-      { element: 'C', x: 1.207, y: -0.697, z: 0 },
-      { element: 'C', x: 0, y: -1.394, z: 0 },
-      { element: 'C', x: -1.207, y: -0.697, z: 0 },
-      { element: 'C', x: -1.207, y: 0.697, z: 0 },
-      { element: 'C', x: 0, y: 1.394, z: 0 },
-      { element: 'H', x: 2.147, y: 1.240, z: 0 },
-      { element: 'H', x: 2.147, y: -1.240, z: 0 },
-      { element: 'H', x: 0, y: -2.480, z: 0 },
-      { element: 'H', x: -2.147, y: -1.240, z: 0 },
-      { element: 'H', x: -2.147, y: 1.240, z: 0 },
-      { element: 'H', x: 0, y: 2.480, z: 0 }
-    ],
-    bonds: [
-      { from: 0, to: 1, order: 2 },
-      { from: 1, to: 2, order: 1 },
-      { from: 2, to: 3, order: 2 },
-      { from: 3, to: 4, order: 1 },
-      { from: 4, to: 5, order: 2 },
-      { from: 5, to: 0, order: 1 },
-      { from: 0, to: 6, order: 1 },
-      { from: 1, to: 7, order: 1 },
-      { from: 2, to: 8, order: 1 },
-      { from: 3, to: 9, order: 1 },
-      { from: 4, to: 10, order: 1 },
-      { from: 5, to: 11, order: 1 }
-    ]
-  },
-  co2: {
-    id: 'co2',
-    name: 'Carbon Dioxide',
-    formula: 'CO2',
-    atoms: [
-      { element: 'C', x: 0, y: 0, z: 0 },
-      { element: 'O', x: 1.162, y: 0, z: 0 },
-      { element: 'O', x: -1.162, y: 0, z: 0 }
-    ],
-    bonds: [
-      { from: 0, to: 1, order: 2 },
-      { from: 0, to: 2, order: 2 }
-    ]
-  }
+import { parseMolecules, writeMolecule } from './formats/index.js';
+import {
+  hillFormula,
+  canonicalFormula,
+  formulaWarning,
+  molecularWeight,
+  monoisotopicMass
+} from './chemistry/formula.js';
+import { parseSMILES } from './chemistry/smiles.js';
+import { normalizeElement } from './chemistry/elements.js';
+import { perceiveBonds } from './chemistry/bonding.js';
+import { assignBondOrders, kekulize, aromatize, perceiveAromaticity } from './chemistry/bond-orders.js';
+import { parseSubstructureQuery, findSubstructureMatches } from './chemistry/substructure.js';
+import { circularFingerprint, tanimoto } from './chemistry/fingerprint.js';
+import { canonicalIdentifiers } from './chemistry/canonical.js';
+import { validateMolecule, hasErrors } from './chemistry/validation.js';
+import { addHydrogens, removeHydrogens } from './chemistry/hydrogens.js';
+import { calculateAnalytics } from './chemistry/analytics.js';
+import { gasteigerCharges } from './chemistry/charges.js';
+import {
+  solventAccessibleSurface,
+  DEFAULT_PROBE_RADIUS,
+  DEFAULT_SPHERE_POINTS
+} from './chemistry/surface.js';
+import { findHydrogenBonds, findHydrogenBondsBetween } from './chemistry/hbonds.js';
+import { findPointGroup, DEFAULT_TOLERANCE } from './chemistry/symmetry.js';
+import { alignStructures } from './chemistry/alignment.js';
+import { analyzeTopology } from './chemistry/topology.js';
+import { assignStereo, stereoLabels } from './chemistry/stereo.js';
+import { defaultRepository } from './molecule-repository.js';
+
+// Bond order operations available through updateBondOrders
+const BOND_ORDER_MODES = {
+  assign: assignBondOrders,
+  kekulize,
+  aromatize
+};
+
+const HYDROGEN_ACTIONS = {
+  add: molecule => addHydrogens(molecule),
+  remove: (molecule, mode) => removeHydrogens(molecule, { mode: mode ? String(mode).toLowerCase() : undefined })
 };
 
+// Sort keys of listMolecules; prefix with "-" for descending order
+const LIST_SORT_KEYS = {
+  id: mol => mol.id,
+  name: mol => mol.name.toLowerCase(),
+  formula: mol => mol.formula,
+  molecular_weight: mol => mol.molecular_weight,
+  atom_count: mol => mol.atoms.length
+};
+
+const LIST_BOND_ORDERS = { single: 1, double: 2, triple: 3, aromatic: 1.5 };
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Read a non-negative number from listMolecules options
+ */
+function numberOption(options, key, { integer = false } = {}) {
+  const value = options[key];
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`${key} must be a non-negative ${integer ? 'integer' : 'number'}`);
+  }
+  return number;
+}
+
+/**
+ * Values of a repeated or comma-separated option ("C,N" or ['C', 'N'])
+ */
+function listOption(value) {
+  if (value === undefined) return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Aromatic bond indices per stored molecule object; an update stores a
+// new object
+const aromaticBondCache = new WeakMap();
+
+/**
+ * Indices of the aromatic bonds of a molecule: those flagged aromatic and
+ * those of rings perceived as aromatic, so that Kekulé rings count too
+ */
+function aromaticBonds(molecule) {
+  if (!aromaticBondCache.has(molecule)) {
+    const bonds = new Set();
+    molecule.bonds.forEach((bond, index) => {
+      if (bond.aromatic || bond.order === 1.5) bonds.add(index);
+    });
+    try {
+      perceiveAromaticity(molecule).bonds.forEach(index => bonds.add(index));
+    } catch {
+      // Aromatic bonds that cannot be kekulized are taken as flagged
+    }
+    aromaticBondCache.set(molecule, bonds);
+  }
+  return aromaticBondCache.get(molecule);
+}
+
+function hasBondOrder(molecule, order) {
+  const aromatic = aromaticBonds(molecule);
+  return molecule.bonds.some((bond, index) => (
+    order === 1.5 ? aromatic.has(index) : !aromatic.has(index) && bond.order === order
+  ));
+}
+
+// Cursors are opaque to clients: the sort key and the last row's position
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || decoded[0] !== sort) {
+    throw new Error('Invalid cursor');
+  }
+  return { value: decoded[1], id: decoded[2] };
+}
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// What addMolecule does with a structure that is already stored: 'allow'
+// stores it with duplicate_of set, 'link' returns the stored molecule and
+// 'reject' throws
+const DUPLICATE_POLICIES = ['allow', 'link', 'reject'];
+
+/**
+ * Validate a structure before it is stored (see chemistry/validation.js)
+ * Warnings are logged; errors throw an Error whose issues property holds
+ * the full report.
+ */
+function checkStructure(molecule) {
+  const issues = validateMolecule(molecule);
+  if (hasErrors(issues)) {
+    const messages = issues.filter(({ severity }) => severity === 'error').map(({ message }) => message);
+    const more = messages.length > 3 ? ` (and ${messages.length - 3} more)` : '';
+    const error = new Error(`Invalid structure: ${messages.slice(0, 3).join('; ')}${more}`);
+    error.issues = issues;
+    throw error;
+  }
+  issues.forEach(({ message }) => console.warn(`WARNING: ${message} in ${molecule.id || molecule.name}`));
+}
+
+/**
+ * Label stereocenters (R/S) and stereo double bonds (E/Z) from the 3D
+ * coordinates (see chemistry/stereo.js). Structures read from SMILES keep
+ * the labels the SMILES specified: their generated coordinates also place
+ * centers the SMILES left unspecified.
+ */
+function withStereo(molecule) {
+  if (molecule.metadata && molecule.metadata.format === 'smiles') return molecule;
+  return { ...molecule, ...assignStereo(molecule) };
+}
+
+/**
+ * Set the Hill formula, average molecular weight and monoisotopic mass from
+ * the atoms, warning when a stated formula disagrees with them, and the
+ * canonical SMILES and hash and Gasteiger partial charges (one per atom)
+ * from the structure. A molecule without a SMILES string gets the
+ * canonical one.
+ */
+function withComposition(molecule) {
+  const warning = formulaWarning(molecule.formula, molecule.atoms, molecule.id || molecule.name);
+  if (warning) console.warn(`WARNING: ${warning}`);
+
+  const { atoms } = molecule;
+  const canonical = canonicalIdentifiers(molecule);
+  return {
+    ...molecule,
+    formula: hillFormula(atoms),
+    molecular_weight: molecularWeight(atoms),
+    monoisotopic_mass: monoisotopicMass(atoms),
+    smiles: molecule.smiles || canonical.smiles,
+    canonical_smiles: canonical.smiles,
+    canonical_hash: canonical.hash,
+    partial_charges: gasteigerCharges(molecule)
+  };
+}
+
 export class MoleculeServer {
-  constructor() {
-    this.database = moleculeDatabase;
+  /**
+   * @param {Object} options
+   * @param {Object} options.repository - Source of the built-in molecules
+   *   (see molecule-repository.js); defaults to the data/molecules directory
+   */
+  constructor({ repository = defaultRepository } = {}) {
+    this.repository = repository;
+    // Copy so molecules added to one server instance stay local to it
+    this.database = Object.fromEntries(
+      repository.load().map(molecule => [molecule.id, withComposition(withStereo({ ...molecule, version: 1 }))])
+    );
+    // Earlier versions of updated molecules, keyed by molecule id, oldest first
+    this.versions = new Map();
+    // Trajectory frames from multi-frame imports, keyed by molecule id
+    this.trajectories = new Map();
+    // Circular fingerprints keyed by molecule id, computed on first use
+    this.fingerprints = new Map();
+    // Calculated analytics keyed by molecule id, kept until the structure changes
+    this.analytics = new Map();
+  }
+
+  /**
+   * Keep the built-in molecules in sync with the repository
+   * Added and changed molecules are validated like other additions; an
+   * invalid one is skipped with a warning, keeping any earlier version.
+   * Returns a function that stops watching.
+   */
+  watchRepository() {
+    if (!this.repository.watch) return () => {};
+
+    return this.repository.watch(({ type, id, molecule }) => {
+      if (type === 'remove') {
+        delete this.database[id];
+        this.trajectories.delete(id);
+        this.versions.delete(id);
+      } else {
+        try {
+          checkStructure(molecule);
+        } catch (error) {
+          console.warn(`WARNING: Skipping ${id}: ${error.message}`);
+          return;
+        }
+        const previous = this.database[id];
+        if (previous) this.versions.set(id, [...(this.versions.get(id) || []), previous]);
+        this.database[id] = withComposition(withStereo({ ...molecule, version: previous ? previous.version + 1 : 1 }));
+      }
+      this.fingerprints.delete(id);
+      this.analytics.delete(id);
+    });
   }
 
   getAllMolecules() {
     return Object.values(this.database).map(mol => ({
       id: mol.id,
       name: mol.name,
-      formula: mol.formula
+      formula: mol.formula,
+      molecular_weight: mol.molecular_weight
     }));
   }
 
+  /**
+   * Filtered, sorted page of the molecule list
+   * Options (the query parameters of GET /api/molecules):
+   *   element      - elements every molecule must contain ("C,N")
+   *   min_atoms, max_atoms   - atom count range, inclusive
+   *   min_weight, max_weight - molecular weight range in g/mol, inclusive
+   *   bond_order   - bond orders that must be present: single, double,
+   *                  triple or aromatic (bonds of aromatic rings, however
+   *                  stored, count as aromatic only)
+   *   sort         - id, name (default), formula, molecular_weight or
+   *                  atom_count; "-name" sorts descending
+   *   limit        - page size (default 50, at most 200)
+   *   cursor       - end_cursor of the previous page
+   * Returns { molecules, total_count, page_info: { has_next_page, end_cursor } }.
+   */
+  listMolecules(options = {}) {
+    const elements = listOption(options.element).map(symbol => {
+      const element = normalizeElement(symbol);
+      if (!element) throw new Error(`Unknown element: ${symbol}`);
+      return element;
+    });
+    const bondOrders = listOption(options.bond_order).map(name => {
+      const order = LIST_BOND_ORDERS[name.toLowerCase()] ?? Number(name);
+      if (!Object.values(LIST_BOND_ORDERS).includes(order)) {
+        throw new Error(`Unsupported bond order: ${name}`);
+      }
+      return order;
+    });
+    const minAtoms = numberOption(options, 'min_atoms', { integer: true });
+    const maxAtoms = numberOption(options, 'max_atoms', { integer: true });
+    const minWeight = numberOption(options, 'min_weight');
+    const maxWeight = numberOption(options, 'max_weight');
+
+    // A repeated query parameter arrives as an array
+    const sort = options.sort || 'name';
+    const sortKey = typeof sort === 'string' ? sort.replace(/^-/, '') : '';
+    const sortValue = Object.hasOwn(LIST_SORT_KEYS, sortKey) && LIST_SORT_KEYS[sortKey];
+    if (!sortValue) throw new Error(`Unsupported sort key: ${sort}`);
+    const direction = sort.startsWith('-') ? -1 : 1;
+
+    const limit = numberOption(options, 'limit', { integer: true }) ?? DEFAULT_PAGE_SIZE;
+    if (limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // Ties are broken by id so that cursors point at one position
+    const compare = (a, b) => direction * compareValues(a.value, b.value) || compareValues(a.id, b.id);
+    const rows = Object.values(this.database)
+      .filter(mol =>
+        elements.every(element => mol.atoms.some(atom => atom.element === element)) &&
+        bondOrders.every(order => hasBondOrder(mol, order)) &&
+        (minAtoms === undefined || mol.atoms.length >= minAtoms) &&
+        (maxAtoms === undefined || mol.atoms.length <= maxAtoms) &&
+        (minWeight === undefined || mol.molecular_weight >= minWeight) &&
+        (maxWeight === undefined || mol.molecular_weight <= maxWeight)
+      )
+      .map(mol => ({ mol, id: mol.id, value: sortValue(mol) }))
+      .sort(compare);
+
+    let start = 0;
+    if (options.cursor) {
+      const after = decodeCursor(options.cursor, sort);
+      start = rows.findIndex(row => compare(row, after) > 0);
+      if (start === -1) start = rows.length;
+    }
+    const page = rows.slice(start, start + limit);
+    const last = page[page.length - 1];
+
+    return {
+      molecules: page.map(({ mol }) => ({
+        id: mol.id,
+        name: mol.name,
+        formula: mol.formula,
+        molecular_weight: mol.molecular_weight,
+        atom_count: mol.atoms.length
+      })),
+      total_count: rows.length,
+      page_info: {
+        has_next_page: start + page.length < rows.length,
+        end_cursor: last ? encodeCursor(sort, last.value, last.id) : null
+      }
+    };
+  }
+
   getMolecule(id) {
     return this.database[id] || null;
   }
 
+  /**
+   * A molecule as it was at a version (1 when stored); updates keep the
+   * versions they replace
+   */
+  getMoleculeVersion(id, version) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    if (Number(version) === molecule.version) return molecule;
+    return (this.versions.get(id) || []).find(earlier => earlier.version === Number(version)) || null;
+  }
+
   getElementsInMolecule(id) {
     const molecule = this.getMolecule(id);
     if (!molecule) return null;
@@ -144,12 +366,51 @@ export class MoleculeServer {
     }));
   }
 
-  searchMolecules(query) {
+  /**
+   * Rings, ring systems, rotatable bonds, connected components and atom
+   * degrees of a stored molecule (see chemistry/topology.js)
+   */
+  getTopology(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return { molecule_id: id, ...analyzeTopology(molecule) };
+  }
+
+  /**
+   * Stereocenters and stereo double bonds of a stored molecule with their
+   * R/S and E/Z labels: { molecule_id, centers, double_bonds }
+   */
+  getStereo(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return { molecule_id: id, ...stereoLabels(molecule) };
+  }
+
+  /**
+   * Find molecules by name or formula
+   * Formulas also match in any notation: "C2H5OH" finds ethanol (C2H6O).
+   * With mode 'substructure' the query is a SMARTS-style fragment instead
+   * (see substructureSearch), with mode 'similarity' a SMILES string whose
+   * most similar molecules are returned (see similaritySearch; `k` and
+   * `threshold` apply).
+   */
+  searchMolecules(query, { mode = 'text', k, threshold } = {}) {
+    const searchMode = String(mode).toLowerCase();
+    if (searchMode === 'substructure') return this.substructureSearch(query);
+    if (searchMode === 'similarity') return this.similaritySearch(query, { k, threshold });
+    if (searchMode !== 'text') {
+      throw new Error(`Unsupported search mode: ${mode}`);
+    }
+
     const lowerQuery = query.toLowerCase();
+    const formula = canonicalFormula(query);
     return Object.values(this.database)
       .filter(mol => 
         mol.name.toLowerCase().includes(lowerQuery) ||
-        mol.formula.toLowerCase().includes(lowerQuery)
+        mol.formula.toLowerCase().includes(lowerQuery) ||
+        mol.formula === formula
       )
       .map(mol => ({
         id: mol.id,
@@ -157,6 +418,505 @@ export class MoleculeServer {
         formula: mol.formula
       }));
   }
+
+  /**
+   * Find molecules containing a fragment, e.g. 'c1ccccc1' or 'C(=O)[OH]'
+   * Each hit carries `matches`: the matched atom indices, one array per
+   * occurrence in query atom order.
+   */
+  substructureSearch(query) {
+    const pattern = parseSubstructureQuery(query);
+    return Object.values(this.database)
+      .map(mol => ({ mol, matches: findSubstructureMatches(mol, pattern) }))
+      .filter(({ matches }) => matches.length > 0)
+      .map(({ mol, matches }) => ({
+        id: mol.id,
+        name: mol.name,
+        formula: mol.formula,
+        matches
+      }));
+  }
+
+  /**
+   * Fingerprint of a stored molecule, cached until its structure changes
+   */
+  getFingerprint(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    if (!this.fingerprints.has(id)) {
+      this.fingerprints.set(id, circularFingerprint(molecule));
+    }
+    return this.fingerprints.get(id);
+  }
+
+  /**
+   * Rank molecules by the Tanimoto similarity of their fingerprints
+   * `query` is a SMILES string or a molecule with atoms and bonds.
+   * Options: k - number of results (default 10), threshold - lowest
+   * similarity returned, 0 to 1 (default 0), exclude - id to leave out
+   */
+  similaritySearch(query, { k = 10, threshold = 0, exclude } = {}) {
+    const limit = Number(k);
+    const minimum = Number(threshold);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('k must be a positive integer');
+    }
+    if (!(minimum >= 0 && minimum <= 1)) {
+      throw new Error('threshold must be between 0 and 1');
+    }
+
+    const molecule = typeof query === 'string' ? parseSMILES(query, { coordinates: false }) : query;
+    const fingerprint = circularFingerprint(molecule);
+
+    return Object.values(this.database)
+      .filter(mol => mol.id !== exclude)
+      .map(mol => ({
+        id: mol.id,
+        name: mol.name,
+        formula: mol.formula,
+        similarity: Math.round(tanimoto(fingerprint, this.getFingerprint(mol.id)) * 1e4) / 1e4
+      }))
+      .filter(hit => hit.similarity > 0 && hit.similarity >= minimum)
+      .sort((a, b) => b.similarity - a.similarity || a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Molecules most similar to a stored molecule, excluding itself
+   */
+  findSimilarMolecules(id, options = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    return this.similaritySearch(molecule, { ...options, exclude: id });
+  }
+
+  /**
+   * Generate a unique, URL-safe id from a molecule name
+   */
+  createId(name) {
+    const base = String(name || 'molecule')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'molecule';
+
+    let id = base;
+    let suffix = 2;
+    while (this.database[id]) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * Store a molecule built from parsed structure data
+   * The formula (Hill notation), molecular weight and monoisotopic mass are
+   * computed from the atoms; a supplied formula that disagrees with the
+   * atoms is reported and replaced. A SMILES string
+   * alone is enough: atoms, hydrogens and 3D coordinates are generated from
+   * it. Stereocenters and stereo double bonds get R/S and E/Z labels (cip)
+   * from the coordinates, or from the SMILES string when the structure came
+   * from one. Trajectory frames (from multi-frame files) are kept alongside the
+   * molecule. Structures with validation errors are rejected (the error's
+   * issues property holds the report) and warnings are logged.
+   *
+   * A structure with the canonical hash of a stored molecule is handled by
+   * the `duplicates` option: 'allow' (default) stores it with duplicate_of
+   * set to the stored id, 'link' returns the stored molecule instead and
+   * 'reject' throws an error whose duplicateOf property names it.
+   */
+  addMolecule({ id, name, formula, smiles, atoms, bonds = [], metadata, frames }, { duplicates = 'allow' } = {}) {
+    if (!DUPLICATE_POLICIES.includes(duplicates)) {
+      throw new Error(`Unsupported duplicate policy: ${duplicates}`);
+    }
+    if (id && this.database[id]) {
+      throw new Error(`Molecule already exists: ${id}`);
+    }
+    const fromSmiles = !atoms;
+    if (fromSmiles) {
+      if (!smiles) throw new Error('Molecule requires atoms or a SMILES string');
+      ({ atoms, bonds } = parseSMILES(smiles));
+    }
+
+    let molecule = {
+      id: id || this.createId(name || smiles),
+      name: name || smiles || 'Unnamed molecule',
+      version: 1,
+      formula,
+      atoms,
+      bonds
+    };
+    if (smiles) molecule.smiles = smiles;
+    if (metadata) molecule.metadata = metadata;
+    checkStructure(molecule);
+    molecule = withComposition(fromSmiles ? molecule : withStereo(molecule));
+
+    const original = this.findByCanonicalHash(molecule.canonical_hash);
+    if (original) {
+      if (duplicates === 'reject') {
+        const error = new Error(`Duplicate of molecule ${original.id}`);
+        error.duplicateOf = original.id;
+        throw error;
+      }
+      if (duplicates === 'link') return original;
+      molecule.duplicate_of = original.id;
+    }
+
+    this.database[molecule.id] = molecule;
+    if (frames && frames.length > 1) {
+      this.trajectories.set(molecule.id, frames);
+    }
+    return molecule;
+  }
+
+  /**
+   * Find the first stored molecule with a canonical hash (see
+   * chemistry/canonical.js); duplicates stored later are skipped
+   */
+  findByCanonicalHash(hash) {
+    return Object.values(this.database).find(
+      molecule => molecule.canonical_hash === hash && !molecule.duplicate_of
+    ) || null;
+  }
+
+  /**
+   * Validate a stored molecule
+   */
+  validateMolecule(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    return this.validateStructure(molecule);
+  }
+
+  /**
+   * Validate atoms and bonds, or a SMILES string, without storing them
+   * Returns { valid, issues }; valid is false when any issue is an error.
+   */
+  validateStructure({ smiles, atoms, bonds = [] }) {
+    if (!atoms) {
+      if (!smiles) throw new Error('Molecule requires atoms or a SMILES string');
+      ({ atoms, bonds } = parseSMILES(smiles));
+    }
+    const issues = validateMolecule({ atoms, bonds });
+    return { valid: !hasErrors(issues), issues };
+  }
+
+  /**
+   * Change the name, metadata or structure (atoms and/or bonds) of a stored
+   * molecule. A new structure is validated as in addMolecule; the
+   * composition, canonical identifiers and stereo labels are recomputed
+   * and a structure change drops the cached fingerprint and analytics.
+   * The result is the next version; getMoleculeVersion still returns the
+   * one it replaces.
+   */
+  updateMolecule(id, { name, metadata, atoms, bonds } = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    const updated = { ...molecule, version: molecule.version + 1 };
+    if (name !== undefined) updated.name = name;
+    if (metadata !== undefined) updated.metadata = metadata;
+    if (atoms !== undefined) {
+      const frames = this.trajectories.get(id);
+      if (frames && atoms.length !== molecule.atoms.length) {
+        throw new Error(`Trajectory frames of ${id} have ${molecule.atoms.length} atoms`);
+      }
+      updated.atoms = atoms;
+      // The stored formula describes the old atoms
+      delete updated.formula;
+    }
+    if (bonds !== undefined) updated.bonds = bonds;
+
+    if (atoms !== undefined || bonds !== undefined) {
+      checkStructure(updated);
+      // The new coordinates define the stereochemistry
+      Object.assign(updated, assignStereo(updated));
+      // A SMILES string and duplicate link no longer describe the new structure
+      delete updated.smiles;
+      delete updated.duplicate_of;
+      this.fingerprints.delete(id);
+      this.analytics.delete(id);
+    }
+    this.database[id] = withComposition(updated);
+    this.versions.set(id, [...(this.versions.get(id) || []), molecule]);
+    return this.database[id];
+  }
+
+  /**
+   * Get the trajectory frames imported with a molecule
+   */
+  getTrajectory(id) {
+    const frames = this.trajectories.get(id);
+    if (!frames) return null;
+
+    return {
+      moleculeId: id,
+      frameCount: frames.length,
+      atomCount: this.database[id].atoms.length,
+      frames
+    };
+  }
+
+  /**
+   * Parse a structure file and add every record to the database
+   * `format` is a MoleculeFormat identifier such as 'PDB' or 'SDF'.
+   * A `name` applies to single-record files only. `duplicates` is the
+   * duplicate policy of addMolecule; when a record is rejected, none of the
+   * file is stored.
+   */
+  importMolecules(file, format, { id, name, duplicates } = {}) {
+    const parsed = parseMolecules(file, format);
+    const single = parsed.length === 1;
+    const stored = new Set(Object.keys(this.database));
+
+    try {
+      return parsed.map(molecule => this.addMolecule({
+        ...molecule,
+        id: single ? id : undefined,
+        name: (single && name) || molecule.name
+      }, { duplicates }));
+    } catch (error) {
+      Object.keys(this.database)
+        .filter(key => !stored.has(key))
+        .forEach(key => {
+          delete this.database[key];
+          this.trajectories.delete(key);
+        });
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a structure file and add its first record to the database
+   */
+  importMolecule(file, format, { id, name, duplicates } = {}) {
+    const [molecule] = parseMolecules(file, format);
+    return this.addMolecule({ ...molecule, id, name: name || molecule.name }, { duplicates });
+  }
+
+  /**
+   * Replace a molecule's bonds with bonds perceived from its coordinates
+   * Bond orders are assigned from valences.
+   */
+  rebondMolecule(id, { tolerance } = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    const { bonds } = assignBondOrders({ ...molecule, bonds: perceiveBonds(molecule.atoms, { tolerance }) });
+    return this.updateMolecule(id, { bonds });
+  }
+
+  /**
+   * Perceive bonds for one trajectory frame
+   * The bonds are kept on the frame so they are served with the trajectory.
+   */
+  rebondFrame(id, frameIndex, { tolerance } = {}) {
+    const frames = this.trajectories.get(id);
+    const frame = frames && frames[frameIndex];
+    if (!frame) return null;
+
+    const { atoms } = this.getMolecule(id);
+    frame.bonds = perceiveBonds(atoms, { tolerance, coordinates: frame.coordinates });
+    return { moleculeId: id, frame: frameIndex, bonds: frame.bonds };
+  }
+
+  /**
+   * Add the missing hydrogens of a molecule, or remove its hydrogens
+   * Actions: 'add' (placed from hybridization and valence, see
+   * chemistry/hydrogens.js) or 'remove' with mode 'all' (default) or
+   * 'nonpolar' (hydrogens on carbon). The formula and masses are recomputed
+   * and the result is stored as a new version (see updateMolecule).
+   */
+  updateHydrogens(id, { action, mode } = {}) {
+    const operation = HYDROGEN_ACTIONS[String(action || '').toLowerCase()];
+    if (!operation) {
+      throw new Error(`Unsupported hydrogen action: ${action}`);
+    }
+
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    const { atoms, bonds } = operation(molecule, mode);
+    if (atoms === molecule.atoms) return molecule;
+    return this.updateMolecule(id, { atoms, bonds });
+  }
+
+  /**
+   * Rewrite a molecule's bond orders
+   * Modes: 'assign' (infer orders from valences), 'kekulize' (alternating
+   * single/double bonds) or 'aromatize' (aromatic rings as order 1.5).
+   */
+  updateBondOrders(id, mode) {
+    const operation = BOND_ORDER_MODES[String(mode || '').toLowerCase()];
+    if (!operation) {
+      throw new Error(`Unsupported bond order mode: ${mode}`);
+    }
+
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return this.updateMolecule(id, { bonds: operation(molecule).bonds });
+  }
+
+  /**
+   * Calculate a molecule's descriptors (see chemistry/analytics.js) and
+   * store them for getAnalytics
+   */
+  calculateAnalytics(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    const analytics = {
+      molecule_id: id,
+      ...calculateAnalytics(molecule),
+      calculated_at: new Date().toISOString()
+    };
+    this.analytics.set(id, analytics);
+    return analytics;
+  }
+
+  /**
+   * Stored analytics of a molecule, or null when they have not been
+   * calculated since its structure last changed
+   */
+  getAnalytics(id) {
+    return this.analytics.get(id) || null;
+  }
+
+  /**
+   * Gasteiger partial charges of a stored molecule, in atom order
+   */
+  getPartialCharges(id) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return { molecule_id: id, method: 'gasteiger', charges: molecule.partial_charges };
+  }
+
+  /**
+   * Solvent accessible surface area of a stored molecule, total and per
+   * atom (Å²). Options: probeRadius (Angstrom, default 1.4) and points per
+   * atom (default 960), as in chemistry/surface.js
+   */
+  getSurfaceArea(id, { probeRadius, points } = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return {
+      molecule_id: id,
+      probe_radius: probeRadius ?? DEFAULT_PROBE_RADIUS,
+      points: points ?? DEFAULT_SPHERE_POINTS,
+      ...solventAccessibleSurface(molecule, { probeRadius, points })
+    };
+  }
+
+  /**
+   * Point group, symmetry-equivalent atoms and symmetry elements of a
+   * stored molecule (see chemistry/symmetry.js). Options: tolerance
+   * (Angstrom, default 0.3)
+   */
+  getSymmetry(id, { tolerance } = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+
+    return {
+      molecule_id: id,
+      tolerance: tolerance ?? DEFAULT_TOLERANCE,
+      ...findPointGroup(molecule, { tolerance })
+    };
+  }
+
+  /**
+   * Hydrogen bonds of a stored molecule (see chemistry/hbonds.js)
+   * Options: maxDistance (H···A, Angstrom) and minAngle (D-H···A, degrees);
+   * partner - id of a second molecule in the same coordinate frame, to
+   * find the bonds between the two instead (donor_molecule and
+   * acceptor_molecule name the molecule of each end); frames - true to
+   * search every trajectory frame instead. Returns null for unknown ids.
+   */
+  findHydrogenBonds(id, { partner, frames = false, maxDistance, minAngle } = {}) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    const options = { maxDistance, minAngle };
+
+    if (partner !== undefined) {
+      if (frames) throw new Error('Hydrogen bonds between molecules are not searched across frames');
+      const other = this.getMolecule(partner);
+      if (!other) return null;
+
+      const ids = [id, partner];
+      const bonds = findHydrogenBondsBetween(molecule, other, options).map(bond => ({
+        ...bond,
+        donor_molecule: ids[bond.donor_molecule],
+        acceptor_molecule: ids[bond.acceptor_molecule]
+      }));
+      return { molecule_id: id, partner_id: partner, count: bonds.length, hydrogen_bonds: bonds };
+    }
+
+    if (frames) {
+      const trajectory = this.trajectories.get(id);
+      if (!trajectory) throw new Error(`Molecule ${id} has no trajectory`);
+
+      return {
+        molecule_id: id,
+        frames: trajectory.map((frame, index) => {
+          const bonds = findHydrogenBonds(molecule, { ...options, coordinates: frame.coordinates });
+          return { frame: index, timestamp: frame.timestamp, count: bonds.length, hydrogen_bonds: bonds };
+        })
+      };
+    }
+
+    const bonds = findHydrogenBonds(molecule, options);
+    return { molecule_id: id, count: bonds.length, hydrogen_bonds: bonds };
+  }
+
+  /**
+   * Superimpose a stored molecule, or one of its trajectory frames, onto a
+   * reference molecule or frame (see chemistry/alignment.js)
+   * Options: mapping ([[atom, reference atom], ...]) or atoms (indices
+   * shared by both) choose the fitted atom pairs; frame and referenceFrame
+   * pick trajectory frames instead of the stored coordinates. The reference
+   * defaults to the molecule itself, to compare two of its frames. Returns
+   * null for unknown ids.
+   */
+  alignMolecules(id, referenceId = id, { mapping, atoms, frame, referenceFrame } = {}) {
+    const mobile = this.structureCoordinates(id, frame);
+    const reference = this.structureCoordinates(referenceId, referenceFrame);
+    if (!mobile || !reference) return null;
+
+    return {
+      molecule_id: id,
+      reference_id: referenceId,
+      ...(frame !== undefined && { frame }),
+      ...(referenceFrame !== undefined && { reference_frame: referenceFrame }),
+      ...alignStructures(mobile, reference, { mapping, atoms })
+    };
+  }
+
+  /**
+   * Atom positions of a stored molecule or of one of its trajectory frames
+   */
+  structureCoordinates(id, frame) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    if (frame === undefined) return molecule.atoms;
+
+    const trajectory = this.trajectories.get(id);
+    if (!trajectory) throw new Error(`Molecule ${id} has no trajectory`);
+    if (!Number.isInteger(frame) || !trajectory[frame]) {
+      throw new Error(`Molecule ${id} has no frame ${frame}`);
+    }
+    return trajectory[frame].coordinates;
+  }
+
+  /**
+   * Serialize a stored molecule, e.g. exportMolecule('water', 'SDF')
+   */
+  exportMolecule(id, format) {
+    const molecule = this.getMolecule(id);
+    if (!molecule) return null;
+    return writeMolecule(molecule, format);
+  }
 }
 
 export default new MoleculeServer();
@@ -9,6 +9,7 @@ class MoleculAI {
         this.spinInterval = null;
         this.elementVisibility = {};
         this.currentStyle = 'stick';
+        this.showSymmetry = false;
         
         // Configuration
         const hasConfig = typeof CONFIG !== 'undefined';
@@ -36,6 +37,11 @@ class MoleculAI {
                 authSection.style.display = 'none';
             }
         }
+
+        // Symmetry detection runs on the API server
+        if (this.isEmbeddedModeAvailable()) {
+            document.getElementById('toggle-symmetry').style.display = 'none';
+        }
     }
 
     setupViewer() {
@@ -52,7 +58,12 @@ class MoleculAI {
 
         // Molecule selection
         document.getElementById('molecule-select').addEventListener('change', (e) => {
-            if (e.target.value) {
+            const option = e.target.selectedOptions[0];
+            if (option && option.dataset.cursor) {
+                // "Load more" entry: fetch the next page of the list
+                e.target.value = '';
+                this.loadMoleculePage(option.dataset.cursor);
+            } else if (e.target.value) {
                 this.loadMolecule(e.target.value);
             }
         });
@@ -78,6 +89,8 @@ class MoleculAI {
         document.getElementById('zoom-in').addEventListener('click', () => this.zoom(1.2));
         document.getElementById('zoom-out').addEventListener('click', () => this.zoom(0.8));
         document.getElementById('toggle-spin').addEventListener('click', () => this.toggleSpin());
+        document.getElementById('toggle-symmetry').addEventListener('click', () => this.toggleSymmetry());
+        document.getElementById('toggle-stereo').addEventListener('click', () => this.toggleStereo());
 
         // Modal controls
         document.querySelectorAll('.close').forEach(closeBtn => {
@@ -202,32 +215,60 @@ class MoleculAI {
 
     async loadMolecules() {
         try {
-            let molecules;
-            
+            const select = document.getElementById('molecule-select');
+            select.innerHTML = '<option value="">Select a molecule...</option>';
+
             if (this.isEmbeddedModeAvailable()) {
                 // Use embedded data for GitHub Pages
-                molecules = MoleculesAPI.getAllMolecules();
+                this.addMoleculeOptions(MoleculesAPI.getAllMolecules());
             } else {
-                // Use backend API
-                const response = await fetch('/api/molecules');
-                molecules = await response.json();
+                // Use backend API, one page at a time
+                await this.loadMoleculePage();
             }
+        } catch (error) {
+            console.error('Error loading molecules:', error);
+            alert('Failed to load molecules');
+        }
+    }
+
+    async loadMoleculePage(cursor) {
+        const params = new URLSearchParams({ sort: 'name', limit: '100' });
+        if (cursor) params.set('cursor', cursor);
+
+        try {
+            const response = await fetch(`/api/molecules?${params}`);
+            const page = await response.json();
+            if (!response.ok) throw new Error(page.error);
 
             const select = document.getElementById('molecule-select');
-            select.innerHTML = '<option value="">Select a molecule...</option>';
+            const more = select.querySelector('option[data-cursor]');
+            if (more) more.remove();
 
-            molecules.forEach(mol => {
+            this.addMoleculeOptions(page.molecules);
+
+            if (page.page_info.has_next_page) {
                 const option = document.createElement('option');
-                option.value = mol.id;
-                option.textContent = `${mol.name} (${mol.formula})`;
+                option.value = '';
+                option.dataset.cursor = page.page_info.end_cursor;
+                option.textContent = `Load more (${page.total_count - select.options.length + 1} remaining)...`;
                 select.appendChild(option);
-            });
+            }
         } catch (error) {
             console.error('Error loading molecules:', error);
             alert('Failed to load molecules');
         }
     }
 
+    addMoleculeOptions(molecules) {
+        const select = document.getElementById('molecule-select');
+        molecules.forEach(mol => {
+            const option = document.createElement('option');
+            option.value = mol.id;
+            option.textContent = `${mol.name} (${mol.formula})`;
+            select.appendChild(option);
+        });
+    }
+
     async loadMolecule(id) {
         try {
             let molecule;
@@ -245,6 +286,9 @@ class MoleculAI {
             this.renderMolecule(molecule);
             this.updateMoleculeInfo(molecule);
             await this.loadElementControls(id);
+            if (this.showSymmetry) {
+                await this.loadSymmetry(id);
+            }
         } catch (error) {
             console.error('Error loading molecule:', error);
             alert('Failed to load molecule');
@@ -370,6 +414,39 @@ class MoleculAI {
         this.viewer.toggleSpin();
     }
 
+    async toggleSymmetry() {
+        this.showSymmetry = !this.showSymmetry;
+        if (!this.currentMolecule) return;
+
+        if (this.showSymmetry) {
+            await this.loadSymmetry(this.currentMolecule.id);
+        } else {
+            this.viewer.setSymmetryElements(null);
+            this.updateMoleculeInfo(this.currentMolecule);
+        }
+    }
+
+    // Show the R/S and E/Z labels stored on the atoms and bonds (cip)
+    toggleStereo() {
+        this.viewer.setStereoLabels(!this.viewer.showStereo);
+    }
+
+    // Draw the molecule's symmetry elements and show its point group
+    async loadSymmetry(moleculeId) {
+        try {
+            const response = await fetch(`/api/molecules/${moleculeId}/symmetry`);
+            const symmetry = await response.json();
+            if (!response.ok) throw new Error(symmetry.error);
+
+            this.viewer.setSymmetryElements(symmetry.elements);
+            document.getElementById('molecule-info').innerHTML +=
+                `<br><strong>Point group:</strong> ${this.escapeHtml(symmetry.point_group)}`;
+        } catch (error) {
+            console.error('Error loading symmetry:', error);
+            alert('Failed to load symmetry');
+        }
+    }
+
     showSaveDialog() {
         if (!this.authToken) {
             alert('Please login to save visualizations');
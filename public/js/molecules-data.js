@@ -1,123 +1,275 @@
 /**
  * Embedded Molecular Data for Static GitHub Pages Deployment
  * This file contains all molecule data inline so the app can work without a backend
+ *
+ * GENERATED by build-molecules-data.js from data/molecules - do not edit.
+ * Add or change molecules in data/molecules and run `npm run build`.
  */
 
 const MOLECULES_DATA = {
-  water: {
-    id: 'water',
-    name: 'Water',
-    formula: 'H2O',
-    atoms: [
-      { element: 'O', x: 0, y: 0, z: 0 },
-      { element: 'H', x: 0.757, y: 0.586, z: 0 },
-      { element: 'H', x: -0.757, y: 0.586, z: 0 }
+  "benzene": {
+    "id": "benzene",
+    "name": "Benzene",
+    "atoms": [
+      { "element": "C", "x": 1.207, "y": 0.697, "z": 0 },
+      { "element": "C", "x": 1.207, "y": -0.697, "z": 0 },
+      { "element": "C", "x": 0, "y": -1.394, "z": 0 },
+      { "element": "C", "x": -1.207, "y": -0.697, "z": 0 },
+      { "element": "C", "x": -1.207, "y": 0.697, "z": 0 },
+      { "element": "C", "x": 0, "y": 1.394, "z": 0 },
+      { "element": "H", "x": 2.147, "y": 1.24, "z": 0 },
+      { "element": "H", "x": 2.147, "y": -1.24, "z": 0 },
+      { "element": "H", "x": 0, "y": -2.48, "z": 0 },
+      { "element": "H", "x": -2.147, "y": -1.24, "z": 0 },
+      { "element": "H", "x": -2.147, "y": 1.24, "z": 0 },
+      { "element": "H", "x": 0, "y": 2.48, "z": 0 }
     ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 0, to: 2, order: 1 }
+    "bonds": [
+      { "from": 0, "to": 1, "order": 2 },
+      { "from": 1, "to": 2, "order": 1 },
+      { "from": 2, "to": 3, "order": 2 },
+      { "from": 3, "to": 4, "order": 1 },
+      { "from": 4, "to": 5, "order": 2 },
+      { "from": 5, "to": 0, "order": 1 },
+      { "from": 0, "to": 6, "order": 1 },
+      { "from": 1, "to": 7, "order": 1 },
+      { "from": 2, "to": 8, "order": 1 },
+      { "from": 3, "to": 9, "order": 1 },
+      { "from": 4, "to": 10, "order": 1 },
+      { "from": 5, "to": 11, "order": 1 }
+    ],
+    "metadata": { "format": "sdf", "version": "V2000", "program": "MOLECULA          3D", "source": "benzene.mol" },
+    "version": 1,
+    "formula": "C6H6",
+    "molecular_weight": 78.114,
+    "monoisotopic_mass": 78.04695,
+    "smiles": "c1ccccc1",
+    "canonical_smiles": "c1ccccc1",
+    "canonical_hash": "13cad05ca8f49c509e5b7be8c67668484344ebf2b2d12b03b295f14d4b1c32d1",
+    "partial_charges": [
+      -0.0618,
+      -0.0618,
+      -0.0618,
+      -0.0618,
+      -0.0618,
+      -0.0618,
+      0.0618,
+      0.0618,
+      0.0618,
+      0.0618,
+      0.0618,
+      0.0618
     ]
   },
-  methane: {
-    id: 'methane',
-    name: 'Methane',
-    formula: 'CH4',
-    atoms: [
-      { element: 'C', x: 0, y: 0, z: 0 },
-      { element: 'H', x: 0.629, y: 0.629, z: 0.629 },
-      { element: 'H', x: -0.629, y: -0.629, z: 0.629 },
-      { element: 'H', x: -0.629, y: 0.629, z: -0.629 },
-      { element: 'H', x: 0.629, y: -0.629, z: -0.629 }
+  "co2": {
+    "id": "co2",
+    "name": "Carbon Dioxide",
+    "atoms": [
+      { "element": "C", "x": 0, "y": 0, "z": 0 },
+      { "element": "O", "x": 1.162, "y": 0, "z": 0 },
+      { "element": "O", "x": -1.162, "y": 0, "z": 0 }
+    ],
+    "bonds": [
+      { "from": 0, "to": 1, "order": 2 },
+      { "from": 0, "to": 2, "order": 2 }
     ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 0, to: 2, order: 1 },
-      { from: 0, to: 3, order: 1 },
-      { from: 0, to: 4, order: 1 }
+    "metadata": { "format": "sdf", "version": "V2000", "program": "MOLECULA          3D", "source": "co2.mol" },
+    "version": 1,
+    "formula": "CO2",
+    "molecular_weight": 44.009,
+    "monoisotopic_mass": 43.989829,
+    "smiles": "C(=O)=O",
+    "canonical_smiles": "C(=O)=O",
+    "canonical_hash": "d6040aaf1c4c8fbb5a2ba14c3decff906cf6f358678d0dfeccf22fbf2c0bc9e6",
+    "partial_charges": [
+      0.3722,
+      -0.1861,
+      -0.1861
     ]
   },
-  ethanol: {
-    id: 'ethanol',
-    name: 'Ethanol',
-    formula: 'C2H5OH',
-    atoms: [
-      { element: 'C', x: 0.755, y: 0.010, z: 0.000 },
-      { element: 'C', x: -0.755, y: -0.010, z: 0.000 },
-      { element: 'O', x: -1.377, y: 1.263, z: 0.000 },
-      { element: 'H', x: 1.144, y: -0.503, z: 0.883 },
-      { element: 'H', x: 1.144, y: -0.503, z: -0.883 },
-      { element: 'H', x: 1.084, y: 1.042, z: 0.000 },
-      { element: 'H', x: -1.144, y: -0.521, z: -0.883 },
-      { element: 'H', x: -1.144, y: -0.521, z: 0.883 },
-      { element: 'H', x: -2.326, y: 1.157, z: 0.000 }
+  "ethanol": {
+    "id": "ethanol",
+    "name": "Ethanol",
+    "atoms": [
+      { "element": "C", "x": 0.755, "y": 0.01, "z": 0 },
+      { "element": "C", "x": -0.755, "y": -0.01, "z": 0 },
+      { "element": "O", "x": -1.377, "y": 1.263, "z": 0 },
+      { "element": "H", "x": 1.144, "y": -0.503, "z": 0.883 },
+      { "element": "H", "x": 1.144, "y": -0.503, "z": -0.883 },
+      { "element": "H", "x": 1.084, "y": 1.042, "z": 0 },
+      { "element": "H", "x": -1.144, "y": -0.521, "z": -0.883 },
+      { "element": "H", "x": -1.144, "y": -0.521, "z": 0.883 },
+      { "element": "H", "x": -2.326, "y": 1.157, "z": 0 }
+    ],
+    "bonds": [
+      { "from": 0, "to": 1, "order": 1 },
+      { "from": 1, "to": 2, "order": 1 },
+      { "from": 0, "to": 3, "order": 1 },
+      { "from": 0, "to": 4, "order": 1 },
+      { "from": 0, "to": 5, "order": 1 },
+      { "from": 1, "to": 6, "order": 1 },
+      { "from": 1, "to": 7, "order": 1 },
+      { "from": 2, "to": 8, "order": 1 }
     ],
-    bonds: [
-      { from: 0, to: 1, order: 1 },
-      { from: 1, to: 2, order: 1 },
-      { from: 0, to: 3, order: 1 },
-      { from: 0, to: 4, order: 1 },
-      { from: 0, to: 5, order: 1 },
-      { from: 1, to: 6, order: 1 },
-      { from: 1, to: 7, order: 1 },
-      { from: 2, to: 8, order: 1 }
+    "metadata": { "format": "sdf", "version": "V2000", "program": "MOLECULA          3D", "source": "ethanol.mol" },
+    "version": 1,
+    "formula": "C2H6O",
+    "molecular_weight": 46.069,
+    "monoisotopic_mass": 46.041865,
+    "smiles": "C(C)O",
+    "canonical_smiles": "C(C)O",
+    "canonical_hash": "f0f511fac152286f0a3847eac3fd8bc1681b0a7ade65c076dab0f9f1547db801",
+    "partial_charges": [
+      -0.0418,
+      0.0414,
+      -0.3953,
+      0.0252,
+      0.0252,
+      0.0252,
+      0.0554,
+      0.0554,
+      0.2094
     ]
   },
-  benzene: {
-    id: 'benzene',
-    name: 'Benzene',
-    formula: 'C6H6',
-    atoms: [
-      { element: 'C', x: 1.207, y: 0.697, z: 0 },
-      { element: 'C', x: 1.207, y: -0.697, z: 0 },
-      { element: 'C', x: 0, y: -1.394, z: 0 },
-      { element: 'C', x: -1.207, y: -0.697, z: 0 },
-      { element: 'C', x: -1.207, y: 0.697, z: 0 },
-      { element: 'C', x: 0, y: 1.394, z: 0 },
-      { element: 'H', x: 2.147, y: 1.240, z: 0 },
-      { element: 'H', x: 2.147, y: -1.240, z: 0 },
-      { element: 'H', x: 0, y: -2.480, z: 0 },
-      { element: 'H', x: -2.147, y: -1.240, z: 0 },
-      { element: 'H', x: -2.147, y: 1.240, z: 0 },
-      { element: 'H', x: 0, y: 2.480, z: 0 }
+  "methane": {
+    "id": "methane",
+    "name": "Methane",
+    "atoms": [
+      { "element": "C", "x": 0, "y": 0, "z": 0 },
+      { "element": "H", "x": 0.629, "y": 0.629, "z": 0.629 },
+      { "element": "H", "x": -0.629, "y": -0.629, "z": 0.629 },
+      { "element": "H", "x": -0.629, "y": 0.629, "z": -0.629 },
+      { "element": "H", "x": 0.629, "y": -0.629, "z": -0.629 }
     ],
-    bonds: [
-      { from: 0, to: 1, order: 2 },
-      { from: 1, to: 2, order: 1 },
-      { from: 2, to: 3, order: 2 },
-      { from: 3, to: 4, order: 1 },
-      { from: 4, to: 5, order: 2 },
-      { from: 5, to: 0, order: 1 },
-      { from: 0, to: 6, order: 1 },
-      { from: 1, to: 7, order: 1 },
-      { from: 2, to: 8, order: 1 },
-      { from: 3, to: 9, order: 1 },
-      { from: 4, to: 10, order: 1 },
-      { from: 5, to: 11, order: 1 }
+    "bonds": [
+      { "from": 0, "to": 1, "order": 1 },
+      { "from": 0, "to": 2, "order": 1 },
+      { "from": 0, "to": 3, "order": 1 },
+      { "from": 0, "to": 4, "order": 1 }
+    ],
+    "metadata": { "format": "sdf", "version": "V2000", "program": "MOLECULA          3D", "source": "methane.mol" },
+    "version": 1,
+    "formula": "CH4",
+    "molecular_weight": 16.043,
+    "monoisotopic_mass": 16.0313,
+    "smiles": "C",
+    "canonical_smiles": "C",
+    "canonical_hash": "6b23c0d5f35d1b11f9b683f0b0a617355deb11277d91ae091d399c655b87940d",
+    "partial_charges": [
+      -0.0776,
+      0.0194,
+      0.0194,
+      0.0194,
+      0.0194
     ]
   },
-  co2: {
-    id: 'co2',
-    name: 'Carbon Dioxide',
-    formula: 'CO2',
-    atoms: [
-      { element: 'C', x: 0, y: 0, z: 0 },
-      { element: 'O', x: 1.162, y: 0, z: 0 },
-      { element: 'O', x: -1.162, y: 0, z: 0 }
+  "water": {
+    "id": "water",
+    "name": "Water",
+    "atoms": [
+      { "element": "O", "x": 0, "y": 0, "z": 0 },
+      { "element": "H", "x": 0.757, "y": 0.586, "z": 0 },
+      { "element": "H", "x": -0.757, "y": 0.586, "z": 0 }
+    ],
+    "bonds": [
+      { "from": 0, "to": 1, "order": 1 },
+      { "from": 0, "to": 2, "order": 1 }
     ],
-    bonds: [
-      { from: 0, to: 1, order: 2 },
-      { from: 0, to: 2, order: 2 }
+    "metadata": { "format": "sdf", "version": "V2000", "program": "MOLECULA          3D", "source": "water.mol" },
+    "version": 1,
+    "formula": "H2O",
+    "molecular_weight": 18.015,
+    "monoisotopic_mass": 18.010565,
+    "smiles": "O",
+    "canonical_smiles": "O",
+    "canonical_hash": "c4694f2e93d5c4e7d51f9c5deb75e6cc8be5e1114178c6a45b6fc2c566a0aa8c",
+    "partial_charges": [
+      -0.4105,
+      0.2052,
+      0.2052
     ]
   }
 };
 
+// Formula helpers of the backend
+const ELEMENT_SYMBOLS = new Set(["H","He","Li","Be","B","C","N","O","F","Ne","Na","Mg","Al","Si","P","S","Cl","Ar","K","Ca","Sc","Ti","V","Cr","Mn","Fe","Co","Ni","Cu","Zn","Ga","Ge","As","Se","Br","Kr","Rb","Sr","Y","Zr","Nb","Mo","Tc","Ru","Rh","Pd","Ag","Cd","In","Sn","Sb","Te","I","Xe","Cs","Ba","La","Ce","Pr","Nd","Pm","Sm","Eu","Gd","Tb","Dy","Ho","Er","Tm","Yb","Lu","Hf","Ta","W","Re","Os","Ir","Pt","Au","Hg","Tl","Pb","Bi","Po","At","Rn","Fr","Ra","Ac","Th","Pa","U","Np","Pu","Am","Cm","Bk","Cf","Es","Fm","Md","No","Lr","Rf","Db","Sg","Bh","Hs","Mt","Ds","Rg","Cn","Nh","Fl","Mc","Lv","Ts","Og"]);
+const isElement = symbol => ELEMENT_SYMBOLS.has(symbol);
+const FORMULA_TOKEN = /\s*(?:([A-Z][a-z]?)|([([])|([)\]]))(\d*)/y;
+
+function addCounts(target, counts, multiplier = 1) {
+  Object.entries(counts).forEach(([symbol, count]) => {
+    target[symbol] = (target[symbol] || 0) + count * multiplier;
+  });
+}
+
+function parseGroup(text) {
+  const stack = [{}];
+  FORMULA_TOKEN.lastIndex = 0;
+
+  while (FORMULA_TOKEN.lastIndex < text.trimEnd().length) {
+    const match = FORMULA_TOKEN.exec(text);
+    if (!match) return null;
+    const [, symbol, open, close, digits] = match;
+    const count = digits ? parseInt(digits, 10) : 1;
+
+    if (symbol) {
+      // Deuterium and tritium count as hydrogen
+      const element = symbol === 'D' || symbol === 'T' ? 'H' : symbol;
+      if (!isElement(element)) return null;
+      addCounts(stack[stack.length - 1], { [element]: count });
+    } else if (open) {
+      if (digits) return null;
+      stack.push({});
+    } else if (close) {
+      if (stack.length === 1) return null;
+      const group = stack.pop();
+      addCounts(stack[stack.length - 1], group, count);
+    }
+  }
+
+  return stack.length === 1 ? stack[0] : null;
+}
+
+function parseFormula(text) {
+  const source = String(text || '').trim();
+  if (!source) return null;
+
+  const total = {};
+  for (const part of source.split(/[.·*]/)) {
+    const [, multiplier, group] = /^\s*(\d*)(.*)$/.exec(part);
+    const counts = parseGroup(group);
+    if (!counts || Object.keys(counts).length === 0) return null;
+    addCounts(total, counts, multiplier ? parseInt(multiplier, 10) : 1);
+  }
+  return total;
+}
+
+function formatFormula(counts) {
+  const symbols = Object.keys(counts).filter(symbol => counts[symbol] > 0).sort();
+  let ordered = symbols;
+
+  if (counts.C) {
+    ordered = ['C', ...(counts.H ? ['H'] : []), ...symbols.filter(s => s !== 'C' && s !== 'H')];
+  }
+
+  return ordered
+    .map(symbol => symbol + (counts[symbol] > 1 ? counts[symbol] : ''))
+    .join('');
+}
+
+function canonicalFormula(text) {
+  const counts = parseFormula(text);
+  return counts ? formatFormula(counts) : null;
+}
+
 // Helper functions that mimic the backend API
 const MoleculesAPI = {
   getAllMolecules() {
     return Object.values(MOLECULES_DATA).map(mol => ({
       id: mol.id,
       name: mol.name,
-      formula: mol.formula
+      formula: mol.formula,
+      molecular_weight: mol.molecular_weight
     }));
   },
 
@@ -144,11 +296,14 @@ const MoleculesAPI = {
     if (!query) {
       return [];
     }
+    // Formulas also match in Hill notation ("C2H5OH" finds C2H6O)
     const lowerQuery = query.toLowerCase();
+    const formula = canonicalFormula(query);
     return Object.values(MOLECULES_DATA)
-      .filter(mol => 
+      .filter(mol =>
         mol.name.toLowerCase().includes(lowerQuery) ||
-        mol.formula.toLowerCase().includes(lowerQuery)
+        mol.formula.toLowerCase().includes(lowerQuery) ||
+        mol.formula === formula
       )
       .map(mol => ({
         id: mol.id,
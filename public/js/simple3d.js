@@ -12,6 +12,8 @@ class Simple3DMolecule {
         
         this.atoms = [];
         this.bonds = [];
+        this.symmetryElements = null;
+        this.showStereo = false;
         this.rotation = { x: 0.5, y: 0.5 };
         this.zoom = 1;
         this.spinning = false;
@@ -73,6 +75,12 @@ class Simple3DMolecule {
             }))
             .filter(atom => atom.visible);
 
+        // Bonds to missing atoms cannot be drawn; say so instead of hiding them
+        const brokenBonds = molecule.bonds.filter(bond => !molecule.atoms[bond.from] || !molecule.atoms[bond.to]);
+        if (brokenBonds.length > 0) {
+            console.warn(`Skipping ${brokenBonds.length} bond(s) that refer to missing atoms`);
+        }
+
         // Filter bonds where both atoms are visible
         const visibleIndices = new Set(this.atoms.map(a => a.originalIndex));
         this.bonds = molecule.bonds.filter(bond => 
@@ -82,6 +90,18 @@ class Simple3DMolecule {
         this.render();
     }
 
+    // Symmetry elements from GET /api/molecules/:id/symmetry, or null to hide them
+    setSymmetryElements(elements) {
+        this.symmetryElements = elements;
+        this.render();
+    }
+
+    // Show the R/S labels of stereocenters and E/Z labels of double bonds
+    setStereoLabels(show) {
+        this.showStereo = show;
+        this.render();
+    }
+
     project3D(x, y, z) {
         // Apply rotation
         const cosX = Math.cos(this.rotation.x);
@@ -146,6 +166,11 @@ class Simple3DMolecule {
         // Sort by z-depth for proper rendering order
         projectedAtoms.sort((a, b) => a.pos.z - b.pos.z);
 
+        // Mirror planes behind the molecule
+        if (this.symmetryElements) {
+            this.drawMirrorPlanes();
+        }
+
         // Draw bonds first
         this.bonds.forEach(bond => {
             const fromAtom = projectedAtoms.find(a => a.originalIndex === bond.from);
@@ -197,6 +222,131 @@ class Simple3DMolecule {
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText(atom.element, atom.pos.x, atom.pos.y);
         });
+
+        // Rotation axes and inversion center over the molecule
+        if (this.symmetryElements) {
+            this.drawSymmetryAxes();
+        }
+
+        if (this.showStereo) {
+            this.drawStereoLabels(projectedAtoms);
+        }
+    }
+
+    // CIP labels next to their atoms and at the middle of their bonds
+    drawStereoLabels(projectedAtoms) {
+        const byIndex = new Map(projectedAtoms.map(atom => [atom.originalIndex, atom]));
+        const labels = [];
+        projectedAtoms.forEach(atom => {
+            if (!atom.cip) return;
+            const offset = this.getElementRadius(atom.element) * this.zoom;
+            labels.push({ text: atom.cip, x: atom.pos.x + offset, y: atom.pos.y - offset });
+        });
+        this.bonds.forEach(bond => {
+            const fromAtom = byIndex.get(bond.from);
+            const toAtom = byIndex.get(bond.to);
+            if (!bond.cip || !fromAtom || !toAtom) return;
+            labels.push({
+                text: bond.cip,
+                x: (fromAtom.pos.x + toAtom.pos.x) / 2,
+                y: (fromAtom.pos.y + toAtom.pos.y) / 2
+            });
+        });
+
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        labels.forEach(({ text, x, y }) => {
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 10, 0, Math.PI * 2);
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#7b1fa2';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+            this.ctx.fillStyle = '#7b1fa2';
+            this.ctx.fillText(text, x, y);
+        });
+    }
+
+    // Half the size of the drawn symmetry elements: just past the farthest atom
+    symmetryExtent() {
+        const { center } = this.symmetryElements;
+        const distances = this.atoms.map(atom =>
+            Math.hypot(atom.x - center.x, atom.y - center.y, atom.z - center.z)
+        );
+        return Math.max(0, ...distances) + 1;
+    }
+
+    drawMirrorPlanes() {
+        const { center, mirror_planes: planes } = this.symmetryElements;
+        const extent = this.symmetryExtent();
+
+        planes.forEach(({ normal: [nx, ny, nz] }) => {
+            // Two unit vectors spanning the plane
+            const [ax, ay, az] = Math.abs(nx) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+            let u = [ny * az - nz * ay, nz * ax - nx * az, nx * ay - ny * ax];
+            const length = Math.hypot(...u);
+            u = u.map(value => value / length);
+            const v = [ny * u[2] - nz * u[1], nz * u[0] - nx * u[2], nx * u[1] - ny * u[0]];
+
+            const corners = [[1, 1], [1, -1], [-1, -1], [-1, 1]].map(([a, b]) => this.project3D(
+                center.x + extent * (a * u[0] + b * v[0]),
+                center.y + extent * (a * u[1] + b * v[1]),
+                center.z + extent * (a * u[2] + b * v[2])
+            ));
+
+            this.ctx.beginPath();
+            corners.forEach((corner, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(corner.x, corner.y);
+                } else {
+                    this.ctx.lineTo(corner.x, corner.y);
+                }
+            });
+            this.ctx.closePath();
+            this.ctx.fillStyle = 'rgba(33, 150, 243, 0.12)';
+            this.ctx.fill();
+            this.ctx.strokeStyle = 'rgba(33, 150, 243, 0.5)';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        });
+    }
+
+    drawSymmetryAxes() {
+        const { center, axes, inversion } = this.symmetryElements;
+        const extent = this.symmetryExtent();
+        const colors = { 2: '#2E7D32', 3: '#1565C0', 4: '#6A1B9A', 5: '#EF6C00', 6: '#C62828' };
+
+        axes.forEach(({ order, vector: [x, y, z] }) => {
+            const start = this.project3D(center.x - extent * x, center.y - extent * y, center.z - extent * z);
+            const end = this.project3D(center.x + extent * x, center.y + extent * y, center.z + extent * z);
+            const color = colors[order] || '#C62828';
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            // The C∞ axis of a linear molecule has no order
+            this.ctx.fillStyle = color;
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(order ? `C${order}` : 'C∞', end.x, end.y);
+        });
+
+        if (inversion) {
+            const point = this.project3D(center.x, center.y, center.z);
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            this.ctx.fillStyle = '#000000';
+            this.ctx.fill();
+        }
     }
 
     lightenColor(color, percent) {
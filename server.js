@@ -27,7 +27,7 @@ const JWT_SECRET = process.env.JWT_SECRET || (() => {
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
 // In-memory user storage (in production, use a proper database)
@@ -108,9 +108,29 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // MCP Server routes - Molecule data
+// Filtered, sorted and paginated list (see MoleculeServer.listMolecules)
 app.get('/api/molecules', (req, res) => {
-  const molecules = moleculeServer.getAllMolecules();
-  res.json(molecules);
+  try {
+    res.json(moleculeServer.listMolecules(req.query));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Search by name or formula, with mode=substructure by a SMARTS-style
+// fragment or with mode=similarity by a SMILES string (k, threshold);
+// declared before /api/molecules/:id so "search" is not an id
+app.get('/api/molecules/search', (req, res) => {
+  const { q, mode, k, threshold } = req.query;
+  if (!q) {
+    return res.status(400).json({ error: 'Query parameter "q" is required' });
+  }
+
+  try {
+    res.json(moleculeServer.searchMolecules(q, { mode, k, threshold }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 app.get('/api/molecules/:id', (req, res) => {
@@ -121,6 +141,15 @@ app.get('/api/molecules/:id', (req, res) => {
   res.json(molecule);
 });
 
+// A molecule as it was before later updates
+app.get('/api/molecules/:id/versions/:version', (req, res) => {
+  const molecule = moleculeServer.getMoleculeVersion(req.params.id, req.params.version);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule version not found' });
+  }
+  res.json(molecule);
+});
+
 app.get('/api/molecules/:id/elements', (req, res) => {
   const elements = moleculeServer.getElementsInMolecule(req.params.id);
   if (!elements) {
@@ -129,11 +158,272 @@ app.get('/api/molecules/:id/elements', (req, res) => {
   res.json(elements);
 });
 
+// Rings, ring systems, rotatable bonds, fragments and atom degrees
+app.get('/api/molecules/:id/topology', (req, res) => {
+  const topology = moleculeServer.getTopology(req.params.id);
+  if (!topology) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(topology);
+});
+
+// R/S stereocenters and E/Z double bonds
+app.get('/api/molecules/:id/stereo', (req, res) => {
+  const stereo = moleculeServer.getStereo(req.params.id);
+  if (!stereo) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(stereo);
+});
+
+// Most similar molecules by fingerprint (Tanimoto), best first
+app.get('/api/molecules/:id/similar', (req, res) => {
+  const { k, threshold } = req.query;
+  let results;
+  try {
+    results = moleculeServer.findSimilarMolecules(req.params.id, { k, threshold });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!results) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(results);
+});
+
+app.get('/api/molecules/:id/validation', (req, res) => {
+  const report = moleculeServer.validateMolecule(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(report);
+});
+
 app.get('/api/molecules/search/:query', (req, res) => {
   const results = moleculeServer.searchMolecules(req.params.query);
   res.json(results);
 });
 
+// Import a structure file (requires authentication)
+app.post('/api/molecules/import', authenticateToken, (req, res) => {
+  const { file, format, name, duplicates } = req.body;
+
+  if (!file || !format) {
+    return res.status(400).json({ error: 'File contents and format required' });
+  }
+
+  try {
+    const molecules = moleculeServer.importMolecules(file, format, { name, duplicates });
+    // Multi-record files (e.g. SDF) return every imported molecule
+    res.json(molecules.length === 1 ? molecules[0] : molecules);
+  } catch (error) {
+    // Rejected duplicates name the stored molecule
+    if (error.duplicateOf) {
+      return res.status(409).json({ error: error.message, duplicate_of: error.duplicateOf });
+    }
+    // Invalid structures come with the validation report
+    if (error.issues) {
+      return res.status(400).json({ error: error.message, issues: error.issues });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Validate a structure (atoms and bonds, or SMILES) without storing it
+app.post('/api/molecules/validate', (req, res) => {
+  try {
+    res.json(moleculeServer.validateStructure(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/molecules/:id/trajectory', (req, res) => {
+  const trajectory = moleculeServer.getTrajectory(req.params.id);
+  if (!trajectory) {
+    return res.status(404).json({ error: 'Trajectory not found' });
+  }
+  res.json(trajectory);
+});
+
+// Recompute bonds from coordinates, for the molecule or one trajectory frame
+app.post('/api/molecules/:id/rebond', authenticateToken, (req, res) => {
+  const { tolerance, frame } = req.body || {};
+  const options = { tolerance: tolerance === undefined ? undefined : Number(tolerance) };
+
+  try {
+    if (frame !== undefined) {
+      const result = moleculeServer.rebondFrame(req.params.id, Number(frame), options);
+      if (!result) {
+        return res.status(404).json({ error: 'Frame not found' });
+      }
+      return res.json(result);
+    }
+
+    const molecule = moleculeServer.rebondMolecule(req.params.id, options);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(molecule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rewrite bond orders: infer from valences, kekulize or aromatize
+app.post('/api/molecules/:id/bond-orders', authenticateToken, (req, res) => {
+  const { mode } = req.body || {};
+
+  try {
+    const molecule = moleculeServer.updateBondOrders(req.params.id, mode);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(molecule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Add missing hydrogens or strip them (all or non-polar)
+app.post('/api/molecules/:id/hydrogens', authenticateToken, (req, res) => {
+  const { action, mode } = req.body || {};
+
+  try {
+    const molecule = moleculeServer.updateHydrogens(req.params.id, { action, mode });
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(molecule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Calculate and store geometric descriptors
+app.post('/api/molecules/:id/analytics', authenticateToken, (req, res) => {
+  try {
+    const analytics = moleculeServer.calculateAnalytics(req.params.id);
+    if (!analytics) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(analytics);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Analytics as last calculated
+app.get('/api/molecules/:id/analytics', (req, res) => {
+  if (!moleculeServer.getMolecule(req.params.id)) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  const analytics = moleculeServer.getAnalytics(req.params.id);
+  if (!analytics) {
+    return res.status(404).json({ error: 'Analytics not calculated' });
+  }
+  res.json(analytics);
+});
+
+// Gasteiger partial charges, in atom order
+app.get('/api/molecules/:id/charges', (req, res) => {
+  const charges = moleculeServer.getPartialCharges(req.params.id);
+  if (!charges) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(charges);
+});
+
+// Solvent accessible surface area, total and per atom
+app.get('/api/molecules/:id/sasa', (req, res) => {
+  const { probe_radius: probeRadius, points } = req.query;
+
+  try {
+    const surface = moleculeServer.getSurfaceArea(req.params.id, {
+      probeRadius: probeRadius === undefined ? undefined : Number(probeRadius),
+      points: points === undefined ? undefined : Number(points)
+    });
+    if (!surface) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(surface);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Point group, symmetry-equivalent atoms and symmetry elements
+app.get('/api/molecules/:id/symmetry', (req, res) => {
+  const { tolerance } = req.query;
+
+  try {
+    const symmetry = moleculeServer.getSymmetry(req.params.id, {
+      tolerance: tolerance === undefined ? undefined : Number(tolerance)
+    });
+    if (!symmetry) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(symmetry);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Hydrogen bonds within a molecule, with a partner molecule or per trajectory frame
+app.get('/api/molecules/:id/hydrogen-bonds', (req, res) => {
+  const { partner, frames, max_distance: maxDistance, min_angle: minAngle } = req.query;
+
+  try {
+    const result = moleculeServer.findHydrogenBonds(req.params.id, {
+      partner,
+      frames: frames === 'true',
+      maxDistance: maxDistance === undefined ? undefined : Number(maxDistance),
+      minAngle: minAngle === undefined ? undefined : Number(minAngle)
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Kabsch superposition onto a reference molecule or trajectory frame, with the RMSD
+app.get('/api/molecules/:id/alignment', (req, res) => {
+  const { reference, mapping, atoms, frame, reference_frame: referenceFrame } = req.query;
+
+  try {
+    const alignment = moleculeServer.alignMolecules(req.params.id, reference, {
+      mapping: mapping === undefined ? undefined : String(mapping).split(',').map(pair => pair.split(':').map(Number)),
+      atoms: atoms === undefined ? undefined : String(atoms).split(',').map(Number),
+      frame: frame === undefined ? undefined : Number(frame),
+      referenceFrame: referenceFrame === undefined ? undefined : Number(referenceFrame)
+    });
+    if (!alignment) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(alignment);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/molecules/:id/export', (req, res) => {
+  const format = req.query.format || 'sdf';
+
+  try {
+    const file = moleculeServer.exportMolecule(req.params.id, format);
+    if (file === null) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.type('text/plain').send(file);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Saved visualizations (requires authentication)
 app.get('/api/visualizations', authenticateToken, (req, res) => {
   const userVisualizations = Array.from(savedVisualizations.values())
@@ -181,6 +471,9 @@ app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
+// Pick up edits to the molecule data directory without a restart
+moleculeServer.watchRepository();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`MOLECULAI server running on http://localhost:${PORT}`);
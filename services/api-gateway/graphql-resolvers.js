@@ -4,6 +4,294 @@
  */
 
 import DataLoader from 'dataloader';
+import { UserInputError } from 'apollo-server-express';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseMolecule, parseMolecules, parseReaction, writeMolecule } from '../../mcp-server/formats/index.js';
+import {
+  hillFormula,
+  canonicalFormula,
+  formulaWarning,
+  molecularWeight,
+  monoisotopicMass,
+} from '../../mcp-server/chemistry/formula.js';
+import { parseSMILES } from '../../mcp-server/chemistry/smiles.js';
+import { perceiveBonds } from '../../mcp-server/chemistry/bonding.js';
+import { assignBondOrders, kekulize, aromatize } from '../../mcp-server/chemistry/bond-orders.js';
+import { parseSubstructureQuery, findSubstructureMatches } from '../../mcp-server/chemistry/substructure.js';
+import { canonicalIdentifiers } from '../../mcp-server/chemistry/canonical.js';
+import { validateMolecule, hasErrors } from '../../mcp-server/chemistry/validation.js';
+import { addHydrogens, removeHydrogens } from '../../mcp-server/chemistry/hydrogens.js';
+import { calculateAnalytics } from '../../mcp-server/chemistry/analytics.js';
+import { gasteigerCharges } from '../../mcp-server/chemistry/charges.js';
+import { solventAccessibleSurface } from '../../mcp-server/chemistry/surface.js';
+import { findHydrogenBonds, findHydrogenBondsBetween } from '../../mcp-server/chemistry/hbonds.js';
+import { findPointGroup } from '../../mcp-server/chemistry/symmetry.js';
+import { alignStructures } from '../../mcp-server/chemistry/alignment.js';
+import { analyzeTopology } from '../../mcp-server/chemistry/topology.js';
+import { assignStereo, stereoLabels } from '../../mcp-server/chemistry/stereo.js';
+import { TrajectoryStreamHandler } from './trajectoryStreaming.js';
+
+const BOND_ORDER_NAMES = { 1: 'SINGLE', 2: 'DOUBLE', 3: 'TRIPLE', 1.5: 'AROMATIC' };
+const BOND_ORDER_VALUES = { SINGLE: 1, DOUBLE: 2, TRIPLE: 3, AROMATIC: 1.5 };
+const BOND_ORDER_MODES = { ASSIGN: assignBondOrders, KEKULIZE: kekulize, AROMATIZE: aromatize };
+
+// Columns of molecules that molecule_versions keeps
+const VERSION_COLUMNS = 'id, version, name, formula, molecular_weight, smiles, canonical_smiles, canonical_hash, ' +
+  'duplicate_of, inchi, data, metadata, created_by, created_at, updated_at';
+
+/**
+ * Convert a parsed structure ({ element, x, y, z } atoms, numeric bond
+ * orders) into the atom/bond shape stored in molecules.data
+ */
+function toMoleculeData({ atoms, bonds }) {
+  return {
+    atoms: atoms.map(({ x, y, z, ...atom }, index) => ({
+      index,
+      ...atom,
+      position: { x, y, z },
+    })),
+    bonds: bonds.map(bond => ({
+      ...bond,
+      order: BOND_ORDER_NAMES[bond.order] || 'SINGLE',
+    })),
+  };
+}
+
+/**
+ * Convert a molecules row back into the parsed structure shape used by
+ * the format writers
+ */
+function fromMoleculeRow(row) {
+  const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+  const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
+
+  return {
+    name: row.name,
+    metadata: metadata || {},
+    atoms: (data.atoms || []).map(({ position, index, ...atom }) => ({
+      ...atom,
+      ...position,
+    })),
+    bonds: (data.bonds || []).map(bond => ({
+      ...bond,
+      order: BOND_ORDER_VALUES[bond.order] || bond.order,
+      ...(bond.order === 'AROMATIC' ? { aromatic: true } : {}),
+    })),
+  };
+}
+
+/**
+ * Atom positions of a StructureInput: a molecule's stored coordinates or
+ * one frame (default 0) of a registered trajectory
+ */
+async function structureCoordinates({ molecule_id, trajectory_id, frame }, { loaders, trajectoryManager }) {
+  if (trajectory_id) {
+    const handler = trajectoryManager.get(trajectory_id);
+    if (!handler) throw new Error('Trajectory not found');
+
+    const index = frame ?? 0;
+    if (index < 0 || index >= handler.metadata.frameCount) {
+      throw new UserInputError(`Trajectory ${trajectory_id} has no frame ${index}`);
+    }
+    const { coordinates } = await handler.readFrame(index);
+    return coordinates;
+  }
+
+  if (!molecule_id) throw new UserInputError('Give a molecule_id or a trajectory_id');
+  const row = await loaders.moleculeLoader.load(molecule_id);
+  if (!row) throw new Error('Molecule not found');
+  return fromMoleculeRow(row).atoms;
+}
+
+/**
+ * Page through the molecules containing a substructure
+ * Matching runs on the stored structures, so every row is read; the cursor
+ * is an offset into the hits, as for text searches.
+ */
+async function substructureConnection(db, search, { first, after }) {
+  const pattern = parseSubstructureQuery(search);
+  const result = await db.query('SELECT * FROM molecules ORDER BY created_at DESC');
+  const hits = result.rows
+    .map(row => ({ ...row, substructure_matches: findSubstructureMatches(fromMoleculeRow(row), pattern) }))
+    .filter(row => row.substructure_matches.length > 0);
+
+  const offset = parseInt(after || '0');
+  const nodes = hits.slice(offset, offset + first);
+
+  return {
+    nodes,
+    page_info: {
+      has_next_page: offset + nodes.length < hits.length,
+      has_previous_page: offset > 0,
+      start_cursor: String(offset),
+      end_cursor: String(offset + nodes.length),
+    },
+    total_count: hits.length,
+  };
+}
+
+/**
+ * Store the extra frames of a multi-frame import (e.g. XYZ) as a
+ * trajectory and register a stream handler for it
+ */
+async function registerTrajectory({ db, user, trajectoryManager }, molecule, frames) {
+  const storagePath = join(process.env.STORAGE_PATH || tmpdir(), `${randomUUID()}.traj`);
+
+  const result = await db.query(
+    `INSERT INTO trajectories (molecule_id, name, frames_count, storage_path, format, metadata, created_by)
+     VALUES ($1, $2, $3, $4, 'custom', $5, $6)
+     RETURNING *`,
+    [
+      molecule.id,
+      molecule.name,
+      frames.length,
+      storagePath,
+      JSON.stringify({ source_format: 'xyz' }),
+      user.id,
+    ]
+  );
+
+  const trajectory = result.rows[0];
+  const handler = await TrajectoryStreamHandler.fromFrames({
+    id: trajectory.id,
+    frames,
+    filePath: storagePath,
+  });
+  trajectoryManager.set(trajectory.id, handler);
+
+  return trajectory;
+}
+
+/**
+ * Validation report of a parsed structure, as the ValidationReport type
+ */
+function validationReport(structure) {
+  const issues = validateMolecule(structure);
+  return { valid: !hasErrors(issues), issues };
+}
+
+/**
+ * Validate a structure before it is stored
+ * Errors fail the mutation with the issues in the error's extensions;
+ * warnings go to the gateway's logger.
+ */
+function checkStructure(structure, name, logger) {
+  const { valid, issues } = validationReport(structure);
+  if (!valid) {
+    const messages = issues.filter(({ severity }) => severity === 'error').map(({ message }) => message);
+    throw new UserInputError(`Invalid structure: ${messages.join('; ')}`, { issues });
+  }
+  issues.forEach(({ message }) => logger.warn(`${message} in ${name}`));
+}
+
+/**
+ * Apply a DuplicatePolicy to a structure with the given canonical hash
+ * Returns the first stored molecule with the hash (duplicates stored later
+ * are skipped), or null; REJECT throws when there is one. LINK returns that
+ * molecule instead of storing the structure, ALLOW stores the structure
+ * with duplicate_of set to its id.
+ */
+async function findDuplicate(db, hash, policy = 'ALLOW') {
+  const result = await db.query(
+    'SELECT * FROM molecules WHERE canonical_hash = $1 AND duplicate_of IS NULL ORDER BY created_at LIMIT 1',
+    [hash]
+  );
+  const existing = result.rows[0];
+  if (existing && policy === 'REJECT') {
+    throw new Error(`Duplicate of molecule ${existing.id}`);
+  }
+  return existing || null;
+}
+
+/**
+ * Reject a file whose records repeat a canonical hash, before any of them
+ * is stored; LINK and ALLOW handle repeats like stored duplicates
+ */
+function checkRepeatedHashes(hashes, policy) {
+  if (policy !== 'REJECT') return;
+  const repeated = hashes.findIndex((hash, index) => hashes.indexOf(hash) !== index);
+  if (repeated !== -1) {
+    throw new Error(`Record ${repeated + 1} duplicates record ${hashes.indexOf(hashes[repeated]) + 1} of the file`);
+  }
+}
+
+/**
+ * Run work(client) in one transaction on a pooled client, so a failure
+ * stores nothing
+ */
+async function inTransaction(db, work) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * R/S and E/Z labels (cip) perceived from the coordinates; structures read
+ * from SMILES keep the labels the SMILES specified
+ */
+function withStereo(structure) {
+  if (structure.metadata && structure.metadata.format === 'smiles') return structure;
+  return { ...structure, ...assignStereo(structure) };
+}
+
+/**
+ * Keep the current version of a molecule in molecule_versions before an
+ * update replaces it; only the creator's molecules update
+ */
+async function archiveVersion(db, id, user) {
+  await db.query(
+    `INSERT INTO molecule_versions (${VERSION_COLUMNS})
+     SELECT ${VERSION_COLUMNS} FROM molecules WHERE id = $1 AND created_by = $2`,
+    [id, user.id]
+  );
+}
+
+async function insertParsedMolecule(db, user, parsed, { name, duplicateOf } = {}) {
+  const query = `
+    INSERT INTO molecules (name, formula, molecular_weight, smiles, canonical_smiles, canonical_hash, data, metadata, duplicate_of, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `;
+  const canonical = canonicalIdentifiers(parsed);
+
+  const result = await db.query(query, [
+    name || parsed.name,
+    hillFormula(parsed.atoms),
+    molecularWeight(parsed.atoms),
+    parsed.smiles || canonical.smiles,
+    canonical.smiles,
+    canonical.hash,
+    JSON.stringify(toMoleculeData(parsed)),
+    JSON.stringify(parsed.metadata || {}),
+    duplicateOf || null,
+    user.id,
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Store a parsed structure under a DuplicatePolicy (see findDuplicate)
+ * Returns the stored molecule and whether it was inserted.
+ */
+async function storeParsedMolecule(db, user, parsed, { name, duplicates } = {}) {
+  const original = await findDuplicate(db, canonicalIdentifiers(parsed).hash, duplicates);
+  if (original && duplicates === 'LINK') return { molecule: original, inserted: false };
+
+  const molecule = await insertParsedMolecule(db, user, parsed, { name, duplicateOf: original && original.id });
+  return { molecule, inserted: true };
+}
 
 /**
  * Create DataLoaders for batch loading
@@ -38,6 +326,55 @@ export function createLoaders(db) {
   };
 }
 
+/**
+ * Check an atom mapping against the reactant and product structures of a
+ * pathway: every entry pairs existing atoms of one element
+ */
+function checkAtomMapping(mapping, reactants, products) {
+  mapping.forEach(({ map, reactant, reactant_atom: reactantAtom, product, product_atom: productAtom }) => {
+    const from = reactants[reactant] && reactants[reactant].atoms[reactantAtom];
+    const to = products[product] && products[product].atoms[productAtom];
+    if (!from || !to) {
+      throw new UserInputError(`Atom map number ${map} refers to a missing atom`);
+    }
+    if (from.element !== to.element) {
+      throw new UserInputError(`Atom map number ${map} pairs ${from.element} with ${to.element}`);
+    }
+  });
+}
+
+async function insertReactionPathway(db, user, pathway) {
+  const query = `
+    INSERT INTO reaction_pathways (name, reactant_ids, product_ids, intermediate_ids, agent_ids, atom_mapping,
+                                   transition_states, energy_profile, metadata, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    pathway.name,
+    pathway.reactant_ids,
+    pathway.product_ids,
+    pathway.intermediate_ids || [],
+    pathway.agent_ids || [],
+    JSON.stringify(pathway.atom_mapping || []),
+    pathway.transition_states ? JSON.stringify(pathway.transition_states) : null,
+    pathway.energy_profile ? JSON.stringify(pathway.energy_profile) : null,
+    JSON.stringify(pathway.metadata || {}),
+    user.id,
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * The stored molecules of a pathway role, in order; deleted molecules are
+ * left out
+ */
+async function pathwayMolecules(ids, loaders) {
+  const rows = await loaders.moleculeLoader.loadMany(ids || []);
+  return rows.filter(row => row && !(row instanceof Error));
+}
+
 /**
  * GraphQL Resolvers
  */
@@ -48,13 +385,28 @@ export const resolvers = {
       return loaders.moleculeLoader.load(id);
     },
 
-    molecules: async (_, { first = 20, after, search }, { db }) => {
+    moleculeVersion: async (_, { id, version }, { db, loaders }) => {
+      const molecule = await loaders.moleculeLoader.load(id);
+      if (!molecule) return null;
+      if (version === molecule.version) return molecule;
+
+      const query = 'SELECT * FROM molecule_versions WHERE id = $1 AND version = $2';
+      const result = await db.query(query, [id, version]);
+      return result.rows[0] || null;
+    },
+
+    molecules: async (_, { first = 20, after, search, search_mode: searchMode }, { db }) => {
+      if (search && searchMode === 'SUBSTRUCTURE') {
+        return substructureConnection(db, search, { first, after });
+      }
+
       let query = 'SELECT * FROM molecules';
       const params = [];
       
       if (search) {
-        query += ' WHERE name ILIKE $1 OR formula ILIKE $1';
-        params.push(`%${search}%`);
+        // Formulas also match in Hill notation ("C2H5OH" finds C2H6O)
+        query += ' WHERE name ILIKE $1 OR formula ILIKE $1 OR formula = $2';
+        params.push(`%${search}%`, canonicalFormula(search));
       }
       
       query += ' ORDER BY created_at DESC LIMIT $' + (params.length + 1);
@@ -89,10 +441,95 @@ export const resolvers = {
 
     moleculesByFormula: async (_, { formula }, { db }) => {
       const query = 'SELECT * FROM molecules WHERE formula = $1';
-      const result = await db.query(query, [formula]);
+      const result = await db.query(query, [canonicalFormula(formula) || formula]);
       return result.rows;
     },
 
+    exportMolecule: async (_, { id, format }, { loaders }) => {
+      const molecule = await loaders.moleculeLoader.load(id);
+      if (!molecule) return null;
+      return writeMolecule(fromMoleculeRow(molecule), format);
+    },
+
+    moleculeValidation: async (_, { id }, { loaders }) => {
+      const molecule = await loaders.moleculeLoader.load(id);
+      if (!molecule) return null;
+      return validationReport(fromMoleculeRow(molecule));
+    },
+
+    validateStructure: (_, { atoms, bonds = [], smiles }) => {
+      if (atoms) return validationReport(fromMoleculeRow({ data: { atoms, bonds } }));
+      if (smiles) return validationReport(parseSMILES(smiles));
+      throw new Error('Either atoms or smiles is required');
+    },
+
+    moleculeAnalytics: async (_, { molecule_id }, { db }) => {
+      // Analytics of an earlier version describe another structure
+      const query = `
+        SELECT a.* FROM molecule_analytics a
+        JOIN molecules m ON m.id = a.molecule_id AND m.version = a.molecule_version
+        WHERE a.molecule_id = $1
+      `;
+      const result = await db.query(query, [molecule_id]);
+      return result.rows[0] || null;
+    },
+
+    moleculeSurfaceArea: async (_, { id, probe_radius, points }, { loaders }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) return null;
+
+      const surface = solventAccessibleSurface(fromMoleculeRow(row), { probeRadius: probe_radius, points });
+      return { molecule_id: id, probe_radius, points, total: surface.total, atom_areas: surface.atoms };
+    },
+
+    hydrogenBonds: async (_, { id, partner_id, max_distance, min_angle }, { loaders }) => {
+      const options = { maxDistance: max_distance, minAngle: min_angle };
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) throw new Error('Molecule not found');
+      if (!partner_id) return findHydrogenBonds(fromMoleculeRow(row), options);
+
+      const partner = await loaders.moleculeLoader.load(partner_id);
+      if (!partner) throw new Error('Molecule not found');
+      const ids = [id, partner_id];
+      return findHydrogenBondsBetween(fromMoleculeRow(row), fromMoleculeRow(partner), options).map(bond => ({
+        ...bond,
+        donor_molecule_id: ids[bond.donor_molecule],
+        acceptor_molecule_id: ids[bond.acceptor_molecule],
+      }));
+    },
+
+    moleculeSymmetry: async (_, { id, tolerance }, { loaders }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) return null;
+
+      return { molecule_id: id, tolerance, ...findPointGroup(fromMoleculeRow(row), { tolerance }) };
+    },
+
+    alignStructures: async (_, { mobile, reference, mapping, atoms }, context) => {
+      const [mobileCoordinates, referenceCoordinates] = await Promise.all([
+        structureCoordinates(mobile, context),
+        structureCoordinates(reference, context),
+      ]);
+      return alignStructures(mobileCoordinates, referenceCoordinates, {
+        mapping: mapping ?? undefined,
+        atoms: atoms ?? undefined,
+      });
+    },
+
+    moleculeTopology: async (_, { id }, { loaders }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) return null;
+
+      return { molecule_id: id, ...analyzeTopology(fromMoleculeRow(row)) };
+    },
+
+    moleculeStereo: async (_, { id }, { loaders }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) return null;
+
+      return { molecule_id: id, ...stereoLabels(fromMoleculeRow(row)) };
+    },
+
     // Trajectories
     trajectory: async (_, { id }, { loaders }) => {
       return loaders.trajectoryLoader.load(id);
@@ -142,6 +579,35 @@ export const resolvers = {
       return results;
     },
 
+    trajectoryFrameBonds: async (_, { id, frame, tolerance }, { loaders, trajectoryManager }) => {
+      const handler = trajectoryManager.get(id);
+      const trajectory = await loaders.trajectoryLoader.load(id);
+      if (!handler || !trajectory) throw new Error('Trajectory not found');
+
+      const molecule = await loaders.moleculeLoader.load(trajectory.molecule_id);
+      const { atoms } = fromMoleculeRow(molecule);
+      const { coordinates } = await handler.readFrame(frame);
+      const bonds = perceiveBonds(atoms, { tolerance: tolerance ?? undefined, coordinates });
+      return bonds.map(bond => ({ ...bond, order: BOND_ORDER_NAMES[bond.order] }));
+    },
+
+    trajectoryHydrogenBonds: async (_, { id, frames, max_distance, min_angle }, { loaders, trajectoryManager }) => {
+      const handler = trajectoryManager.get(id);
+      const trajectory = await loaders.trajectoryLoader.load(id);
+      if (!handler || !trajectory) throw new Error('Trajectory not found');
+
+      const molecule = fromMoleculeRow(await loaders.moleculeLoader.load(trajectory.molecule_id));
+      const results = [];
+      for (const frame of frames) {
+        const { coordinates } = await handler.readFrame(frame);
+        results.push({
+          frame,
+          hydrogen_bonds: findHydrogenBonds(molecule, { maxDistance: max_distance, minAngle: min_angle, coordinates }),
+        });
+      }
+      return results;
+    },
+
     // Collaboration
     collaborationSession: async (_, { id }, { db }) => {
       const query = 'SELECT * FROM collaboration_sessions WHERE id = $1';
@@ -212,6 +678,30 @@ export const resolvers = {
       return result.rows;
     },
 
+    // Reactions
+    reactionPathway: async (_, { id }, { db }) => {
+      const query = 'SELECT * FROM reaction_pathways WHERE id = $1';
+      const result = await db.query(query, [id]);
+      return result.rows[0] || null;
+    },
+
+    reactionPathways: async (_, { molecule_id, first = 20 }, { db }) => {
+      let query = 'SELECT * FROM reaction_pathways';
+      const params = [];
+
+      if (molecule_id) {
+        query += ' WHERE $1 = ANY(reactant_ids) OR $1 = ANY(product_ids)' +
+          ' OR $1 = ANY(intermediate_ids) OR $1 = ANY(agent_ids)';
+        params.push(molecule_id);
+      }
+
+      query += ' ORDER BY created_at DESC LIMIT $' + (params.length + 1);
+      params.push(first);
+
+      const result = await db.query(query, params);
+      return result.rows;
+    },
+
     // Current user
     me: async (_, __, { user }) => {
       return user;
@@ -220,31 +710,52 @@ export const resolvers = {
 
   Mutation: {
     // Molecules
-    createMolecule: async (_, { input }, { db, user }) => {
+    createMolecule: async (_, { input }, { db, user, logger }) => {
       const query = `
-        INSERT INTO molecules (name, formula, smiles, data, metadata, created_by)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO molecules (name, formula, molecular_weight, smiles, canonical_smiles, canonical_hash, data, metadata, duplicate_of, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING *
       `;
       
-      const data = {
-        atoms: input.atoms,
-        bonds: input.bonds,
-      };
+      let parsed;
+      if (input.atoms) {
+        parsed = fromMoleculeRow({ data: { atoms: input.atoms, bonds: input.bonds || [] } });
+      } else if (input.smiles) {
+        // Build the structure, hydrogens and 3D coordinates from SMILES
+        parsed = parseSMILES(input.smiles);
+      } else {
+        throw new Error('Either atoms or smiles is required');
+      }
+      const { atoms } = parsed;
+
+      // The formula always comes from the atoms
+      const warning = formulaWarning(input.formula, atoms, input.name);
+      if (warning) logger.warn(warning);
+
+      // Stereo perception needs bonds between existing atoms
+      checkStructure(parsed, input.name, logger);
+      const data = toMoleculeData(input.atoms ? withStereo(parsed) : parsed);
+      const canonical = canonicalIdentifiers(fromMoleculeRow({ data }));
+      const original = await findDuplicate(db, canonical.hash, input.duplicates);
+      if (original && input.duplicates === 'LINK') return original;
       
       const result = await db.query(query, [
         input.name,
-        input.formula,
-        input.smiles,
+        hillFormula(atoms),
+        molecularWeight(atoms),
+        input.smiles || canonical.smiles,
+        canonical.smiles,
+        canonical.hash,
         JSON.stringify(data),
         JSON.stringify(input.metadata || {}),
+        original ? original.id : null,
         user.id,
       ]);
       
       return result.rows[0];
     },
 
-    updateMolecule: async (_, { id, input }, { db, user }) => {
+    updateMolecule: async (_, { id, input }, { db, user, loaders, logger }) => {
       const updates = [];
       const params = [id];
       let paramIndex = 2;
@@ -255,9 +766,16 @@ export const resolvers = {
         paramIndex++;
       }
       
+      // The formula always comes from the atoms
       if (input.formula) {
+        const row = await loaders.moleculeLoader.load(id);
+        if (!row) throw new Error('Molecule not found');
+        const { atoms } = fromMoleculeRow(row);
+        const warning = formulaWarning(input.formula, atoms, input.name || row.name);
+        if (warning) logger.warn(warning);
+
         updates.push(`formula = $${paramIndex}`);
-        params.push(input.formula);
+        params.push(hillFormula(atoms));
         paramIndex++;
       }
       
@@ -278,8 +796,111 @@ export const resolvers = {
       `;
       params.push(user.id);
       
-      const result = await db.query(query, params);
-      return result.rows[0];
+      return inTransaction(db, async client => {
+        await archiveVersion(client, id, user);
+        const result = await client.query(query, params);
+        return result.rows[0];
+      });
+    },
+
+    rebondMolecule: async (_, { id, tolerance }, { db, user, loaders, logger }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) throw new Error('Molecule not found');
+
+      const structure = fromMoleculeRow(row);
+      const perceived = perceiveBonds(structure.atoms, { tolerance: tolerance ?? undefined });
+      const { bonds: ordered } = assignBondOrders({ atoms: structure.atoms, bonds: perceived });
+      checkStructure({ atoms: structure.atoms, bonds: ordered }, row.name, logger);
+      const { atoms, bonds } = assignStereo({ atoms: structure.atoms, bonds: ordered });
+      const canonical = canonicalIdentifiers({ atoms, bonds });
+      const query = `
+        UPDATE molecules
+        SET data = $2, smiles = $4, canonical_smiles = $4, canonical_hash = $5, duplicate_of = NULL,
+            updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND created_by = $3
+        RETURNING *
+      `;
+
+      return inTransaction(db, async client => {
+        await archiveVersion(client, id, user);
+        const result = await client.query(query, [
+          id,
+          JSON.stringify(toMoleculeData({ atoms, bonds })),
+          user.id,
+          canonical.smiles,
+          canonical.hash,
+        ]);
+        return result.rows[0];
+      });
+    },
+
+    updateBondOrders: async (_, { id, mode }, { db, user, loaders, logger }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) throw new Error('Molecule not found');
+
+      const changed = BOND_ORDER_MODES[mode](fromMoleculeRow(row));
+      checkStructure(changed, row.name, logger);
+      const updated = { ...changed, ...assignStereo(changed) };
+      const canonical = canonicalIdentifiers(updated);
+      const query = `
+        UPDATE molecules
+        SET data = $2, smiles = $4, canonical_smiles = $4, canonical_hash = $5, duplicate_of = NULL,
+            updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND created_by = $3
+        RETURNING *
+      `;
+
+      return inTransaction(db, async client => {
+        await archiveVersion(client, id, user);
+        const result = await client.query(query, [
+          id,
+          JSON.stringify(toMoleculeData(updated)),
+          user.id,
+          canonical.smiles,
+          canonical.hash,
+        ]);
+        return result.rows[0];
+      });
+    },
+
+    updateHydrogens: async (_, { id, action, mode }, { db, user, loaders, logger }) => {
+      const row = await loaders.moleculeLoader.load(id);
+      if (!row) throw new Error('Molecule not found');
+
+      // Trajectory frames keep the atom count of the molecule
+      const trajectories = await db.query('SELECT id FROM trajectories WHERE molecule_id = $1 LIMIT 1', [id]);
+      if (trajectories.rows.length > 0) {
+        throw new Error('Cannot change the atoms of a molecule with trajectories');
+      }
+
+      const molecule = fromMoleculeRow(row);
+      const changed = action === 'ADD'
+        ? addHydrogens(molecule)
+        : removeHydrogens(molecule, { mode: mode.toLowerCase() });
+      checkStructure(changed, row.name, logger);
+      const updated = { ...changed, ...assignStereo(changed) };
+      const canonical = canonicalIdentifiers(updated);
+      const query = `
+        UPDATE molecules
+        SET data = $2, formula = $4, molecular_weight = $5, smiles = $6, canonical_smiles = $6,
+            canonical_hash = $7, duplicate_of = NULL, updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND created_by = $3
+        RETURNING *
+      `;
+
+      return inTransaction(db, async client => {
+        await archiveVersion(client, id, user);
+        const result = await client.query(query, [
+          id,
+          JSON.stringify(toMoleculeData(updated)),
+          user.id,
+          hillFormula(updated.atoms),
+          molecularWeight(updated.atoms),
+          canonical.smiles,
+          canonical.hash,
+        ]);
+        return result.rows[0];
+      });
     },
 
     deleteMolecule: async (_, { id }, { db, user }) => {
@@ -288,6 +909,42 @@ export const resolvers = {
       return result.rowCount > 0;
     },
 
+    importMolecule: async (_, { file, format, name, duplicates }, context) => {
+      const { db, user, logger } = context;
+      const imported = parseMolecule(file, format);
+      checkStructure(imported, name || imported.name, logger);
+      const parsed = withStereo(imported);
+
+      return inTransaction(db, async client => {
+        const { molecule, inserted } = await storeParsedMolecule(client, user, parsed, { name, duplicates });
+        if (inserted && parsed.frames) {
+          await registerTrajectory({ ...context, db: client }, molecule, parsed.frames);
+        }
+        return molecule;
+      });
+    },
+
+    importMolecules: async (_, { file, format, duplicates }, context) => {
+      const { db, user, logger } = context;
+      const imported = parseMolecules(file, format);
+      imported.forEach(parsed => checkStructure(parsed, parsed.name, logger));
+      const records = imported.map(withStereo);
+      checkRepeatedHashes(records.map(parsed => canonicalIdentifiers(parsed).hash), duplicates);
+
+      // A rejected or failing record stores nothing from the file
+      return inTransaction(db, async client => {
+        const molecules = [];
+        for (const parsed of records) {
+          const { molecule, inserted } = await storeParsedMolecule(client, user, parsed, { duplicates });
+          if (inserted && parsed.frames) {
+            await registerTrajectory({ ...context, db: client }, molecule, parsed.frames);
+          }
+          molecules.push(molecule);
+        }
+        return molecules;
+      });
+    },
+
     // Simulations
     submitSimulationJob: async (_, { input }, { db, user }) => {
       const query = `
@@ -343,20 +1000,132 @@ export const resolvers = {
       const result = await db.query(query, [id, user.id]);
       return result.rowCount > 0;
     },
+
+    // Reactions
+    createReactionPathway: async (_, { input }, { db, user, loaders }) => {
+      const { reactant_ids, product_ids } = input;
+      const atomMapping = input.atom_mapping || [];
+      if (reactant_ids.length === 0 || product_ids.length === 0) {
+        throw new UserInputError('A reaction pathway needs reactants and products');
+      }
+
+      // Pathways link stored molecules only
+      const ids = [...reactant_ids, ...product_ids, ...(input.intermediate_ids || []), ...(input.agent_ids || [])];
+      const rows = await loaders.moleculeLoader.loadMany(ids);
+      const missing = ids.find((id, index) => !rows[index] || rows[index] instanceof Error);
+      if (missing !== undefined) throw new Error(`Molecule not found: ${missing}`);
+
+      const structures = rows.map(fromMoleculeRow);
+      checkAtomMapping(
+        atomMapping,
+        structures.slice(0, reactant_ids.length),
+        structures.slice(reactant_ids.length, reactant_ids.length + product_ids.length)
+      );
+
+      return insertReactionPathway(db, user, { ...input, atom_mapping: atomMapping });
+    },
+
+    importReaction: async (_, { file, format, name, duplicates }, { db, user, logger }) => {
+      const reaction = parseReaction(file, format);
+      const roles = ['reactants', 'products', 'agents'];
+      roles.forEach(role => reaction[role].forEach(parsed => checkStructure(parsed, parsed.name, logger)));
+      const components = roles.map(role => reaction[role].map(withStereo));
+      checkRepeatedHashes(components.flat().map(parsed => canonicalIdentifiers(parsed).hash), duplicates);
+
+      // A rejected or failing component stores nothing from the file
+      return inTransaction(db, async client => {
+        const stored = [];
+        for (const list of components) {
+          const ids = [];
+          for (const parsed of list) {
+            const { molecule } = await storeParsedMolecule(client, user, parsed, { duplicates });
+            ids.push(molecule.id);
+          }
+          stored.push(ids);
+        }
+        const [reactantIds, productIds, agentIds] = stored;
+
+        return insertReactionPathway(client, user, {
+          name: name || reaction.name,
+          reactant_ids: reactantIds,
+          product_ids: productIds,
+          agent_ids: agentIds,
+          atom_mapping: reaction.atom_mapping,
+          metadata: reaction.metadata,
+        });
+      });
+    },
+
+    // Analytics
+    calculateMoleculeAnalytics: async (_, { molecule_id }, { db, user, loaders }) => {
+      const row = await loaders.moleculeLoader.load(molecule_id);
+      if (!row) throw new Error('Molecule not found');
+
+      const { charge, dipole_moment, sasa, hydrogen_bonds, metrics } = calculateAnalytics(fromMoleculeRow(row));
+      const query = `
+        INSERT INTO molecule_analytics (molecule_id, molecule_version, charge, dipole_moment, sasa, hydrogen_bonds, metrics)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (molecule_id) DO UPDATE
+        SET molecule_version = EXCLUDED.molecule_version, charge = EXCLUDED.charge,
+            dipole_moment = EXCLUDED.dipole_moment, sasa = EXCLUDED.sasa,
+            hydrogen_bonds = EXCLUDED.hydrogen_bonds, metrics = EXCLUDED.metrics,
+            calculated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        molecule_id,
+        row.version,
+        charge,
+        dipole_moment,
+        sasa,
+        hydrogen_bonds,
+        JSON.stringify(metrics),
+      ]);
+      return result.rows[0];
+    },
   },
 
   // Type resolvers
+  ValidationIssue: {
+    severity: (issue) => issue.severity.toUpperCase(),
+  },
+
   Molecule: {
     created_by: async (molecule, _, { loaders }) => {
       return molecule.created_by ? loaders.userLoader.load(molecule.created_by) : null;
     },
+
+    // DECIMAL columns arrive as strings; rows stored before the column was
+    // filled get the weight from their atoms
+    molecular_weight: (molecule) => {
+      if (molecule.molecular_weight !== null && molecule.molecular_weight !== undefined) {
+        return Number(molecule.molecular_weight);
+      }
+      return molecularWeight(fromMoleculeRow(molecule).atoms);
+    },
+
+    monoisotopic_mass: (molecule) => monoisotopicMass(fromMoleculeRow(molecule).atoms),
+
+    // Rows stored before the canonical columns existed are canonicalized
+    // on read
+    smiles: (molecule) => molecule.smiles || canonicalIdentifiers(fromMoleculeRow(molecule)).smiles,
+    canonical_smiles: (molecule) => molecule.canonical_smiles || canonicalIdentifiers(fromMoleculeRow(molecule)).smiles,
+    canonical_hash: (molecule) => molecule.canonical_hash || canonicalIdentifiers(fromMoleculeRow(molecule)).hash,
     
+    // Atoms without an imported charge get their Gasteiger charge
     atoms: (molecule) => {
       const data = typeof molecule.data === 'string' 
         ? JSON.parse(molecule.data) 
         : molecule.data;
-      return data.atoms || [];
+      const atoms = data.atoms || [];
+      if (atoms.every(atom => typeof atom.charge === 'number')) return atoms;
+
+      const charges = gasteigerCharges(fromMoleculeRow(molecule));
+      return atoms.map((atom, index) => ({ ...atom, charge: atom.charge ?? charges[index] }));
     },
+
+    partial_charges: (molecule) => gasteigerCharges(fromMoleculeRow(molecule)),
     
     bonds: (molecule) => {
       const data = typeof molecule.data === 'string' 
@@ -417,6 +1186,18 @@ export const resolvers = {
       return loaders.moleculeLoader.load(viz.molecule_id);
     },
   },
+
+  ReactionPathway: {
+    reactants: (pathway, _, { loaders }) => pathwayMolecules(pathway.reactant_ids, loaders),
+    products: (pathway, _, { loaders }) => pathwayMolecules(pathway.product_ids, loaders),
+    intermediates: (pathway, _, { loaders }) => pathwayMolecules(pathway.intermediate_ids, loaders),
+    agents: (pathway, _, { loaders }) => pathwayMolecules(pathway.agent_ids, loaders),
+    atom_mapping: (pathway) => pathway.atom_mapping || [],
+
+    created_by: async (pathway, _, { loaders }) => {
+      return pathway.created_by ? loaders.userLoader.load(pathway.created_by) : null;
+    },
+  },
 };
 
 export default resolvers;
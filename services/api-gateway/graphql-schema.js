@@ -18,6 +18,13 @@ export const typeDefs = gql`
     SDF
     MOL2
     XYZ
+    SMILES
+  }
+
+  # MDL RXN (V2000 or V3000) or reaction SMILES (reactants>agents>products)
+  enum ReactionFormat {
+    RXN
+    SMILES
   }
 
   enum BondOrder {
@@ -27,6 +34,50 @@ export const typeDefs = gql`
     AROMATIC
   }
 
+  # ASSIGN infers orders from valences, KEKULIZE writes aromatic rings as
+  # alternating single/double bonds, AROMATIZE marks aromatic rings
+  enum BondOrderMode {
+    ASSIGN
+    KEKULIZE
+    AROMATIZE
+  }
+
+  # TEXT matches names and formulas, SUBSTRUCTURE reads the search as a
+  # SMARTS-style fragment such as "c1ccccc1" or "C(=O)[OH]"
+  enum SearchMode {
+    TEXT
+    SUBSTRUCTURE
+  }
+
+  # What to do when a new molecule has the canonical hash of a stored one:
+  # ALLOW stores it anyway with duplicate_of set to the stored molecule,
+  # LINK returns the stored molecule instead and REJECT fails with an error
+  # naming the stored molecule. Imports treat records repeated within the
+  # file the same way; REJECT fails before storing any of them.
+  enum DuplicatePolicy {
+    ALLOW
+    LINK
+    REJECT
+  }
+
+  # ADD places the missing hydrogens from hybridization and valence;
+  # REMOVE strips them (see HydrogenRemovalMode)
+  enum HydrogenAction {
+    ADD
+    REMOVE
+  }
+
+  # NONPOLAR removes only hydrogens bonded to carbon
+  enum HydrogenRemovalMode {
+    ALL
+    NONPOLAR
+  }
+
+  enum IssueSeverity {
+    ERROR
+    WARNING
+  }
+
   enum JobStatus {
     PENDING
     RUNNING
@@ -53,9 +104,14 @@ export const typeDefs = gql`
     index: Int!
     element: String!
     position: Position!
+    # Partial charge as imported (MOL2), otherwise the Gasteiger charge
     charge: Float
     residue: String
     chain: String
+    atomType: String
+    substructureId: Int
+    # CIP label of a stereocenter: R or S
+    cip: String
   }
 
   type Bond {
@@ -63,6 +119,8 @@ export const typeDefs = gql`
     to: Int!
     order: BondOrder!
     aromatic: Boolean
+    # CIP label of a stereo double bond: E or Z
+    cip: String
   }
 
   type Molecule {
@@ -70,11 +128,24 @@ export const typeDefs = gql`
     name: String!
     formula: String!
     molecular_weight: Float
+    monoisotopic_mass: Float
+    # The SMILES the molecule was created from, or else its canonical SMILES
     smiles: String
+    canonical_smiles: String
+    # SHA-256 of the canonical SMILES; equal for records of the same compound
+    canonical_hash: String
+    # The first stored molecule with the same canonical hash, when this one
+    # was stored with the ALLOW duplicate policy
+    duplicate_of: ID
+    # Not computed: InChI generation needs the IUPAC InChI library
     inchi: String
     atoms: [Atom!]!
     bonds: [Bond!]!
+    # Gasteiger-Marsili partial charges, in atom order
+    partial_charges: [Float!]!
     metadata: JSON
+    # Matched atom indices per occurrence, set by substructure searches
+    substructure_matches: [[Int!]!]
     created_by: User
     created_at: DateTime!
     updated_at: DateTime!
@@ -156,12 +227,27 @@ export const typeDefs = gql`
     updated_at: DateTime!
   }
 
+  # A reactant atom and the product atom it becomes. reactant and product
+  # index the pathway's reactants and products; reactant_atom and
+  # product_atom index their atoms.
+  type AtomMapping {
+    map: Int!
+    reactant: Int!
+    reactant_atom: Int!
+    product: Int!
+    product_atom: Int!
+  }
+
+  # Reactants, products, intermediates and agents (reagents, catalysts,
+  # solvents) are stored molecules; molecules deleted since are left out.
   type ReactionPathway {
     id: ID!
     name: String!
     reactants: [Molecule!]!
     products: [Molecule!]!
     intermediates: [Molecule!]!
+    agents: [Molecule!]!
+    atom_mapping: [AtomMapping!]!
     transition_states: JSON
     energy_profile: JSON
     metadata: JSON
@@ -169,6 +255,14 @@ export const typeDefs = gql`
     created_at: DateTime!
   }
 
+  # Descriptors of a molecule version. charge is the net formal charge,
+  # dipole_moment (Debye) comes from the atoms' imported partial charges or
+  # else Gasteiger charges, and sasa is the solvent accessible surface area
+  # (A^2, 1.4 A probe). hydrogen_bonds counts the intramolecular hydrogen
+  # bonds (see HydrogenBond). metrics holds center_of_mass, principal_moments
+  # (amu*A^2, smallest first), principal_axes, radius_of_gyration,
+  # bounding_box (A), dipole_vector, charge_model, atom_sasa, point_group
+  # and equivalent_atoms (see Symmetry).
   type Analytics {
     molecule_id: ID!
     energy: Float
@@ -177,6 +271,108 @@ export const typeDefs = gql`
     sasa: Float
     hydrogen_bonds: Int
     metrics: JSON
+    calculated_at: DateTime
+  }
+
+  # Shrake-Rupley solvent accessible surface area in A^2; atom_areas is in
+  # atom order, for coloring atoms by exposure
+  type SurfaceArea {
+    molecule_id: ID!
+    probe_radius: Float!
+    points: Int!
+    total: Float!
+    atom_areas: [Float!]!
+  }
+
+  # D-H...A hydrogen bond: donor, hydrogen and acceptor atom indices, the
+  # H...A and D...A distances (A) and the D-H...A angle (degrees). Between
+  # two molecules, the *_molecule_id fields name the molecule of each end.
+  type HydrogenBond {
+    donor: Int!
+    hydrogen: Int!
+    acceptor: Int!
+    distance: Float!
+    donor_acceptor_distance: Float!
+    angle: Float!
+    donor_molecule_id: ID
+    acceptor_molecule_id: ID
+  }
+
+  type FrameHydrogenBonds {
+    frame: Int!
+    hydrogen_bonds: [HydrogenBond!]!
+  }
+
+  # Schoenflies point group (e.g. C2v, D6h, D∞h) detected within tolerance
+  # (A); equivalent_atoms are the classes of symmetry-equivalent atom
+  # indices. elements holds center (center of mass), axes ({ order, vector },
+  # order null for the C∞ axis of a linear molecule), mirror_planes
+  # ({ normal }) and inversion.
+  type Symmetry {
+    molecule_id: ID!
+    tolerance: Float!
+    point_group: String!
+    equivalent_atoms: [[Int!]!]!
+    elements: JSON!
+  }
+
+  # Kabsch superposition of a mobile structure onto a reference. rmsd and
+  # initial_rmsd (A) cover the fitted atom pairs after and before fitting; a
+  # mobile point p moves to rotation * p + translation (rotation given by
+  # rows), and coordinates are all mobile atoms moved that way.
+  type Alignment {
+    rmsd: Float!
+    initial_rmsd: Float!
+    atom_count: Int!
+    rotation: [[Float!]!]!
+    translation: [Float!]!
+    coordinates: [Position!]!
+  }
+
+  # A ring of the smallest set of smallest rings: atoms in ring order and
+  # the bond indices around it
+  type Ring {
+    size: Int!
+    atoms: [Int!]!
+    bonds: [Int!]!
+    aromatic: Boolean!
+  }
+
+  # Rings sharing atoms (fused, bridged or spiro), by ring index
+  type RingSystem {
+    rings: [Int!]!
+    atoms: [Int!]!
+  }
+
+  # Bond graph of a molecule. atom_rings lists, per atom, the indices of the
+  # rings containing it; components are the atom indices of each connected
+  # fragment and degrees the number of bonded neighbors per atom.
+  type Topology {
+    molecule_id: ID!
+    rings: [Ring!]!
+    ring_systems: [RingSystem!]!
+    atom_rings: [[Int!]!]!
+    rotatable_bonds: [Int!]!
+    components: [[Int!]!]!
+    degrees: [Int!]!
+  }
+
+  type StereoCenter {
+    atom: Int!
+    label: String!
+  }
+
+  type StereoBond {
+    bond: Int!
+    label: String!
+  }
+
+  # R/S stereocenters and E/Z double bonds, labeled under the CIP priority
+  # rules from the 3D coordinates (or the SMILES the molecule came from)
+  type Stereo {
+    molecule_id: ID!
+    centers: [StereoCenter!]!
+    double_bonds: [StereoBond!]!
   }
 
   # Pagination
@@ -187,6 +383,24 @@ export const typeDefs = gql`
     end_cursor: String
   }
 
+  # A structure problem found by validation; atoms and bonds are the
+  # indices involved. Codes: EMPTY_MOLECULE, UNKNOWN_ELEMENT,
+  # INVALID_COORDINATES, MISSING_ATOM, SELF_BOND, DUPLICATE_BOND,
+  # INVALID_BOND_ORDER, OVERLAPPING_ATOMS, VALENCE_EXCEEDED
+  type ValidationIssue {
+    severity: IssueSeverity!
+    code: String!
+    atoms: [Int!]!
+    bonds: [Int!]!
+    message: String!
+  }
+
+  # valid is false when any issue is an ERROR
+  type ValidationReport {
+    valid: Boolean!
+    issues: [ValidationIssue!]!
+  }
+
   type MoleculeConnection {
     nodes: [Molecule!]!
     page_info: PageInfo!
@@ -227,15 +441,22 @@ export const typeDefs = gql`
     aromatic: Boolean
   }
 
+  # Either atoms (with bonds) or a SMILES string is required. With SMILES
+  # alone, hydrogens and 3D coordinates are generated. The stored formula is
+  # the Hill formula of the atoms; a supplied formula that disagrees with
+  # them is logged.
   input CreateMoleculeInput {
     name: String!
-    formula: String!
+    formula: String
     smiles: String
-    atoms: [AtomInput!]!
-    bonds: [BondInput!]!
+    atoms: [AtomInput!]
+    bonds: [BondInput!]
     metadata: JSON
+    duplicates: DuplicatePolicy = ALLOW
   }
 
+  # A supplied formula is checked against the stored atoms, as on create;
+  # the Hill formula of the atoms is stored.
   input UpdateMoleculeInput {
     name: String
     formula: String
@@ -254,19 +475,58 @@ export const typeDefs = gql`
     settings: JSON!
   }
 
+  input AtomMappingInput {
+    map: Int!
+    reactant: Int!
+    reactant_atom: Int!
+    product: Int!
+    product_atom: Int!
+  }
+
+  # Molecules are given by id and must be stored; atom_mapping indexes
+  # reactant_ids and product_ids
+  input CreateReactionPathwayInput {
+    name: String!
+    reactant_ids: [ID!]!
+    product_ids: [ID!]!
+    intermediate_ids: [ID!]
+    agent_ids: [ID!]
+    atom_mapping: [AtomMappingInput!]
+    transition_states: JSON
+    energy_profile: JSON
+    metadata: JSON
+  }
+
+  # A molecule's stored coordinates, or one frame (default 0) of a trajectory
+  input StructureInput {
+    molecule_id: ID
+    trajectory_id: ID
+    frame: Int
+  }
+
   # Queries
   type Query {
     # Molecules
     molecule(id: ID!): Molecule
+    # A molecule as it was at a version (1 when stored); updates keep the
+    # versions they replace
+    moleculeVersion(id: ID!, version: Int!): Molecule
     molecules(
       first: Int
       after: String
       search: String
+      search_mode: SearchMode
       format: MoleculeFormat
     ): MoleculeConnection!
     
     moleculeByName(name: String!): Molecule
     moleculesByFormula(formula: String!): [Molecule!]!
+    exportMolecule(id: ID!, format: MoleculeFormat!): String
+    # Validation of a stored molecule, or of a structure that is not stored;
+    # creates and imports with ERROR issues fail with the report in the
+    # error's extensions.issues
+    moleculeValidation(id: ID!): ValidationReport
+    validateStructure(atoms: [AtomInput!], bonds: [BondInput!], smiles: String): ValidationReport!
     
     # Trajectories
     trajectory(id: ID!): Trajectory
@@ -281,6 +541,15 @@ export const typeDefs = gql`
       frames: [Int!]!
       interpolate: Boolean
     ): [Frame!]!
+
+    # Bonds perceived from the coordinates of one frame
+    trajectoryFrameBonds(id: ID!, frame: Int!, tolerance: Float): [Bond!]!
+    trajectoryHydrogenBonds(
+      id: ID!
+      frames: [Int!]!
+      max_distance: Float = 2.5
+      min_angle: Float = 120
+    ): [FrameHydrogenBonds!]!
     
     # Collaboration
     collaborationSession(id: ID!): CollaborationSession
@@ -302,10 +571,25 @@ export const typeDefs = gql`
     
     # Reactions
     reactionPathway(id: ID!): ReactionPathway
-    reactionPathways: [ReactionPathway!]!
+    # Newest first; with molecule_id, the pathways that molecule takes part in
+    reactionPathways(molecule_id: ID, first: Int): [ReactionPathway!]!
     
-    # Analytics
+    # Analytics, as last calculated for the current version of the molecule
     moleculeAnalytics(molecule_id: ID!): Analytics
+    moleculeSurfaceArea(id: ID!, probe_radius: Float = 1.4, points: Int = 960): SurfaceArea
+    # Within the molecule, or between it and partner_id in one coordinate frame
+    hydrogenBonds(id: ID!, partner_id: ID, max_distance: Float = 2.5, min_angle: Float = 120): [HydrogenBond!]!
+    moleculeSymmetry(id: ID!, tolerance: Float = 0.3): Symmetry
+    # Atom pairs from mapping ([mobile index, reference index]) or atoms
+    # (indices shared by both), else all atoms in order
+    alignStructures(
+      mobile: StructureInput!
+      reference: StructureInput!
+      mapping: [[Int!]!]
+      atoms: [Int!]
+    ): Alignment!
+    moleculeTopology(id: ID!): Topology
+    moleculeStereo(id: ID!): Stereo
     
     # Current user
     me: User
@@ -317,13 +601,36 @@ export const typeDefs = gql`
     createMolecule(input: CreateMoleculeInput!): Molecule!
     updateMolecule(id: ID!, input: UpdateMoleculeInput!): Molecule!
     deleteMolecule(id: ID!): Boolean!
+    # Replace the bonds with bonds perceived from the coordinates
+    rebondMolecule(id: ID!, tolerance: Float): Molecule!
+    updateBondOrders(id: ID!, mode: BondOrderMode!): Molecule!
+    updateHydrogens(id: ID!, action: HydrogenAction!, mode: HydrogenRemovalMode = ALL): Molecule!
     
     importMolecule(
       file: String!
       format: MoleculeFormat!
       name: String
+      duplicates: DuplicatePolicy = ALLOW
     ): Molecule!
+
+    importMolecules(
+      file: String!
+      format: MoleculeFormat!
+      duplicates: DuplicatePolicy = ALLOW
+    ): [Molecule!]!
     
+    # Reactions
+    createReactionPathway(input: CreateReactionPathwayInput!): ReactionPathway!
+    # Stores each reactant, agent and product as a molecule (by default
+    # linking to stored duplicates) and a pathway between them with the
+    # file's atom mapping
+    importReaction(
+      file: String!
+      format: ReactionFormat!
+      name: String
+      duplicates: DuplicatePolicy = LINK
+    ): ReactionPathway!
+
     # Collaboration
     createCollaborationSession(molecule_id: ID!): CollaborationSession!
     joinCollaborationSession(session_id: ID!): CollaborationSession!
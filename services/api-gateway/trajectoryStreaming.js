@@ -17,6 +17,7 @@
  */
 
 import { createReadStream, statSync } from 'fs';
+import { writeFile } from 'fs/promises';
 import { pipeline } from 'stream';
 import { createGzip } from 'zlib';
 import { promisify } from 'util';
@@ -90,10 +91,12 @@ class TrajectoryParser {
   }
 
   static parseCustomFrame(buffer, atomCount) {
+    // Missing energy/temperature values are stored as NaN
+    const optional = (value) => (Number.isNaN(value) ? null : value);
     const frame = {
       timestamp: buffer.readFloatLE(0),
-      temperature: buffer.readFloatLE(4),
-      energy: buffer.readFloatLE(8),
+      temperature: optional(buffer.readFloatLE(4)),
+      energy: optional(buffer.readFloatLE(8)),
       coordinates: []
     };
 
@@ -169,6 +172,43 @@ class TrajectoryParser {
   }
 }
 
+/**
+ * Encode parsed frames ({ timestamp, temperature, energy, coordinates })
+ * in the custom binary layout: a 256-byte header followed by frames of
+ * 16 bytes of metadata and float32 x/y/z coordinates
+ */
+export function encodeCustomTrajectory(frames) {
+  const atomCount = frames.length > 0 ? frames[0].coordinates.length : 0;
+  const headerSize = 256;
+  const frameSize = atomCount * 12 + 16;
+  const buffer = Buffer.alloc(headerSize + frames.length * frameSize);
+
+  buffer.write('MOLTRAJ1', 0, 'ascii');
+  buffer.writeUInt32LE(frames.length, 8);
+  buffer.writeUInt32LE(atomCount, 12);
+
+  frames.forEach((frame, frameIndex) => {
+    if (frame.coordinates.length !== atomCount) {
+      throw new Error(`Frame ${frameIndex} has ${frame.coordinates.length} atoms, expected ${atomCount}`);
+    }
+
+    let offset = headerSize + frameIndex * frameSize;
+    buffer.writeFloatLE(frame.timestamp ?? frameIndex, offset);
+    buffer.writeFloatLE(frame.temperature ?? NaN, offset + 4);
+    buffer.writeFloatLE(frame.energy ?? NaN, offset + 8);
+    offset += 16;
+
+    frame.coordinates.forEach(({ x, y, z }) => {
+      buffer.writeFloatLE(x, offset);
+      buffer.writeFloatLE(y, offset + 4);
+      buffer.writeFloatLE(z, offset + 8);
+      offset += 12;
+    });
+  });
+
+  return buffer;
+}
+
 /**
  * Streaming trajectory handler
  */
@@ -179,6 +219,26 @@ export class TrajectoryStreamHandler {
     this.maxCacheSize = 100; // frames
   }
 
+  /**
+   * Create a handler for frames parsed from a text trajectory (e.g. a
+   * multi-frame XYZ file) by writing them to filePath in the custom format
+   */
+  static async fromFrames({ id, frames, filePath, timestep = 1 }) {
+    const buffer = encodeCustomTrajectory(frames);
+    await writeFile(filePath, buffer);
+
+    return new TrajectoryStreamHandler({
+      id,
+      format: 'custom',
+      frameCount: frames.length,
+      atomCount: frames[0].coordinates.length,
+      timestep,
+      totalTime: frames.length > 1 ? frames[frames.length - 1].timestamp - frames[0].timestamp : 0,
+      filePath,
+      fileSize: buffer.length,
+    });
+  }
+
   /**
    * Stream entire trajectory
    * Uses HTTP chunked transfer encoding
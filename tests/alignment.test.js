@@ -0,0 +1,120 @@
+/**
+ * Tests for Kabsch structural alignment
+ */
+
+import { alignStructures } from '../mcp-server/chemistry/alignment.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+// A chiral, non-planar structure
+const reference = [
+  { x: 0, y: 0, z: 0 },
+  { x: 0.63, y: 0.63, z: 0.63 },
+  { x: -0.8, y: -0.8, z: 0.8 },
+  { x: -1, y: 1, z: -1 },
+  { x: 1.1, y: -1.1, z: -1.1 }
+];
+
+// Rotate by `angle` about z, then shift
+function transform(points, angle, [dx, dy, dz]) {
+  const [c, s] = [Math.cos(angle), Math.sin(angle)];
+  return points.map(({ x, y, z }) => ({ x: c * x - s * y + dx, y: s * x + c * y + dy, z: z + dz }));
+}
+
+describe('alignStructures', () => {
+  test('should undo a rigid motion', () => {
+    const mobile = transform(reference, 1.2, [3, -2, 5]);
+    const alignment = alignStructures(mobile, reference);
+
+    expect(alignment.rmsd).toBe(0);
+    expect(alignment.initial_rmsd).toBeGreaterThan(5);
+    expect(alignment.atom_count).toBe(5);
+    alignment.coordinates.forEach((point, index) => {
+      expect(point.x).toBeCloseTo(reference[index].x, 3);
+      expect(point.y).toBeCloseTo(reference[index].y, 3);
+      expect(point.z).toBeCloseTo(reference[index].z, 3);
+    });
+
+    // The inverse rotation about z
+    const [c, s] = [Math.cos(1.2), Math.sin(1.2)];
+    expect(alignment.rotation[0][0]).toBeCloseTo(c, 3);
+    expect(alignment.rotation[0][1]).toBeCloseTo(s, 3);
+    expect(alignment.rotation[1][0]).toBeCloseTo(-s, 3);
+    expect(alignment.rotation[2][2]).toBeCloseTo(1, 3);
+  });
+
+  test('should report the deviation that remains', () => {
+    const mobile = reference.map((point, index) => (index === 4 ? { ...point, x: point.x + 0.5 } : point));
+    const alignment = alignStructures(mobile, reference);
+    expect(alignment.rmsd).toBeGreaterThan(0);
+    expect(alignment.rmsd).toBeLessThanOrEqual(alignment.initial_rmsd);
+  });
+
+  test('should only rotate, never reflect', () => {
+    const mirrored = reference.map(({ x, y, z }) => ({ x, y, z: -z }));
+    expect(alignStructures(mirrored, reference).rmsd).toBeGreaterThan(0.1);
+  });
+
+  test('should align planar and linear structures', () => {
+    const water = [{ x: 0, y: 0, z: 0 }, { x: 0.757, y: 0.586, z: 0 }, { x: -0.757, y: 0.586, z: 0 }];
+    expect(alignStructures(transform(water, 2, [1, 1, 1]), water).rmsd).toBe(0);
+
+    const line = [{ x: -1.16, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 1.16, y: 0, z: 0 }];
+    expect(alignStructures(transform(line, 0.5, [0, 2, 0]), line).rmsd).toBe(0);
+  });
+
+  test('should fit an atom mapping or an atom subset', () => {
+    const shuffled = [4, 3, 2, 1, 0].map(index => reference[index]);
+    const mapped = alignStructures(shuffled, reference, { mapping: [[0, 4], [1, 3], [2, 2], [3, 1], [4, 0]] });
+    expect(mapped.rmsd).toBe(0);
+    expect(mapped.coordinates[0]).toEqual({ x: 1.1, y: -1.1, z: -1.1 });
+
+    // Moving one atom far away leaves a fit of the other four exact
+    const mobile = transform(reference, 0.4, [1, 0, 0]);
+    mobile[4] = { x: 10, y: 10, z: 10 };
+    const subset = alignStructures(mobile, reference, { atoms: [0, 1, 2, 3] });
+    expect(subset.atom_count).toBe(4);
+    expect(subset.rmsd).toBe(0);
+    expect(subset.coordinates).toHaveLength(5);
+
+    // Structures of different sizes need a mapping
+    const larger = [...reference, { x: 5, y: 5, z: 5 }];
+    expect(alignStructures(larger, reference, { mapping: reference.map((_, index) => [index, index]) }).rmsd).toBe(0);
+  });
+
+  test('should reject invalid atom pairs', () => {
+    const larger = [...reference, { x: 5, y: 5, z: 5 }];
+    expect(() => alignStructures(larger, reference)).toThrow('Structures have 6 and 5 atoms; give an atom mapping');
+    expect(() => alignStructures(reference, reference, { atoms: [0, 9] })).toThrow('Invalid atom pair: [9,9]');
+    expect(() => alignStructures(reference, reference, { mapping: [[0, 1.5]] })).toThrow('Invalid atom pair: [0,1.5]');
+    expect(() => alignStructures(reference, reference, { atoms: [] })).toThrow('No atoms to align');
+    expect(() => alignStructures(reference, reference, { atoms: [0], mapping: [[0, 0]] })).toThrow(
+      'Give either an atom mapping or an atom subset, not both'
+    );
+  });
+});
+
+describe('MoleculeServer.alignMolecules', () => {
+  const xyz = shifts => shifts.map((shift, index) => [
+    '3', `time=${index}`,
+    `O ${shift} 0 0`, `H ${shift + 0.757} 0.586 0`, `H ${shift - 0.757} 0.586 ${index * 0.1}`
+  ].join('\n')).join('\n');
+
+  test('should align molecules and trajectory frames', () => {
+    const server = new MoleculeServer();
+    server.importMolecule(xyz([0, 4]), 'XYZ', { id: 'moving-water' });
+
+    const frames = server.alignMolecules('moving-water', undefined, { frame: 1, referenceFrame: 0 });
+    expect(frames).toMatchObject({ molecule_id: 'moving-water', reference_id: 'moving-water', frame: 1, reference_frame: 0 });
+    expect(frames.initial_rmsd).toBeGreaterThan(4);
+    expect(frames.rmsd).toBeLessThan(0.1);
+
+    const molecules = server.alignMolecules('moving-water', 'water', { atoms: [0, 1, 2] });
+    expect(molecules).toMatchObject({ molecule_id: 'moving-water', reference_id: 'water', atom_count: 3 });
+    expect(molecules).not.toHaveProperty('frame');
+
+    expect(server.alignMolecules('unknown', 'water')).toBeNull();
+    expect(server.alignMolecules('water', 'unknown')).toBeNull();
+    expect(() => server.alignMolecules('water', 'water', { frame: 0 })).toThrow('Molecule water has no trajectory');
+    expect(() => server.alignMolecules('moving-water', undefined, { frame: 2 })).toThrow('Molecule moving-water has no frame 2');
+  });
+});
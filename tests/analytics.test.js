@@ -0,0 +1,131 @@
+/**
+ * Tests for geometric descriptors
+ */
+
+import {
+  centerOfMass,
+  principalMoments,
+  radiusOfGyration,
+  boundingBox,
+  dipoleMoment,
+  calculateAnalytics
+} from '../mcp-server/chemistry/analytics.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+// Rotation by the given angles (radians) about x, then y, then z
+function rotate(atoms, [a, b, c], shift = { x: 0, y: 0, z: 0 }) {
+  return atoms.map(atom => {
+    let { x, y, z } = atom;
+    [y, z] = [y * Math.cos(a) - z * Math.sin(a), y * Math.sin(a) + z * Math.cos(a)];
+    [x, z] = [x * Math.cos(b) + z * Math.sin(b), -x * Math.sin(b) + z * Math.cos(b)];
+    [x, y] = [x * Math.cos(c) - y * Math.sin(c), x * Math.sin(c) + y * Math.cos(c)];
+    return { ...atom, x: x + shift.x, y: y + shift.y, z: z + shift.z };
+  });
+}
+
+const hydrogenChloride = [
+  { element: 'H', x: 0, y: 0, z: 0, charge: 0.18 },
+  { element: 'Cl', x: 1.27, y: 0, z: 0, charge: -0.18 }
+];
+
+describe('geometric descriptors', () => {
+  test('should weight the center of mass by atomic mass', () => {
+    const center = centerOfMass(hydrogenChloride);
+
+    expect(center.x).toBeCloseTo((35.45 * 1.27) / 36.458, 3);
+    expect(center.y).toBe(0);
+  });
+
+  test('should count isotopes with their own mass', () => {
+    const deuterium = [{ element: 'H', isotope: 2, x: 0, y: 0, z: 0 }, { element: 'H', x: 1, y: 0, z: 0 }];
+
+    expect(centerOfMass(deuterium).x).toBeCloseTo(1.008 / (2.014 + 1.008), 3);
+  });
+
+  test('should find principal moments independent of orientation', () => {
+    const server = new MoleculeServer();
+    const { atoms } = server.getMolecule('water');
+    const reference = principalMoments(atoms);
+    const rotated = principalMoments(rotate(atoms, [0.3, 1.1, -0.7], { x: 5, y: -2, z: 1 }));
+
+    rotated.moments.forEach((moment, index) => expect(moment).toBeCloseTo(reference.moments[index], 6));
+    expect(reference.moments[0] + reference.moments[1]).toBeCloseTo(reference.moments[2], 6);
+    rotated.axes.forEach(axis => expect(Math.hypot(...axis)).toBeCloseTo(1, 9));
+  });
+
+  test('should give linear molecules a zero moment along their axis', () => {
+    const { moments, axes } = principalMoments(rotate([
+      { element: 'O', x: -1.16, y: 0, z: 0 },
+      { element: 'C', x: 0, y: 0, z: 0 },
+      { element: 'O', x: 1.16, y: 0, z: 0 }
+    ], [0, 0, Math.PI / 4]));
+
+    expect(moments[0]).toBeCloseTo(0, 9);
+    expect(moments[1]).toBeCloseTo(2 * 15.999 * 1.16 ** 2, 3);
+    expect(Math.abs(axes[0][0])).toBeCloseTo(Math.SQRT1_2, 6);
+  });
+
+  test('should compute the radius of gyration and bounding box', () => {
+    const atoms = [{ element: 'C', x: -1, y: 0, z: 2 }, { element: 'C', x: 1, y: 3, z: 2 }];
+
+    expect(radiusOfGyration(atoms)).toBeCloseTo(Math.hypot(1, 1.5), 9);
+    expect(boundingBox(atoms)).toEqual({
+      min: { x: -1, y: 0, z: 2 },
+      max: { x: 1, y: 3, z: 2 },
+      size: { x: 2, y: 3, z: 0 }
+    });
+  });
+
+  test('should compute the dipole moment from partial charges', () => {
+    const dipole = dipoleMoment(hydrogenChloride);
+
+    // 0.18 e x 1.27 A = 1.098 D, pointing from Cl to H
+    expect(Math.hypot(dipole.x, dipole.y, dipole.z)).toBeCloseTo(1.098, 3);
+    expect(dipole.x).toBeLessThan(0);
+    expect(dipoleMoment(hydrogenChloride.map(({ charge, ...atom }) => atom))).toBeNull();
+  });
+
+  test('should combine the descriptors', () => {
+    const analytics = calculateAnalytics({ atoms: [...hydrogenChloride, { element: 'Na', x: 5, y: 0, z: 0, formalCharge: 1, charge: 1 }] });
+
+    expect(analytics.charge).toBe(1);
+    expect(analytics.dipole_moment).toEqual(expect.any(Number));
+    expect(Object.keys(analytics.metrics)).toEqual([
+      'atom_count',
+      'center_of_mass',
+      'principal_moments',
+      'principal_axes',
+      'radius_of_gyration',
+      'bounding_box',
+      'dipole_vector',
+      'charge_model',
+      'atom_sasa',
+      'point_group',
+      'equivalent_atoms'
+    ]);
+    expect(analytics.sasa).toBeCloseTo(analytics.metrics.atom_sasa.reduce((sum, area) => sum + area, 0), 3);
+    expect(analytics.metrics.charge_model).toBe('stored');
+    expect(() => calculateAnalytics({ atoms: [] })).toThrow('Molecule has no atoms');
+  });
+});
+
+describe('MoleculeServer analytics', () => {
+  test('should store analytics until the structure changes', () => {
+    const server = new MoleculeServer();
+    expect(server.getAnalytics('co2')).toBeNull();
+
+    const analytics = server.calculateAnalytics('co2');
+    expect(analytics).toMatchObject({ molecule_id: 'co2', charge: 0, dipole_moment: 0 });
+    expect(analytics.metrics.charge_model).toBe('gasteiger');
+    expect(analytics.metrics.principal_moments[0]).toBe(0);
+    expect(analytics.metrics.point_group).toBe('D∞h');
+    expect(server.getAnalytics('co2')).toBe(analytics);
+
+    server.updateMolecule('co2', { name: 'Carbon dioxide' });
+    expect(server.getAnalytics('co2')).toBe(analytics);
+
+    server.rebondMolecule('co2');
+    expect(server.getAnalytics('co2')).toBeNull();
+    expect(server.calculateAnalytics('unknown')).toBeNull();
+  });
+});
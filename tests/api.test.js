@@ -17,7 +17,7 @@ function createTestApp() {
 
   // Middleware
   app.use(cors());
-  app.use(bodyParser.json());
+  app.use(bodyParser.json({ limit: '10mb' }));
 
   // In-memory storage for tests
   const users = new Map();
@@ -95,8 +95,24 @@ function createTestApp() {
 
   // Molecule routes
   app.get('/api/molecules', (req, res) => {
-    const molecules = moleculeServer.getAllMolecules();
-    res.json(molecules);
+    try {
+      res.json(moleculeServer.listMolecules(req.query));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/search', (req, res) => {
+    const { q, mode, k, threshold } = req.query;
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+
+    try {
+      res.json(moleculeServer.searchMolecules(q, { mode, k, threshold }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   });
 
   app.get('/api/molecules/:id', (req, res) => {
@@ -107,6 +123,14 @@ function createTestApp() {
     res.json(molecule);
   });
 
+  app.get('/api/molecules/:id/versions/:version', (req, res) => {
+    const molecule = moleculeServer.getMoleculeVersion(req.params.id, req.params.version);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule version not found' });
+    }
+    res.json(molecule);
+  });
+
   app.get('/api/molecules/:id/elements', (req, res) => {
     const elements = moleculeServer.getElementsInMolecule(req.params.id);
     if (!elements) {
@@ -115,11 +139,257 @@ function createTestApp() {
     res.json(elements);
   });
 
+  app.get('/api/molecules/:id/topology', (req, res) => {
+    const topology = moleculeServer.getTopology(req.params.id);
+    if (!topology) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(topology);
+  });
+
+  app.get('/api/molecules/:id/stereo', (req, res) => {
+    const stereo = moleculeServer.getStereo(req.params.id);
+    if (!stereo) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(stereo);
+  });
+
+  app.get('/api/molecules/:id/similar', (req, res) => {
+    const { k, threshold } = req.query;
+    let results;
+    try {
+      results = moleculeServer.findSimilarMolecules(req.params.id, { k, threshold });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!results) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(results);
+  });
+
+  app.get('/api/molecules/:id/validation', (req, res) => {
+    const report = moleculeServer.validateMolecule(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(report);
+  });
+
   app.get('/api/molecules/search/:query', (req, res) => {
     const results = moleculeServer.searchMolecules(req.params.query);
     res.json(results);
   });
 
+  app.post('/api/molecules/import', authenticateToken, (req, res) => {
+    const { file, format, name, duplicates } = req.body;
+
+    if (!file || !format) {
+      return res.status(400).json({ error: 'File contents and format required' });
+    }
+
+    try {
+      const molecules = moleculeServer.importMolecules(file, format, { name, duplicates });
+      // Multi-record files (e.g. SDF) return every imported molecule
+      res.json(molecules.length === 1 ? molecules[0] : molecules);
+    } catch (error) {
+      if (error.duplicateOf) {
+        return res.status(409).json({ error: error.message, duplicate_of: error.duplicateOf });
+      }
+      if (error.issues) {
+        return res.status(400).json({ error: error.message, issues: error.issues });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/molecules/validate', (req, res) => {
+    try {
+      res.json(moleculeServer.validateStructure(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/trajectory', (req, res) => {
+    const trajectory = moleculeServer.getTrajectory(req.params.id);
+    if (!trajectory) {
+      return res.status(404).json({ error: 'Trajectory not found' });
+    }
+    res.json(trajectory);
+  });
+
+  // Recompute bonds from coordinates, for the molecule or one trajectory frame
+  app.post('/api/molecules/:id/rebond', authenticateToken, (req, res) => {
+    const { tolerance, frame } = req.body || {};
+    const options = { tolerance: tolerance === undefined ? undefined : Number(tolerance) };
+
+    try {
+      if (frame !== undefined) {
+        const result = moleculeServer.rebondFrame(req.params.id, Number(frame), options);
+        if (!result) {
+          return res.status(404).json({ error: 'Frame not found' });
+        }
+        return res.json(result);
+      }
+
+      const molecule = moleculeServer.rebondMolecule(req.params.id, options);
+      if (!molecule) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(molecule);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Rewrite bond orders: infer from valences, kekulize or aromatize
+  app.post('/api/molecules/:id/bond-orders', authenticateToken, (req, res) => {
+    const { mode } = req.body || {};
+
+    try {
+      const molecule = moleculeServer.updateBondOrders(req.params.id, mode);
+      if (!molecule) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(molecule);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/molecules/:id/hydrogens', authenticateToken, (req, res) => {
+    const { action, mode } = req.body || {};
+
+    try {
+      const molecule = moleculeServer.updateHydrogens(req.params.id, { action, mode });
+      if (!molecule) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(molecule);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/molecules/:id/analytics', authenticateToken, (req, res) => {
+    try {
+      const analytics = moleculeServer.calculateAnalytics(req.params.id);
+      if (!analytics) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(analytics);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/analytics', (req, res) => {
+    if (!moleculeServer.getMolecule(req.params.id)) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    const analytics = moleculeServer.getAnalytics(req.params.id);
+    if (!analytics) {
+      return res.status(404).json({ error: 'Analytics not calculated' });
+    }
+    res.json(analytics);
+  });
+
+  app.get('/api/molecules/:id/charges', (req, res) => {
+    const charges = moleculeServer.getPartialCharges(req.params.id);
+    if (!charges) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(charges);
+  });
+
+  app.get('/api/molecules/:id/sasa', (req, res) => {
+    const { probe_radius: probeRadius, points } = req.query;
+
+    try {
+      const surface = moleculeServer.getSurfaceArea(req.params.id, {
+        probeRadius: probeRadius === undefined ? undefined : Number(probeRadius),
+        points: points === undefined ? undefined : Number(points)
+      });
+      if (!surface) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(surface);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/symmetry', (req, res) => {
+    const { tolerance } = req.query;
+
+    try {
+      const symmetry = moleculeServer.getSymmetry(req.params.id, {
+        tolerance: tolerance === undefined ? undefined : Number(tolerance)
+      });
+      if (!symmetry) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(symmetry);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/hydrogen-bonds', (req, res) => {
+    const { partner, frames, max_distance: maxDistance, min_angle: minAngle } = req.query;
+
+    try {
+      const result = moleculeServer.findHydrogenBonds(req.params.id, {
+        partner,
+        frames: frames === 'true',
+        maxDistance: maxDistance === undefined ? undefined : Number(maxDistance),
+        minAngle: minAngle === undefined ? undefined : Number(minAngle)
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/alignment', (req, res) => {
+    const { reference, mapping, atoms, frame, reference_frame: referenceFrame } = req.query;
+
+    try {
+      const alignment = moleculeServer.alignMolecules(req.params.id, reference, {
+        mapping: mapping === undefined ? undefined : String(mapping).split(',').map(pair => pair.split(':').map(Number)),
+        atoms: atoms === undefined ? undefined : String(atoms).split(',').map(Number),
+        frame: frame === undefined ? undefined : Number(frame),
+        referenceFrame: referenceFrame === undefined ? undefined : Number(referenceFrame)
+      });
+      if (!alignment) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.json(alignment);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/molecules/:id/export', (req, res) => {
+    const format = req.query.format || 'sdf';
+
+    try {
+      const file = moleculeServer.exportMolecule(req.params.id, format);
+      if (file === null) {
+        return res.status(404).json({ error: 'Molecule not found' });
+      }
+      res.type('text/plain').send(file);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // Visualization routes
   app.get('/api/visualizations', authenticateToken, (req, res) => {
     const userVisualizations = Array.from(savedVisualizations.values())
@@ -269,15 +539,54 @@ describe('API Endpoints', () => {
         .get('/api/molecules')
         .expect(200);
 
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBeGreaterThan(0);
+      expect(Array.isArray(response.body.molecules)).toBe(true);
+      expect(response.body.molecules.length).toBeGreaterThan(0);
+      expect(response.body.total_count).toBeGreaterThanOrEqual(response.body.molecules.length);
       
-      response.body.forEach(mol => {
+      response.body.molecules.forEach(mol => {
         expect(mol).toHaveProperty('id');
         expect(mol).toHaveProperty('name');
         expect(mol).toHaveProperty('formula');
       });
     });
+
+    test('should filter by element and weight', async () => {
+      const response = await request(app)
+        .get('/api/molecules?element=O&max_weight=20')
+        .expect(200);
+
+      expect(response.body.molecules.map(mol => mol.id)).toContain('water');
+      response.body.molecules.forEach(mol => expect(mol.molecular_weight).toBeLessThanOrEqual(20));
+    });
+
+    test('should page through the list with cursors', async () => {
+      const first = await request(app)
+        .get('/api/molecules?sort=id&limit=2')
+        .expect(200);
+      expect(first.body.molecules).toHaveLength(2);
+      expect(first.body.page_info.has_next_page).toBe(true);
+
+      const second = await request(app)
+        .get('/api/molecules')
+        .query({ sort: 'id', limit: 2, cursor: first.body.page_info.end_cursor })
+        .expect(200);
+      const ids = [...first.body.molecules, ...second.body.molecules].map(mol => mol.id);
+      expect(ids).toEqual([...ids].sort());
+      expect(new Set(ids).size).toBe(4);
+    });
+
+    test('should return 400 for invalid options', async () => {
+      const response = await request(app)
+        .get('/api/molecules?sort=mass')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unsupported sort key: mass');
+
+      const repeated = await request(app)
+        .get('/api/molecules?sort=id&sort=name')
+        .expect(400);
+      expect(repeated.body).toHaveProperty('error', 'Unsupported sort key: id,name');
+    });
   });
 
   describe('GET /api/molecules/:id', () => {
@@ -327,6 +636,58 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/molecules/:id/topology', () => {
+    test('should return rings and graph properties', async () => {
+      const response = await request(app)
+        .get('/api/molecules/benzene/topology')
+        .expect(200);
+
+      expect(response.body.molecule_id).toBe('benzene');
+      expect(response.body.rings).toEqual([
+        { size: 6, atoms: [0, 1, 2, 3, 4, 5], bonds: expect.any(Array), aromatic: expect.any(Boolean) }
+      ]);
+      expect(response.body.ring_systems).toEqual([{ rings: [0], atoms: [0, 1, 2, 3, 4, 5] }]);
+      expect(response.body.atom_rings.slice(5, 7)).toEqual([[0], []]);
+      expect(response.body.components).toHaveLength(1);
+      expect(response.body.degrees.slice(0, 6)).toEqual([3, 3, 3, 3, 3, 3]);
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/topology')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('GET /api/molecules/:id/stereo', () => {
+    test('should return stereocenters and stereo double bonds', async () => {
+      const { body: { token } } = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'stereochemist', password: 'stereopass123' });
+      await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: 'C[C@H](N)C(=O)O L-alanine', format: 'SMILES' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/molecules/l-alanine/stereo')
+        .expect(200);
+
+      expect(response.body).toEqual({ molecule_id: 'l-alanine', centers: [{ atom: 1, label: 'S' }], double_bonds: [] });
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/stereo')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
   describe('GET /api/molecules/search/:query', () => {
     test('should search molecules by name', async () => {
       const response = await request(app)
@@ -348,6 +709,517 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/molecules/search', () => {
+    test('should search by name or formula by default', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search?q=C2H5OH')
+        .expect(200);
+
+      expect(response.body.map(m => m.id)).toContain('ethanol');
+    });
+
+    test('should search by substructure with matched atoms', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ q: 'c1ccccc1', mode: 'substructure' })
+        .expect(200);
+
+      const benzene = response.body.find(m => m.id === 'benzene');
+      expect(benzene.matches).toEqual([[0, 1, 2, 3, 4, 5]]);
+      expect(response.body.map(m => m.id)).not.toContain('water');
+    });
+
+    test('should return 400 for an invalid query or mode', async () => {
+      const invalid = await request(app)
+        .get('/api/molecules/search')
+        .query({ q: 'C(', mode: 'substructure' })
+        .expect(400);
+      expect(invalid.body.error).toMatch(/Invalid substructure query/);
+
+      await request(app)
+        .get('/api/molecules/search?q=water&mode=fuzzy')
+        .expect(400);
+      await request(app)
+        .get('/api/molecules/search')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/molecules/:id/similar', () => {
+    test('should rank similar molecules', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/similar?k=2')
+        .expect(200);
+
+      expect(response.body.length).toBeLessThanOrEqual(2);
+      expect(response.body.map(m => m.id)).not.toContain('water');
+    });
+
+    test('should search by similarity to a SMILES string', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search?q=CCO&mode=similarity&threshold=1')
+        .expect(200);
+
+      expect(response.body.map(m => m.id)).toContain('ethanol');
+      expect(response.body.every(m => m.similarity === 1)).toBe(true);
+    });
+
+    test('should return 400 for invalid options and 404 for unknown molecules', async () => {
+      await request(app)
+        .get('/api/molecules/water/similar?threshold=abc')
+        .expect(400);
+      await request(app)
+        .get('/api/molecules/nonexistent/similar')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/molecules/:id/export', () => {
+    test('should export a molecule as SDF', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/export?format=sdf')
+        .expect(200);
+
+      expect(response.text).toContain('V2000');
+      expect(response.text).toContain('$$$$');
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/export?format=sdf')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('POST /api/molecules/import', () => {
+    const pdb = [
+      'HETATM    1  O   HOH A   1       0.000   0.000   0.000  1.00  0.00           O',
+      'HETATM    2  H1  HOH A   1       0.757   0.586   0.000  1.00  0.00           H',
+      'HETATM    3  H2  HOH A   1      -0.757   0.586   0.000  1.00  0.00           H',
+      'CONECT    1    2    3',
+      'END'
+    ].join('\n');
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'importer', password: 'importpass123' });
+
+      token = response.body.token;
+    });
+
+    test('should import a PDB file', async () => {
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: pdb, format: 'PDB', name: 'Imported Water' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('id', 'imported-water');
+      expect(response.body).toHaveProperty('formula', 'H2O');
+      expect(response.body.atoms.length).toBe(3);
+      expect(response.body.bonds.length).toBe(2);
+    });
+
+    test('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: pdb, format: 'FOO' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unsupported format: FOO');
+    });
+
+    test('should reject duplicates with 409 on request', async () => {
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: 'O=C=O carbon dioxide\n', format: 'SMILES', duplicates: 'reject' })
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Duplicate of molecule co2', duplicate_of: 'co2' });
+    });
+
+    test('should link duplicates to the stored molecule on request', async () => {
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: 'O=C=O carbon dioxide\n', format: 'SMILES', duplicates: 'link' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('id', 'co2');
+    });
+
+    test('should reject request without token', async () => {
+      await request(app)
+        .post('/api/molecules/import')
+        .send({ file: pdb, format: 'PDB' })
+        .expect(401);
+    });
+  });
+
+  describe('structure validation', () => {
+    test('should validate a structure without storing it', async () => {
+      const response = await request(app)
+        .post('/api/molecules/validate')
+        .send({
+          atoms: [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'Xx', x: 1.5, y: 0, z: 0 }],
+          bonds: [{ from: 0, to: 2, order: 1 }]
+        })
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.issues.map(issue => issue.code)).toEqual(['UNKNOWN_ELEMENT', 'MISSING_ATOM']);
+      expect(response.body.issues[1]).toEqual({
+        severity: 'error',
+        code: 'MISSING_ATOM',
+        atoms: [0],
+        bonds: [0],
+        message: 'Bond 0 refers to missing atom 2'
+      });
+    });
+
+    test('should validate SMILES and stored molecules', async () => {
+      const response = await request(app)
+        .post('/api/molecules/validate')
+        .send({ smiles: 'CCO' })
+        .expect(200);
+      expect(response.body).toEqual({ valid: true, issues: [] });
+
+      await request(app).get('/api/molecules/benzene/validation').expect(200, { valid: true, issues: [] });
+      await request(app).get('/api/molecules/nonexistent/validation').expect(404);
+      await request(app).post('/api/molecules/validate').send({}).expect(400);
+    });
+
+    test('should reject imports of invalid structures with the report', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'validator', password: 'validatorpass123' });
+
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ file: '2\nclash\nC 0 0 0\nC 0 0 0.1\n', format: 'XYZ' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid structure: Atoms 0 and 1 overlap (0.10 Å apart)');
+      expect(response.body.issues).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/molecules/:id/rebond', () => {
+    const trajectory = [
+      '2', 'time=0', 'H 0.00 0 0', 'H 0.74 0 0',
+      '2', 'time=1', 'H 0.00 0 0', 'H 3.00 0 0'
+    ].join('\n');
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'rebonder', password: 'rebondpass123' });
+
+      token = response.body.token;
+    });
+
+    test('should perceive bonds for imports without a bond table', async () => {
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: trajectory, format: 'XYZ', name: 'Dissociating H2' })
+        .expect(200);
+
+      expect(response.body.bonds).toEqual([{ from: 0, to: 1, order: 1 }]);
+    });
+
+    test('should rebond a molecule', async () => {
+      const response = await request(app)
+        .post('/api/molecules/co2/rebond')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ tolerance: 0.3 })
+        .expect(200);
+
+      // Orders are assigned from valences after perception
+      expect(response.body.bonds).toEqual([
+        { from: 0, to: 1, order: 2 },
+        { from: 0, to: 2, order: 2 }
+      ]);
+    });
+
+    test('should rebond a trajectory frame', async () => {
+      await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ file: trajectory, format: 'XYZ', name: 'H2 frames' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/molecules/h2-frames/rebond')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ frame: 1 })
+        .expect(200);
+
+      expect(response.body).toEqual({ moleculeId: 'h2-frames', frame: 1, bonds: [] });
+    });
+
+    test('should return 404 for unknown molecules and frames', async () => {
+      await request(app)
+        .post('/api/molecules/nonexistent/rebond')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      const response = await request(app)
+        .post('/api/molecules/water/rebond')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ frame: 3 })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Frame not found');
+    });
+
+    test('should reject invalid tolerances', async () => {
+      const response = await request(app)
+        .post('/api/molecules/water/rebond')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ tolerance: 'wide' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Tolerance must be a non-negative number');
+    });
+  });
+
+  describe('POST /api/molecules/:id/bond-orders', () => {
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'kekule', password: 'kekulepass123' });
+
+      token = response.body.token;
+    });
+
+    test('should aromatize and kekulize benzene', async () => {
+      const aromatic = await request(app)
+        .post('/api/molecules/benzene/bond-orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mode: 'aromatize' })
+        .expect(200);
+
+      expect(aromatic.body.bonds.slice(0, 6).every(bond => bond.order === 1.5 && bond.aromatic)).toBe(true);
+
+      const kekule = await request(app)
+        .post('/api/molecules/benzene/bond-orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mode: 'kekulize' })
+        .expect(200);
+
+      expect(kekule.body.bonds.filter(bond => bond.order === 2).length).toBe(3);
+      expect(kekule.body.bonds.some(bond => bond.aromatic)).toBe(false);
+    });
+
+    test('should reject unknown modes and molecules', async () => {
+      const response = await request(app)
+        .post('/api/molecules/benzene/bond-orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mode: 'resonance' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unsupported bond order mode: resonance');
+
+      await request(app)
+        .post('/api/molecules/nonexistent/bond-orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mode: 'assign' })
+        .expect(404);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/benzene/bond-orders')
+        .send({ mode: 'assign' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/molecules/:id/hydrogens', () => {
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'hydrogenator', password: 'hydrogenpass123' });
+
+      token = response.body.token;
+    });
+
+    test('should strip and add hydrogens', async () => {
+      const stripped = await request(app)
+        .post('/api/molecules/methane/hydrogens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ action: 'remove' })
+        .expect(200);
+
+      expect(stripped.body).toMatchObject({ formula: 'C', bonds: [] });
+
+      const restored = await request(app)
+        .post('/api/molecules/methane/hydrogens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ action: 'add' })
+        .expect(200);
+
+      expect(restored.body.formula).toBe('CH4');
+      expect(restored.body.bonds).toHaveLength(4);
+      expect(restored.body.version).toBe(stripped.body.version + 1);
+
+      const before = await request(app)
+        .get(`/api/molecules/methane/versions/${stripped.body.version}`)
+        .expect(200);
+      expect(before.body).toMatchObject({ formula: 'C', version: stripped.body.version });
+
+      const missing = await request(app)
+        .get(`/api/molecules/methane/versions/${restored.body.version + 1}`)
+        .expect(404);
+      expect(missing.body).toHaveProperty('error', 'Molecule version not found');
+    });
+
+    test('should reject unknown actions and molecules', async () => {
+      const response = await request(app)
+        .post('/api/molecules/methane/hydrogens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ action: 'remove', mode: 'acidic' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unsupported hydrogen removal mode: acidic');
+
+      await request(app)
+        .post('/api/molecules/nonexistent/hydrogens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ action: 'add' })
+        .expect(404);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/methane/hydrogens')
+        .send({ action: 'add' })
+        .expect(401);
+    });
+  });
+
+  describe('molecule analytics and charges', () => {
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'analyst', password: 'analystpass123' });
+
+      token = response.body.token;
+    });
+
+    test('should calculate and store analytics', async () => {
+      await request(app)
+        .get('/api/molecules/benzene/analytics')
+        .expect(404, { error: 'Analytics not calculated' });
+
+      const calculated = await request(app)
+        .post('/api/molecules/benzene/analytics')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(calculated.body).toMatchObject({ molecule_id: 'benzene', charge: 0, dipole_moment: 0 });
+      expect(calculated.body.metrics.center_of_mass).toEqual({ x: 0, y: 0, z: 0 });
+      expect(calculated.body.metrics.principal_moments).toHaveLength(3);
+
+      const stored = await request(app).get('/api/molecules/benzene/analytics').expect(200);
+      expect(stored.body).toEqual(calculated.body);
+    });
+
+    test('should return Gasteiger partial charges', async () => {
+      const response = await request(app).get('/api/molecules/water/charges').expect(200);
+
+      expect(response.body.method).toBe('gasteiger');
+      expect(response.body.charges).toHaveLength(3);
+      expect(response.body.charges[0]).toBeLessThan(0);
+
+      await request(app).get('/api/molecules/nonexistent/charges').expect(404);
+    });
+
+    test('should return solvent accessible surface areas', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/sasa?probe_radius=1.4&points=240')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ molecule_id: 'water', probe_radius: 1.4, points: 240 });
+      expect(response.body.atoms).toHaveLength(3);
+
+      const invalid = await request(app).get('/api/molecules/water/sasa?probe_radius=wide').expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Probe radius must be a non-negative number');
+      await request(app).get('/api/molecules/nonexistent/sasa').expect(404);
+    });
+
+    test('should return the point group and symmetry elements', async () => {
+      const response = await request(app).get('/api/molecules/water/symmetry').expect(200);
+      expect(response.body).toMatchObject({
+        molecule_id: 'water',
+        tolerance: 0.3,
+        point_group: 'C2v',
+        equivalent_atoms: [[0], [1, 2]]
+      });
+      expect(response.body.elements.axes).toEqual([{ order: 2, vector: expect.any(Array) }]);
+      expect(response.body.elements.mirror_planes).toHaveLength(2);
+
+      const invalid = await request(app).get('/api/molecules/water/symmetry?tolerance=0').expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Tolerance must be a positive number');
+      await request(app).get('/api/molecules/nonexistent/symmetry').expect(404);
+    });
+
+    test('should align a molecule onto a reference', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/alignment?reference=water&atoms=0,1,2')
+        .expect(200);
+      expect(response.body).toMatchObject({ molecule_id: 'water', reference_id: 'water', rmsd: 0, atom_count: 3 });
+      expect(response.body.rotation).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+
+      const mapped = await request(app).get('/api/molecules/water/alignment?reference=co2&mapping=0:1,1:0,2:2').expect(200);
+      expect(mapped.body.atom_count).toBe(3);
+
+      const invalid = await request(app).get('/api/molecules/water/alignment?reference=benzene').expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Structures have 3 and 12 atoms; give an atom mapping');
+      await request(app).get('/api/molecules/water/alignment?frame=1').expect(400);
+      await request(app).get('/api/molecules/water/alignment?reference=nonexistent').expect(404);
+    });
+
+    test('should return hydrogen bonds with their geometry', async () => {
+      const response = await request(app).get('/api/molecules/ethanol/hydrogen-bonds').expect(200);
+      expect(response.body).toEqual({ molecule_id: 'ethanol', count: 0, hydrogen_bonds: [] });
+
+      const pair = await request(app)
+        .get('/api/molecules/water/hydrogen-bonds?partner=ethanol&max_distance=3&min_angle=90')
+        .expect(200);
+      expect(pair.body).toMatchObject({ molecule_id: 'water', partner_id: 'ethanol' });
+
+      const invalid = await request(app).get('/api/molecules/water/hydrogen-bonds?frames=true').expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Molecule water has no trajectory');
+      await request(app).get('/api/molecules/water/hydrogen-bonds?min_angle=270').expect(400);
+      await request(app).get('/api/molecules/water/hydrogen-bonds?partner=nonexistent').expect(404);
+    });
+
+    test('should return 404 for unknown molecules and require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/nonexistent/analytics')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+      await request(app).get('/api/molecules/nonexistent/analytics').expect(404, { error: 'Molecule not found' });
+      await request(app).post('/api/molecules/benzene/analytics').expect(401);
+    });
+  });
+
   describe('Protected Visualization Endpoints', () => {
     let token;
 
@@ -0,0 +1,210 @@
+/**
+ * Tests for ring perception, aromaticity, kekulization and bond order
+ * assignment
+ */
+
+import { findRings } from '../mcp-server/chemistry/rings.js';
+import {
+  kekulize,
+  aromatize,
+  perceiveAromaticity,
+  assignBondOrders
+} from '../mcp-server/chemistry/bond-orders.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { parseMolecule } from '../mcp-server/formats/index.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const graphOnly = smiles => parseSMILES(smiles, { coordinates: false });
+const heavyAtoms = (molecule, indices) => indices.filter(index => molecule.atoms[index].element !== 'H');
+
+// Bond orders around each atom must add up to its valence
+function valenceSums(molecule) {
+  const sums = molecule.atoms.map(() => 0);
+  molecule.bonds.forEach(bond => {
+    sums[bond.from] += bond.order;
+    sums[bond.to] += bond.order;
+  });
+  return sums;
+}
+
+function singleBonds(molecule) {
+  return { ...molecule, bonds: molecule.bonds.map(({ from, to }) => ({ from, to, order: 1 })) };
+}
+
+describe('findRings', () => {
+  test('should find the smallest rings of fused systems', () => {
+    const naphthalene = graphOnly('c1ccc2ccccc2c1');
+    const rings = findRings(naphthalene.atoms.length, naphthalene.bonds);
+
+    expect(rings.map(ring => ring.length)).toEqual([6, 6]);
+  });
+
+  test('should return rings in ring order', () => {
+    const { atoms, bonds } = graphOnly('C1CCC1');
+    const [ring] = findRings(atoms.length, bonds);
+    const bonded = (a, b) => bonds.some(bond => (bond.from === a && bond.to === b) || (bond.from === b && bond.to === a));
+
+    ring.forEach((atom, position) => {
+      expect(bonded(atom, ring[(position + 1) % ring.length])).toBe(true);
+    });
+  });
+
+  test('should respect the size limit and ignore chains', () => {
+    const { atoms, bonds } = graphOnly('C1CCCCCCC1CCO');
+    expect(findRings(atoms.length, bonds).length).toBe(1);
+    expect(findRings(atoms.length, bonds, { maxSize: 6 })).toEqual([]);
+  });
+});
+
+describe('kekulize', () => {
+  test.each([
+    ['c1ccccc1', 3],
+    ['c1ccncc1', 3],
+    ['c1cc[nH]c1', 2],
+    ['c1ccsc1', 2],
+    ['c1ccc2ccccc2c1', 5],
+    ['Cn1cnc2c1c(=O)n(C)c(=O)n2C', 4]
+  ])('should place alternating double bonds in %s', (smiles, doubles) => {
+    const molecule = kekulize(graphOnly(smiles));
+
+    expect(molecule.bonds.some(bond => bond.aromatic)).toBe(false);
+    expect(molecule.bonds.filter(bond => bond.order === 2).length).toBe(doubles);
+    heavyAtoms(molecule, molecule.atoms.map((atom, index) => index))
+      .filter(index => molecule.atoms[index].element === 'C')
+      .forEach(index => expect(valenceSums(molecule)[index]).toBe(4));
+  });
+
+  test('should handle pyrrole read without its hydrogen', () => {
+    const pyrrole = graphOnly('c1cc[nH]c1');
+    const withoutHydrogen = {
+      atoms: pyrrole.atoms.slice(0, 5),
+      bonds: pyrrole.bonds.filter(bond => bond.to < 5)
+    };
+    expect(kekulize(withoutHydrogen).bonds.filter(bond => bond.order === 2).length).toBe(2);
+  });
+
+  test('should return molecules without aromatic bonds unchanged', () => {
+    const molecule = graphOnly('CCO');
+    expect(kekulize(molecule)).toBe(molecule);
+  });
+
+  test('should reject aromatic systems without a Kekulé structure', () => {
+    const molecule = {
+      atoms: [0, 1, 2, 3, 4].map(() => ({ element: 'C', x: 0, y: 0, z: 0 })),
+      bonds: [0, 1, 2, 3, 4].map(index => ({ from: index, to: (index + 1) % 5, order: 1.5, aromatic: true }))
+    };
+    expect(() => kekulize(molecule)).toThrow('Cannot kekulize aromatic system');
+  });
+});
+
+describe('perceiveAromaticity', () => {
+  test.each([
+    ['C1=CC=CC=C1', 6],
+    ['c1ccoc1', 5],
+    ['O=c1cccc[nH]1', 6],
+    ['c1ccc2ccccc2c1', 10],
+    ['C1=CC=C2C=CC=CC=C12', 10],
+    ['[cH-]1cccc1', 5]
+  ])('should find the aromatic atoms of %s', (smiles, count) => {
+    const molecule = graphOnly(smiles);
+    expect(heavyAtoms(molecule, perceiveAromaticity(molecule).atoms).length).toBe(count);
+  });
+
+  test.each([
+    'C1=CC=CC=CC=C1',
+    'C1=CCC=C1',
+    'O=C1C=CC(=O)C=C1',
+    'C=C1C=CC=C1'
+  ])('should not mark %s as aromatic', smiles => {
+    expect(perceiveAromaticity(graphOnly(smiles))).toEqual({ atoms: [], bonds: [] });
+  });
+
+  test('should leave the bond between two rings out', () => {
+    const biphenylene = graphOnly('c1ccc2c(c1)-c1ccccc1-2');
+    const { bonds } = perceiveAromaticity(biphenylene);
+    const heavyBonds = bonds.filter(index => biphenylene.bonds[index].to < 12);
+
+    expect(heavyBonds.length).toBe(12);
+  });
+});
+
+describe('aromatize', () => {
+  test('should convert Kekulé rings to aromatic bonds', () => {
+    const benzene = new MoleculeServer().getMolecule('benzene');
+    const aromatic = aromatize(benzene);
+
+    expect(aromatic.bonds.slice(0, 6).every(bond => bond.order === 1.5 && bond.aromatic)).toBe(true);
+    expect(aromatic.bonds.slice(6).every(bond => bond.order === 1 && !bond.aromatic)).toBe(true);
+  });
+
+  test('should round-trip through kekulize', () => {
+    const indole = graphOnly('c1ccc2[nH]ccc2c1');
+    expect(aromatize(kekulize(indole)).bonds).toEqual(aromatize(indole).bonds);
+  });
+
+  test('should keep exocyclic double bonds', () => {
+    const pyridone = aromatize(graphOnly('O=c1cccc[nH]1'));
+    expect(pyridone.bonds[0]).toEqual({ from: 0, to: 1, order: 2 });
+  });
+});
+
+describe('assignBondOrders', () => {
+  test.each([
+    'O=C=O',
+    'C#N',
+    'CC(=O)O',
+    'C=CC=C',
+    'C#CC',
+    'c1ccccc1',
+    'Cn1cnc2c1c(=O)n(C)c(=O)n2C',
+    'CS(=O)(=O)C',
+    'OP(=O)(O)O',
+    'C[N+](=O)[O-]'
+  ])('should recover the bond orders of %s', smiles => {
+    const molecule = parseSMILES(smiles);
+    const assigned = assignBondOrders(singleBonds(molecule));
+
+    expect(assigned.bonds.map(bond => bond.order)).toEqual(kekulize(molecule).bonds.map(bond => bond.order));
+  });
+
+  test('should keep bonds at single-bond length single', () => {
+    // Ethane heavy atoms without hydrogens: valences alone would give C#C
+    const ethane = {
+      atoms: [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'C', x: 1.54, y: 0, z: 0 }],
+      bonds: [{ from: 0, to: 1, order: 1 }]
+    };
+
+    expect(assignBondOrders(ethane).bonds[0].order).toBe(1);
+    expect(assignBondOrders(ethane, { geometry: false }).bonds[0].order).toBe(3);
+  });
+
+  test('should leave saturated molecules unchanged', () => {
+    const molecule = new MoleculeServer().getMolecule('ethanol');
+    expect(assignBondOrders(molecule)).toBe(molecule);
+  });
+
+  test('should assign orders to structures read without a bond table', () => {
+    const xyz = ['3', 'carbon dioxide', 'C 0 0 0', 'O 1.16 0 0', 'O -1.16 0 0'].join('\n');
+    expect(parseMolecule(xyz, 'XYZ').bonds).toEqual([
+      { from: 0, to: 1, order: 2 },
+      { from: 0, to: 2, order: 2 }
+    ]);
+  });
+});
+
+describe('MoleculeServer bond orders', () => {
+  test('should update bond orders in place', () => {
+    const server = new MoleculeServer();
+    const aromatic = server.updateBondOrders('benzene', 'AROMATIZE');
+
+    expect(server.getMolecule('benzene')).toBe(aromatic);
+    expect(aromatic.bonds.filter(bond => bond.aromatic).length).toBe(6);
+    expect(server.updateBondOrders('benzene', 'kekulize').bonds.filter(bond => bond.order === 2).length).toBe(3);
+    expect(server.updateBondOrders('nonexistent', 'assign')).toBeNull();
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new MoleculeServer().updateBondOrders('benzene', 'resonance'))
+      .toThrow('Unsupported bond order mode: resonance');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for bond perception from 3D coordinates
+ */
+
+import { perceiveBonds, completeBonds } from '../mcp-server/chemistry/bonding.js';
+import { parseMolecules } from '../mcp-server/formats/index.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const sortBonds = bonds => [...bonds]
+  .map(({ from, to }) => (from < to ? [from, to] : [to, from]))
+  .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+describe('perceiveBonds', () => {
+  test('should recover the bond graph of the sample molecules', () => {
+    const server = new MoleculeServer();
+
+    ['water', 'methane', 'ethanol', 'co2'].forEach(id => {
+      const molecule = server.getMolecule(id);
+      expect(sortBonds(perceiveBonds(molecule.atoms))).toEqual(sortBonds(molecule.bonds));
+    });
+  });
+
+  test('should return single bonds sorted by atom index', () => {
+    const { atoms } = new MoleculeServer().getMolecule('water');
+    expect(perceiveBonds(atoms)).toEqual([
+      { from: 0, to: 1, order: 1 },
+      { from: 0, to: 2, order: 1 }
+    ]);
+  });
+
+  test('should widen or narrow the cutoff with the tolerance', () => {
+    const atoms = [
+      { element: 'C', x: 0, y: 0, z: 0 },
+      { element: 'C', x: 2.1, y: 0, z: 0 }
+    ];
+
+    expect(perceiveBonds(atoms)).toEqual([]);
+    expect(perceiveBonds(atoms, { tolerance: 0.6 })).toEqual([{ from: 0, to: 1, order: 1 }]);
+  });
+
+  test('should bond each hydrogen to its closest partner only', () => {
+    const atoms = [
+      { element: 'O', x: 0, y: 0, z: 0 },
+      { element: 'H', x: 0.98, y: 0, z: 0 },
+      { element: 'O', x: 2.0, y: 0, z: 0 }
+    ];
+    expect(perceiveBonds(atoms, { tolerance: 0.6 })).toEqual([{ from: 0, to: 1, order: 1 }]);
+  });
+
+  test('should ignore overlapping atoms', () => {
+    const atoms = [
+      { element: 'C', x: 0, y: 0, z: 0 },
+      { element: 'C', x: 0.1, y: 0, z: 0 }
+    ];
+    expect(perceiveBonds(atoms)).toEqual([]);
+  });
+
+  test('should match a brute-force search on a large grid', () => {
+    // 10x10x10 lattice of carbons 1.5 A apart, with a little jitter
+    const atoms = [];
+    for (let i = 0; i < 1000; i++) {
+      const jitter = ((i * 37) % 11) / 100;
+      atoms.push({
+        element: 'C',
+        x: (i % 10) * 1.5 + jitter,
+        y: (Math.floor(i / 10) % 10) * 1.5,
+        z: Math.floor(i / 100) * 1.5 - jitter
+      });
+    }
+
+    const expected = [];
+    for (let i = 0; i < atoms.length; i++) {
+      for (let j = i + 1; j < atoms.length; j++) {
+        const distance = Math.hypot(atoms[i].x - atoms[j].x, atoms[i].y - atoms[j].y, atoms[i].z - atoms[j].z);
+        if (distance <= 0.76 * 2 + 0.45) expected.push({ from: i, to: j, order: 1 });
+      }
+    }
+    expect(perceiveBonds(atoms)).toEqual(expected);
+  });
+
+  test('should use frame coordinates when given', () => {
+    const atoms = [{ element: 'H', x: 0, y: 0, z: 0 }, { element: 'H', x: 0.74, y: 0, z: 0 }];
+    const stretched = [{ x: 0, y: 0, z: 0 }, { x: 3, y: 0, z: 0 }];
+
+    expect(perceiveBonds(atoms).length).toBe(1);
+    expect(perceiveBonds(atoms, { coordinates: stretched })).toEqual([]);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => perceiveBonds([], { tolerance: -1 })).toThrow('non-negative');
+    expect(() => perceiveBonds([{ element: 'H', x: 0, y: 0, z: 0 }], { coordinates: [] }))
+      .toThrow('Expected 1 coordinates, got 0');
+  });
+});
+
+describe('completeBonds', () => {
+  const PDB = [
+    'ATOM      1  N   GLY A   1      -1.195   0.600   0.000  1.00  0.00           N',
+    'ATOM      2  CA  GLY A   1       0.000   0.000   0.000  1.00  0.00           C',
+    'ATOM      3  C   GLY A   1       1.200   0.900   0.000  1.00  0.00           C',
+    'HETATM    4  C1  LIG B   1      10.000   0.000   0.000  1.00  0.00           C',
+    'HETATM    5  O1  LIG B   1      11.200   0.000   0.000  1.00  0.00           O',
+    'CONECT    4    5',
+    'CONECT    4    5',
+    'END'
+  ].join('\n');
+
+  test('should add bonds for atoms left unconnected by CONECT records', () => {
+    const [molecule] = parseMolecules(PDB, 'PDB');
+
+    expect(molecule.bonds).toEqual([
+      { from: 3, to: 4, order: 2 },
+      { from: 0, to: 1, order: 1 },
+      { from: 1, to: 2, order: 1 }
+    ]);
+    expect(molecule.metadata.perceivedBonds).toBe(2);
+  });
+
+  test('should keep the bond table as read when perception is off', () => {
+    const [molecule] = parseMolecules(PDB, 'PDB', { perceiveBonds: false });
+    expect(molecule.bonds.length).toBe(1);
+  });
+
+  test('should not touch complete bond tables', () => {
+    const molecule = new MoleculeServer().getMolecule('ethanol');
+    expect(completeBonds(molecule)).toBe(molecule);
+  });
+});
+
+describe('MoleculeServer rebonding', () => {
+  const TRAJECTORY = '2\ntime=0\nH 0 0 0\nH 0.74 0 0\n2\ntime=1\nH 0 0 0\nH 3.0 0 0';
+
+  test('should bond XYZ imports', () => {
+    const molecule = new MoleculeServer().importMolecule(TRAJECTORY, 'XYZ', { name: 'H2' });
+    expect(molecule.bonds).toEqual([{ from: 0, to: 1, order: 1 }]);
+  });
+
+  test('should rebond a molecule without changing other servers', () => {
+    const server = new MoleculeServer();
+    const rebonded = server.rebondMolecule('co2');
+
+    // Orders are assigned from valences after perception
+    expect(rebonded.bonds).toEqual([
+      { from: 0, to: 1, order: 2 },
+      { from: 0, to: 2, order: 2 }
+    ]);
+    expect(server.getMolecule('co2')).toBe(rebonded);
+    expect(new MoleculeServer().getMolecule('co2')).not.toBe(rebonded);
+    expect(server.rebondMolecule('nonexistent')).toBeNull();
+  });
+
+  test('should rebond a trajectory frame and keep the bonds on the frame', () => {
+    const server = new MoleculeServer();
+    server.importMolecule(TRAJECTORY, 'XYZ', { name: 'H2' });
+
+    expect(server.rebondFrame('h2', 1)).toEqual({ moleculeId: 'h2', frame: 1, bonds: [] });
+    expect(server.rebondFrame('h2', 0).bonds.length).toBe(1);
+    expect(server.getTrajectory('h2').frames[1].bonds).toEqual([]);
+    expect(server.rebondFrame('h2', 5)).toBeNull();
+    expect(server.rebondFrame('water', 0)).toBeNull();
+  });
+});
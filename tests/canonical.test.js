@@ -0,0 +1,92 @@
+/**
+ * Tests for canonical atom ranks, canonical SMILES and structure hashes
+ */
+
+import { canonicalRanks, canonicalSmiles, canonicalHash } from '../mcp-server/chemistry/canonical.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { kekulize } from '../mcp-server/chemistry/bond-orders.js';
+
+const molecule = smiles => parseSMILES(smiles, { coordinates: false });
+const canonical = smiles => canonicalSmiles(molecule(smiles));
+
+// Reverse the atom order (and the bond list) of a molecule
+function reversed({ atoms, bonds }) {
+  const last = atoms.length - 1;
+  return {
+    atoms: [...atoms].reverse(),
+    bonds: bonds.map(bond => ({ ...bond, from: last - bond.from, to: last - bond.to })).reverse()
+  };
+}
+
+describe('canonicalSmiles', () => {
+  test.each([
+    ['CCO', 'OCC'],
+    ['CC(=O)O', 'OC(C)=O'],
+    ['c1ccncc1', 'n1ccccc1'],
+    ['Oc1ccccc1C(=O)O', 'OC(=O)c1ccccc1O'],
+    ['CC(=O)[O-].[Na+]', '[Na+].[O-]C(C)=O']
+  ])('should write %s and %s the same way', (a, b) => {
+    expect(canonical(a)).toBe(canonical(b));
+  });
+
+  test('should not depend on atom order', () => {
+    const caffeine = molecule('CN1C=NC2=C1C(=O)N(C(=O)N2C)C');
+
+    expect(canonicalSmiles(reversed(caffeine))).toBe(canonicalSmiles(caffeine));
+  });
+
+  test('should write Kekulé and aromatic rings the same way', () => {
+    expect(canonical('C1=CC=C2C=CC=CC2=C1')).toBe(canonical('c1ccc2ccccc2c1'));
+    expect(canonicalSmiles(kekulize(molecule('c1ccccc1')))).toBe('c1ccccc1');
+  });
+
+  test.each([
+    'CN1C=NC2=C1C(=O)N(C(=O)N2C)C',
+    'c1cc[nH]c1',
+    'C12C3C4C1C5C2C3C45',
+    'c1ccc(cc1)-c1ccccc1',
+    '[13CH4]',
+    '[NH4+]'
+  ])('should read back to the same canonical SMILES for %s', smiles => {
+    const first = canonical(smiles);
+
+    expect(canonical(first)).toBe(first);
+  });
+
+  test('should keep charges, isotopes and hydrogens that are not plain substituents', () => {
+    expect(canonical('[NH4+]')).toBe('[NH4+]');
+    expect(canonical('[2H]O[2H]')).toBe('[2H]O[2H]');
+    expect(canonical('[H][H]')).toBe('[H][H]');
+    expect(canonical('[H]O[H]')).toBe('O');
+  });
+
+  test('should tell different compounds apart', () => {
+    expect(canonical('CCO')).not.toBe(canonical('COC'));
+    expect(canonical('c1ccccc1')).not.toBe(canonical('C1CCCCC1'));
+  });
+});
+
+describe('canonicalRanks', () => {
+  test('should rank every atom once, heavy atoms first', () => {
+    const ranks = canonicalRanks(molecule('CCO'));
+
+    expect([...ranks].sort((a, b) => a - b)).toEqual([...Array(9).keys()]);
+    expect(ranks.slice(0, 3).every(rank => rank < 3)).toBe(true);
+  });
+
+  test('should follow the heavy atoms when they are reordered', () => {
+    const ethanol = molecule('CCO');
+    const ranks = canonicalRanks(ethanol);
+
+    // Hydrogens on one atom are interchangeable, so only their set is fixed
+    expect(canonicalRanks(reversed(ethanol)).slice(-3)).toEqual(ranks.slice(0, 3).reverse());
+  });
+});
+
+describe('canonicalHash', () => {
+  test('should be a SHA-256 hex digest shared by equal structures', () => {
+    expect(canonicalHash(molecule('OCC'))).toMatch(/^[0-9a-f]{64}$/);
+    expect(canonicalHash(molecule('OCC'))).toBe(canonicalHash(molecule('CCO')));
+    expect(canonicalHash(molecule('OCC'))).not.toBe(canonicalHash(molecule('COC')));
+  });
+});
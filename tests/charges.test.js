@@ -0,0 +1,88 @@
+/**
+ * Tests for Gasteiger-Marsili partial charges
+ */
+
+import { gasteigerCharges } from '../mcp-server/chemistry/charges.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { aromatize } from '../mcp-server/chemistry/bond-orders.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const charges = smiles => gasteigerCharges(parseSMILES(smiles, { coordinates: false }));
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe('gasteigerCharges', () => {
+  test('should match published charges for water', () => {
+    const [oxygen, h1, h2] = charges('O');
+
+    // RDKit ComputeGasteigerCharges: O -0.41, H 0.21
+    expect(oxygen).toBeCloseTo(-0.41, 2);
+    expect(h1).toBeCloseTo(0.21, 2);
+    expect(h2).toBe(h1);
+  });
+
+  test('should polarize bonds towards the more electronegative atom', () => {
+    const [c1, c2, oxygen, ...hydrogens] = charges('CCO');
+
+    expect(oxygen).toBeLessThan(c1);
+    expect(c2).toBeGreaterThan(c1);
+    // The hydroxyl hydrogen is the most positive
+    expect(hydrogens[5]).toBe(Math.max(...hydrogens));
+  });
+
+  test('should use the hybridization of each atom', () => {
+    const [c1, c2, c3] = charges('CC=O');
+    const [d1, d2, d3] = charges('CCO');
+
+    expect(c3).toBeLessThan(0);
+    expect(c2 - c3).not.toBeCloseTo(d2 - d3, 2);
+    expect(c1).not.toBeNaN();
+    expect(d1).not.toBeNaN();
+  });
+
+  test('should give symmetric atoms equal charges in Kekulé and aromatic form', () => {
+    const kekule = parseSMILES('C1=CC=CC=C1', { coordinates: false });
+    const aromatic = gasteigerCharges(aromatize(kekule));
+
+    expect(new Set(aromatic.slice(0, 6)).size).toBe(1);
+    expect(aromatic[0]).toBeCloseTo(-0.062, 3);
+    expect(gasteigerCharges(kekule)).toEqual(aromatic);
+  });
+
+  test('should keep the net formal charge', () => {
+    expect(sum(charges('CC(=O)[O-]'))).toBeCloseTo(-1, 3);
+    expect(sum(charges('C[NH3+]'))).toBeCloseTo(1, 3);
+    expect(sum(charges('OCC(=O)N'))).toBeCloseTo(0, 3);
+  });
+
+  test('should leave atoms without parameters at their formal charge', () => {
+    const result = charges('[Na+].[Cl-]');
+
+    expect(result).toEqual([1, -1]);
+  });
+
+  test('should take the number of iterations', () => {
+    const molecule = parseSMILES('CF', { coordinates: false });
+
+    expect(gasteigerCharges(molecule, { iterations: 0 })).toEqual([0, 0, 0, 0, 0]);
+    expect(Math.abs(gasteigerCharges(molecule, { iterations: 1 })[1]))
+      .toBeGreaterThan(Math.abs(gasteigerCharges(molecule)[1]) / 2);
+  });
+});
+
+describe('MoleculeServer partial charges', () => {
+  test('should store charges with every molecule and update them with the structure', () => {
+    const server = new MoleculeServer();
+    const water = server.getMolecule('water');
+
+    expect(water.partial_charges).toHaveLength(water.atoms.length);
+    expect(server.getPartialCharges('water')).toEqual({
+      molecule_id: 'water',
+      method: 'gasteiger',
+      charges: water.partial_charges
+    });
+    expect(server.getPartialCharges('unknown')).toBeNull();
+
+    const stripped = server.updateHydrogens('water', { action: 'remove' });
+    expect(stripped.partial_charges).toEqual([0]);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for the mmCIF / CIF reader
+ */
+
+import { parseCIF } from '../mcp-server/formats/cif.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const MMCIF = `data_1ABC
+#
+_entry.id   1ABC
+_struct.title   'Test peptide with disulfide'
+#
+_cell.entry_id           1ABC
+_cell.length_a           40.960
+_cell.length_b           18.650
+_cell.length_c           22.520
+_cell.angle_alpha        90.00
+_cell.angle_beta         90.77
+_cell.angle_gamma        90.00
+_cell.Z_PDB              2
+#
+_symmetry.entry_id                         1ABC
+_symmetry.space_group_name_H-M             'P 1 21 1'
+_symmetry.Int_Tables_number                4
+#
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_alt_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.occupancy
+_atom_site.B_iso_or_equiv
+_atom_site.pdbx_formal_charge
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+_atom_site.pdbx_PDB_model_num
+ATOM   1  N  N   . CYS A 1 -8.901 4.127 -0.555 1.00 11.99 ? 3 A 1
+ATOM   2  C  CA  . CYS A 1 -8.608 3.135 -1.618 1.00 11.85 ? 3 A 1
+ATOM   3  S  SG  A CYS A 1 -7.117 2.964 -1.897 0.30 11.99 ? 3 A 1
+ATOM   4  S  SG  B CYS A 1 -7.200 2.900 -1.800 0.70 11.99 ? 3 A 1
+ATOM   5  S  SG  . CYS A 2 -5.100 2.500 -1.700 1.00 10.00 ? 40 A 1
+HETATM 6  ZN ZN  . ZN  B . 1.000 2.000 3.000 1.00 20.00 2 101 B 1
+ATOM   7  N  N   . CYS A 1 -9.901 4.127 -0.555 1.00 11.99 ? 3 A 2
+#
+loop_
+_struct_conn.id
+_struct_conn.conn_type_id
+_struct_conn.ptnr1_label_asym_id
+_struct_conn.ptnr1_label_seq_id
+_struct_conn.ptnr1_label_atom_id
+_struct_conn.pdbx_ptnr1_label_alt_id
+_struct_conn.ptnr2_label_asym_id
+_struct_conn.ptnr2_label_seq_id
+_struct_conn.ptnr2_label_atom_id
+_struct_conn.pdbx_ptnr2_label_alt_id
+_struct_conn.pdbx_value_order
+disulf1 disulf A 1 SG B A 2 SG . sing
+hydrog1 hydrog A 1 N  . A 2 SG . ?
+#
+`;
+
+const SMALL_MOLECULE = `data_urea
+_chemical_name_common    Urea
+_cell_length_a    5.565(2)
+_cell_length_b    5.565(2)
+_cell_length_c    4.684(2)
+_cell_angle_alpha 90
+_cell_angle_beta  90
+_cell_angle_gamma 90
+_symmetry_space_group_name_H-M   'P -4 21 m'
+loop_
+_symmetry_equiv_pos_as_xyz
+'x, y, z'
+'-x, -y, z'
+loop_
+_atom_site_label
+_atom_site_type_symbol
+_atom_site_fract_x
+_atom_site_fract_y
+_atom_site_fract_z
+C1 C 0.0000 0.5000 0.3260(3)
+O1 O 0.0000 0.5000 0.5953(2)
+N1 N 0.1459(1) 0.6459(1) 0.1766(2)
+loop_
+_geom_bond_atom_site_label_1
+_geom_bond_atom_site_label_2
+_geom_bond_distance
+C1 O1 1.261(2)
+C1 N1 1.349(2)
+`;
+
+describe('parseCIF', () => {
+  test('should read mmCIF atom sites from the first model', () => {
+    const [molecule] = parseCIF(MMCIF);
+
+    expect(molecule.name).toBe('Test peptide with disulfide');
+    expect(molecule.atoms.length).toBe(5);
+    expect(molecule.atoms[1]).toMatchObject({
+      element: 'C',
+      name: 'CA',
+      residue: 'CYS',
+      residueSeq: 3,
+      chain: 'A',
+      occupancy: 1,
+      bFactor: 11.85,
+      hetero: false
+    });
+  });
+
+  test('should keep the highest occupancy alternate location', () => {
+    const [molecule] = parseCIF(MMCIF);
+    const sulfur = molecule.atoms.filter(a => a.name === 'SG' && a.residueSeq === 3);
+
+    expect(sulfur.length).toBe(1);
+    expect(sulfur[0]).toMatchObject({ altLoc: 'B', occupancy: 0.7 });
+  });
+
+  test('should read formal charges and hetero groups', () => {
+    const [molecule] = parseCIF(MMCIF);
+    const zinc = molecule.atoms.find(a => a.element === 'Zn');
+
+    expect(zinc).toMatchObject({ hetero: true, chain: 'B', formalCharge: 2, residueSeq: 101 });
+  });
+
+  test('should read covalent _struct_conn bonds and skip hydrogen bonds', () => {
+    const [molecule] = parseCIF(MMCIF);
+    expect(molecule.bonds).toEqual([{ from: 2, to: 3, order: 1 }]);
+  });
+
+  test('should store cell and symmetry in metadata', () => {
+    const [{ metadata }] = parseCIF(MMCIF);
+
+    expect(metadata).toMatchObject({
+      format: 'cif',
+      idCode: '1ABC',
+      spaceGroup: 'P 1 21 1',
+      chains: ['A', 'B'],
+      cell: { a: 40.96, b: 18.65, c: 22.52, alpha: 90, beta: 90.77, gamma: 90 },
+      symmetry: { spaceGroup: 'P 1 21 1', spaceGroupNumber: 4 }
+    });
+  });
+
+  test('should convert fractional coordinates of small-molecule CIF', () => {
+    const [molecule] = parseCIF(SMALL_MOLECULE);
+
+    expect(molecule.name).toBe('Urea');
+    expect(molecule.atoms.map(a => a.element)).toEqual(['C', 'O', 'N']);
+    expect(molecule.atoms[1].y).toBeCloseTo(2.7825, 3);
+    expect(molecule.atoms[1].z).toBeCloseTo(0.5953 * 4.684, 3);
+    expect(molecule.metadata.symmetry.operations).toEqual(['x, y, z', '-x, -y, z']);
+  });
+
+  test('should read _geom_bond bonds', () => {
+    const [molecule] = parseCIF(SMALL_MOLECULE);
+
+    expect(molecule.bonds).toEqual([
+      { from: 0, to: 1, order: 1 },
+      { from: 0, to: 2, order: 1 }
+    ]);
+  });
+
+  test('should return one molecule per data block', () => {
+    const molecules = parseCIF(`${MMCIF}\n${SMALL_MOLECULE}`);
+    expect(molecules.map(m => m.metadata.dataBlock)).toEqual(['1ABC', 'urea']);
+  });
+
+  test('should read semicolon text fields', () => {
+    const text = SMALL_MOLECULE.replace('_chemical_name_common    Urea', '_chemical_name_common\n;\nCarbamide\n;');
+    expect(parseCIF(text)[0].name).toBe('Carbamide');
+  });
+
+  test('should reject files without atom sites', () => {
+    expect(() => parseCIF('data_empty\n_cell_length_a 5')).toThrow('no _atom_site records');
+  });
+});
+
+describe('MoleculeServer CIF import', () => {
+  test('should import through the CIF format identifier', () => {
+    const molecule = new MoleculeServer().importMolecule(SMALL_MOLECULE, 'CIF');
+
+    expect(molecule.id).toBe('urea');
+    expect(molecule.formula).toBe('CNO');
+    expect(molecule.metadata.cell.a).toBe(5.565);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for circular fingerprints and Tanimoto similarity
+ */
+
+import { circularFingerprint, tanimoto, FINGERPRINT_BITS } from '../mcp-server/chemistry/fingerprint.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { kekulize } from '../mcp-server/chemistry/bond-orders.js';
+
+const fingerprint = smiles => circularFingerprint(parseSMILES(smiles, { coordinates: false }));
+const similarity = (a, b) => tanimoto(fingerprint(a), fingerprint(b));
+
+describe('circularFingerprint', () => {
+  test('should return sorted bit indices within the fingerprint size', () => {
+    const bits = fingerprint('CC(=O)Oc1ccccc1C(=O)O');
+
+    expect(bits.length).toBeGreaterThan(10);
+    expect([...bits].sort((a, b) => a - b)).toEqual(bits);
+    expect(bits.every(bit => Number.isInteger(bit) && bit >= 0 && bit < FINGERPRINT_BITS)).toBe(true);
+  });
+
+  test('should not depend on atom order or ring notation', () => {
+    expect(fingerprint('OCC')).toEqual(fingerprint('CCO'));
+    expect(circularFingerprint(kekulize(parseSMILES('c1ccccc1', { coordinates: false }))))
+      .toEqual(fingerprint('c1ccccc1'));
+  });
+
+  test('should grow with the radius', () => {
+    const molecule = parseSMILES('CCCCCO', { coordinates: false });
+
+    expect(circularFingerprint(molecule, { radius: 0 }).length)
+      .toBeLessThan(circularFingerprint(molecule, { radius: 2 }).length);
+  });
+
+  test('should fold into the requested number of bits', () => {
+    const bits = circularFingerprint(parseSMILES('c1ccccc1CCN', { coordinates: false }), { bits: 16 });
+
+    expect(Math.max(...bits)).toBeLessThan(16);
+  });
+});
+
+describe('tanimoto', () => {
+  test('should compare fingerprints', () => {
+    expect(tanimoto([1, 2, 3], [2, 3, 4])).toBeCloseTo(0.5);
+    expect(tanimoto([1, 2], [1, 2])).toBe(1);
+    expect(tanimoto([], [])).toBe(0);
+  });
+
+  test('should rank related molecules above unrelated ones', () => {
+    expect(similarity('CCO', 'CCO')).toBe(1);
+    expect(similarity('CCCO', 'CCCCO')).toBeGreaterThan(similarity('CCCO', 'c1ccccc1'));
+    expect(similarity('c1ccccc1', 'Cc1ccccc1')).toBeGreaterThan(similarity('c1ccccc1', 'C1CCCCC1'));
+  });
+});
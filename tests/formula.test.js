@@ -0,0 +1,129 @@
+/**
+ * Tests for formulas and molecular masses
+ */
+
+import {
+  hillFormula,
+  parseFormula,
+  canonicalFormula,
+  formulaWarning,
+  molecularWeight,
+  monoisotopicMass
+} from '../mcp-server/chemistry/formula.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const atomsOf = smiles => parseSMILES(smiles, { coordinates: false }).atoms;
+
+// Collect console.warn messages while running fn
+function captureWarnings(fn) {
+  const warn = console.warn;
+  const messages = [];
+  console.warn = message => messages.push(message);
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return messages;
+}
+
+describe('parseFormula', () => {
+  test.each([
+    ['C2H5OH', { C: 2, H: 6, O: 1 }],
+    ['Ca(OH)2', { Ca: 1, O: 2, H: 2 }],
+    ['((CH3)3C)2O', { C: 8, H: 18, O: 1 }],
+    ['Fe2[SO4]3', { Fe: 2, S: 3, O: 12 }],
+    ['CuSO4·5H2O', { Cu: 1, S: 1, O: 9, H: 10 }],
+    ['C2 H6 O', { C: 2, H: 6, O: 1 }],
+    ['D2O', { H: 2, O: 1 }]
+  ])('should count the atoms of %s', (text, counts) => {
+    expect(parseFormula(text)).toEqual(counts);
+  });
+
+  test.each(['water', 'c', 'Xx2', 'C)2', '(CH3', '(2)C', ''])('should reject %p', text => {
+    expect(parseFormula(text)).toBeNull();
+  });
+});
+
+describe('canonicalFormula', () => {
+  test('should write formulas in Hill notation', () => {
+    expect(canonicalFormula('C2H5OH')).toBe('C2H6O');
+    expect(canonicalFormula('OH2')).toBe('H2O');
+    expect(canonicalFormula('ClNa')).toBe('ClNa');
+    expect(canonicalFormula('CH3Cl')).toBe('CH3Cl');
+    expect(canonicalFormula('CO')).toBe('CO');
+    expect(canonicalFormula('Co')).toBe('Co');
+  });
+
+  test('should agree with the formula of the atoms', () => {
+    expect(canonicalFormula('CH3COOH')).toBe(hillFormula(atomsOf('CC(=O)O')));
+  });
+});
+
+describe('formulaWarning', () => {
+  test('should accept formulas in any notation', () => {
+    expect(formulaWarning('C2H5OH', atomsOf('CCO'))).toBeNull();
+    expect(formulaWarning(undefined, atomsOf('CCO'))).toBeNull();
+  });
+
+  test('should describe a mismatch', () => {
+    expect(formulaWarning('C2H6', atomsOf('CCO'), 'ethanol'))
+      .toBe('Formula "C2H6" of ethanol does not match its atoms (C2H6O)');
+  });
+});
+
+describe('molecular masses', () => {
+  test('should compute average molecular weights', () => {
+    expect(molecularWeight(atomsOf('O'))).toBeCloseTo(18.015, 3);
+    expect(molecularWeight(atomsOf('CCO'))).toBeCloseTo(46.069, 3);
+    expect(molecularWeight(atomsOf('c1ccccc1'))).toBeCloseTo(78.114, 3);
+  });
+
+  test('should compute monoisotopic masses', () => {
+    expect(monoisotopicMass(atomsOf('O'))).toBeCloseTo(18.010565, 5);
+    expect(monoisotopicMass(atomsOf('CCO'))).toBeCloseTo(46.041865, 5);
+    expect(monoisotopicMass(atomsOf('ClCCl'))).toBeCloseTo(83.953355, 5);
+  });
+
+  test('should use the mass of labelled isotopes', () => {
+    expect(monoisotopicMass(atomsOf('[13CH4]'))).toBeCloseTo(17.034655, 5);
+    expect(molecularWeight(atomsOf('[2H]O[2H]'))).toBeCloseTo(20.027, 3);
+  });
+
+  test('should account for the electrons of charged atoms', () => {
+    // NH4+ is one electron lighter than the neutral atoms
+    expect(monoisotopicMass(atomsOf('[NH4+]'))).toBeCloseTo(18.033826, 5);
+  });
+});
+
+describe('MoleculeServer composition', () => {
+  test('should store Hill formulas and masses for the sample molecules', () => {
+    const ethanol = new MoleculeServer().getMolecule('ethanol');
+
+    expect(ethanol.formula).toBe('C2H6O');
+    expect(ethanol.molecular_weight).toBeCloseTo(46.069, 3);
+    expect(ethanol.monoisotopic_mass).toBeCloseTo(46.041865, 5);
+  });
+
+  test('should replace a formula that disagrees with the atoms and warn', () => {
+    const server = new MoleculeServer();
+    // Stored atoms need coordinates that pass validation
+    const { atoms } = parseSMILES('CCO');
+    let molecule;
+    const warnings = captureWarnings(() => {
+      molecule = server.addMolecule({ name: 'Ethanol copy', formula: 'C2H6', atoms });
+    });
+
+    expect(molecule.formula).toBe('C2H6O');
+    expect(warnings).toEqual(['WARNING: Formula "C2H6" of ethanol-copy does not match its atoms (C2H6O)']);
+    expect(captureWarnings(() => server.addMolecule({ name: 'Ethanol 3', formula: 'CH3CH2OH', atoms }))).toEqual([]);
+  });
+
+  test('should find molecules by formula in any notation', () => {
+    const server = new MoleculeServer();
+
+    expect(server.searchMolecules('C2H5OH').map(m => m.id)).toEqual(['ethanol']);
+    expect(server.searchMolecules('OH2').map(m => m.id)).toEqual(['water']);
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * Tests for the API gateway's GraphQL resolvers, against an in-memory
+ * stand-in for the PostgreSQL pool
+ */
+
+import { resolvers, createLoaders } from '../services/api-gateway/graphql-resolvers.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { writeSDF } from '../mcp-server/formats/sdf.js';
+
+const { Query, Mutation, ReactionPathway } = resolvers;
+
+const USER = { id: 'user-1' };
+
+// JSONB columns come back from pg as objects
+const JSON_COLUMNS = new Set(['data', 'metadata', 'atom_mapping', 'transition_states', 'energy_profile']);
+
+/**
+ * A db whose query() answers the statements the molecule and reaction
+ * resolvers send, from in-memory tables; connect() hands out clients whose
+ * transactions roll the tables back
+ */
+function mockDatabase(tables = {}) {
+  const db = { tables: { molecules: [], molecule_versions: [], trajectories: [], reaction_pathways: [], ...tables } };
+  let created = 0;
+  const result = rows => ({ rows, rowCount: rows.length });
+
+  db.query = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    const value = token => (token.startsWith('$') ? params[Number(token.slice(1)) - 1] : token.replace(/'/g, ''));
+
+    const insert = text.match(/^INSERT INTO (\w+) \(([^)]*)\) VALUES \(([^)]*)\) RETURNING \*$/);
+    if (insert) {
+      const [, table, columns, values] = insert;
+      const tokens = values.split(',').map(token => token.trim());
+      const row = { id: `${table}-${db.tables[table].length + 1}`, version: 1, created_at: created++ };
+      columns.split(',').map(column => column.trim()).forEach((column, index) => {
+        const given = value(tokens[index]);
+        row[column] = JSON_COLUMNS.has(column) && typeof given === 'string' ? JSON.parse(given) : given;
+      });
+      db.tables[table].push(row);
+      return result([row]);
+    }
+
+    const archive = text.match(/^INSERT INTO molecule_versions \(([^)]*)\) SELECT .* FROM molecules WHERE id = \$1 AND created_by = \$2$/);
+    if (archive) {
+      const row = db.tables.molecules.find(({ id, created_by: owner }) => id === params[0] && owner === params[1]);
+      if (!row) return result([]);
+      const columns = archive[1].split(',').map(column => column.trim());
+      db.tables.molecule_versions.push(structuredClone(Object.fromEntries(columns.map(column => [column, row[column]]))));
+      return { rows: [], rowCount: 1 };
+    }
+
+    const update = text.match(/^UPDATE molecules SET (.*) WHERE id = \$1 AND created_by = (\$\d+) RETURNING \*$/);
+    if (update) {
+      const row = db.tables.molecules.find(({ id, created_by: owner }) => id === params[0] && owner === value(update[2]));
+      if (!row) return result([]);
+      update[1].split(', ').forEach(assignment => {
+        const [column, token] = assignment.split(' = ');
+        if (column === 'version') row.version++;
+        else if (token === 'NULL') row[column] = null;
+        else if (token.startsWith('$')) row[column] = JSON_COLUMNS.has(column) ? JSON.parse(value(token)) : value(token);
+      });
+      return result([row]);
+    }
+
+    const newest = rows => [...rows].sort((a, b) => b.created_at - a.created_at);
+    if (text === 'SELECT * FROM molecules WHERE id = ANY($1)') {
+      return result(db.tables.molecules.filter(({ id }) => params[0].includes(id)));
+    }
+    if (text.startsWith('SELECT * FROM molecules WHERE canonical_hash = $1')) {
+      return result(db.tables.molecules
+        .filter(({ canonical_hash: hash, duplicate_of: original }) => hash === params[0] && !original)
+        .slice(0, 1));
+    }
+    if (text === 'SELECT * FROM molecule_versions WHERE id = $1 AND version = $2') {
+      return result(db.tables.molecule_versions.filter(({ id, version }) => id === params[0] && version === params[1]));
+    }
+    if (text.startsWith('SELECT id FROM trajectories WHERE molecule_id = $1')) {
+      return result(db.tables.trajectories.filter(({ molecule_id: id }) => id === params[0]));
+    }
+    if (text === 'SELECT * FROM reaction_pathways WHERE id = $1') {
+      return result(db.tables.reaction_pathways.filter(({ id }) => id === params[0]));
+    }
+    if (text.startsWith('SELECT * FROM reaction_pathways')) {
+      const [id] = params;
+      const roles = ['reactant_ids', 'product_ids', 'intermediate_ids', 'agent_ids'];
+      const rows = params.length === 1
+        ? db.tables.reaction_pathways
+        : db.tables.reaction_pathways.filter(pathway => roles.some(role => (pathway[role] || []).includes(id)));
+      return result(newest(rows).slice(0, params[params.length - 1]));
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  };
+
+  db.connect = async () => {
+    let saved;
+    const client = {
+      query: async (sql, params) => {
+        if (sql === 'BEGIN') saved = structuredClone(db.tables);
+        else if (sql === 'ROLLBACK') db.tables = saved;
+        else if (sql !== 'COMMIT') return db.query(sql, params);
+        return result([]);
+      },
+      release: () => {
+        client.released = true;
+      }
+    };
+    db.clients = [...(db.clients || []), client];
+    return client;
+  };
+  return db;
+}
+
+// A stand-in for the gateway's winston logger that keeps its warnings
+function createLogger() {
+  const warnings = [];
+  return { warnings, warn: message => warnings.push(message) };
+}
+
+function createContext(db = mockDatabase()) {
+  return { db, user: USER, loaders: createLoaders(db), trajectoryManager: new Map(), logger: createLogger() };
+}
+
+// AtomInput/BondInput lists of a SMILES structure, as a client sends them
+function structureInput(smiles) {
+  const { atoms, bonds } = parseSMILES(smiles);
+  const orders = { 1: 'SINGLE', 2: 'DOUBLE', 3: 'TRIPLE' };
+  return {
+    atoms: atoms.map(({ element, x, y, z }) => ({ element, position: { x, y, z } })),
+    bonds: bonds.map(({ from, to, order }) => ({ from, to, order: orders[order] }))
+  };
+}
+
+// Collect the warnings the resolvers log while running fn
+async function warningsOf({ logger }, fn) {
+  const start = logger.warnings.length;
+  await fn();
+  return logger.warnings.slice(start);
+}
+
+describe('createMolecule', () => {
+  test('should store a SMILES structure with its formula and identifiers', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+
+    expect(molecule).toMatchObject({ name: 'Ethanol', formula: 'C2H6O', smiles: 'OCC', canonical_smiles: 'C(C)O', created_by: 'user-1' });
+    expect(molecule.canonical_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(molecule.data.atoms).toHaveLength(9);
+    expect(await Query.molecule(null, { id: molecule.id }, context)).toBe(molecule);
+  });
+
+  test('should take the formula from the atoms and warn about a wrong one', async () => {
+    const context = createContext();
+    let molecule;
+    const warnings = await warningsOf(context, async () => {
+      molecule = await Mutation.createMolecule(null, { input: { name: 'Water', formula: 'H2O2', ...structureInput('O') } }, context);
+    });
+
+    expect(molecule.formula).toBe('H2O');
+    expect(warnings).toEqual([expect.stringContaining('H2O2')]);
+  });
+
+  test('should reject invalid structures with the validation report', async () => {
+    const context = createContext();
+    const input = { name: 'Broken', ...structureInput('CC') };
+    input.bonds.push({ from: 0, to: 12, order: 'SINGLE' });
+
+    await expect(Mutation.createMolecule(null, { input }, context)).rejects.toMatchObject({
+      message: 'Invalid structure: Bond 7 refers to missing atom 12',
+      extensions: { code: 'BAD_USER_INPUT', issues: [expect.objectContaining({ code: 'MISSING_ATOM', bonds: [7] })] }
+    });
+    await expect(Mutation.createMolecule(null, { input: { name: 'Empty' } }, context))
+      .rejects.toThrow('Either atoms or smiles is required');
+    expect(context.db.tables.molecules).toEqual([]);
+  });
+
+  test('should link or reject duplicates on request', async () => {
+    const context = createContext();
+    const ethanol = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+
+    const linked = await Mutation.createMolecule(null, { input: { name: 'Copy', smiles: 'CCO', duplicates: 'LINK' } }, context);
+    expect(linked).toBe(ethanol);
+    await expect(Mutation.createMolecule(null, { input: { name: 'Copy', smiles: 'CCO', duplicates: 'REJECT' } }, context))
+      .rejects.toThrow(`Duplicate of molecule ${ethanol.id}`);
+
+    const copy = await Mutation.createMolecule(null, { input: { name: 'Copy', smiles: 'CCO' } }, context);
+    expect(copy.duplicate_of).toBe(ethanol.id);
+    expect(context.db.tables.molecules).toHaveLength(2);
+    expect(await Mutation.createMolecule(null, { input: { name: 'Copy', smiles: 'CCO', duplicates: 'LINK' } }, context))
+      .toBe(ethanol);
+  });
+
+  test('should label stereocenters of atom lists from their coordinates', async () => {
+    const context = createContext();
+    const input = { name: 'L-alanine', ...structureInput('C[C@H](N)C(=O)O') };
+    const molecule = await Mutation.createMolecule(null, { input }, context);
+
+    expect(await Query.moleculeStereo(null, { id: molecule.id }, context)).toEqual({
+      molecule_id: molecule.id,
+      centers: [{ atom: 1, label: 'S' }],
+      double_bonds: []
+    });
+
+    const mirrored = { ...input, atoms: input.atoms.map(({ position, ...atom }) => ({ ...atom, position: { ...position, z: -position.z } })) };
+    const enantiomer = await Mutation.createMolecule(null, { input: { ...mirrored, duplicates: 'REJECT' } }, context);
+    expect(enantiomer.canonical_hash).not.toBe(molecule.canonical_hash);
+  });
+});
+
+describe('updateMolecule', () => {
+  test('should update the molecules of their creator only', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+
+    const updated = await Mutation.updateMolecule(null, { id: molecule.id, input: { name: 'Ethyl alcohol', metadata: { source: 'test' } } }, context);
+    expect(updated).toMatchObject({ name: 'Ethyl alcohol', metadata: { source: 'test' }, version: 2 });
+
+    const stranger = { ...context, user: { id: 'user-2' } };
+    expect(await Mutation.updateMolecule(null, { id: molecule.id, input: { name: 'Mine' } }, stranger)).toBeUndefined();
+  });
+  test('should store the formula of the atoms and warn about a wrong one', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+
+    let updated;
+    const warnings = await warningsOf(context, async () => {
+      updated = await Mutation.updateMolecule(null, { id: molecule.id, input: { formula: 'C6H6' } }, context);
+    });
+    expect(updated.formula).toBe('C2H6O');
+    expect(warnings).toEqual(['Formula "C6H6" of Ethanol does not match its atoms (C2H6O)']);
+
+    expect(await warningsOf(context, () => Mutation.updateMolecule(null, { id: molecule.id, input: { formula: 'C2H5OH' } }, context)))
+      .toEqual([]);
+    await expect(Mutation.updateMolecule(null, { id: 'missing', input: { formula: 'H2O' } }, context))
+      .rejects.toThrow('Molecule not found');
+  });
+});
+
+describe('updateHydrogens', () => {
+  test('should strip and add hydrogens as a new version', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+    const { id } = molecule;
+
+    const stripped = await Mutation.updateHydrogens(null, { id, action: 'REMOVE', mode: 'ALL' }, context);
+    expect(stripped).toMatchObject({ formula: 'C2O', version: 2 });
+    expect(stripped.data.atoms.map(({ element }) => element)).toEqual(['O', 'C', 'C']);
+
+    const restored = await Mutation.updateHydrogens(null, { id, action: 'ADD' }, createContext(context.db));
+    expect(restored).toMatchObject({ formula: 'C2H6O', canonical_smiles: 'C(C)O', version: 3 });
+  });
+
+  test('should keep the versions it replaces', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+    const { id } = molecule;
+    const original = structuredClone(molecule);
+
+    await Mutation.updateHydrogens(null, { id, action: 'REMOVE', mode: 'ALL' }, context);
+    const renamed = await Mutation.updateMolecule(null, { id, input: { name: 'Ethyl alcohol' } }, createContext(context.db));
+    const version = async number => Query.moleculeVersion(null, { id, version: number }, createContext(context.db));
+
+    expect(await version(1)).toMatchObject({ name: 'Ethanol', formula: 'C2H6O', data: original.data });
+    expect(await version(2)).toMatchObject({ name: 'Ethanol', formula: 'C2O', version: 2 });
+    expect(await version(3)).toBe(renamed);
+    expect(await version(4)).toBeNull();
+
+    const stranger = { ...createContext(context.db), user: { id: 'user-2' } };
+    expect(await Mutation.updateHydrogens(null, { id, action: 'ADD' }, stranger)).toBeUndefined();
+    expect(context.db.tables.molecule_versions.map(({ version: number }) => number)).toEqual([1, 2]);
+  });
+
+  test('should reject a structure that no longer validates', async () => {
+    const context = createContext();
+    const molecule = await Mutation.createMolecule(null, { input: { name: 'Hydrogen', smiles: '[H][H]' } }, context);
+    const stored = structuredClone(molecule);
+
+    await expect(Mutation.updateHydrogens(null, { id: molecule.id, action: 'REMOVE', mode: 'ALL' }, context)).rejects.toMatchObject({
+      message: 'Invalid structure: Molecule has no atoms',
+      extensions: { code: 'BAD_USER_INPUT', issues: [expect.objectContaining({ code: 'EMPTY_MOLECULE' })] }
+    });
+    expect(context.db.tables.molecules).toEqual([stored]);
+    expect(context.db.tables.molecule_versions).toEqual([]);
+  });
+
+  test('should keep the atoms of molecules with trajectories', async () => {
+    const context = createContext(mockDatabase({ trajectories: [{ id: 'trajectory-1', molecule_id: 'molecules-1' }] }));
+    await Mutation.createMolecule(null, { input: { name: 'Ethanol', smiles: 'OCC' } }, context);
+
+    await expect(Mutation.updateHydrogens(null, { id: 'molecules-1', action: 'REMOVE', mode: 'ALL' }, context))
+      .rejects.toThrow('Cannot change the atoms of a molecule with trajectories');
+    await expect(Mutation.updateHydrogens(null, { id: 'missing', action: 'ADD' }, context))
+      .rejects.toThrow('Molecule not found');
+  });
+});
+
+describe('importMolecule', () => {
+  test('should store a Molfile with its stereo labels', async () => {
+    const context = createContext();
+    const file = writeSDF({ ...parseSMILES('C[C@@H](N)C(=O)O'), name: 'D-alanine' });
+    const molecule = await Mutation.importMolecule(null, { file, format: 'SDF' }, context);
+
+    expect(molecule).toMatchObject({ name: 'D-alanine', formula: 'C3H7NO2' });
+    expect(molecule.data.atoms[1].cip).toBe('R');
+  });
+
+  test('should reject invalid structures with the validation report', async () => {
+    const context = createContext();
+    const lines = writeSDF({ ...parseSMILES('O'), name: 'Water' }).split('\n');
+    lines[7] = '  1  1  1  0  0  0  0';
+
+    await expect(Mutation.importMolecule(null, { file: lines.join('\n'), format: 'SDF' }, context)).rejects.toMatchObject({
+      message: 'Invalid structure: Bond 0 connects atom 0 to itself',
+      extensions: { code: 'BAD_USER_INPUT' }
+    });
+    expect(context.db.tables.molecules).toEqual([]);
+  });
+});
+
+describe('importMolecules', () => {
+  const ETHANOL = writeSDF({ ...parseSMILES('OCC'), name: 'Ethanol' });
+  const WATER = writeSDF({ ...parseSMILES('O'), name: 'Water' });
+
+  test('should link repeated records to the first one stored', async () => {
+    const context = createContext();
+    const [first, copy, water] = await Mutation.importMolecules(null, { file: ETHANOL + ETHANOL + WATER, format: 'SDF' }, context);
+
+    expect(first.duplicate_of).toBeNull();
+    expect(copy.duplicate_of).toBe(first.id);
+    expect(water.duplicate_of).toBeNull();
+
+    const linked = await Mutation.importMolecules(null, { file: ETHANOL + ETHANOL, format: 'SDF', duplicates: 'LINK' }, context);
+    expect(linked).toEqual([first, first]);
+    expect(context.db.clients.every(({ released }) => released)).toBe(true);
+  });
+
+  test('should reject files that repeat a record before storing any', async () => {
+    const context = createContext();
+    context.db.connect = () => {
+      throw new Error('Nothing should be stored');
+    };
+
+    await expect(Mutation.importMolecules(null, { file: WATER + ETHANOL + WATER, format: 'SDF', duplicates: 'REJECT' }, context))
+      .rejects.toThrow('Record 3 duplicates record 1 of the file');
+    expect(context.db.tables.molecules).toEqual([]);
+  });
+
+  test('should store nothing from a file with a rejected record', async () => {
+    const context = createContext();
+    const water = await Mutation.createMolecule(null, { input: { name: 'Water', smiles: 'O' } }, context);
+
+    await expect(Mutation.importMolecules(null, { file: ETHANOL + WATER, format: 'SDF', duplicates: 'REJECT' }, context))
+      .rejects.toThrow(`Duplicate of molecule ${water.id}`);
+    expect(context.db.tables.molecules).toEqual([water]);
+    expect(context.db.clients[0].released).toBe(true);
+  });
+});
+
+describe('reaction pathways', () => {
+  const ESTERIFICATION = '[CH3:1][C:2](=[O:3])[OH:4].[CH3:5][OH:6]>[H+]>[CH3:1][C:2](=[O:3])[O:6][CH3:5].[OH2:4] Esterification';
+
+  test('should import a reaction with its components and atom mapping', async () => {
+    const context = createContext();
+    const pathway = await Mutation.importReaction(null, { file: ESTERIFICATION, format: 'SMILES', duplicates: 'LINK' }, context);
+
+    expect(pathway).toMatchObject({ name: 'Esterification', metadata: { format: 'smiles' } });
+    expect(pathway.atom_mapping).toHaveLength(6);
+    expect(pathway.atom_mapping[3]).toEqual({ map: 4, reactant: 0, reactant_atom: 3, product: 1, product_atom: 0 });
+
+    const names = async role => (await ReactionPathway[role](pathway, null, context)).map(({ formula }) => formula);
+    expect(await names('reactants')).toEqual(['C2H4O2', 'CH4O']);
+    expect(await names('products')).toEqual(['C3H6O2', 'H2O']);
+    expect(await names('agents')).toEqual(['H']);
+    expect(await ReactionPathway.intermediates(pathway, null, context)).toEqual([]);
+  });
+
+  test('should link stored components and reject duplicates before storing', async () => {
+    const context = createContext();
+    const water = await Mutation.createMolecule(null, { input: { name: 'Water', smiles: 'O' } }, context);
+
+    const pathway = await Mutation.importReaction(null, { file: ESTERIFICATION, format: 'SMILES', duplicates: 'LINK' }, context);
+    expect(pathway.product_ids[1]).toBe(water.id);
+    expect(context.db.tables.molecules).toHaveLength(5);
+
+    const fresh = createContext(mockDatabase({ molecules: [water] }));
+    await expect(Mutation.importReaction(null, { file: ESTERIFICATION, format: 'SMILES', duplicates: 'REJECT' }, fresh))
+      .rejects.toThrow(`Duplicate of molecule ${water.id}`);
+    expect(fresh.db.tables.molecules).toEqual([water]);
+    expect(fresh.db.tables.reaction_pathways).toEqual([]);
+  });
+
+  test('should store nothing when the pathway cannot be stored', async () => {
+    const context = createContext();
+    const query = context.db.query;
+    context.db.query = (sql, params) => (sql.includes('INSERT INTO reaction_pathways')
+      ? Promise.reject(new Error('Connection lost'))
+      : query(sql, params));
+
+    await expect(Mutation.importReaction(null, { file: ESTERIFICATION, format: 'SMILES' }, context))
+      .rejects.toThrow('Connection lost');
+    expect(context.db.tables.molecules).toEqual([]);
+  });
+
+  test('should link components repeated within the reaction', async () => {
+    const context = createContext();
+    const pathway = await Mutation.importReaction(null, { file: 'O.[Na+]>>O.[Na+] Exchange', format: 'SMILES', duplicates: 'LINK' }, context);
+
+    expect(pathway.product_ids).toEqual(pathway.reactant_ids);
+    expect(context.db.tables.molecules).toHaveLength(2);
+    await expect(Mutation.importReaction(null, { file: 'O>>O', format: 'SMILES', duplicates: 'REJECT' }, createContext()))
+      .rejects.toThrow('Record 2 duplicates record 1 of the file');
+  });
+
+  test('should create pathways between stored molecules', async () => {
+    const context = createContext();
+    const create = smiles => Mutation.createMolecule(null, { input: { name: smiles, smiles } }, context);
+    const [methane, chlorine, chloromethane] = [await create('C'), await create('ClCl'), await create('CCl')];
+    const input = {
+      name: 'Chlorination',
+      reactant_ids: [methane.id, chlorine.id],
+      product_ids: [chloromethane.id],
+      atom_mapping: [{ map: 1, reactant: 0, reactant_atom: 0, product: 0, product_atom: 0 }]
+    };
+
+    const pathway = await Mutation.createReactionPathway(null, { input }, context);
+    expect(pathway).toMatchObject({ name: 'Chlorination', agent_ids: [], atom_mapping: input.atom_mapping });
+    expect(await Query.reactionPathway(null, { id: pathway.id }, context)).toBe(pathway);
+    expect(await Query.reactionPathways(null, { molecule_id: chlorine.id }, context)).toEqual([pathway]);
+    expect(await Query.reactionPathways(null, { molecule_id: 'molecules-9' }, context)).toEqual([]);
+
+    await expect(Mutation.createReactionPathway(null, { input: { ...input, product_ids: ['missing'] } }, context))
+      .rejects.toThrow('Molecule not found: missing');
+    await expect(Mutation.createReactionPathway(null, { input: { ...input, product_ids: [] } }, context))
+      .rejects.toThrow('A reaction pathway needs reactants and products');
+    const swapped = [{ map: 1, reactant: 1, reactant_atom: 0, product: 0, product_atom: 0 }];
+    await expect(Mutation.createReactionPathway(null, { input: { ...input, atom_mapping: swapped } }, context))
+      .rejects.toMatchObject({ message: 'Atom map number 1 pairs Cl with C', extensions: { code: 'BAD_USER_INPUT' } });
+  });
+});
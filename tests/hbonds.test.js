@@ -0,0 +1,124 @@
+/**
+ * Tests for hydrogen bond detection
+ */
+
+import { findHydrogenBonds, findHydrogenBondsBetween } from '../mcp-server/chemistry/hbonds.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const waterBonds = [{ from: 0, to: 1, order: 1 }, { from: 0, to: 2, order: 1 }];
+
+// Donor water with its first hydrogen pointing along +x at the acceptor
+const donorWater = {
+  atoms: [
+    { element: 'O', x: 0, y: 0, z: 0 },
+    { element: 'H', x: 0.96, y: 0, z: 0 },
+    { element: 'H', x: -0.24, y: 0.93, z: 0 }
+  ],
+  bonds: waterBonds
+};
+
+const acceptorWater = (x, y = 0) => ({
+  atoms: [
+    { element: 'O', x, y, z: 0 },
+    { element: 'H', x: x + 0.3, y: y + 0.9, z: 0.1 },
+    { element: 'H', x: x + 0.3, y: y - 0.9, z: 0.1 }
+  ],
+  bonds: waterBonds
+});
+
+function combine(first, second) {
+  return {
+    atoms: [...first.atoms, ...second.atoms],
+    bonds: [...first.bonds, ...second.bonds.map(bond => ({ ...bond, from: bond.from + 3, to: bond.to + 3 }))]
+  };
+}
+
+describe('findHydrogenBonds', () => {
+  test('should report the geometry of a water dimer hydrogen bond', () => {
+    expect(findHydrogenBonds(combine(donorWater, acceptorWater(2.9)))).toEqual([{
+      donor: 0,
+      hydrogen: 1,
+      acceptor: 3,
+      distance: 1.94,
+      donor_acceptor_distance: 2.9,
+      angle: 180
+    }]);
+  });
+
+  test('should apply the distance and angle cutoffs', () => {
+    expect(findHydrogenBonds(combine(donorWater, acceptorWater(3.6)))).toEqual([]);
+    expect(findHydrogenBonds(combine(donorWater, acceptorWater(3.6)), { maxDistance: 3 })).toHaveLength(1);
+
+    // H...A at 1.5 A off the D-H axis bends the angle to about 128 degrees
+    const bent = combine(donorWater, acceptorWater(2.5, 1.5));
+    expect(findHydrogenBonds(bent)).toHaveLength(1);
+    expect(findHydrogenBonds(bent, { minAngle: 150 })).toEqual([]);
+  });
+
+  test('should not count the donor group or saturated nitrogens', () => {
+    const ammonium = {
+      atoms: [
+        { element: 'N', x: 2.9, y: 0, z: 0, formalCharge: 1 },
+        { element: 'H', x: 3.9, y: 0, z: 0 }
+      ],
+      bonds: [{ from: 0, to: 1, order: 1 }]
+    };
+
+    expect(findHydrogenBonds(donorWater)).toEqual([]);
+    expect(findHydrogenBondsBetween(donorWater, ammonium)).toEqual([]);
+  });
+
+  test('should read positions from trajectory coordinates', () => {
+    const dimer = combine(donorWater, acceptorWater(5));
+    const coordinates = combine(donorWater, acceptorWater(2.9)).atoms.map(({ x, y, z }) => ({ x, y, z }));
+
+    expect(findHydrogenBonds(dimer)).toEqual([]);
+    expect(findHydrogenBonds(dimer, { coordinates })).toHaveLength(1);
+    expect(() => findHydrogenBonds(dimer, { coordinates: [] })).toThrow('Expected 6 coordinates, got 0');
+  });
+
+  test('should find bonds in both directions between two molecules', () => {
+    const bonds = findHydrogenBondsBetween(acceptorWater(2.9), donorWater);
+
+    expect(bonds).toEqual([expect.objectContaining({
+      donor: 0,
+      hydrogen: 1,
+      acceptor: 0,
+      donor_molecule: 1,
+      acceptor_molecule: 0
+    })]);
+  });
+
+  test('should reject invalid cutoffs', () => {
+    expect(() => findHydrogenBonds(donorWater, { maxDistance: 0 })).toThrow('Maximum distance must be a positive number');
+    expect(() => findHydrogenBonds(donorWater, { minAngle: 200 })).toThrow('Minimum angle must be between 0 and 180 degrees');
+  });
+});
+
+describe('MoleculeServer.findHydrogenBonds', () => {
+  const xyz = frames => frames.map((x, index) => [
+    '6', `time=${index}`,
+    'O 0 0 0', 'H 0.96 0 0', 'H -0.24 0.93 0',
+    `O ${x} 0 0`, `H ${x + 0.3} 0.9 0.1`, `H ${x + 0.3} -0.9 0.1`
+  ].join('\n')).join('\n');
+
+  test('should search a molecule, a pair of molecules and trajectory frames', () => {
+    const server = new MoleculeServer();
+    server.addMolecule({ id: 'donor-water', name: 'Donor water', ...donorWater });
+    server.addMolecule({ id: 'acceptor-water', name: 'Acceptor water', ...acceptorWater(2.9) });
+    server.importMolecule(xyz([2.9, 4.5]), 'XYZ', { id: 'water-pair' });
+
+    expect(server.findHydrogenBonds('donor-water')).toEqual({ molecule_id: 'donor-water', count: 0, hydrogen_bonds: [] });
+
+    const between = server.findHydrogenBonds('donor-water', { partner: 'acceptor-water' });
+    expect(between).toMatchObject({ partner_id: 'acceptor-water', count: 1 });
+    expect(between.hydrogen_bonds[0]).toMatchObject({ donor_molecule: 'donor-water', acceptor_molecule: 'acceptor-water' });
+
+    const frames = server.findHydrogenBonds('water-pair', { frames: true });
+    expect(frames.frames.map(({ frame, count }) => [frame, count])).toEqual([[0, 1], [1, 0]]);
+
+    expect(server.findHydrogenBonds('unknown')).toBeNull();
+    expect(server.findHydrogenBonds('donor-water', { partner: 'unknown' })).toBeNull();
+    expect(() => server.findHydrogenBonds('donor-water', { frames: true })).toThrow('Molecule donor-water has no trajectory');
+  });
+});
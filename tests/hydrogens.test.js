@@ -0,0 +1,142 @@
+/**
+ * Tests for hydrogen addition and removal
+ */
+
+import { addHydrogens, removeHydrogens } from '../mcp-server/chemistry/hydrogens.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { aromatize } from '../mcp-server/chemistry/bond-orders.js';
+import { hillFormula } from '../mcp-server/chemistry/formula.js';
+import { validateMolecule } from '../mcp-server/chemistry/validation.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+function angle(a, center, b) {
+  const u = [a.x - center.x, a.y - center.y, a.z - center.z];
+  const v = [b.x - center.x, b.y - center.y, b.z - center.z];
+  const cosine = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (Math.hypot(...u) * Math.hypot(...v));
+  return (Math.acos(cosine) * 180) / Math.PI;
+}
+
+// Heavy-atom skeleton with 3D coordinates, as read from a PDB file
+const skeleton = smiles => removeHydrogens(parseSMILES(smiles));
+
+describe('addHydrogens', () => {
+  test.each([
+    ['CCO', 'C2H6O'],
+    ['CC(=O)N', 'C2H5NO'],
+    ['c1ccncc1', 'C5H5N'],
+    ['c1cc[nH]c1', 'C4H5N'],
+    ['C#C', 'C2H2'],
+    ['CC(=O)[O-]', 'C2H3O2'],
+    ['C[NH3+]', 'CH6N'],
+    ['CS(=O)(=O)C', 'C2H6O2S']
+  ])('should complete %s to %s', (smiles, formula) => {
+    const molecule = addHydrogens(skeleton(smiles));
+
+    expect(hillFormula(molecule.atoms)).toBe(formula);
+    expect(validateMolecule(molecule)).toEqual([]);
+  });
+
+  test('should keep existing atoms and append bonded hydrogens', () => {
+    const ethanol = skeleton('CCO');
+    const molecule = addHydrogens(ethanol);
+
+    expect(molecule.atoms.slice(0, 3)).toEqual(ethanol.atoms);
+    expect(molecule.bonds.slice(0, 2)).toEqual(ethanol.bonds);
+    expect(molecule.bonds.slice(2).every(({ from, to }) => from < 3 && to >= 3)).toBe(true);
+  });
+
+  test('should place hydrogens at ideal lengths and angles', () => {
+    const methane = addHydrogens({ atoms: [{ element: 'C', x: 0, y: 0, z: 0 }], bonds: [] });
+    const [carbon, ...hydrogens] = methane.atoms;
+    hydrogens.forEach(hydrogen => expect(distance(carbon, hydrogen)).toBeCloseTo(1.07, 2));
+    expect(angle(hydrogens[0], carbon, hydrogens[1])).toBeCloseTo(109.47, 1);
+
+    const ethylene = addHydrogens(skeleton('C=C'));
+    const [c1, c2, h1, h2] = ethylene.atoms;
+    expect(angle(c2, c1, h1)).toBeCloseTo(120, 1);
+    expect(angle(h1, c1, h2)).toBeCloseTo(120, 1);
+
+    const acetylene = addHydrogens(skeleton('C#C'));
+    expect(angle(acetylene.atoms[1], acetylene.atoms[0], acetylene.atoms[2])).toBeCloseTo(180, 1);
+  });
+
+  test('should read aromatic bonds', () => {
+    expect(hillFormula(addHydrogens(aromatize(skeleton('c1ccccc1'))).atoms)).toBe('C6H6');
+  });
+
+  test('should give new hydrogens the residue of their atom', () => {
+    const atoms = [{ element: 'O', x: 0, y: 0, z: 0, residue: 'HOH', residueSeq: 7, chain: 'A', hetero: true, name: 'O' }];
+    const water = addHydrogens({ atoms, bonds: [] });
+
+    expect(water.atoms[1]).toMatchObject({ element: 'H', residue: 'HOH', residueSeq: 7, chain: 'A', hetero: true });
+    expect(water.atoms[1]).not.toHaveProperty('name');
+  });
+
+  test('should leave complete molecules unchanged', () => {
+    const molecule = parseSMILES('CCO');
+
+    expect(addHydrogens(molecule)).toBe(molecule);
+  });
+});
+
+describe('removeHydrogens', () => {
+  test('should remove all or only non-polar hydrogens and renumber bonds', () => {
+    const molecule = parseSMILES('OCC(=O)N');
+
+    const heavy = removeHydrogens(molecule);
+    expect(hillFormula(heavy.atoms)).toBe('C2NO2');
+    expect(heavy.bonds).toHaveLength(4);
+    expect(heavy.bonds.every(({ from, to }) => from < 5 && to < 5)).toBe(true);
+
+    const polar = removeHydrogens(molecule, { mode: 'nonpolar' });
+    expect(hillFormula(polar.atoms)).toBe('C2H3NO2');
+    expect(validateMolecule(polar)).toEqual([]);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => removeHydrogens(parseSMILES('C'), { mode: 'some' })).toThrow('Unsupported hydrogen removal mode: some');
+  });
+});
+
+describe('MoleculeServer.updateHydrogens', () => {
+  test('should strip and restore hydrogens with the composition', () => {
+    const server = new MoleculeServer();
+
+    const stripped = server.updateHydrogens('ethanol', { action: 'remove', mode: 'nonpolar' });
+    expect(stripped).toMatchObject({ formula: 'C2HO' });
+    expect(stripped.molecular_weight).toBeCloseTo(41.029, 3);
+
+    const restored = server.updateHydrogens('ethanol', { action: 'add' });
+    expect(restored.formula).toBe('C2H6O');
+    expect(server.getMolecule('ethanol')).toBe(restored);
+  });
+
+  test('should keep the structure it replaces as an earlier version', () => {
+    const server = new MoleculeServer();
+    const original = server.getMolecule('ethanol');
+
+    const stripped = server.updateHydrogens('ethanol', { action: 'remove' });
+    expect(original.version).toBe(1);
+    expect(stripped).toMatchObject({ id: 'ethanol', version: 2, formula: 'C2O' });
+    expect(server.getMoleculeVersion('ethanol', 1)).toBe(original);
+    expect(server.getMoleculeVersion('ethanol', '2')).toBe(stripped);
+    expect(server.getMoleculeVersion('ethanol', 3)).toBeNull();
+    expect(server.getMoleculeVersion('unknown', 1)).toBeNull();
+
+    // Nothing to add leaves the version as it is
+    const restored = server.updateHydrogens('ethanol', { action: 'add' });
+    expect(server.updateHydrogens('ethanol', { action: 'add' })).toBe(restored);
+    expect(restored.version).toBe(3);
+  });
+
+  test('should reject unknown actions and molecules with trajectories', () => {
+    const server = new MoleculeServer();
+    server.importMolecule('2\nt=0\nH 0 0 0\nH 0.74 0 0\n2\nt=1\nH 0 0 0\nH 0.80 0 0\n', 'XYZ', { name: 'H2' });
+
+    expect(() => server.updateHydrogens('water', { action: 'protonate' })).toThrow('Unsupported hydrogen action: protonate');
+    expect(server.updateHydrogens('unknown', { action: 'add' })).toBeNull();
+    expect(() => server.updateHydrogens('h2', { action: 'remove' })).toThrow('Trajectory frames of h2 have 2 atoms');
+  });
+});
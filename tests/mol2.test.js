@@ -0,0 +1,133 @@
+/**
+ * Tests for the Tripos MOL2 reader and writer
+ */
+
+import { parseMOL2, writeMOL2 } from '../mcp-server/formats/mol2.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const BENZAMIDE = `# docking output
+@<TRIPOS>MOLECULE
+benzamide
+ 9 9 1 0 0
+SMALL
+GASTEIGER
+
+@<TRIPOS>ATOM
+      1 C1          0.0000    1.3970    0.0000 C.ar    1  LIG1       -0.0500
+      2 C2          1.2098    0.6985    0.0000 C.ar    1  LIG1       -0.0600
+      3 C3          1.2098   -0.6985    0.0000 C.ar    1  LIG1       -0.0600
+      4 C4          0.0000   -1.3970    0.0000 C.ar    1  LIG1       -0.0600
+      5 C5         -1.2098   -0.6985    0.0000 C.ar    1  LIG1       -0.0600
+      6 C6         -1.2098    0.6985    0.0000 C.ar    1  LIG1       -0.0600
+      7 C7          0.0000    2.8970    0.0000 C.2     1  LIG1        0.2500
+      8 O1          1.0000    3.5000    0.0000 O.2     1  LIG1       -0.2700
+      9 N1         -1.1000    3.6000    0.0000 N.am    1  LIG1       -0.3700
+@<TRIPOS>BOND
+     1     1     2 ar
+     2     2     3 ar
+     3     3     4 ar
+     4     4     5 ar
+     5     5     6 ar
+     6     6     1 ar
+     7     1     7 1
+     8     7     8 2
+     9     7     9 am
+@<TRIPOS>SUBSTRUCTURE
+     1 LIG1        1 GROUP             0 A
+`;
+
+const SECOND = `@<TRIPOS>MOLECULE
+water
+ 3 2 0 0 0
+SMALL
+NO_CHARGES
+@<TRIPOS>ATOM
+ 1 OW 0.000 0.000 0.000 O.3
+ 2 HW1 0.757 0.586 0.000 H
+ 3 HW2 -0.757 0.586 0.000 H
+@<TRIPOS>BOND
+ 1 1 2 1
+ 2 1 3 1
+`;
+
+describe('parseMOL2', () => {
+  test('should keep SYBYL atom types, substructures and partial charges', () => {
+    const [molecule] = parseMOL2(BENZAMIDE);
+
+    expect(molecule.name).toBe('benzamide');
+    expect(molecule.atoms.length).toBe(9);
+    expect(molecule.atoms[8]).toEqual({
+      element: 'N',
+      x: -1.1,
+      y: 3.6,
+      z: 0,
+      name: 'N1',
+      atomType: 'N.am',
+      substructureId: 1,
+      residue: 'LIG1',
+      chain: 'A',
+      charge: -0.37
+    });
+    expect(molecule.metadata).toMatchObject({ format: 'mol2', moleculeType: 'SMALL', chargeType: 'GASTEIGER' });
+  });
+
+  test('should map ar bonds to aromatic and keep amide bond types', () => {
+    const [molecule] = parseMOL2(BENZAMIDE);
+
+    expect(molecule.bonds[0]).toEqual({ from: 0, to: 1, order: 1.5, aromatic: true });
+    expect(molecule.bonds[7]).toEqual({ from: 6, to: 7, order: 2 });
+    expect(molecule.bonds[8]).toEqual({ from: 6, to: 8, order: 1, sybylType: 'am' });
+  });
+
+  test('should ignore charges when the charge type is NO_CHARGES', () => {
+    const [water] = parseMOL2(SECOND);
+    expect(water.atoms.every(atom => atom.charge === undefined)).toBe(true);
+  });
+
+  test('should return one molecule per MOLECULE record', () => {
+    const molecules = parseMOL2(`${BENZAMIDE}${SECOND}`);
+    expect(molecules.map(m => m.name)).toEqual(['benzamide', 'water']);
+  });
+
+  test('should reject bonds to missing atoms', () => {
+    const text = SECOND.replace(' 2 1 3 1', ' 2 1 7 1');
+    expect(() => parseMOL2(text)).toThrow('references a missing atom');
+  });
+
+  test('should reject text without MOLECULE records', () => {
+    expect(() => parseMOL2('not a mol2 file')).toThrow('no @<TRIPOS>MOLECULE records');
+  });
+});
+
+describe('writeMOL2', () => {
+  test('should round-trip atom types, charges and bond types', () => {
+    const [original] = parseMOL2(BENZAMIDE);
+    const [copy] = parseMOL2(writeMOL2(original));
+
+    expect(copy.atoms).toEqual(original.atoms);
+    expect(copy.bonds).toEqual(original.bonds);
+    expect(copy.metadata.chargeType).toBe('GASTEIGER');
+  });
+
+  test('should assign SYBYL types to molecules without them', () => {
+    const server = new MoleculeServer();
+    const [ethanol] = parseMOL2(server.exportMolecule('ethanol', 'MOL2'));
+    const [benzene] = parseMOL2(server.exportMolecule('benzene', 'MOL2'));
+
+    expect(ethanol.atoms.map(a => a.atomType).slice(0, 3)).toEqual(['C.3', 'C.3', 'O.3']);
+    expect(benzene.atoms[0].atomType).toBe('C.ar');
+    expect(benzene.bonds[0]).toEqual({ from: 0, to: 1, order: 1.5, aromatic: true });
+    expect(benzene.atoms[6].atomType).toBe('H');
+    expect(benzene.metadata.chargeType).toBe('NO_CHARGES');
+  });
+});
+
+describe('MoleculeServer MOL2 import', () => {
+  test('should import through the MOL2 format identifier', () => {
+    const molecule = new MoleculeServer().importMolecule(BENZAMIDE, 'MOL2');
+
+    expect(molecule.id).toBe('benzamide');
+    expect(molecule.formula).toBe('C7NO');
+    expect(molecule.atoms[6].charge).toBe(0.25);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tests for the molecule repository and the static data bundle
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runInNewContext } from 'vm';
+import { DirectoryRepository, MemoryRepository } from '../mcp-server/molecule-repository.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+import { writeSDF } from '../mcp-server/formats/sdf.js';
+import { generateMoleculesData, OUTPUT_FILE } from '../build-molecules-data.js';
+
+const water = {
+  name: 'Water',
+  atoms: [
+    { element: 'O', x: 0, y: 0, z: 0 },
+    { element: 'H', x: 0.757, y: 0.586, z: 0 },
+    { element: 'H', x: -0.757, y: 0.586, z: 0 }
+  ],
+  bonds: [
+    { from: 0, to: 1, order: 1 },
+    { from: 0, to: 2, order: 1 }
+  ]
+};
+
+const XYZ_AMMONIA = `4
+Ammonia
+N 0.000 0.000 0.000
+H 0.940 0.000 -0.380
+H -0.470 0.814 -0.380
+H -0.470 -0.814 -0.380
+`;
+
+// Resolve with the first repository event, or reject after a timeout
+function nextEvent(repository, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    let stop;
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error('No repository event'));
+    }, timeout);
+    stop = repository.watch(event => {
+      clearTimeout(timer);
+      stop();
+      resolve(event);
+    });
+  });
+}
+
+describe('DirectoryRepository', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'molecules-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should load one molecule per structure file, named by the file', () => {
+    writeFileSync(join(directory, 'water.mol'), writeSDF(water));
+    writeFileSync(join(directory, 'ammonia.xyz'), XYZ_AMMONIA);
+    writeFileSync(join(directory, 'README.txt'), 'not a structure');
+
+    const molecules = new DirectoryRepository({ directory }).load();
+
+    expect(molecules.map(m => m.id)).toEqual(['ammonia', 'water']);
+    expect(molecules[1].atoms).toEqual(water.atoms);
+    expect(molecules[0].bonds).toHaveLength(3);
+    expect(molecules[1].metadata.source).toBe('water.mol');
+  });
+
+  test('should number the records of multi-record files', () => {
+    writeFileSync(join(directory, 'solvents.sdf'), writeSDF(water) + '$$$$\n' + writeSDF(water) + '$$$$\n');
+
+    const ids = new DirectoryRepository({ directory }).load().map(m => m.id);
+
+    expect(ids).toEqual(['solvents', 'solvents-2']);
+  });
+
+  test('should skip unreadable files with a warning', () => {
+    writeFileSync(join(directory, 'broken.pdb'), 'nothing here');
+    writeFileSync(join(directory, 'water.mol'), writeSDF(water));
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+
+    let molecules;
+    try {
+      molecules = new DirectoryRepository({ directory }).load();
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(molecules.map(m => m.id)).toEqual(['water']);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/^WARNING: Skipping broken\.pdb/);
+  });
+
+  test('should report added, changed and removed files', async () => {
+    const repository = new DirectoryRepository({ directory });
+    repository.load();
+
+    const added = nextEvent(repository);
+    writeFileSync(join(directory, 'water.mol'), writeSDF(water));
+    expect(await added).toMatchObject({ type: 'add', id: 'water', molecule: { name: 'Water' } });
+
+    const changed = nextEvent(repository);
+    writeFileSync(join(directory, 'water.mol'), writeSDF({ ...water, name: 'Oxidane' }));
+    expect(await changed).toMatchObject({ type: 'change', id: 'water', molecule: { name: 'Oxidane' } });
+
+    const removed = nextEvent(repository);
+    unlinkSync(join(directory, 'water.mol'));
+    expect(await removed).toMatchObject({ type: 'remove', id: 'water' });
+    expect(repository.load()).toEqual([]);
+  });
+
+  test('should not watch a missing directory', () => {
+    const repository = new DirectoryRepository({ directory: join(directory, 'missing') });
+    const stop = repository.watch(() => {});
+
+    expect(typeof stop).toBe('function');
+    expect(repository.load()).toEqual([]);
+    stop();
+  });
+});
+
+describe('MoleculeServer repository', () => {
+  test('should serve the molecules of any repository', () => {
+    const server = new MoleculeServer({ repository: new MemoryRepository([{ id: 'water', ...water }]) });
+
+    expect(server.getAllMolecules()).toEqual([
+      { id: 'water', name: 'Water', formula: 'H2O', molecular_weight: 18.015 }
+    ]);
+  });
+
+  test('should follow repository changes while watching', () => {
+    let listener;
+    const stop = () => {};
+    const repository = {
+      load: () => [{ id: 'water', ...water }],
+      watch(callback) {
+        listener = callback;
+        return stop;
+      }
+    };
+    const server = new MoleculeServer({ repository });
+
+    expect(server.watchRepository()).toBe(stop);
+    listener({ type: 'add', id: 'ammonia', molecule: { id: 'ammonia', name: 'Ammonia', atoms: [{ element: 'N', x: 0, y: 0, z: 0 }], bonds: [] } });
+    listener({ type: 'remove', id: 'water', molecule: { id: 'water', ...water } });
+
+    expect(server.getAllMolecules().map(m => [m.id, m.formula])).toEqual([['ammonia', 'N']]);
+  });
+
+  test('should skip invalid molecules from the repository with a warning', () => {
+    let listener;
+    const repository = {
+      load: () => [{ id: 'water', ...water }],
+      watch(callback) {
+        listener = callback;
+        return () => {};
+      }
+    };
+    const server = new MoleculeServer({ repository });
+    server.watchRepository();
+    const broken = { ...water, bonds: [{ from: 0, to: 5, order: 1 }] };
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    try {
+      listener({ type: 'change', id: 'water', molecule: { id: 'water', ...broken } });
+      listener({ type: 'add', id: 'broken', molecule: { id: 'broken', ...broken } });
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(warnings).toEqual([
+      expect.stringMatching(/^WARNING: Skipping water: Invalid structure: /),
+      expect.stringMatching(/^WARNING: Skipping broken: Invalid structure: /)
+    ]);
+    expect(server.getAllMolecules().map(m => m.id)).toEqual(['water']);
+    expect(server.getMolecule('water').version).toBe(1);
+  });
+
+  test('should start watching with a missing data directory', () => {
+    const missing = join(tmpdir(), 'molecules-missing', String(process.pid));
+    const server = new MoleculeServer({ repository: new DirectoryRepository({ directory: missing }) });
+    const stop = server.watchRepository();
+
+    expect(server.getAllMolecules()).toEqual([]);
+    stop();
+  });
+});
+
+describe('static molecule data', () => {
+  test('should be generated from the data directory', () => {
+    expect(readFileSync(OUTPUT_FILE, 'utf8')).toBe(generateMoleculesData());
+  });
+
+  test('should search formulas in Hill notation like the server', () => {
+    const MoleculesAPI = runInNewContext(`${readFileSync(OUTPUT_FILE, 'utf8')}\nMoleculesAPI`);
+    const server = new MoleculeServer();
+
+    ['C2H5OH', 'OCO', 'h2o', 'Benz', 'C6'].forEach(query => {
+      expect(MoleculesAPI.searchMolecules(query)).toEqual(server.searchMolecules(query));
+    });
+    expect(MoleculesAPI.searchMolecules('C2H5OH').map(mol => mol.id)).toEqual(['ethanol']);
+  });
+});
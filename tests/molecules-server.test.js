@@ -142,4 +142,194 @@ describe('MoleculeServer', () => {
       expect(resultsLower.length).toBe(resultsMixed.length);
     });
   });
+
+  describe('substructure search', () => {
+    test('should find molecules containing a fragment', () => {
+      const results = moleculeServer.searchMolecules('[OX2H1]', { mode: 'substructure' });
+
+      expect(results.map(m => m.id)).toEqual(['ethanol']);
+      expect(results.find(m => m.id === 'ethanol').matches).toEqual([[2]]);
+    });
+
+    test('should match aromatic queries against Kekulé rings', () => {
+      expect(moleculeServer.substructureSearch('c1ccccc1')).toEqual([
+        { id: 'benzene', name: 'Benzene', formula: 'C6H6', matches: [[0, 1, 2, 3, 4, 5]] }
+      ]);
+      expect(moleculeServer.substructureSearch('C=C')).toEqual([]);
+      expect(moleculeServer.substructureSearch('O=C=O').map(m => m.id)).toEqual(['co2']);
+    });
+
+    test('should reject invalid queries and modes', () => {
+      expect(() => moleculeServer.searchMolecules('C1CC', { mode: 'substructure' })).toThrow('unclosed ring bond 1');
+      expect(() => moleculeServer.searchMolecules('water', { mode: 'fuzzy' })).toThrow('Unsupported search mode: fuzzy');
+    });
+  });
+
+  describe('similarity search', () => {
+    test('should rank molecules by Tanimoto similarity', () => {
+      const results = moleculeServer.searchMolecules('CCCO', { mode: 'similarity' });
+
+      expect(results[0].id).toBe('ethanol');
+      expect(results[0].similarity).toBeGreaterThan(0);
+      expect(results[0].similarity).toBeLessThan(1);
+      expect(results.map(m => m.id)).not.toContain('benzene');
+    });
+
+    test('should apply k and threshold', () => {
+      expect(moleculeServer.similaritySearch('CCO', { threshold: 1 })).toEqual([
+        { id: 'ethanol', name: 'Ethanol', formula: 'C2H6O', similarity: 1 }
+      ]);
+      expect(moleculeServer.similaritySearch('CO', { k: 1 })).toHaveLength(1);
+      expect(() => moleculeServer.similaritySearch('CO', { k: 0 })).toThrow('k must be a positive integer');
+      expect(() => moleculeServer.similaritySearch('CO', { threshold: '2' })).toThrow('threshold must be between 0 and 1');
+    });
+
+    test('should find molecules similar to a stored one', () => {
+      expect(moleculeServer.findSimilarMolecules('ethanol').map(m => m.id)).not.toContain('ethanol');
+      expect(moleculeServer.findSimilarMolecules('unknown')).toBeNull();
+    });
+
+    test('should recompute the fingerprint when updateMolecule changes the structure', () => {
+      const before = moleculeServer.getFingerprint('ethanol');
+      expect(moleculeServer.getFingerprint('ethanol')).toBe(before);
+
+      moleculeServer.updateMolecule('ethanol', { name: 'Ethyl alcohol' });
+      expect(moleculeServer.getFingerprint('ethanol')).toBe(before);
+
+      const methane = moleculeServer.getMolecule('methane');
+      const updated = moleculeServer.updateMolecule('ethanol', { atoms: methane.atoms, bonds: methane.bonds });
+
+      expect(updated.formula).toBe('CH4');
+      expect(moleculeServer.getFingerprint('ethanol')).toEqual(moleculeServer.getFingerprint('methane'));
+      expect(moleculeServer.similaritySearch('C', { threshold: 1 }).map(m => m.id)).toEqual(['ethanol', 'methane']);
+    });
+  });
+
+  describe('listMolecules', () => {
+    test('should list every molecule by name with a total count', () => {
+      const page = moleculeServer.listMolecules();
+
+      expect(page.molecules.map(m => m.id)).toEqual(['benzene', 'co2', 'ethanol', 'methane', 'water']);
+      expect(page.molecules[4]).toEqual({
+        id: 'water',
+        name: 'Water',
+        formula: 'H2O',
+        molecular_weight: 18.015,
+        atom_count: 3
+      });
+      expect(page.total_count).toBe(5);
+      expect(page.page_info.has_next_page).toBe(false);
+    });
+
+    test('should filter by elements, atom count, weight and bond order', () => {
+      const ids = options => moleculeServer.listMolecules(options).molecules.map(m => m.id);
+
+      expect(ids({ element: 'C,h' })).toEqual(['benzene', 'ethanol', 'methane']);
+      expect(ids({ element: ['C', 'O'] })).toEqual(['co2', 'ethanol']);
+      expect(ids({ min_atoms: '5', max_atoms: '9' })).toEqual(['ethanol', 'methane']);
+      expect(ids({ min_weight: 40, max_weight: 50 })).toEqual(['co2', 'ethanol']);
+      expect(ids({ bond_order: 'double' })).toEqual(['co2']);
+    });
+
+    test('should perceive aromatic rings stored in Kekulé form', () => {
+      const ids = options => moleculeServer.listMolecules(options).molecules.map(m => m.id);
+
+      expect(moleculeServer.getMolecule('benzene').bonds.some(bond => bond.aromatic)).toBe(false);
+      expect(ids({ bond_order: 'aromatic' })).toEqual(['benzene']);
+      expect(ids({ bond_order: 'single,aromatic' })).toEqual(['benzene']);
+
+      moleculeServer.addMolecule({ id: 'cyclohexadiene', name: 'Cyclohexadiene', smiles: 'C1=CCC=CC1' });
+      expect(ids({ bond_order: 'double' })).toEqual(['co2', 'cyclohexadiene']);
+    });
+
+    test('should see stored aromatic bonds', () => {
+      moleculeServer.updateBondOrders('benzene', 'aromatize');
+
+      expect(moleculeServer.listMolecules({ bond_order: 'aromatic' }).molecules.map(m => m.id)).toEqual(['benzene']);
+    });
+
+    test('should sort by any key in either direction', () => {
+      const ids = sort => moleculeServer.listMolecules({ sort }).molecules.map(m => m.id);
+
+      expect(ids('molecular_weight')).toEqual(['methane', 'water', 'co2', 'ethanol', 'benzene']);
+      expect(ids('-atom_count')).toEqual(['benzene', 'ethanol', 'methane', 'co2', 'water']);
+    });
+
+    test('should page with cursors', () => {
+      const first = moleculeServer.listMolecules({ sort: '-molecular_weight', limit: 3 });
+      const second = moleculeServer.listMolecules({ sort: '-molecular_weight', limit: 3, cursor: first.page_info.end_cursor });
+
+      expect(first.molecules.map(m => m.id)).toEqual(['benzene', 'ethanol', 'co2']);
+      expect(first.page_info.has_next_page).toBe(true);
+      expect(second.molecules.map(m => m.id)).toEqual(['water', 'methane']);
+      expect(second.page_info.has_next_page).toBe(false);
+      expect(second.total_count).toBe(5);
+    });
+
+    test('should reject invalid options', () => {
+      const cursor = moleculeServer.listMolecules({ limit: 1 }).page_info.end_cursor;
+
+      expect(() => moleculeServer.listMolecules({ element: 'Xx' })).toThrow('Unknown element: Xx');
+      expect(() => moleculeServer.listMolecules({ min_atoms: '1.5' })).toThrow('min_atoms must be a non-negative integer');
+      expect(() => moleculeServer.listMolecules({ bond_order: 'quadruple' })).toThrow('Unsupported bond order: quadruple');
+      expect(() => moleculeServer.listMolecules({ limit: 500 })).toThrow('limit must be between 1 and 200');
+      expect(() => moleculeServer.listMolecules({ sort: ['id', 'name'] })).toThrow('Unsupported sort key: id,name');
+      expect(() => moleculeServer.listMolecules({ sort: 'constructor' })).toThrow('Unsupported sort key: constructor');
+      expect(() => moleculeServer.listMolecules({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+      expect(() => moleculeServer.listMolecules({ cursor, sort: 'id' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('canonical identifiers', () => {
+    test('should store canonical SMILES and hashes', () => {
+      const ethanol = moleculeServer.getMolecule('ethanol');
+
+      expect(ethanol).toMatchObject({ smiles: 'C(C)O', canonical_smiles: 'C(C)O' });
+      expect(ethanol.canonical_hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should keep a supplied SMILES string', () => {
+      const molecule = moleculeServer.addMolecule({ name: 'Ethanol copy', smiles: 'OCC' });
+
+      expect(molecule).toMatchObject({ smiles: 'OCC', canonical_smiles: 'C(C)O' });
+    });
+
+    test('should mark duplicates by default', () => {
+      const molecule = moleculeServer.addMolecule({ name: 'Ethanol copy', smiles: 'OCC' });
+
+      expect(molecule.duplicate_of).toBe('ethanol');
+      expect(moleculeServer.findByCanonicalHash(molecule.canonical_hash).id).toBe('ethanol');
+      expect(moleculeServer.getMolecule('ethanol-copy')).toBe(molecule);
+    });
+
+    test('should link or reject duplicates on request', () => {
+      const linked = moleculeServer.addMolecule({ name: 'Ethanol copy', smiles: 'OCC' }, { duplicates: 'link' });
+      expect(linked).toBe(moleculeServer.getMolecule('ethanol'));
+      expect(moleculeServer.getMolecule('ethanol-copy')).toBeNull();
+
+      expect(() => moleculeServer.addMolecule({ name: 'Ethanol copy', smiles: 'OCC' }, { duplicates: 'reject' }))
+        .toThrow('Duplicate of molecule ethanol');
+      expect(() => moleculeServer.addMolecule({ smiles: 'CCCC' }, { duplicates: 'merge' }))
+        .toThrow('Unsupported duplicate policy: merge');
+    });
+
+    test('should store nothing from an import with a rejected record', () => {
+      let error;
+      try {
+        moleculeServer.importMolecules('CCCC butane\nOCC ethanol copy\n', 'SMILES', { duplicates: 'reject' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.duplicateOf).toBe('ethanol');
+      expect(moleculeServer.getMolecule('butane')).toBeNull();
+    });
+
+    test('should recompute identifiers when the structure changes', () => {
+      const methane = moleculeServer.getMolecule('methane');
+      const updated = moleculeServer.updateMolecule('ethanol', { atoms: methane.atoms, bonds: methane.bonds });
+
+      expect(updated).toMatchObject({ smiles: 'C', canonical_hash: methane.canonical_hash });
+    });
+  });
 });
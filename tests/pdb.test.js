@@ -0,0 +1,157 @@
+/**
+ * Tests for the PDB file reader
+ */
+
+import { parsePDB } from '../mcp-server/formats/pdb.js';
+import { parseMolecule } from '../mcp-server/formats/index.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const PEPTIDE = [
+  'HEADER    STRUCTURAL PROTEIN                      01-JAN-24   1ABC              ',
+  'TITLE     TEST PEPTIDE                                                          ',
+  'CRYST1   40.960   18.650   22.520  90.00  90.77  90.00 P 1 21 1      2          ',
+  'ATOM      1  N   GLY A   1      -8.901   4.127  -0.555  1.00 11.99           N  ',
+  'ATOM      2  CA  GLY A   1      -8.608   3.135  -1.618  1.00 11.85           C  ',
+  'ATOM      3  C   GLY A   1      -7.117   2.964  -1.897  1.00 11.99           C  ',
+  'ATOM      4  O   GLY A   1      -6.634   1.849  -1.758  1.00 12.01           O  ',
+  'ATOM      5  N   SER A   2      -6.379   4.031  -2.228  1.00 11.38           N  ',
+  'ATOM      6  CA ASER A   2      -4.923   4.002  -2.452  0.40 10.73           C  ',
+  'ATOM      7  CA BSER A   2      -4.950   4.100  -2.400  0.60 10.73           C  ',
+  'TER       8      SER A   2                                                      ',
+  'HETATM    9 ZN    ZN B 101       1.000   2.000   3.000  1.00 20.00          ZN2+',
+  'END                                                                             '
+].join('\n');
+
+const LIGAND = [
+  'HETATM    1  C1  CO2 A   1       0.000   0.000   0.000  1.00  0.00           C',
+  'HETATM    2  O1  CO2 A   1       1.162   0.000   0.000  1.00  0.00           O',
+  'HETATM    3  O2  CO2 A   1      -1.162   0.000   0.000  1.00  0.00           O',
+  'CONECT    1    2    2    3    3',
+  'CONECT    2    1    1',
+  'CONECT    3    1    1',
+  'END'
+].join('\n');
+
+describe('parsePDB', () => {
+  test('should read atoms with residue and chain information', () => {
+    const molecule = parsePDB(PEPTIDE);
+
+    expect(molecule.atoms.length).toBe(7);
+    expect(molecule.atoms[1]).toMatchObject({
+      element: 'C',
+      name: 'CA',
+      residue: 'GLY',
+      residueSeq: 1,
+      chain: 'A',
+      occupancy: 1,
+      bFactor: 11.85,
+      hetero: false
+    });
+    expect(molecule.atoms[1].x).toBeCloseTo(-8.608);
+  });
+
+  test('should keep the highest occupancy alternate location', () => {
+    const molecule = parsePDB(PEPTIDE);
+    const serineCA = molecule.atoms.filter(a => a.residue === 'SER' && a.name === 'CA');
+
+    expect(serineCA.length).toBe(1);
+    expect(serineCA[0].altLoc).toBe('B');
+    expect(serineCA[0].occupancy).toBe(0.6);
+  });
+
+  test('should select a requested alternate location', () => {
+    const molecule = parsePDB(PEPTIDE, { altLoc: 'A' });
+    const serineCA = molecule.atoms.find(a => a.residue === 'SER' && a.name === 'CA');
+
+    expect(serineCA.altLoc).toBe('A');
+  });
+
+  test('should read hetero atoms with formal charges', () => {
+    const molecule = parsePDB(PEPTIDE);
+    const zinc = molecule.atoms.find(a => a.residue === 'ZN');
+
+    expect(zinc).toMatchObject({ element: 'Zn', hetero: true, chain: 'B', formalCharge: 2 });
+  });
+
+  test('should record header, title, chains and unit cell in metadata', () => {
+    const { name, metadata } = parsePDB(PEPTIDE);
+
+    expect(name).toBe('TEST PEPTIDE');
+    expect(metadata).toMatchObject({
+      format: 'pdb',
+      idCode: '1ABC',
+      classification: 'STRUCTURAL PROTEIN',
+      chains: ['A', 'B'],
+      residueCount: 3,
+      modelCount: 1,
+      spaceGroup: 'P 1 21 1'
+    });
+    expect(metadata.cell.a).toBeCloseTo(40.96);
+  });
+
+  test('should build bonds from CONECT records with repeated partners as orders', () => {
+    const molecule = parsePDB(LIGAND);
+
+    expect(molecule.bonds).toEqual([
+      { from: 0, to: 1, order: 2 },
+      { from: 0, to: 2, order: 2 }
+    ]);
+  });
+
+  test('should only read the first model', () => {
+    const text = [
+      'MODEL        1',
+      'ATOM      1  N   GLY A   1       0.000   0.000   0.000  1.00  0.00           N',
+      'ENDMDL',
+      'MODEL        2',
+      'ATOM      1  N   GLY A   1       1.000   0.000   0.000  1.00  0.00           N',
+      'ENDMDL'
+    ].join('\n');
+    const molecule = parsePDB(text);
+
+    expect(molecule.atoms.length).toBe(1);
+    expect(molecule.metadata.modelCount).toBe(2);
+  });
+
+  test('should infer elements from atom names when columns 77-78 are blank', () => {
+    const text = [
+      'ATOM      1  CA  GLY A   1       0.000   0.000   0.000',
+      'HETATM    2 CA    CA A   2       1.000   0.000   0.000',
+      'ATOM      3 HG12 VAL A   3       2.000   0.000   0.000'
+    ].join('\n');
+    const elements = parsePDB(text).atoms.map(a => a.element);
+
+    expect(elements).toEqual(['C', 'Ca', 'H']);
+  });
+
+  test('should reject files without atoms', () => {
+    expect(() => parsePDB('HEADER    EMPTY\nEND')).toThrow('no ATOM or HETATM records');
+  });
+});
+
+describe('parseMolecule', () => {
+  test('should accept GraphQL format identifiers', () => {
+    expect(parseMolecule(LIGAND, 'PDB').atoms.length).toBe(3);
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => parseMolecule(LIGAND, 'PNG')).toThrow('Unsupported format: PNG');
+  });
+});
+
+describe('MoleculeServer.importMolecule', () => {
+  test('should store the imported molecule with a generated id and formula', () => {
+    const server = new MoleculeServer();
+    const molecule = server.importMolecule(LIGAND, 'pdb', { name: 'Carbon Dioxide' });
+
+    expect(molecule.id).toBe('carbon-dioxide');
+    expect(molecule.formula).toBe('CO2');
+    expect(server.getMolecule('carbon-dioxide')).toBe(molecule);
+    expect(server.getAllMolecules().length).toBe(6);
+  });
+
+  test('should not leak imports into other server instances', () => {
+    new MoleculeServer().importMolecule(LIGAND, 'pdb', { name: 'Leaked' });
+    expect(new MoleculeServer().getMolecule('leaked')).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for reaction files: MDL RXN, reaction SMILES and atom mapping
+ */
+
+import { parseRXN } from '../mcp-server/formats/rxn.js';
+import { parseReactionSMILES } from '../mcp-server/formats/smiles.js';
+import { parseReaction, REACTION_FORMATS } from '../mcp-server/formats/index.js';
+import { parseSDF, writeSDF } from '../mcp-server/formats/sdf.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+
+// Acid-catalyzed esterification of acetic acid with methanol
+const REACTANTS = ['[CH3:1][C:2](=[O:3])[OH:4]', '[CH3:5][OH:6]'];
+const PRODUCTS = ['[CH3:1][C:2](=[O:3])[O:6][CH3:5]', '[OH2:4]'];
+const REACTION_SMILES = `${REACTANTS.join('.')}>[H+]>${PRODUCTS.join('.')} Esterification`;
+
+const EXPECTED_MAPPING = [
+  { map: 1, reactant: 0, reactant_atom: 0, product: 0, product_atom: 0 },
+  { map: 2, reactant: 0, reactant_atom: 1, product: 0, product_atom: 1 },
+  { map: 3, reactant: 0, reactant_atom: 2, product: 0, product_atom: 2 },
+  { map: 4, reactant: 0, reactant_atom: 3, product: 1, product_atom: 0 },
+  { map: 5, reactant: 1, reactant_atom: 0, product: 0, product_atom: 4 },
+  { map: 6, reactant: 1, reactant_atom: 1, product: 0, product_atom: 3 }
+];
+
+// Molfile of a SMILES structure, without the $$$$ terminator
+const molfile = (smiles, options) => writeSDF(parseSMILES(smiles), options).replace(/\$\$\$\$\n$/, '');
+
+function rxnV2000() {
+  return [
+    '$RXN',
+    'Esterification',
+    '  MOLECULA',
+    'Fischer esterification',
+    '  2  2',
+    ...[...REACTANTS, ...PRODUCTS].flatMap(smiles => ['$MOL', molfile(smiles)])
+  ].join('\n');
+}
+
+function rxnV3000() {
+  const ctab = smiles => {
+    const lines = molfile(smiles, { version: 'V3000' }).split('\n');
+    return lines.slice(lines.indexOf('M  V30 BEGIN CTAB'), lines.indexOf('M  V30 END CTAB') + 1);
+  };
+  return [
+    '$RXN V3000',
+    'Esterification',
+    '',
+    '',
+    'M  V30 COUNTS 2 2',
+    'M  V30 BEGIN REACTANT',
+    ...REACTANTS.flatMap(ctab),
+    'M  V30 END REACTANT',
+    'M  V30 BEGIN PRODUCT',
+    ...PRODUCTS.flatMap(ctab),
+    'M  V30 END PRODUCT',
+    'M  END'
+  ].join('\n');
+}
+
+describe('Molfile atom mapping numbers', () => {
+  test('should round-trip in V2000 and V3000', () => {
+    ['V2000', 'V3000'].forEach(version => {
+      const [molecule] = parseSDF(molfile(REACTANTS[0], { version }));
+      expect(molecule.atoms.slice(0, 4).map(atom => atom.mapNumber)).toEqual([1, 2, 3, 4]);
+      expect(molecule.atoms[4]).not.toHaveProperty('mapNumber');
+    });
+  });
+});
+
+describe('parseRXN', () => {
+  test('should read V2000 reactions', () => {
+    const reaction = parseRXN(rxnV2000());
+    expect(reaction.name).toBe('Esterification');
+    expect(reaction.metadata).toEqual({
+      format: 'rxn',
+      version: 'V2000',
+      program: 'MOLECULA',
+      comment: 'Fischer esterification'
+    });
+    expect(reaction.reactants.map(({ atoms }) => atoms.length)).toEqual([8, 6]);
+    expect(reaction.products.map(({ atoms }) => atoms.length)).toEqual([11, 3]);
+    expect(reaction.agents).toEqual([]);
+  });
+
+  test('should read V3000 reactions', () => {
+    const reaction = parseRXN(rxnV3000(), { name: 'Renamed' });
+    expect(reaction.name).toBe('Renamed');
+    expect(reaction.metadata.version).toBe('V3000');
+    expect(reaction.reactants).toHaveLength(2);
+    expect(reaction.products[1].atoms.map(({ element }) => element)).toEqual(['O', 'H', 'H']);
+  });
+
+  test('should reject malformed files', () => {
+    expect(() => parseRXN('$MOL\n')).toThrow('RXN file must start with $RXN');
+    expect(() => parseRXN('$RXN\nname\n\n\n')).toThrow('RXN counts line is missing');
+    expect(() => parseRXN(`$RXN\nname\n\n\n  1  1\n$MOL\n${molfile('C')}`)).toThrow('RXN file has 1 of 2 $MOL records');
+    expect(() => parseRXN(`$RXN\nname\n\n\n  1  0\n$MOL\n${molfile('C')}`)).toThrow('Reaction has no products');
+    expect(() => parseRXN('$RXN\nname\n\n\n  1  1\n$MOL\nbad\n$MOL\nbad')).toThrow(/^RXN reactant 1: /);
+  });
+});
+
+describe('parseReactionSMILES', () => {
+  test('should split reactants, agents and products', () => {
+    const reaction = parseReactionSMILES(REACTION_SMILES);
+    expect(reaction.name).toBe('Esterification');
+    expect(reaction.metadata).toEqual({ format: 'smiles', smiles: REACTION_SMILES.split(' ')[0] });
+    expect(reaction.reactants.map(({ smiles }) => smiles)).toEqual(REACTANTS);
+    expect(reaction.agents.map(({ smiles }) => smiles)).toEqual(['[H+]']);
+    expect(reaction.products.map(({ smiles }) => smiles)).toEqual(PRODUCTS);
+  });
+
+  test('should allow a reaction without agents', () => {
+    const reaction = parseReactionSMILES('CC=C.[H][H]>>CCC', { name: 'Hydrogenation' });
+    expect(reaction.name).toBe('Hydrogenation');
+    expect(reaction.agents).toEqual([]);
+    expect(reaction.products[0].name).toBe('CCC');
+  });
+
+  test('should reject strings that are not reactions', () => {
+    expect(() => parseReactionSMILES('CCO')).toThrow('Reaction SMILES must have the form reactants>agents>products: CCO');
+    expect(() => parseReactionSMILES('>>CCO')).toThrow('Reaction has no reactants');
+    expect(() => parseReactionSMILES('CCO>>')).toThrow('Reaction has no products');
+    expect(() => parseReactionSMILES('# comment only')).toThrow('SMILES file contains no reaction');
+  });
+});
+
+describe('parseReaction', () => {
+  test('should pair mapped atoms in every reaction format', () => {
+    expect(REACTION_FORMATS).toEqual(['rxn', 'smiles', 'smi', 'rsmi']);
+    expect(parseReaction(REACTION_SMILES, 'SMILES').atom_mapping).toEqual(EXPECTED_MAPPING);
+    expect(parseReaction(rxnV2000(), 'RXN').atom_mapping).toEqual(EXPECTED_MAPPING);
+    expect(parseReaction(rxnV3000(), '.rxn').atom_mapping).toEqual(EXPECTED_MAPPING);
+  });
+
+  test('should leave unmatched map numbers unpaired', () => {
+    expect(parseReaction('[CH3:1][Br:2].[OH-:3]>>[CH3:1][OH:3].[Br-]', 'SMILES').atom_mapping).toEqual([
+      { map: 1, reactant: 0, reactant_atom: 0, product: 0, product_atom: 0 },
+      { map: 3, reactant: 1, reactant_atom: 0, product: 0, product_atom: 1 }
+    ]);
+    expect(parseReaction('CC=C>>CCC', 'SMILES').atom_mapping).toEqual([]);
+  });
+
+  test('should reject inconsistent mappings', () => {
+    expect(() => parseReaction('[CH4:1].[OH2:1]>>[CH3:1][OH:2]', 'SMILES')).toThrow(
+      'Atom map number 1 appears twice among the reactants'
+    );
+    expect(() => parseReaction('[CH4:1]>>[OH2:1]', 'SMILES')).toThrow('Atom map number 1 pairs C with O');
+    expect(() => parseReaction('CC>>C', 'PDB')).toThrow('Unsupported reaction format: PDB');
+    expect(() => parseReaction('  ', 'RXN')).toThrow('File contents are empty');
+  });
+});
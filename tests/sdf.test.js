@@ -0,0 +1,170 @@
+/**
+ * Tests for the SDF / Molfile reader and writer
+ */
+
+import { parseSDF, writeSDF } from '../mcp-server/formats/sdf.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const ACETATE_V2000 = [
+  'Acetate',
+  '  RDKit          3D',
+  'charged example',
+  '  4  3  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    1.5200    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    2.1500    1.0800    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+  '    2.1500   -1.0800    0.0000 O   0  5  0  0  0  0  0  0  0  0  0  0',
+  '  1  2  1  0',
+  '  2  3  2  0',
+  '  2  4  1  0',
+  'M  CHG  1   4  -1',
+  'M  ISO  1   1  13',
+  'M  END',
+  '> <PUBCHEM_COMPOUND_CID>',
+  '175',
+  '',
+  '> <SYNONYMS>',
+  'acetate',
+  'ethanoate',
+  '',
+  '$$$$'
+].join('\n');
+
+const BENZENE_V3000 = [
+  'Benzene',
+  '',
+  '',
+  '  0  0  0     0  0            999 V3000',
+  'M  V30 BEGIN CTAB',
+  'M  V30 COUNTS 6 6 0 0 0',
+  'M  V30 BEGIN ATOM',
+  'M  V30 1 C 1.207 0.697 0 0',
+  'M  V30 2 C 1.207 -0.697 0 0',
+  'M  V30 3 C 0 -1.394 0 0',
+  'M  V30 4 C -1.207 -0.697 0 0',
+  'M  V30 5 C -1.207 0.697 0 0',
+  'M  V30 6 C 0 1.394 0 0 -',
+  'M  V30 MASS=13',
+  'M  V30 END ATOM',
+  'M  V30 BEGIN BOND',
+  'M  V30 1 4 1 2',
+  'M  V30 2 4 2 3',
+  'M  V30 3 4 3 4',
+  'M  V30 4 4 4 5',
+  'M  V30 5 4 5 6',
+  'M  V30 6 4 6 1',
+  'M  V30 END BOND',
+  'M  V30 END CTAB',
+  'M  END',
+  '$$$$'
+].join('\n');
+
+describe('parseSDF', () => {
+  test('should read a V2000 record with bond orders', () => {
+    const [molecule] = parseSDF(ACETATE_V2000);
+
+    expect(molecule.name).toBe('Acetate');
+    expect(molecule.atoms.map(a => a.element)).toEqual(['C', 'C', 'O', 'O']);
+    expect(molecule.bonds).toEqual([
+      { from: 0, to: 1, order: 1 },
+      { from: 1, to: 2, order: 2 },
+      { from: 1, to: 3, order: 1 }
+    ]);
+    expect(molecule.metadata).toMatchObject({ format: 'sdf', version: 'V2000', comment: 'charged example' });
+  });
+
+  test('should read formal charges and isotopes from the properties block', () => {
+    const [molecule] = parseSDF(ACETATE_V2000);
+
+    expect(molecule.atoms[3].formalCharge).toBe(-1);
+    expect(molecule.atoms[0].isotope).toBe(13);
+  });
+
+  test('should store SD data fields in metadata', () => {
+    const [molecule] = parseSDF(ACETATE_V2000);
+
+    expect(molecule.metadata.properties).toEqual({
+      PUBCHEM_COMPOUND_CID: '175',
+      SYNONYMS: 'acetate\nethanoate'
+    });
+  });
+
+  test('should read a V3000 record with continuation lines and aromatic bonds', () => {
+    const [molecule] = parseSDF(BENZENE_V3000);
+
+    expect(molecule.metadata.version).toBe('V3000');
+    expect(molecule.atoms.length).toBe(6);
+    expect(molecule.atoms[5].isotope).toBe(13);
+    expect(molecule.bonds.length).toBe(6);
+    expect(molecule.bonds[0]).toEqual({ from: 0, to: 1, order: 1.5, aromatic: true });
+  });
+
+  test('should read every record of a multi-record file', () => {
+    const molecules = parseSDF(`${ACETATE_V2000}\n${BENZENE_V3000}\n`);
+    expect(molecules.map(m => m.name)).toEqual(['Acetate', 'Benzene']);
+  });
+
+  test('should read a bare Molfile without a $$$$ terminator', () => {
+    const molfile = ACETATE_V2000.split('\n').slice(0, 14).join('\n');
+    expect(parseSDF(molfile).length).toBe(1);
+  });
+
+  test('should reject bonds to missing atoms', () => {
+    const broken = ACETATE_V2000.replace('  2  4  1  0', '  2  9  1  0');
+    expect(() => parseSDF(broken)).toThrow('references a missing atom');
+  });
+});
+
+describe('writeSDF', () => {
+  test('should round-trip a V2000 record', () => {
+    const [original] = parseSDF(ACETATE_V2000);
+    const [copy] = parseSDF(writeSDF(original));
+
+    expect(copy.name).toBe(original.name);
+    expect(copy.atoms).toEqual(original.atoms);
+    expect(copy.bonds).toEqual(original.bonds);
+    expect(copy.metadata.properties).toEqual(original.metadata.properties);
+  });
+
+  test('should round-trip through V3000 on request', () => {
+    const [original] = parseSDF(BENZENE_V3000);
+    const text = writeSDF(original, { version: 'V3000' });
+    const [copy] = parseSDF(text);
+
+    expect(text).toContain('V3000');
+    expect(copy.atoms).toEqual(original.atoms);
+    expect(copy.bonds).toEqual(original.bonds);
+  });
+
+  test('should write aromatic bonds as type 4', () => {
+    const [benzene] = parseSDF(BENZENE_V3000);
+    expect(writeSDF(benzene)).toContain('  1  2  4  0');
+  });
+});
+
+describe('MoleculeServer SDF support', () => {
+  test('should import every record of a multi-record file', () => {
+    const server = new MoleculeServer();
+    const molecules = server.importMolecules(`${ACETATE_V2000}\n${BENZENE_V3000}`, 'SDF');
+
+    expect(molecules.map(m => m.id)).toEqual(['acetate', 'benzene-2']);
+    expect(server.getMolecule('acetate').metadata.properties.PUBCHEM_COMPOUND_CID).toBe('175');
+  });
+
+  test('should export stored molecules as SDF', () => {
+    const server = new MoleculeServer();
+    const [water] = parseSDF(server.exportMolecule('water', 'SDF'));
+
+    expect(water.name).toBe('Water');
+    expect(water.atoms.length).toBe(3);
+    expect(water.bonds.length).toBe(2);
+  });
+
+  test('should return null when exporting a missing molecule', () => {
+    expect(new MoleculeServer().exportMolecule('nonexistent', 'SDF')).toBeNull();
+  });
+
+  test('should reject export to read-only formats', () => {
+    expect(() => new MoleculeServer().exportMolecule('water', 'PDB')).toThrow('Writing PDB is not supported');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for the SMILES parser and 3D coordinate generation
+ */
+
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { hillFormula } from '../mcp-server/chemistry/formula.js';
+import { findPointGroup } from '../mcp-server/chemistry/symmetry.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const graphOnly = smiles => parseSMILES(smiles, { coordinates: false });
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Signed volume of three neighbors around a center
+function signedVolume(atoms, center, [i, j, k]) {
+  const v = n => [atoms[n].x - atoms[center].x, atoms[n].y - atoms[center].y, atoms[n].z - atoms[center].z];
+  const [a, b, c] = [v(i), v(j), v(k)];
+  return a[0] * (b[1] * c[2] - b[2] * c[1]) +
+    a[1] * (b[2] * c[0] - b[0] * c[2]) +
+    a[2] * (b[0] * c[1] - b[1] * c[0]);
+}
+
+// Dihedral angle a-b-c-d in degrees
+function torsion(atoms, a, b, c, d) {
+  const v = (from, to) => [atoms[to].x - atoms[from].x, atoms[to].y - atoms[from].y, atoms[to].z - atoms[from].z];
+  const cross = (u, w) => [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+  const dot = (u, w) => u[0] * w[0] + u[1] * w[1] + u[2] * w[2];
+  const [b1, b2, b3] = [v(a, b), v(b, c), v(c, d)];
+  const [m, n] = [cross(b1, b2), cross(b2, b3)];
+  return (Math.atan2(Math.sqrt(dot(b2, b2)) * dot(b1, n), dot(m, n)) * 180) / Math.PI;
+}
+
+describe('parseSMILES graph', () => {
+  test('should add implicit hydrogens to the organic subset', () => {
+    expect(hillFormula(graphOnly('CCO').atoms)).toBe('C2H6O');
+    expect(hillFormula(graphOnly('CC(=O)O').atoms)).toBe('C2H4O2');
+    expect(hillFormula(graphOnly('C#N').atoms)).toBe('CHN');
+    expect(hillFormula(graphOnly('CS(=O)(=O)C').atoms)).toBe('C2H6O2S');
+  });
+
+  test('should place hydrogens after the heavy atoms', () => {
+    const { atoms, bonds } = graphOnly('CO');
+
+    expect(atoms.map(a => a.element)).toEqual(['C', 'O', 'H', 'H', 'H', 'H']);
+    expect(bonds[0]).toEqual({ from: 0, to: 1, order: 1 });
+    expect(bonds.filter(b => b.from === 1)).toEqual([{ from: 1, to: 5, order: 1 }]);
+  });
+
+  test('should read branches and ring closures', () => {
+    const { atoms, bonds } = parseSMILES('C1CC(C)CC1', { hydrogens: false, coordinates: false });
+
+    expect(atoms.length).toBe(6);
+    expect(bonds).toContainEqual({ from: 5, to: 0, order: 1 });
+    expect(bonds).toContainEqual({ from: 2, to: 3, order: 1 });
+  });
+
+  test('should read aromatic atoms and bonds', () => {
+    const benzene = graphOnly('c1ccccc1');
+    const pyridine = graphOnly('n1ccccc1');
+    const pyrrole = graphOnly('c1cc[nH]c1');
+
+    expect(hillFormula(benzene.atoms)).toBe('C6H6');
+    expect(benzene.bonds.slice(0, 6).every(b => b.order === 1.5 && b.aromatic)).toBe(true);
+    expect(hillFormula(pyridine.atoms)).toBe('C5H5N');
+    expect(hillFormula(pyrrole.atoms)).toBe('C4H5N');
+    expect(hillFormula(graphOnly('Cn1cccc1').atoms)).toBe('C5H7N');
+    expect(hillFormula(graphOnly('c1ccoc1').atoms)).toBe('C4H4O');
+  });
+
+  test('should make implicit bonds between aromatic rings single', () => {
+    const { bonds } = parseSMILES('c1ccccc1c1ccccc1', { hydrogens: false, coordinates: false });
+    expect(bonds[6]).toEqual({ from: 5, to: 6, order: 1 });
+  });
+
+  test('should read charges, isotopes and atom classes', () => {
+    const { atoms } = graphOnly('[NH4+].[O-]C(=O)[13CH3:7]');
+
+    expect(atoms[0]).toMatchObject({ element: 'N', formalCharge: 1 });
+    expect(atoms[1]).toMatchObject({ element: 'O', formalCharge: -1 });
+    expect(atoms[4]).toMatchObject({ element: 'C', isotope: 13, mapNumber: 7 });
+    expect(hillFormula(atoms)).toBe('C2H7NO2');
+    expect(graphOnly('[Fe+++]').atoms[0].formalCharge).toBe(3);
+    expect(graphOnly('[Cu-2]').atoms[0].formalCharge).toBe(-2);
+  });
+
+  test('should read two-digit ring closures and explicit bond symbols', () => {
+    const { bonds } = parseSMILES('C%12CC=C%12', { hydrogens: false, coordinates: false });
+    expect(bonds).toContainEqual({ from: 3, to: 0, order: 1 });
+    expect(bonds[2]).toEqual({ from: 2, to: 3, order: 2 });
+  });
+
+  test('should keep the SMILES string', () => {
+    const molecule = graphOnly('CCO');
+    expect(molecule).toMatchObject({ name: 'CCO', smiles: 'CCO', metadata: { format: 'smiles', smiles: 'CCO' } });
+  });
+
+  test.each([
+    ['C1CC', 'unclosed ring bond 1'],
+    ['C(C', 'unclosed "("'],
+    ['CC)', 'unbalanced ")"'],
+    ['C=', 'has no following atom'],
+    ['[Xx]', 'unknown element "Xx"'],
+    ['C*C', 'unexpected character "*"'],
+    ['', 'SMILES string is empty']
+  ])('should reject %p', (smiles, message) => {
+    expect(() => graphOnly(smiles)).toThrow(message);
+  });
+});
+
+describe('parseSMILES coordinates', () => {
+  test('should generate ideal bond lengths and angles', () => {
+    const { atoms, bonds } = parseSMILES('CCO');
+    const lengths = bonds.map(b => distance(atoms[b.from], atoms[b.to]));
+
+    lengths.forEach(length => expect(length).toBeGreaterThan(0.9));
+    expect(distance(atoms[0], atoms[1])).toBeCloseTo(1.52, 1);
+    expect(distance(atoms[1], atoms[2])).toBeCloseTo(1.42, 1);
+    // C-C-O angle close to tetrahedral: 1-3 distance of about 2.4
+    expect(distance(atoms[0], atoms[2])).toBeCloseTo(2.4, 1);
+  });
+
+  test('should build a planar benzene ring', () => {
+    const { atoms } = parseSMILES('c1ccccc1');
+    const ring = atoms.slice(0, 6);
+
+    // Every ring atom lies in the plane of the first three
+    const [a, b, c] = ring;
+    const u = [b.x - a.x, b.y - a.y, b.z - a.z];
+    const v = [c.x - a.x, c.y - a.y, c.z - a.z];
+    const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const size = Math.hypot(...normal);
+    ring.forEach(atom => {
+      const offset = ((atom.x - a.x) * normal[0] + (atom.y - a.y) * normal[1] + (atom.z - a.z) * normal[2]) / size;
+      expect(Math.abs(offset)).toBeLessThan(0.05);
+    });
+    expect(distance(ring[0], ring[3])).toBeCloseTo(2.83, 1);
+  });
+
+  test('should honour double-bond stereo marks', () => {
+    const trans = parseSMILES('F/C=C/F').atoms;
+    const cis = parseSMILES('F/C=C\\F').atoms;
+
+    expect(distance(trans[0], trans[3])).toBeGreaterThan(3.3);
+    expect(distance(cis[0], cis[3])).toBeLessThan(3);
+  });
+
+  test('should honour tetrahedral stereo marks', () => {
+    // Neighbors of the stereocenter: N, carboxyl C, methyl C
+    const left = parseSMILES('C[C@H](N)C(=O)O').atoms;
+    const right = parseSMILES('C[C@@H](N)C(=O)O').atoms;
+
+    expect(signedVolume(left, 1, [2, 3, 0])).toBeGreaterThan(0);
+    expect(signedVolume(right, 1, [2, 3, 0])).toBeLessThan(0);
+  });
+
+  test.each([
+    ['c1ccccc1', 'D6h'],
+    ['c1ccncc1', 'C2v'],
+    ['CC', 'D3d'],
+    ['C1CCCCC1', 'D3d'],
+    ['C=C=C', 'D2d'],
+    ['CC(C)(C)C', 'Td']
+  ])('should give %s the symmetry of its minimum (%s)', (smiles, pointGroup) => {
+    // Staggered torsions, chair rings and perpendicular allene ends
+    expect(findPointGroup(parseSMILES(smiles)).point_group).toBe(pointGroup);
+  });
+
+  test('should pucker saturated six-membered rings into chairs', () => {
+    const { atoms } = parseSMILES('C1COCCO1');
+    const torsions = [0, 1, 2, 3, 4, 5].map(k => torsion(atoms, k, (k + 1) % 6, (k + 2) % 6, (k + 3) % 6));
+
+    torsions.forEach((angle, k) => {
+      expect(Math.abs(angle)).toBeGreaterThan(45);
+      expect(Math.sign(angle)).not.toBe(Math.sign(torsions[(k + 1) % 6]));
+    });
+  });
+
+  test('should be deterministic', () => {
+    expect(parseSMILES('CC(C)O').atoms).toEqual(parseSMILES('CC(C)O').atoms);
+  });
+});
+
+describe('MoleculeServer SMILES support', () => {
+  test('should create a molecule from SMILES alone', () => {
+    const server = new MoleculeServer();
+    const molecule = server.addMolecule({ name: 'Acetic acid', smiles: 'CC(=O)O' });
+
+    expect(molecule).toMatchObject({ id: 'acetic-acid', formula: 'C2H4O2', smiles: 'CC(=O)O' });
+    expect(molecule.atoms.length).toBe(8);
+    expect(server.getMolecule('acetic-acid')).toBe(molecule);
+  });
+
+  test('should require atoms or SMILES', () => {
+    expect(() => new MoleculeServer().addMolecule({ name: 'Empty' })).toThrow('requires atoms or a SMILES string');
+  });
+
+  test('should import SMILES files with names', () => {
+    const molecules = new MoleculeServer().importMolecules('# ligands\nCCO ethanol copy\nC1CC1 cyclopropane\n', 'SMILES');
+
+    expect(molecules.map(m => m.name)).toEqual(['ethanol copy', 'cyclopropane']);
+    expect(molecules[1].formula).toBe('C3H6');
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for CIP stereochemistry perception and stereo round-trips
+ */
+
+import { perceiveStereo, assignStereo, stereoLabels } from '../mcp-server/chemistry/stereo.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { canonicalSmiles } from '../mcp-server/chemistry/canonical.js';
+import { writeMolecule, parseMolecule } from '../mcp-server/formats/index.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const CHOLESTEROL = 'O[C@H]1CC[C@@]2(C)C(=CC[C@@H]3[C@@H]2CC[C@]2(C)[C@@H]([C@H](C)CCCC(C)C)CC[C@@H]32)C1';
+const MENTHOL = 'CC(C)[C@@H]1CC[C@@H](C)C[C@H]1O';
+
+// Labels of a structure, sorted, as [[center labels], [double bond labels]]
+const labels = ({ centers, double_bonds: doubleBonds }) => [
+  centers.map(({ label }) => label).sort(),
+  doubleBonds.map(({ label }) => label).sort()
+];
+const perceived = smiles => labels(perceiveStereo(parseSMILES(smiles)));
+
+// The molecule with its atoms moved `shift` places along and every bond
+// given from its other end, in reverse order
+function reordered({ atoms, bonds, ...molecule }, shift) {
+  const moved = index => (index + shift) % atoms.length;
+  const shifted = [];
+  atoms.forEach((atom, index) => {
+    shifted[moved(index)] = atom;
+  });
+  return {
+    ...molecule,
+    atoms: shifted,
+    bonds: bonds.map(bond => ({ ...bond, from: moved(bond.to), to: moved(bond.from) })).reverse()
+  };
+}
+
+describe('perceiveStereo', () => {
+  test.each([
+    ['C[C@H](N)C(=O)O', 'S'],
+    ['C[C@@H](N)C(=O)O', 'R'],
+    ['CC[C@H](C)O', 'S'],
+    ['C[C@@H](O)c1ccccc1', 'R'],
+    ['F[C@](Cl)(Br)I', 'S']
+  ])('should label the center of %s %s', (smiles, label) => {
+    expect(perceived(smiles)).toEqual([[label], []]);
+  });
+
+  test('should find every center of cholesterol', () => {
+    const { centers } = perceiveStereo(parseSMILES(CHOLESTEROL));
+    expect(centers.map(({ atom }) => atom)).toEqual([1, 4, 9, 10, 13, 15, 16, 26]);
+    expect(labels({ centers, double_bonds: [] })[0]).toEqual(['R', 'R', 'R', 'R', 'S', 'S', 'S', 'S']);
+  });
+
+  test('should treat a lone pair as the lowest ligand', () => {
+    expect(perceived('C[S@@](=O)c1ccccc1')).toEqual([['R'], []]);
+    expect(perceived('C[S@](=O)c1ccccc1')).toEqual([['S'], []]);
+  });
+
+  test('should ignore atoms without four different ligands', () => {
+    expect(perceived('CCO')).toEqual([[], []]);
+    expect(perceived('CC(C)(C)O')).toEqual([[], []]);
+    expect(perceived('C1CC2CCC1CC2')).toEqual([[], []]);
+    expect(perceived('c1ccccc1C(=O)O')).toEqual([[], []]);
+  });
+
+  test('should label double bonds E or Z', () => {
+    expect(perceived('F/C=C/F')).toEqual([[], ['E']]);
+    expect(perceived('F/C=C\\F')).toEqual([[], ['Z']]);
+    expect(perceived('C/C=C/C=C\\C')).toEqual([[], ['E', 'Z']]);
+    expect(perceived('C/N=N/C')).toEqual([[], ['E']]);
+  });
+
+  test('should ignore double bonds that cannot be stereogenic', () => {
+    expect(perceived('CC(C)=CC')).toEqual([[], []]);
+    expect(perceived('C=CC')).toEqual([[], []]);
+    expect(perceived('C1=CCCCC1')).toEqual([[], []]);
+    expect(perceived('CC=C=CC')).toEqual([[], []]);
+  });
+
+  test('should not label flat structures', () => {
+    const alanine = parseSMILES('C[C@H](N)C(=O)O');
+    const flat = { ...alanine, atoms: alanine.atoms.map(atom => ({ ...atom, z: 0 })) };
+    expect(perceiveStereo(flat).centers).toEqual([]);
+  });
+});
+
+describe('assignStereo', () => {
+  test('should set labels and drop stale ones', () => {
+    const alanine = parseSMILES('CC(N)C(=O)O');
+    expect(alanine.atoms.some(atom => atom.cip)).toBe(false);
+
+    const { atoms } = assignStereo(alanine);
+    expect(stereoLabels({ atoms }).centers).toEqual([{ atom: 1, label: expect.stringMatching(/^[RS]$/) }]);
+
+    const ethanol = parseSMILES('CCO');
+    ethanol.atoms[1].cip = 'R';
+    expect(assignStereo(ethanol).atoms[1]).not.toHaveProperty('cip');
+  });
+});
+
+describe('SMILES stereo labels', () => {
+  test('should only label the stereo the SMILES specifies', () => {
+    expect(stereoLabels(parseSMILES('C[C@H](N)C(=O)O')).centers).toEqual([{ atom: 1, label: 'S' }]);
+    expect(stereoLabels(parseSMILES('CC(N)C(=O)O')).centers).toEqual([]);
+    expect(stereoLabels(parseSMILES('F/C=C/C(Cl)CC=CF'))).toEqual({ centers: [], double_bonds: [{ bond: 1, label: 'E' }] });
+  });
+
+  test.each([
+    'C[C@H](N)C(=O)O',
+    'F/C=C\\F',
+    'C/C=C(/Cl)C=C/F',
+    'C[S@@](=O)c1ccccc1',
+    MENTHOL
+  ])('should read back the canonical SMILES of %s with the same labels', smiles => {
+    const molecule = parseSMILES(smiles);
+    const written = canonicalSmiles(molecule);
+
+    expect(labels(stereoLabels(parseSMILES(written)))).toEqual(labels(stereoLabels(molecule)));
+    expect(canonicalSmiles(parseSMILES(written))).toBe(written);
+  });
+
+  test.each([
+    'CC/C=C/Cl',
+    'F/C=C/F',
+    'F/C=C\\F',
+    'C/C=C/C=C\\C',
+    'C[C@H](N)C(=O)O',
+    MENTHOL
+  ])('should write %s the same way whatever its atom order', smiles => {
+    const molecule = parseSMILES(smiles);
+    const written = canonicalSmiles(molecule);
+
+    [1, 2, 3, 5, 8].forEach(shift => expect(canonicalSmiles(reordered(molecule, shift))).toBe(written));
+  });
+
+  test('should tell stereoisomers apart', () => {
+    const canonical = smiles => canonicalSmiles(parseSMILES(smiles));
+    expect(canonical('C[C@H](N)C(=O)O')).not.toBe(canonical('C[C@@H](N)C(=O)O'));
+    expect(canonical('N[C@@H](C)C(=O)O')).toBe(canonical('C[C@H](N)C(=O)O'));
+    expect(canonical('F/C=C/F')).not.toBe(canonical('F/C=C\\F'));
+    expect(canonical('F\\C=C\\F')).toBe(canonical('F/C=C/F'));
+    expect(canonical('CC/C=C/Cl')).toBe(canonical('Cl/C=C/CC'));
+    expect(canonical('C/C=C\\C=C\\C')).toBe(canonical('C/C=C/C=C\\C'));
+    expect(canonical('C/C=C/C=C/C')).not.toBe(canonical('C/C=C/C=C\\C'));
+  });
+
+  test('should write SMILES files', () => {
+    const text = writeMolecule({ ...parseSMILES('C[C@H](N)C(=O)O'), name: 'L-alanine' }, 'SMILES');
+    expect(text).toMatch(/^\S*@\S* L-alanine\n$/);
+    expect(stereoLabels(parseMolecule(text, 'SMILES')).centers).toEqual([{ atom: 1, label: 'S' }]);
+  });
+});
+
+describe('SDF stereo', () => {
+  test('should write atom parities and the chiral flag', () => {
+    const sdf = writeMolecule(parseSMILES('C[C@H](N)C(=O)O'), 'SDF');
+    const lines = sdf.split('\n');
+    expect(lines[3].substring(12, 15)).toBe('  1');
+    const parities = lines.slice(4, 17).map(line => Number(line.substring(39, 42)));
+    expect(parities.filter(Boolean)).toEqual([expect.any(Number)]);
+    expect(parities[1]).toBeGreaterThan(0);
+
+    const mirrored = writeMolecule(parseSMILES('C[C@@H](N)C(=O)O'), 'SDF');
+    expect(Number(mirrored.split('\n')[5].substring(39, 42))).toBe(3 - parities[1]);
+
+    const v3000 = writeMolecule(parseSMILES('C[C@H](N)C(=O)O'), 'SDF', { version: 'V3000' });
+    expect(v3000).toContain(`CFG=${parities[1]}`);
+  });
+
+  test('should round-trip labels through a stored molecule', () => {
+    const server = new MoleculeServer();
+    server.addMolecule({ id: 'menthol', smiles: MENTHOL });
+    server.addMolecule({ id: 'dichloroethene', smiles: 'Cl/C=C\\Cl' });
+
+    ['menthol', 'dichloroethene'].forEach(id => {
+      const copy = server.importMolecule(server.exportMolecule(id, 'SDF'), 'SDF', { id: `${id}-copy` });
+      expect(copy.atoms.map(({ cip }) => cip)).toEqual(server.getMolecule(id).atoms.map(({ cip }) => cip));
+      expect(server.getStereo(`${id}-copy`)).toEqual({ ...server.getStereo(id), molecule_id: `${id}-copy` });
+    });
+    expect(server.getStereo('dichloroethene').double_bonds).toEqual([{ bond: 1, label: 'Z' }]);
+  });
+});
+
+describe('MoleculeServer duplicates', () => {
+  test('should find stereoisomers written from the other end', () => {
+    const server = new MoleculeServer();
+    server.addMolecule({ id: 'chlorobutene', smiles: 'Cl/C=C/CC' });
+
+    expect(() => server.addMolecule({ smiles: 'CC/C=C/Cl' }, { duplicates: 'reject' }))
+      .toThrow('Duplicate of molecule chlorobutene');
+    expect(server.addMolecule({ smiles: 'CC/C=C\\Cl' }, { duplicates: 'reject' }).id).not.toBe('chlorobutene');
+  });
+});
+
+describe('MoleculeServer.getStereo', () => {
+  test('should relabel changed structures', () => {
+    const server = new MoleculeServer();
+    const alanine = server.addMolecule({ id: 'alanine', smiles: 'C[C@H](N)C(=O)O' });
+    expect(server.getStereo('alanine')).toEqual({ molecule_id: 'alanine', centers: [{ atom: 1, label: 'S' }], double_bonds: [] });
+
+    // Mirroring the coordinates inverts the center
+    const atoms = alanine.atoms.map(atom => ({ ...atom, z: -atom.z }));
+    expect(server.updateMolecule('alanine', { atoms }).atoms[1].cip).toBe('R');
+
+    expect(server.getStereo('ethanol')).toEqual({ molecule_id: 'ethanol', centers: [], double_bonds: [] });
+    expect(server.getStereo('nonexistent')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for substructure queries
+ */
+
+import { parseSubstructureQuery, findSubstructureMatches } from '../mcp-server/chemistry/substructure.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { kekulize } from '../mcp-server/chemistry/bond-orders.js';
+
+const molecule = smiles => parseSMILES(smiles, { coordinates: false });
+const matches = (smiles, query) => findSubstructureMatches(molecule(smiles), query);
+
+describe('parseSubstructureQuery', () => {
+  test('should build the query graph', () => {
+    const query = parseSubstructureQuery('c1ccccc1C(=O)[OH]');
+
+    expect(query.atoms).toHaveLength(9);
+    expect(query.bonds).toHaveLength(9);
+    expect(query.text).toBe('c1ccccc1C(=O)[OH]');
+  });
+
+  test.each([
+    ['', 'Substructure query is empty'],
+    ['C(', 'unclosed "("'],
+    ['C)', 'unbalanced ")"'],
+    ['C1CC', 'unclosed ring bond 1'],
+    ['[C', 'unclosed "["'],
+    ['Cx', 'at position 2: unexpected character "x"'],
+    ['C=', 'bond "=" has no following atom'],
+    ['[#999]', 'unknown atomic number 999'],
+    ['[$(CO)]', 'recursive SMARTS is not supported'],
+    ['[C,]', 'expression is incomplete']
+  ])('should reject %p', (query, message) => {
+    expect(() => parseSubstructureQuery(query)).toThrow(message);
+  });
+});
+
+describe('findSubstructureMatches', () => {
+  test('should tell acids from esters by their hydrogens', () => {
+    expect(matches('CC(=O)O', 'C(=O)[OH]')).toEqual([[1, 2, 3]]);
+    expect(matches('CC(=O)OC', 'C(=O)[OH]')).toEqual([]);
+    expect(matches('CC(=O)OC', 'C(=O)O')).toEqual([[1, 2, 3]]);
+  });
+
+  test('should separate aromatic and aliphatic atoms', () => {
+    expect(matches('c1ccccc1', 'c1ccccc1')).toEqual([[0, 1, 2, 3, 4, 5]]);
+    expect(matches('c1ccccc1', 'C')).toEqual([]);
+    expect(matches('C1CCCCC1', 'c')).toEqual([]);
+    expect(matches('Cc1ccncc1', 'n')).toEqual([[4]]);
+    expect(matches('Cc1ccccc1', '[A;!#1]a')).toEqual([[0, 1]]);
+  });
+
+  test('should perceive aromaticity of Kekulé structures', () => {
+    const benzene = kekulize(molecule('c1ccccc1'));
+
+    expect(findSubstructureMatches(benzene, 'c1ccccc1')).toEqual([[0, 1, 2, 3, 4, 5]]);
+    expect(findSubstructureMatches(benzene, 'C=C')).toEqual([]);
+  });
+
+  test('should report each set of atoms once', () => {
+    expect(matches('OCCO', '[OH]CC[OH]')).toEqual([[0, 1, 2, 3]]);
+    expect(matches('C1CCCCC1', '[r6]')).toHaveLength(6);
+  });
+
+  test('should evaluate atom primitives', () => {
+    expect(matches('CCO', '[CH2][OH]')).toEqual([[1, 2]]);
+    expect(matches('CCO', '[OX2H1]')).toEqual([[2]]);
+    expect(matches('CC(C)C', '[CD3]')).toEqual([[1]]);
+    expect(matches('c1ccncc1', '[#7;R]')).toEqual([[3]]);
+    expect(matches('CC', '[R]')).toEqual([]);
+    expect(matches('C1CC1CCCC', '[R0;C]')).toHaveLength(4);
+    expect(matches('[NH4+]', '[N+]')).toEqual([[0]]);
+    expect(matches('[13CH4]', '[13C]')).toEqual([[0]]);
+    expect(matches('O', '[H]')).toEqual([[1], [2]]);
+    expect(matches('CN', '[C,N;!H3]')).toEqual([[1]]);
+  });
+
+  test('should evaluate bond primitives', () => {
+    expect(matches('CC=C', 'C=C')).toEqual([[1, 2]]);
+    expect(matches('CC=C', 'C!=C')).toEqual([[0, 1]]);
+    expect(matches('CC#N', 'C#N')).toEqual([[1, 2]]);
+    expect(matches('C1CC1C', 'C@C')).toHaveLength(3);
+    expect(matches('CO', 'C~O')).toEqual([[0, 1]]);
+  });
+
+  test('should match disconnected fragments', () => {
+    expect(matches('CCO', 'C.O')).toEqual([[0, 2], [1, 2]]);
+  });
+
+  test('should stop at the match limit', () => {
+    expect(findSubstructureMatches(molecule('CCCCCC'), 'C', { limit: 2 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for solvent accessible surface areas
+ */
+
+import { solventAccessibleSurface } from '../mcp-server/chemistry/surface.js';
+import SYMBOLS, { getVdwRadius } from '../mcp-server/chemistry/elements.js';
+import { getVdwRadius as getViewerVdwRadius } from '../client/src/utils/elements.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const sphereArea = radius => 4 * Math.PI * radius ** 2;
+
+describe('solventAccessibleSurface', () => {
+  test('should give an isolated atom its full expanded sphere', () => {
+    const surface = solventAccessibleSurface({ atoms: [{ element: 'O', x: 1, y: 2, z: 3 }] });
+
+    expect(surface.total).toBeCloseTo(sphereArea(1.52 + 1.4), 3);
+    expect(surface.atoms).toEqual([surface.total]);
+  });
+
+  test('should remove the buried cap of overlapping spheres', () => {
+    const radius = getVdwRadius('C') + 1.4;
+    const distance = 3;
+    const capArea = 2 * Math.PI * radius * (radius - distance / 2);
+    const { total, atoms } = solventAccessibleSurface(
+      { atoms: [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'C', x: distance, y: 0, z: 0 }] },
+      { points: 5000 }
+    );
+
+    atoms.forEach(area => expect(area).toBeCloseTo(sphereArea(radius) - capArea, 0));
+    expect(total).toBeCloseTo(2 * (sphereArea(radius) - capArea), 0);
+  });
+
+  test('should take the probe radius and point density', () => {
+    const atoms = [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'N', x: 1.4, y: 0, z: 0 }];
+
+    expect(solventAccessibleSurface({ atoms }, { probeRadius: 0 }).total)
+      .toBeLessThan(solventAccessibleSurface({ atoms }).total);
+    expect(solventAccessibleSurface({ atoms }, { points: 100 }).total)
+      .toBeCloseTo(solventAccessibleSurface({ atoms }).total, -1);
+  });
+
+  test('should bury atoms inside a molecule', () => {
+    const server = new MoleculeServer();
+    const { atoms } = solventAccessibleSurface(server.getMolecule('benzene'));
+    const [carbons, hydrogens] = [atoms.slice(0, 6), atoms.slice(6)];
+
+    expect(Math.max(...carbons)).toBeLessThan(Math.min(...hydrogens));
+  });
+
+  test('should reject invalid options', () => {
+    const molecule = { atoms: [{ element: 'C', x: 0, y: 0, z: 0 }] };
+
+    expect(() => solventAccessibleSurface(molecule, { probeRadius: -1 })).toThrow('Probe radius must be a non-negative number');
+    expect(() => solventAccessibleSurface(molecule, { points: 2.5 })).toThrow('Points must be an integer from 1 to 10000');
+    expect(solventAccessibleSurface({ atoms: [] })).toEqual({ total: 0, atoms: [] });
+  });
+});
+
+describe('MoleculeServer.getSurfaceArea', () => {
+  test('should report the options with the areas', () => {
+    const server = new MoleculeServer();
+    const surface = server.getSurfaceArea('water', { probeRadius: 1.2, points: 200 });
+
+    expect(surface).toMatchObject({ molecule_id: 'water', probe_radius: 1.2, points: 200 });
+    expect(surface.atoms).toHaveLength(3);
+    expect(server.getSurfaceArea('water').probe_radius).toBe(1.4);
+    expect(server.getSurfaceArea('unknown')).toBeNull();
+  });
+});
+
+describe('viewer van der Waals radii', () => {
+  test('should match the server radii', () => {
+    SYMBOLS.forEach(symbol => {
+      expect([symbol, getViewerVdwRadius(symbol)]).toEqual([symbol, getVdwRadius(symbol)]);
+    });
+    expect(getViewerVdwRadius('cl')).toBe(getVdwRadius('Cl'));
+  });
+});
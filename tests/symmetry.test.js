@@ -0,0 +1,138 @@
+/**
+ * Tests for point group detection
+ */
+
+import { findPointGroup } from '../mcp-server/chemistry/symmetry.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const atom = (element, x, y, z) => ({ element, x, y, z });
+
+// n atoms evenly spaced on a circle of radius r at height z
+const ring = (element, n, r, z = 0, phase = 0) =>
+  Array.from({ length: n }, (_, k) => {
+    const angle = phase + (2 * Math.PI * k) / n;
+    return atom(element, r * Math.cos(angle), r * Math.sin(angle), z);
+  });
+
+const structures = {
+  ammonia: [atom('N', 0, 0, 0.38), ...ring('H', 3, 0.94)],
+  boronTrifluoride: [atom('B', 0, 0, 0), ...ring('F', 3, 1.3)],
+  staggeredEthane: [atom('C', 0, 0, 0.77), atom('C', 0, 0, -0.77), ...ring('H', 3, 1.02, 1.13), ...ring('H', 3, 1.02, -1.13, Math.PI / 3)],
+  ethylene: [
+    atom('C', 0.67, 0, 0), atom('C', -0.67, 0, 0),
+    atom('H', 1.23, 0.92, 0), atom('H', 1.23, -0.92, 0), atom('H', -1.23, 0.92, 0), atom('H', -1.23, -0.92, 0)
+  ],
+  allene: [
+    atom('C', 0, 0, 0), atom('C', 0, 0, 1.31), atom('C', 0, 0, -1.31),
+    atom('H', 0.93, 0, 1.87), atom('H', -0.93, 0, 1.87), atom('H', 0, 0.93, -1.87), atom('H', 0, -0.93, -1.87)
+  ],
+  transDichloroethylene: [
+    atom('C', 0.67, 0, 0), atom('C', -0.67, 0, 0),
+    atom('Cl', 1.5, 1.4, 0), atom('H', 1.2, -0.92, 0), atom('Cl', -1.5, -1.4, 0), atom('H', -1.2, 0.92, 0)
+  ],
+  hydrogenPeroxide: [atom('O', 0.73, 0, 0), atom('O', -0.73, 0, 0), atom('H', 0.9, 0.9, 0.3), atom('H', -0.9, -0.9, 0.3)],
+  sulfurHexafluoride: [
+    atom('S', 0, 0, 0),
+    atom('F', 1.56, 0, 0), atom('F', -1.56, 0, 0), atom('F', 0, 1.56, 0),
+    atom('F', 0, -1.56, 0), atom('F', 0, 0, 1.56), atom('F', 0, 0, -1.56)
+  ],
+  hydrogenCyanide: [atom('H', 0, 0, -1.06), atom('C', 0, 0, 0), atom('N', 0, 0, 1.16)],
+  bromochlorofluoromethane: [
+    atom('C', 0, 0, 0), atom('H', 0.6, 0.6, 0.6), atom('F', -0.8, -0.8, 0.8), atom('Cl', -1, 1, -1), atom('Br', 1.1, -1.1, -1.1)
+  ]
+};
+
+describe('findPointGroup', () => {
+  test.each([
+    ['ammonia', 'C3v'],
+    ['boronTrifluoride', 'D3h'],
+    ['staggeredEthane', 'D3d'],
+    ['ethylene', 'D2h'],
+    ['allene', 'D2d'],
+    ['transDichloroethylene', 'C2h'],
+    ['hydrogenPeroxide', 'C2'],
+    ['sulfurHexafluoride', 'Oh'],
+    ['hydrogenCyanide', 'C∞v'],
+    ['bromochlorofluoromethane', 'C1']
+  ])('should detect the point group of %s', (name, pointGroup) => {
+    expect(findPointGroup({ atoms: structures[name] }).point_group).toBe(pointGroup);
+  });
+
+  test('should find the C2 axis of a planar molecule with nearly equal moments', () => {
+    // Pyridine with its atoms displaced by up to 0.01 Angstrom: its two
+    // in-plane moments differ by less than MOMENT_TOLERANCE
+    const pyridine = [atom('N', 1.39, 0, 0), ...ring('C', 6, 1.39).slice(1), ...ring('H', 6, 2.47).slice(1)]
+      .map((a, k) => ({ ...a, x: a.x + 0.01 * Math.sin(k), y: a.y + 0.01 * Math.cos(3 * k) }));
+
+    expect(findPointGroup({ atoms: pyridine }).point_group).toBe('C2v');
+  });
+
+  test('should detect the point groups of the built-in molecules', () => {
+    const server = new MoleculeServer();
+    const groups = Object.fromEntries(
+      ['water', 'benzene', 'co2', 'methane', 'ethanol'].map(id => [id, findPointGroup(server.getMolecule(id)).point_group])
+    );
+    expect(groups).toEqual({ water: 'C2v', benzene: 'D6h', co2: 'D∞h', methane: 'Td', ethanol: 'Cs' });
+  });
+
+  test('should group symmetry-equivalent atoms', () => {
+    expect(findPointGroup({ atoms: structures.ammonia }).equivalent_atoms).toEqual([[0], [1, 2, 3]]);
+    expect(findPointGroup({ atoms: structures.transDichloroethylene }).equivalent_atoms).toEqual([[0, 1], [2, 4], [3, 5]]);
+    expect(findPointGroup({ atoms: structures.bromochlorofluoromethane }).equivalent_atoms).toHaveLength(5);
+  });
+
+  test('should list every symmetry element of the group', () => {
+    const { elements } = findPointGroup({ atoms: structures.sulfurHexafluoride });
+    expect(elements.center).toEqual({ x: 0, y: 0, z: 0 });
+    expect(elements.axes.map(({ order }) => order)).toEqual([4, 4, 4, 3, 3, 3, 3, 2, 2, 2, 2, 2, 2]);
+    expect(elements.mirror_planes).toHaveLength(9);
+    expect(elements.inversion).toBe(true);
+
+    const ammonia = findPointGroup({ atoms: structures.ammonia }).elements;
+    expect(ammonia.axes).toEqual([{ order: 3, vector: [0, 0, 1] }]);
+    expect(ammonia.mirror_planes).toHaveLength(3);
+    ammonia.mirror_planes.forEach(({ normal }) => expect(normal[2]).toBeCloseTo(0, 6));
+    expect(ammonia.inversion).toBe(false);
+  });
+
+  test('should describe linear molecules by their axis', () => {
+    const carbonDioxide = [atom('O', -1.16, 0, 0), atom('C', 0, 0, 0), atom('O', 1.16, 0, 0)];
+    expect(findPointGroup({ atoms: carbonDioxide })).toEqual({
+      point_group: 'D∞h',
+      equivalent_atoms: [[0, 2], [1]],
+      elements: {
+        center: { x: 0, y: 0, z: 0 },
+        axes: [{ order: null, vector: [1, 0, 0] }],
+        mirror_planes: [{ normal: [1, 0, 0] }],
+        inversion: true
+      }
+    });
+    expect(findPointGroup({ atoms: [atom('Ar', 1, 2, 3)] }).point_group).toBe('Kh');
+  });
+
+  test('should tolerate distortions up to the tolerance', () => {
+    const distortedWater = [atom('O', 0.001, 0.02, -0.01), atom('H', 0.76, 0.59, 0.02), atom('H', -0.77, 0.58, 0)];
+    expect(findPointGroup({ atoms: distortedWater }).point_group).toBe('C2v');
+    expect(findPointGroup({ atoms: distortedWater }, { tolerance: 0.001 }).point_group).toBe('Cs');
+  });
+
+  test('should reject invalid input', () => {
+    expect(() => findPointGroup({ atoms: structures.ammonia }, { tolerance: 0 })).toThrow('Tolerance must be a positive number');
+    expect(() => findPointGroup({ atoms: structures.ammonia }, { tolerance: NaN })).toThrow('Tolerance must be a positive number');
+    expect(() => findPointGroup({ atoms: [] })).toThrow('Molecule has no atoms');
+  });
+});
+
+describe('MoleculeServer.getSymmetry', () => {
+  test('should report the tolerance with the point group', () => {
+    const server = new MoleculeServer();
+    expect(server.getSymmetry('benzene')).toMatchObject({
+      molecule_id: 'benzene',
+      tolerance: 0.3,
+      point_group: 'D6h',
+      equivalent_atoms: [[0, 1, 2, 3, 4, 5], [6, 7, 8, 9, 10, 11]]
+    });
+    expect(server.getSymmetry('water', { tolerance: 0.05 }).tolerance).toBe(0.05);
+    expect(server.getSymmetry('nonexistent')).toBeNull();
+  });
+});
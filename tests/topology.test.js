@@ -0,0 +1,96 @@
+/**
+ * Tests for ring perception and molecular topology
+ */
+
+import { analyzeTopology } from '../mcp-server/chemistry/topology.js';
+import { smallestSetOfSmallestRings, findAcyclicBonds } from '../mcp-server/chemistry/rings.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+// Bonds of a bare graph given as [from, to] pairs
+const graph = pairs => pairs.map(([from, to]) => ({ from, to, order: 1 }));
+
+describe('smallestSetOfSmallestRings', () => {
+  test('should find the faces of cubane', () => {
+    const cubane = graph([
+      [0, 1], [1, 2], [2, 3], [3, 0],
+      [4, 5], [5, 6], [6, 7], [7, 4],
+      [0, 4], [1, 5], [2, 6], [3, 7]
+    ]);
+    const rings = smallestSetOfSmallestRings(8, cubane);
+    expect(rings).toHaveLength(5);
+    rings.forEach(ring => expect(ring).toHaveLength(4));
+  });
+
+  test('should prefer the two five-membered rings of norbornane', () => {
+    // Bridgeheads 0 and 3, bridged by 1-2, 4-5 and 6
+    const norbornane = graph([[0, 1], [1, 2], [2, 3], [0, 4], [4, 5], [5, 3], [0, 6], [6, 3]]);
+    expect(smallestSetOfSmallestRings(7, norbornane)).toEqual([[0, 1, 2, 3, 6], [0, 4, 5, 3, 6]]);
+  });
+
+  test('should give rings in ring order from their lowest atom', () => {
+    expect(smallestSetOfSmallestRings(4, graph([[2, 0], [0, 3], [3, 1], [1, 2]]))).toEqual([[0, 2, 1, 3]]);
+    expect(smallestSetOfSmallestRings(3, graph([[0, 1], [1, 2]]))).toEqual([]);
+  });
+});
+
+describe('findAcyclicBonds', () => {
+  test('should find the bonds outside rings', () => {
+    // A triangle with a tail and a separate bond
+    const bonds = graph([[0, 1], [1, 2], [2, 0], [2, 3], [4, 5]]);
+    expect([...findAcyclicBonds(6, bonds)].sort()).toEqual([3, 4]);
+  });
+});
+
+describe('analyzeTopology', () => {
+  test('should find the rotatable bonds of a chain', () => {
+    const butane = analyzeTopology(parseSMILES('CCCC'));
+    expect(butane.rings).toEqual([]);
+    expect(butane.rotatable_bonds).toEqual([1]);
+    expect(butane.degrees.slice(0, 4)).toEqual([4, 4, 4, 4]);
+
+    // Next to a triple bond, rotation changes nothing
+    expect(analyzeTopology(parseSMILES('CC#CC')).rotatable_bonds).toEqual([]);
+  });
+
+  test('should group fused rings into one system', () => {
+    const naphthalene = analyzeTopology(parseSMILES('c1ccc2ccccc2c1'));
+    expect(naphthalene.rings.map(({ size, aromatic }) => [size, aromatic])).toEqual([[6, true], [6, true]]);
+    expect(naphthalene.ring_systems).toEqual([{ rings: [0, 1], atoms: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] }]);
+    expect(naphthalene.atom_rings.slice(2, 5)).toEqual([[0], [0, 1], [1]]);
+    expect(naphthalene.rotatable_bonds).toEqual([]);
+  });
+
+  test('should keep rings joined by a bond in separate systems', () => {
+    const molecule = parseSMILES('c1ccccc1-c1ccccc1');
+    const biphenyl = analyzeTopology(molecule);
+    expect(biphenyl.ring_systems).toHaveLength(2);
+    expect(biphenyl.rotatable_bonds.map(index => molecule.bonds[index])).toMatchObject([{ from: 5, to: 6 }]);
+  });
+
+  test('should find spiro ring systems and separate fragments', () => {
+    const topology = analyzeTopology(parseSMILES('C1CCC12CCC2.O'));
+    expect(topology.rings.map(({ atoms }) => atoms)).toEqual([[0, 1, 2, 3], [3, 4, 5, 6]]);
+    expect(topology.ring_systems).toEqual([{ rings: [0, 1], atoms: [0, 1, 2, 3, 4, 5, 6] }]);
+    expect(topology.components.map(component => component.length)).toEqual([19, 3]);
+  });
+
+  test('should perceive aromatic rings in Kekulé structures', () => {
+    const [ring] = analyzeTopology(parseSMILES('C1=CC=CC=C1')).rings;
+    expect(ring).toEqual({ size: 6, atoms: [0, 1, 2, 3, 4, 5], bonds: expect.any(Array), aromatic: true });
+    expect(analyzeTopology(parseSMILES('C1CCCCC1')).rings[0].aromatic).toBe(false);
+  });
+});
+
+describe('MoleculeServer.getTopology', () => {
+  test('should describe stored molecules', () => {
+    const server = new MoleculeServer();
+    expect(server.getTopology('ethanol')).toMatchObject({
+      molecule_id: 'ethanol',
+      rings: [],
+      components: [[0, 1, 2, 3, 4, 5, 6, 7, 8]],
+      degrees: [4, 4, 2, 1, 1, 1, 1, 1, 1]
+    });
+    expect(server.getTopology('nonexistent')).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for structure validation
+ */
+
+import { validateMolecule, hasErrors } from '../mcp-server/chemistry/validation.js';
+import { parseSMILES } from '../mcp-server/chemistry/smiles.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const atom = (element, x, y = 0, z = 0) => ({ element, x, y, z });
+const codes = molecule => validateMolecule(molecule).map(issue => issue.code);
+
+describe('validateMolecule', () => {
+  test.each([
+    'CCO',
+    'c1ccoc1',
+    'c1cc[nH]c1',
+    'C[N+](C)(C)C',
+    'O=[N+]([O-])c1ccccc1',
+    'C12C3C4C1C5C2C3C45',
+    '[Na+].[Cl-]'
+  ])('should accept %s', smiles => {
+    expect(validateMolecule(parseSMILES(smiles))).toEqual([]);
+  });
+
+  test('should report molecules without atoms', () => {
+    expect(validateMolecule({ atoms: [], bonds: [] })).toEqual([
+      { severity: 'error', code: 'EMPTY_MOLECULE', atoms: [], bonds: [], message: 'Molecule has no atoms' }
+    ]);
+  });
+
+  test('should report unknown elements and missing coordinates', () => {
+    const issues = validateMolecule({ atoms: [atom('Qq', 0), { element: 'C', x: 2 }] });
+
+    expect(issues).toEqual([
+      { severity: 'error', code: 'UNKNOWN_ELEMENT', atoms: [0], bonds: [], message: 'Unknown element "Qq" at atom 0' },
+      { severity: 'error', code: 'INVALID_COORDINATES', atoms: [1], bonds: [], message: 'Atom 1 has no valid coordinates' }
+    ]);
+  });
+
+  test('should report broken bonds with their indices', () => {
+    const atoms = [atom('C', 0), atom('C', 1.5)];
+    const issues = validateMolecule({
+      atoms,
+      bonds: [
+        { from: 0, to: 1, order: 1 },
+        { from: 1, to: 0, order: 1 },
+        { from: 1, to: 5, order: 1 },
+        { from: 0, to: 0, order: 1 },
+        { from: 0, to: 1, order: 7 }
+      ]
+    });
+
+    expect(issues.map(({ code, atoms: indices, bonds }) => [code, indices, bonds])).toEqual([
+      ['DUPLICATE_BOND', [1, 0], [0, 1]],
+      ['MISSING_ATOM', [1], [2]],
+      ['SELF_BOND', [0], [3]],
+      ['DUPLICATE_BOND', [0, 1], [0, 4]]
+    ]);
+    expect(codes({ atoms, bonds: [{ from: 0, to: 1, order: 7 }] })).toEqual(['INVALID_BOND_ORDER']);
+  });
+
+  test('should report overlapping atoms except alternate locations', () => {
+    expect(validateMolecule({ atoms: [atom('O', 0), atom('O', 0.2)] })[0]).toMatchObject({
+      code: 'OVERLAPPING_ATOMS',
+      atoms: [0, 1],
+      message: 'Atoms 0 and 1 overlap (0.20 Å apart)'
+    });
+    expect(codes({ atoms: [{ ...atom('O', 0), altLoc: 'A' }, { ...atom('O', 0.2), altLoc: 'B' }] })).toEqual([]);
+  });
+
+  test('should reject impossible valences and warn about hypervalent ones', () => {
+    const fiveBonded = {
+      atoms: [atom('C', 0), atom('C', 1.5), atom('C', -1.5), atom('C', 0, 1.5), atom('C', 0, -1.5), atom('C', 0, 0, 1.5)],
+      bonds: [1, 2, 3, 4, 5].map(to => ({ from: 0, to, order: 1 }))
+    };
+    const sulfur = {
+      atoms: [atom('S', 0), atom('F', 1.6), atom('F', -1.6), atom('F', 0, 1.6), atom('F', 0, -1.6), atom('F', 0, 0, 1.6), atom('F', 0, 0, -1.6), atom('F', 1.1, 1.1)],
+      bonds: [1, 2, 3, 4, 5, 6, 7].map(to => ({ from: 0, to, order: 1 }))
+    };
+
+    expect(validateMolecule(fiveBonded)).toEqual([{
+      severity: 'error',
+      code: 'VALENCE_EXCEEDED',
+      atoms: [0],
+      bonds: [0, 1, 2, 3, 4],
+      message: 'Atom 0 (C) has valence 5, more than 4'
+    }]);
+    const issues = validateMolecule(sulfur);
+    expect(issues.map(({ severity, code }) => [severity, code])).toEqual([['warning', 'VALENCE_EXCEEDED']]);
+    expect(hasErrors(issues)).toBe(false);
+  });
+});
+
+describe('MoleculeServer validation', () => {
+  const clash = { name: 'Clash', atoms: [atom('C', 0), atom('C', 0.1)], bonds: [] };
+
+  test('should refuse to store invalid structures', () => {
+    const server = new MoleculeServer();
+    let error;
+    try {
+      server.addMolecule(clash);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toBe('Invalid structure: Atoms 0 and 1 overlap (0.10 Å apart)');
+    expect(error.issues.map(issue => issue.code)).toEqual(['OVERLAPPING_ATOMS']);
+    expect(server.getMolecule('clash')).toBeNull();
+  });
+
+  test('should validate structure updates', () => {
+    const server = new MoleculeServer();
+
+    expect(() => server.updateMolecule('water', { bonds: [{ from: 0, to: 3, order: 1 }] }))
+      .toThrow('Invalid structure: Bond 0 refers to missing atom 3');
+    expect(server.getMolecule('water').bonds).toHaveLength(2);
+  });
+
+  test('should report on stored and unsaved structures', () => {
+    const server = new MoleculeServer();
+
+    expect(server.validateMolecule('water')).toEqual({ valid: true, issues: [] });
+    expect(server.validateMolecule('unknown')).toBeNull();
+    expect(server.validateStructure(clash).valid).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for the XYZ / extended XYZ reader and trajectory registration
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseXYZ, parseComment } from '../mcp-server/formats/xyz.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+import { TrajectoryStreamHandler } from '../services/api-gateway/trajectoryStreaming.js';
+
+const WATER = [
+  '3',
+  'Water',
+  'O   0.000   0.000   0.000',
+  'H   0.757   0.586   0.000',
+  'H  -0.757   0.586   0.000'
+].join('\n');
+
+const EXTENDED = [
+  '2',
+  'Lattice="5.44 0 0 0 5.44 0 0 0 5.44" Properties=pos:R:3:species:S:1 energy=-10.25 pbc="T T F" config_type=bulk',
+  '0.00 0.00 0.00 Si',
+  '1.36 1.36 1.36 Si'
+].join('\n');
+
+const TRAJECTORY = [
+  '2',
+  'time=0.0 energy=-1.10',
+  'H 0.000 0.000 0.000',
+  'H 0.740 0.000 0.000',
+  '2',
+  'time=0.5 energy=-1.05',
+  'H 0.000 0.000 0.000',
+  'H 0.780 0.000 0.000',
+  '2',
+  'time=1.0 energy=-1.02',
+  'H 0.000 0.000 0.000',
+  'H 0.810 0.000 0.000'
+].join('\n');
+
+describe('parseXYZ', () => {
+  test('should read a plain XYZ file', () => {
+    const molecule = parseXYZ(WATER);
+
+    expect(molecule.name).toBe('Water');
+    expect(molecule.atoms.map(a => a.element)).toEqual(['O', 'H', 'H']);
+    expect(molecule.atoms[1]).toEqual({ element: 'H', x: 0.757, y: 0.586, z: 0 });
+    expect(molecule.bonds).toEqual([]);
+    expect(molecule.frames).toBeUndefined();
+  });
+
+  test('should honour the Properties column layout and lattice of extended XYZ', () => {
+    const molecule = parseXYZ(EXTENDED);
+
+    expect(molecule.atoms[1]).toEqual({ element: 'Si', x: 1.36, y: 1.36, z: 1.36 });
+    expect(molecule.metadata.lattice).toEqual([[5.44, 0, 0], [0, 5.44, 0], [0, 0, 5.44]]);
+    expect(molecule.metadata.pbc).toEqual([true, true, false]);
+    expect(molecule.metadata.energy).toBe(-10.25);
+    expect(molecule.metadata.properties).toEqual({ energy: -10.25, config_type: 'bulk' });
+  });
+
+  test('should read energies from free-text comments', () => {
+    const text = WATER.replace('Water', 'Optimized geometry E = -76.4021');
+    expect(parseXYZ(text).metadata.energy).toBe(-76.4021);
+  });
+
+  test('should accept atomic numbers in the species column', () => {
+    const text = WATER.replace('O ', '8 ').replace(/^H /gm, '1 ');
+    expect(parseXYZ(text).atoms.map(a => a.element)).toEqual(['O', 'H', 'H']);
+  });
+
+  test('should return the remaining frames of a multi-frame file', () => {
+    const molecule = parseXYZ(TRAJECTORY);
+
+    expect(molecule.atoms[1].x).toBe(0.74);
+    expect(molecule.metadata.frameCount).toBe(3);
+    expect(molecule.frames.length).toBe(3);
+    expect(molecule.frames[2]).toEqual({
+      timestamp: 1,
+      energy: -1.02,
+      coordinates: [{ x: 0, y: 0, z: 0 }, { x: 0.81, y: 0, z: 0 }]
+    });
+  });
+
+  test('should reject frames with different atoms', () => {
+    const text = `${WATER}\n2\nbroken\nO 0 0 0\nH 1 0 0`;
+    expect(() => parseXYZ(text)).toThrow('Frame 2 does not match');
+  });
+
+  test('should reject truncated frames', () => {
+    expect(() => parseXYZ('3\ncomment\nO 0 0 0')).toThrow('ends after 1 of 3 atoms');
+  });
+});
+
+describe('parseComment', () => {
+  test('should return null for free text', () => {
+    expect(parseComment('just a title')).toBeNull();
+  });
+});
+
+describe('XYZ trajectories', () => {
+  test('should keep frames alongside the imported molecule', () => {
+    const server = new MoleculeServer();
+    const molecule = server.importMolecule(TRAJECTORY, 'XYZ', { name: 'H2 stretch' });
+    const trajectory = server.getTrajectory(molecule.id);
+
+    expect(molecule.frames).toBeUndefined();
+    expect(trajectory).toMatchObject({ moleculeId: 'h2-stretch', frameCount: 3, atomCount: 2 });
+    expect(server.getTrajectory('water')).toBeNull();
+  });
+
+  test('should be served by TrajectoryStreamHandler', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'moleculai-'));
+    try {
+      const { frames } = parseXYZ(TRAJECTORY);
+      const handler = await TrajectoryStreamHandler.fromFrames({
+        id: 'h2',
+        frames,
+        filePath: join(directory, 'h2.traj')
+      });
+
+      expect(handler.metadata.frameCount).toBe(3);
+      expect(handler.metadata.totalTime).toBe(1);
+
+      const frame = await handler.readFrame(1);
+      expect(frame.timestamp).toBeCloseTo(0.5);
+      expect(frame.energy).toBeCloseTo(-1.05);
+      expect(frame.temperature).toBeNull();
+      expect(frame.coordinates[1].x).toBeCloseTo(0.78);
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -97,6 +97,12 @@ check(
   'mcp-server is required for molecule data'
 );
 
+check(
+  'data/molecules directory exists',
+  () => existsSync(join(__dirname, 'data', 'molecules')),
+  'data/molecules holds the built-in molecules served by the API'
+);
+
 // Check package.json configuration
 try {
   const packageJson = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf-8'));